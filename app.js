@@ -0,0 +1,848 @@
+const express = require('express');
+const cors = require('cors');
+const path = require('path');
+const helmet = require('helmet');
+const { getPublicKeys } = require('./lib/licenseToken');
+const License = require('./models/License');
+const { transferLimitMessage } = require('./lib/activation');
+const { validateFields, sendValidationError } = require('./lib/validation');
+const { createLicense, checkNewLicense } = require('./lib/licenses');
+const { parseLicenseKey } = require('./lib/licenseKeys');
+const { recordAudit, snapshotLicense } = require('./lib/audit');
+const { authenticateAdmin, requireScope, requireOrgAdmin } = require('./middleware/adminAuth');
+const { resolveSession } = require('./lib/adminSessions');
+const { queueTemplateEmail, licenseEmailData } = require('./lib/email');
+const { acceptInvite } = require('./lib/organizations');
+const { liveLeases, heartbeatIntervalSeconds } = require('./lib/floating');
+const {
+  validateLicense, activateLicense, heartbeat, releaseDeviceSeat, deactivateDevice, requestTrial
+} = require('./lib/clientLicensing');
+const { assignRequestId, restoreRequestContext } = require('./middleware/requestContext');
+const { render: renderMetrics } = require('./lib/metrics');
+const { generalLimiter, clientLimits, trialLimiter } = require('./middleware/rateLimits');
+const { refuseUnsignedV1 } = require('./middleware/signedRequest');
+const { recordFailedLookup } = require('./lib/lookupThrottle');
+const { apiErrorHandler } = require('./lib/apiErrors');
+const { readiness, connectionState } = require('./lib/health');
+
+const TRIAL_REQUIRE_EMAIL = process.env.TRIAL_REQUIRE_EMAIL === 'true';
+
+const sendMetrics = (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+};
+
+// Build the Express app: middleware, the admin, client and portal APIs and
+// the pages. Nothing here connects to the database or listens; index.js does
+// that (and tests use an in-memory MongoDB). Models use mongoose's default
+// connection, so connect it before serving requests.
+//
+//   config.adminToken  - bootstrap admin token (see middleware/adminAuth.js)
+//   config.metricsPort - /metrics is served by createMetricsApp() instead of this app
+function createApp(config = {}) {
+  const app = express();
+  app.locals.config = config;
+
+  // Request IDs, access logs and request metrics
+  app.use(assignRequestId);
+
+  // Security Middleware. Pages only load scripts from /admin/assets and
+  // /portal/assets, so inline scripts and eval are refused.
+  app.use(helmet({
+    contentSecurityPolicy: {
+      directives: {
+        defaultSrc: ["'self'"],
+        scriptSrc: ["'self'"],
+        styleSrc: ["'self'", "'unsafe-inline'"],
+        imgSrc: ["'self'", "data:", "https:"],
+        connectSrc: ["'self'"]
+      }
+    }
+  }));
+  app.use(cors());
+  app.use(express.json({
+    limit: '10mb',
+    // Keep the exact bytes for webhook signature verification
+    verify: (req, res, buf) => { req.rawBody = buf; }
+  }));
+  app.use(restoreRequestContext);
+
+  // Trust proxy for Render
+  app.set('trust proxy', 1);
+
+  // Rate Limiting
+  app.use('/api/', generalLimiter);
+
+
+  // ==================== ADMIN ENDPOINTS ====================
+
+  // Create a new license
+  app.post('/api/admin/create-license', authenticateAdmin, requireScope('licenses:write'), async (req, res) => {
+    try {
+      console.log('📝 Creating new license request:', req.body);
+
+      const { values, errors, plan } = await checkNewLicense(req.body, ['sendEmail']);
+
+      if (errors.length) {
+        console.log('❌ Invalid license fields:', errors);
+        return sendValidationError(res, errors);
+      }
+
+      const { sendEmail = true, ...licenseFields } = values;
+      const license = await createLicense({ ...licenseFields, plan });
+
+      await recordAudit(req, {
+        action: 'license.created',
+        licenseKey: license.licenseKey,
+        after: snapshotLicense(license)
+      });
+
+      console.log(`✅ New license created: ${license.licenseKey} for ${license.customerEmail}`);
+
+      if (sendEmail) {
+        queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+      }
+
+      res.json({ 
+        success: true, 
+        license: {
+          licenseKey: license.licenseKey,
+          customerName: license.customerName,
+          customerEmail: license.customerEmail,
+          expiryDate: license.expiryDate,
+          maxActivations: license.maxActivations,
+          licenseType: license.licenseType,
+          maxConcurrent: license.maxConcurrent,
+          planType: license.metadata.planType
+        }
+      });
+
+    } catch (error) {
+      console.error('💥 License creation error:', error);
+      res.status(500).json({ 
+        success: false, 
+        error: error.message 
+      });
+    }
+  });
+
+  // License listing/export and the single license resource (GET/PATCH/DELETE plus renew/suspend/reactivate)
+  app.use('/api/admin/licenses', authenticateAdmin, require('./routes/adminLicenses'));
+
+  // Deactivate license
+  app.post('/api/admin/deactivate-license', authenticateAdmin, requireScope('licenses:write'), async (req, res) => {
+    try {
+      const { licenseKey } = req.body;
+
+      const license = await License.findOne({ licenseKey });
+
+      if (!license) {
+        return res.status(404).json({ error: 'License not found' });
+      }
+
+      const before = snapshotLicense(license);
+      license.isActive = false;
+      await license.save();
+
+      await recordAudit(req, {
+        action: 'license.deactivated',
+        licenseKey,
+        before,
+        after: snapshotLicense(license)
+      });
+
+      res.json({ success: true, message: 'License deactivated' });
+    } catch (error) {
+      console.error('💥 Error deactivating license:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Remove a device activation, freeing its seat
+  app.post('/api/admin/remove-device', authenticateAdmin, requireScope('devices:manage'), async (req, res) => {
+    try {
+      const { licenseKey, deviceId, reason } = req.body;
+
+      const license = await License.findOne({ licenseKey });
+      if (!license) {
+        return res.status(404).json({ error: 'License not found' });
+      }
+
+      const activation = license.findActivation(deviceId);
+      if (!activation) {
+        return res.status(404).json({ error: 'Device not activated on this license' });
+      }
+
+      const before = snapshotLicense(license);
+      license.deviceActivations.pull(activation._id);
+      license.deviceHistory.push({
+        action: 'removed',
+        deviceId,
+        actor: 'admin',
+        reason,
+        ip: req.ip
+      });
+      await license.save();
+
+      await recordAudit(req, {
+        action: 'device.removed',
+        licenseKey,
+        deviceId,
+        before,
+        after: snapshotLicense(license),
+        details: { reason }
+      });
+
+      console.log(`🗑️  Device ${deviceId} removed from ${licenseKey}`);
+
+      res.json({
+        success: true,
+        message: 'Device removed',
+        activations_used: license.currentActivations,
+        activations_total: license.maxActivations
+      });
+    } catch (error) {
+      console.error('💥 Error removing device:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Move an activation to a new device without using an extra seat
+  app.post('/api/admin/transfer-device', authenticateAdmin, requireScope('devices:manage'), async (req, res) => {
+    try {
+      const { licenseKey, fromDeviceId, toDeviceId, reason } = req.body;
+
+      if (!fromDeviceId || !toDeviceId) {
+        return res.status(400).json({ error: 'fromDeviceId and toDeviceId are required' });
+      }
+
+      const license = await License.findOne({ licenseKey });
+      if (!license) {
+        return res.status(404).json({ error: 'License not found' });
+      }
+
+      const activation = license.findActivation(fromDeviceId);
+      if (!activation) {
+        return res.status(404).json({ error: 'Device not activated on this license' });
+      }
+
+      if (license.findActivation(toDeviceId)) {
+        return res.status(400).json({ error: 'Target device is already activated on this license' });
+      }
+
+      const before = snapshotLicense(license);
+      activation.deviceId = toDeviceId;
+      activation.deviceInfo = {};
+      activation.activationDate = new Date();
+      activation.lastValidation = new Date();
+      license.deviceHistory.push({
+        action: 'transferred',
+        deviceId: fromDeviceId,
+        toDeviceId,
+        actor: 'admin',
+        reason,
+        ip: req.ip
+      });
+      await license.save();
+
+      await recordAudit(req, {
+        action: 'device.transferred',
+        licenseKey,
+        deviceId: fromDeviceId,
+        before,
+        after: snapshotLicense(license),
+        details: { toDeviceId, reason }
+      });
+
+      console.log(`🔁 Activation on ${licenseKey} transferred: ${fromDeviceId} -> ${toDeviceId}`);
+
+      res.json({ success: true, message: 'Device activation transferred' });
+    } catch (error) {
+      console.error('💥 Error transferring device:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Audit log query and chain verification
+  app.use('/api/admin/audit', authenticateAdmin, requireScope('audit:read'), require('./routes/adminAudit'));
+
+  // Named, scoped admin API keys
+  app.use('/api/admin/api-keys', authenticateAdmin, require('./routes/adminApiKeys'));
+
+  // Review queue for licenses flagged as shared
+  app.use('/api/admin/abuse-flags', authenticateAdmin, require('./routes/adminAbuse'));
+
+  // Plan definitions and their entitlements
+  app.use('/api/admin/plans', authenticateAdmin, require('./routes/adminPlans'));
+
+  // Activation, validation, renewal and app version metrics
+  app.use('/api/admin/analytics', authenticateAdmin, require('./routes/adminAnalytics'));
+
+  // Organizations and their seat pools
+  app.use('/api/admin/organizations', authenticateAdmin, require('./routes/adminOrganizations'));
+
+  // Organization admins managing their own seats, members and invites
+  app.use('/api/org', authenticateAdmin, requireOrgAdmin, require('./routes/orgAdmin'));
+
+  // Customer self-service portal (magic-link sign-in, own licenses only)
+  app.use('/api/portal', require('./routes/portal'));
+
+  // Admin panel sign-in and user management
+  app.use('/api/admin/auth', require('./routes/adminAuth'));
+  app.use('/api/admin/users', authenticateAdmin, require('./routes/adminUsers'));
+
+  // Device activation history for a license
+  app.get('/api/admin/device-history/:licenseKey', authenticateAdmin, requireScope('licenses:read'), async (req, res) => {
+    try {
+      const license = await License.findOne(
+        { licenseKey: req.params.licenseKey },
+        { licenseKey: 1, deviceActivations: 1, deviceHistory: 1, maxActivations: 1 }
+      );
+
+      if (!license) {
+        return res.status(404).json({ error: 'License not found' });
+      }
+
+      res.json({
+        licenseKey: license.licenseKey,
+        maxActivations: license.maxActivations,
+        deviceActivations: license.deviceActivations,
+        deviceHistory: license.deviceHistory
+      });
+    } catch (error) {
+      console.error('💥 Error fetching device history:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // ==================== PAYMENT WEBHOOKS ====================
+
+  // Stripe and Paddle events: provision on purchase, extend on renewal, deactivate on refund/chargeback
+  app.use('/api/webhooks', require('./routes/webhooks'));
+
+  // ==================== LICENSE VALIDATION ENDPOINTS ====================
+
+  // Answer keys that can't be ours (wrong shape or check character) without a
+  // database lookup, and pass the rest on in their stored form
+  const checkLicenseKey = (field, status = 200) => (req, res, next) => {
+    const { licenseKey, error } = parseLicenseKey(req.body.license_key);
+    if (error) {
+      if (typeof req.body.license_key === 'string') recordFailedLookup(req);
+      return res.status(status).json({ [field]: false, reason: 'invalid_key', message: error });
+    }
+    req.body.license_key = licenseKey;
+    next();
+  };
+
+  // Device IDs end up in license queries, so only plain strings get through
+  const checkDeviceId = (field) => (req, res, next) => {
+    const { device_id } = req.body;
+    if (typeof device_id !== 'string' || !device_id.trim()) {
+      return res.status(400).json({ [field]: false, message: 'device_id must be a non-empty string' });
+    }
+    next();
+  };
+
+  // Respond to a floating license checkout or heartbeat (see lib/floating.js)
+  function sendSeatResult(res, { status, license, lease, nextFreeAt, inUse, entitlements, token, offlineUntil }) {
+    if (status === 'not_found' || status === 'suspended') {
+      return res.json({ valid: false, message: 'License not found or inactive' });
+    }
+    if (status === 'expired') {
+      return res.json({ valid: false, message: 'License has expired' });
+    }
+    if (status === 'not_floating') {
+      return res.status(400).json({ valid: false, message: 'This license is not a floating license' });
+    }
+
+    if (status === 'all_in_use') {
+      return res.json({
+        valid: false,
+        reason: 'all_seats_in_use',
+        // The earliest lease end; it moves if that device keeps heartbeating
+        message: `All ${license.maxConcurrent} seats are in use. Next free at ${nextFreeAt.toISOString()} unless renewed.`,
+        seats_total: license.maxConcurrent,
+        seats_in_use: inUse,
+        next_free_at: nextFreeAt.toISOString()
+      });
+    }
+
+    res.json({
+      valid: true,
+      message: status === 'checked_out' ? 'Seat checked out' : 'Seat renewed',
+      license_type: 'floating',
+      lease_id: lease.leaseId,
+      lease_expires_at: lease.expiresAt.toISOString(),
+      heartbeat_interval_seconds: heartbeatIntervalSeconds(),
+      seats_total: license.maxConcurrent,
+      seats_in_use: liveLeases(license, new Date()).length,
+      expiry_date: license.expiryDate.toISOString(),
+      customer_name: license.customerName,
+      plan_type: license.metadata.planType,
+      is_trial: license.isTrial,
+      entitlements,
+      license_token: token,
+      offline_until: offlineUntil.toISOString()
+    });
+  }
+
+  // Validate license endpoint
+  app.post('/api/validate-license', clientLimits, checkLicenseKey('valid'), checkDeviceId('valid'), refuseUnsignedV1('valid'), async (req, res) => {
+    try {
+      const { license_key, device_id, lease_id, app_version } = req.body;
+
+      const result = await validateLicense(req, {
+        licenseKey: license_key,
+        deviceId: device_id,
+        leaseId: typeof lease_id === 'string' ? lease_id : undefined,
+        appVersion: app_version
+      });
+      const { status, license, entitlements, token, offlineUntil } = result;
+
+      if (status === 'not_found' || status === 'suspended') {
+        return res.json({ 
+          valid: false, 
+          message: 'License not found or inactive' 
+        });
+      }
+
+      if (status === 'expired') {
+        return res.json({ 
+          valid: false, 
+          message: 'License has expired' 
+        });
+      }
+
+      if (status === 'not_activated') {
+        return res.json({ 
+          valid: false, 
+          message: 'License not activated on this device' 
+        });
+      }
+
+      if (status !== 'valid') {
+        return sendSeatResult(res, result);
+      }
+
+      res.json({
+        valid: true,
+        message: 'License is valid',
+        expiry_date: license.expiryDate.toISOString(),
+        customer_name: license.customerName,
+        plan_type: license.metadata.planType,
+        is_trial: license.isTrial,
+        entitlements,
+        license_token: token,
+        offline_until: offlineUntil.toISOString()
+      });
+
+    } catch (error) {
+      console.error('💥 Validation error:', error);
+      res.status(500).json({ valid: false, message: 'Server error during validation' });
+    }
+  });
+
+  // Activate license endpoint
+  app.post('/api/activate-license', clientLimits, checkLicenseKey('valid'), checkDeviceId('valid'), refuseUnsignedV1('valid'), async (req, res) => {
+    try {
+      const { license_key, device_id, device_fingerprint, app_version } = req.body;
+
+      const result = await activateLicense(req, {
+        licenseKey: license_key,
+        deviceId: device_id,
+        deviceInfo: device_fingerprint,
+        appVersion: app_version
+      });
+      const { status, license, entitlements, token, offlineUntil } = result;
+
+      if (status === 'not_found' || status === 'suspended') {
+        return res.json({ 
+          valid: false, 
+          message: 'Invalid license key' 
+        });
+      }
+
+      if (status === 'expired') {
+        return res.json({ 
+          valid: false, 
+          message: 'License has expired. Please contact support.' 
+        });
+      }
+
+      if (status === 'limit_reached') {
+        return res.json({ 
+          valid: false, 
+          message: `License activation limit reached (${license.maxActivations} device${license.maxActivations > 1 ? 's' : ''}). Please contact support.` 
+        });
+      }
+
+      if (license.licenseType === 'floating') {
+        return sendSeatResult(res, result);
+      }
+
+      if (status === 'already_activated' || status === 'rebound') {
+        return res.json({
+          valid: true,
+          message: 'License already activated on this device',
+          expiry_date: license.expiryDate.toISOString(),
+          customer_name: license.customerName,
+          plan_type: license.metadata.planType,
+          is_trial: license.isTrial,
+          entitlements,
+          license_token: token,
+          offline_until: offlineUntil.toISOString()
+        });
+      }
+
+      res.json({
+        valid: true,
+        message: 'License activated successfully!',
+        expiry_date: license.expiryDate.toISOString(),
+        customer_name: license.customerName,
+        plan_type: license.metadata.planType,
+        is_trial: license.isTrial,
+        entitlements,
+        activations_used: license.currentActivations,
+        activations_total: license.maxActivations,
+        license_token: token,
+        offline_until: offlineUntil.toISOString()
+      });
+
+    } catch (error) {
+      console.error('💥 Activation error:', error);
+      res.status(500).json({ valid: false, message: 'Server error during activation' });
+    }
+  });
+
+  // Start a time-limited trial on this device (one per device, fingerprint and email)
+  app.post('/api/start-trial', trialLimiter, async (req, res) => {
+    try {
+      const { device_id, device_fingerprint, email } = req.body;
+
+      const errors = [];
+      if (typeof device_id !== 'string' || !device_id.trim() || device_id.length > 200) {
+        errors.push('device_id must be a non-empty string');
+      }
+      if (email !== undefined || TRIAL_REQUIRE_EMAIL) {
+        errors.push(...validateFields({ customerEmail: email }, { required: ['customerEmail'] }).errors
+          .map(message => message.replace('customerEmail', 'email')));
+      }
+      if (device_fingerprint !== undefined && (typeof device_fingerprint !== 'object' || Array.isArray(device_fingerprint))) {
+        errors.push('device_fingerprint must be an object');
+      }
+      if (errors.length) {
+        return sendValidationError(res, errors);
+      }
+
+      const { status, license, reason, entitlements, token, offlineUntil } = await requestTrial(req, {
+        deviceId: device_id,
+        deviceInfo: device_fingerprint,
+        email
+      });
+
+      if (status === 'used') {
+        return res.status(409).json({
+          valid: false,
+          reason: `${reason}_used`,
+          message: reason === 'email'
+            ? 'A trial has already been used with this email address.'
+            : 'A trial has already been used on this device.'
+        });
+      }
+
+      res.status(status === 'started' ? 201 : 200).json({
+        valid: true,
+        message: status === 'started' ? 'Trial started' : 'Trial already running on this device',
+        license_key: license.licenseKey,
+        is_trial: true,
+        expiry_date: license.expiryDate.toISOString(),
+        plan_type: license.metadata.planType,
+        entitlements,
+        license_token: token,
+        offline_until: offlineUntil.toISOString()
+      });
+
+    } catch (error) {
+      console.error('💥 Trial error:', error);
+      res.status(500).json({ valid: false, message: 'Server error while starting trial' });
+    }
+  });
+
+  // Accept an organization invite (from the /invite page) and get a license key
+  app.post('/api/org-invites/accept', async (req, res) => {
+    try {
+      const { token, customer_name } = req.body;
+      const errors = [];
+      if (typeof token !== 'string' || !token) {
+        errors.push('token is required');
+      }
+      if (customer_name !== undefined) {
+        errors.push(...validateFields({ customerName: customer_name }, { required: ['customerName'] }).errors
+          .map(message => message.replace('customerName', 'customer_name')));
+      }
+      if (errors.length) {
+        return sendValidationError(res, errors);
+      }
+
+      const { status, license, invite, organization } = await acceptInvite(token, { customerName: customer_name });
+      if (status === 'invalid') {
+        return res.status(404).json({ success: false, message: 'This invitation is invalid, expired or has already been used' });
+      }
+      if (status !== 'accepted') {
+        return res.status(409).json({
+          success: false,
+          message: `${organization.displayName} has no seats available right now. Please contact your administrator.`
+        });
+      }
+
+      await recordAudit(req, {
+        action: 'org.invite_accepted',
+        licenseKey: license.licenseKey,
+        actor: { type: 'customer', id: invite.email },
+        after: snapshotLicense(license),
+        details: { organization: organization.name, inviteId: invite._id }
+      });
+      queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+
+      console.log(`✅ ${invite.email} joined ${organization.name} with ${license.licenseKey}`);
+
+      res.status(201).json({
+        success: true,
+        license_key: license.licenseKey,
+        organization: organization.displayName,
+        expiry_date: license.expiryDate.toISOString(),
+        max_activations: license.maxActivations
+      });
+
+    } catch (error) {
+      console.error('💥 Invite acceptance error:', error);
+      res.status(500).json({ success: false, message: 'Server error while accepting the invitation' });
+    }
+  });
+
+  // Keep a floating seat: renews the lease, or checks out a new one if it lapsed
+  app.post('/api/heartbeat', clientLimits, checkLicenseKey('valid', 400), refuseUnsignedV1('valid'), async (req, res) => {
+    try {
+      const { license_key, device_id, lease_id } = req.body;
+      if (typeof license_key !== 'string' || typeof device_id !== 'string') {
+        return res.status(400).json({ valid: false, message: 'license_key and device_id are required' });
+      }
+
+      const result = await heartbeat(req, {
+        licenseKey: license_key,
+        deviceId: device_id,
+        leaseId: typeof lease_id === 'string' ? lease_id : undefined
+      });
+      sendSeatResult(res, result);
+
+    } catch (error) {
+      console.error('💥 Heartbeat error:', error);
+      res.status(500).json({ valid: false, message: 'Server error during heartbeat' });
+    }
+  });
+
+  // Give a floating seat back (e.g. when the app closes)
+  app.post('/api/release-seat', clientLimits, checkLicenseKey('success', 400), refuseUnsignedV1('success'), async (req, res) => {
+    try {
+      const { license_key, device_id, lease_id } = req.body;
+      if (typeof license_key !== 'string' || typeof device_id !== 'string') {
+        return res.status(400).json({ success: false, message: 'license_key and device_id are required' });
+      }
+
+      const released = await releaseDeviceSeat(req, {
+        licenseKey: license_key,
+        deviceId: device_id,
+        leaseId: typeof lease_id === 'string' ? lease_id : undefined
+      });
+      if (!released) {
+        return res.status(404).json({ success: false, message: 'No seat held by this device' });
+      }
+
+      res.json({ success: true, message: 'Seat released' });
+
+    } catch (error) {
+      console.error('💥 Seat release error:', error);
+      res.status(500).json({ success: false, message: 'Server error during release' });
+    }
+  });
+
+  // Deactivate this device to free its seat (self-service transfer)
+  app.post('/api/deactivate-device', clientLimits, checkLicenseKey('success', 400), checkDeviceId('success'), refuseUnsignedV1('success'), async (req, res) => {
+    try {
+      const { license_key, device_id } = req.body;
+
+      const { status, license } = await deactivateDevice(req, { licenseKey: license_key, deviceId: device_id });
+
+      if (status === 'not_found' || status === 'not_activated') {
+        return res.status(404).json({ 
+          success: false, 
+          message: 'License not activated on this device' 
+        });
+      }
+
+      if (status === 'limit_reached') {
+        return res.status(429).json({ 
+          success: false, 
+          message: transferLimitMessage() 
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Device deactivated. You can now activate the license on another device.',
+        activations_used: license.currentActivations,
+        activations_total: license.maxActivations
+      });
+
+    } catch (error) {
+      console.error('💥 Device deactivation error:', error);
+      res.status(500).json({ success: false, message: 'Server error during deactivation' });
+    }
+  });
+
+  // Client API v2: validated bodies, error codes and HTTP statuses (see routes/clientV2.js).
+  // The endpoints above stay as v1 for existing app releases.
+  app.use('/api/v2', require('./routes/clientV2'));
+  app.use('/api/v2', apiErrorHandler);
+
+  // Public keys for verifying offline license tokens (all published key IDs)
+  app.get('/api/public-keys', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.json(getPublicKeys());
+  });
+
+  // Health check endpoint (public, so it reports nothing beyond up/down;
+  // numbers are on /metrics and /api/admin/analytics)
+  app.get('/api/health', (req, res) => {
+    res.json({ 
+      status: 'OK', 
+      timestamp: new Date().toISOString(),
+      database: connectionState(),
+      service: 'Babylon RCT License Server'
+    });
+  });
+
+  // Liveness probe: the process is up and serving requests
+  app.get('/livez', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Readiness probe: the database is reachable (checked at most every few seconds)
+  app.get('/readyz', async (req, res) => {
+    const { ready, database } = await readiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', database });
+  });
+
+  // Prometheus scrape endpoint. With a metrics port it is served there only
+  // (createMetricsApp); otherwise it needs an admin credential with metrics:read.
+  if (!config.metricsPort) {
+    app.get('/metrics', authenticateAdmin, requireScope('metrics:read'), sendMetrics);
+  }
+
+  // Root route - Friendly homepage
+  app.get('/', (req, res) => {
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+      <head>
+          <title>Babylon RCT License Server</title>
+          <style>
+              body { font-family: Arial, sans-serif; margin: 40px; text-align: center; }
+              .container { max-width: 800px; margin: 0 auto; }
+              .endpoint { background: #f5f5f5; padding: 10px; margin: 10px 0; border-left: 4px solid #007cba; }
+          </style>
+      </head>
+      <body>
+          <div class="container">
+              <h1>🚀 Babylon RCT License Server</h1>
+              <p>Your license validation server is running successfully!</p>
+
+              <h2>Available Endpoints:</h2>
+
+              <div class="endpoint">
+                  <strong>GET /api/health</strong> - Server health check
+                  <br><a href="/api/health">Test Health</a>
+              </div>
+
+              <div class="endpoint">
+                  <strong>GET /admin</strong> - License management panel
+                  <br><a href="/admin">Admin Panel</a>
+              </div>
+
+              <div class="endpoint">
+                  <strong>POST /api/validate-license</strong> - Validate license key
+              </div>
+
+              <div class="endpoint">
+                  <strong>POST /api/activate-license</strong> - Activate license on device
+              </div>
+
+              <div class="endpoint">
+                  <strong>POST /api/deactivate-device</strong> - Free this device's seat for use elsewhere
+              </div>
+
+              <div class="endpoint">
+                  <strong>/api/v2/*</strong> - Client API v2 with error codes
+                  <br><a href="/api/v2/openapi.json">OpenAPI Document</a>
+              </div>
+
+              <div class="endpoint">
+                  <strong>GET /api/public-keys</strong> - Public keys for verifying offline license tokens
+                  <br><a href="/api/public-keys">View Keys</a>
+              </div>
+
+              <h3>Server Information:</h3>
+              <p><strong>Status:</strong> ✅ Live</p>
+              <p><strong>URL:</strong> https://babylon-license-server-zivj.onrender.com</p>
+              <p><strong>Database:</strong> MongoDB Atlas</p>
+              <p><strong>Features:</strong> License validation & activation only (Usage tracking removed)</p>
+          </div>
+      </body>
+      </html>
+    `);
+  });
+
+  // Admin console scripts and styles (no secrets; data comes from the API)
+  app.use('/admin/assets', express.static(path.join(__dirname, 'public', 'admin')));
+
+  // Customer portal page and its assets (the sign-in token is in the URL fragment)
+  app.use('/portal/assets', express.static(path.join(__dirname, 'public', 'portal')));
+  app.get('/portal', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'portal.html'));
+  });
+
+  // Organization invite acceptance page (the token is in the URL fragment)
+  app.get('/invite', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'invite.html'));
+  });
+
+  // Admin panel sign-in page
+  app.get('/admin/login', (req, res) => {
+    res.sendFile(path.join(__dirname, 'views', 'adminLogin.html'));
+  });
+
+  // Serve admin panel (signed-in users only; the page calls the API with its session)
+  app.get('/admin', async (req, res, next) => {
+    try {
+      const resolved = await resolveSession(req);
+      if (!resolved) {
+        return res.redirect('/admin/login');
+      }
+      // Organization admins get the page for their own organization's seats
+      const page = resolved.user.organization ? 'orgAdmin.html' : 'admin.html';
+      res.sendFile(path.join(__dirname, 'views', page));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return app;
+}
+
+// /metrics on its own, for METRICS_PORT
+function createMetricsApp() {
+  const metricsApp = express();
+  metricsApp.get('/metrics', sendMetrics);
+  return metricsApp;
+}
+
+module.exports = { createApp, createMetricsApp };
@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// License operations from a terminal or script.
+// Usage: babylon-license <command> [options] (babylon-license --help lists them)
+require('dotenv').config();
+const { main } = require('../lib/cli');
+
+main(process.argv.slice(2)).then((code) => {
+  // Let pending work (e.g. license emails in direct mode) finish instead of exiting right away
+  process.exitCode = code;
+});
@@ -0,0 +1,199 @@
+const UsageEvent = require('../models/UsageEvent');
+const AbuseFlag = require('../models/AbuseFlag');
+const License = require('../models/License');
+const { recordAudit, snapshotLicense } = require('./audit');
+
+// Key-sharing detection. Validations and activations are recorded as usage
+// events; a scheduled scan flags licenses used from too many distinct IPs,
+// devices or countries within the window, for review in the admin panel.
+
+const HOUR_MS = 60 * 60 * 1000;
+const SAMPLE_SIZE = 20;
+const ACTOR = { type: 'system', id: 'abuse-detector' };
+
+const config = () => ({
+  windowHours: parseInt(process.env.ABUSE_WINDOW_HOURS, 10) || 24,
+  limits: {
+    ips: parseInt(process.env.ABUSE_MAX_IPS, 10) || 10,
+    devices: parseInt(process.env.ABUSE_MAX_DEVICES, 10) || 5,
+    countries: parseInt(process.env.ABUSE_MAX_COUNTRIES, 10) || 3
+  },
+  autoSuspend: process.env.ABUSE_AUTO_SUSPEND === 'true',
+  // Set by a CDN or proxy in front of the server (Cloudflare sends CF-IPCountry)
+  countryHeader: (process.env.ABUSE_COUNTRY_HEADER || 'cf-ipcountry').toLowerCase()
+});
+
+// Country code for the request, when the proxy provides one
+function countryFromRequest(req, header = config().countryHeader) {
+  const value = req.get(header);
+  return value && /^[a-z]{2}$/i.test(value) && value.toUpperCase() !== 'XX' ? value.toUpperCase() : undefined;
+}
+
+// Version strings like "2.4.1" or "2.5.0-beta+42"; anything else isn't kept
+const appVersion = (value) => (typeof value === 'string' && /^[\w.+-]{1,32}$/.test(value.trim()) ? value.trim() : undefined);
+
+// Fire-and-forget: usage tracking must never slow down or fail validation.
+// Events also feed the analytics endpoints (lib/analytics.js).
+function recordUsage(req, { licenseKey, deviceId, kind, outcome, planType, version }) {
+  if (process.env.ABUSE_DETECTION_ENABLED === 'false') return;
+  if (!licenseKey || typeof licenseKey !== 'string') return;
+  UsageEvent.create({
+    licenseKey,
+    deviceId: typeof deviceId === 'string' ? deviceId : undefined,
+    ip: req.ip,
+    country: countryFromRequest(req),
+    kind,
+    outcome,
+    planType,
+    version: appVersion(version)
+  }).catch(error => console.error('💥 Failed to record usage:', error));
+}
+
+// Which limits a license's window stats exceed:
+//   stats - { ips: [...], devices: [...], countries: [...] } distinct values
+// Returns [{ metric, count, limit }], empty when within limits.
+const exceededLimits = (stats, limits) => Object.entries(limits)
+  .map(([metric, limit]) => ({ metric, count: (stats[metric] || []).length, limit }))
+  .filter(({ count, limit }) => count > limit);
+
+// The configured limits fit a single-seat license. Multi-seat licenses get
+// one more device per extra seat, and floating licenses are meant to move
+// between machines, so their device count isn't a sharing signal.
+function limitsForLicense(limits, license) {
+  if (!license) return limits;
+  const { devices, ...rest } = limits;
+  if (license.licenseType === 'floating') return rest;
+  return { ...rest, devices: devices + Math.max((license.maxActivations || 1) - 1, 0) };
+}
+
+async function usageStats(since) {
+  return UsageEvent.aggregate([
+    { $match: { at: { $gte: since } } },
+    { $group: { _id: '$licenseKey', ips: { $addToSet: '$ip' }, devices: { $addToSet: '$deviceId' }, countries: { $addToSet: '$country' } } },
+    {
+      $project: {
+        ips: { $setDifference: ['$ips', [null, '']] },
+        devices: { $setDifference: ['$devices', [null, '']] },
+        countries: { $setDifference: ['$countries', [null, '']] }
+      }
+    }
+  ]);
+}
+
+async function suspendForAbuse(licenseKey, reasons) {
+  const license = await License.findOne({ licenseKey, isActive: true });
+  if (!license) return false;
+
+  const before = snapshotLicense(license);
+  license.isActive = false;
+  license.suspendedAt = new Date();
+  license.suspensionReason = `Suspected sharing: ${reasons.map(({ metric, count }) => `${count} ${metric}`).join(', ')}`;
+  await license.save();
+  await recordAudit(null, {
+    action: 'license.suspended',
+    licenseKey,
+    actor: ACTOR,
+    before,
+    after: snapshotLicense(license),
+    details: { reasons }
+  });
+
+  console.log(`⏸️  License ${licenseKey} auto-suspended for suspected sharing`);
+  return true;
+}
+
+// Open or refresh a flag. Returns the flag and whether it is new.
+async function upsertFlag(licenseKey, reasons, stats, windowHours, now) {
+  try {
+    const result = await AbuseFlag.findOneAndUpdate(
+      { licenseKey, status: 'open' },
+      {
+        $set: {
+          reasons,
+          windowHours,
+          lastFlaggedAt: now,
+          sample: {
+            ips: stats.ips.slice(0, SAMPLE_SIZE),
+            devices: stats.devices.slice(0, SAMPLE_SIZE),
+            countries: stats.countries.slice(0, SAMPLE_SIZE)
+          }
+        },
+        $setOnInsert: { firstFlaggedAt: now }
+      },
+      { upsert: true, new: true, includeResultMetadata: true }
+    );
+    return { flag: result.value, created: !result.lastErrorObject.updatedExisting };
+  } catch (error) {
+    // Another instance opened the flag at the same moment
+    if (error.code === 11000) return { flag: null, created: false };
+    throw error;
+  }
+}
+
+async function runAbuseScan(now = new Date()) {
+  const { windowHours, limits, autoSuspend } = config();
+  const since = new Date(now.getTime() - windowHours * HOUR_MS);
+
+  let flagged = 0;
+  for (const stats of await usageStats(since)) {
+    if (!exceededLimits(stats, limits).length) continue;
+
+    const licenseKey = stats._id;
+    const license = await License.findOne({ licenseKey }, { licenseType: 1, maxActivations: 1 }).lean();
+    const reasons = exceededLimits(stats, limitsForLicense(limits, license));
+    if (!reasons.length) continue;
+
+    // An admin already looked at this window and decided it was fine
+    if (await AbuseFlag.exists({ licenseKey, status: 'dismissed', reviewedAt: { $gte: since } })) continue;
+
+    const { flag, created } = await upsertFlag(licenseKey, reasons, stats, windowHours, now);
+    if (!created) continue;
+
+    flagged += 1;
+    console.log(`🚩 License ${licenseKey} flagged:`, reasons.map(({ metric, count, limit }) => `${metric} ${count}/${limit}`).join(', '));
+    await recordAudit(null, { action: 'abuse.flagged', licenseKey, actor: ACTOR, details: { reasons } });
+
+    if (autoSuspend && await suspendForAbuse(licenseKey, reasons)) {
+      flag.autoSuspended = true;
+      await flag.save();
+    }
+  }
+  return flagged;
+}
+
+// Run every ABUSE_SCAN_INTERVAL_MINUTES (default 15). Disabled with
+// ABUSE_DETECTION_ENABLED=false.
+function startAbuseScanJob() {
+  if (process.env.ABUSE_DETECTION_ENABLED === 'false') {
+    console.log('🚩 Abuse detection disabled');
+    return null;
+  }
+
+  const minutes = parseInt(process.env.ABUSE_SCAN_INTERVAL_MINUTES, 10) || 15;
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runAbuseScan();
+    } catch (error) {
+      console.error('💥 Abuse scan failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  recordUsage,
+  appVersion,
+  runAbuseScan,
+  startAbuseScanJob,
+  exceededLimits,
+  limitsForLicense,
+  countryFromRequest
+};
@@ -0,0 +1,165 @@
+const License = require('../models/License');
+const { normalizeFingerprint, findMatchingActivation } = require('./fingerprint');
+
+// Seat-limited device activation done as conditional atomic updates, so
+// concurrent requests can never push a license past maxActivations or
+// activate the same device twice.
+//
+// When every seat is taken, a new device ID whose fingerprint matches an
+// activated device (a reinstall, or a regenerated ID) takes over that
+// device's seat. That counts as a self-service transfer, so it is refused
+// once the transfer limit is used up.
+//
+// Resolves to { status, license } where status is one of:
+//   'activated' | 'already_activated' | 'rebound' | 'not_found' | 'expired' | 'limit_reached'
+//   | 'floating' (the license uses leases instead, see lib/floating.js)
+// 'rebound' also carries { previousDeviceId, score }.
+async function activateDevice({ licenseKey, deviceId, deviceInfo = {}, ip }) {
+  const now = new Date();
+  const usable = { licenseKey, licenseType: { $ne: 'floating' }, isActive: true, expiryDate: { $gt: now } };
+
+  // Re-activation of a known device (e.g. app retry) only refreshes it
+  let license = await License.findOneAndUpdate(
+    { ...usable, 'deviceActivations.deviceId': deviceId },
+    { $set: { 'deviceActivations.$.lastValidation': now } },
+    { new: true }
+  );
+  if (license) return { status: 'already_activated', license };
+
+  // Claim a seat only if the device is absent and a seat is free
+  license = await License.findOneAndUpdate(
+    {
+      ...usable,
+      'deviceActivations.deviceId': { $ne: deviceId },
+      $expr: { $lt: [{ $size: { $ifNull: ['$deviceActivations', []] } }, '$maxActivations'] }
+    },
+    {
+      $push: {
+        deviceActivations: { deviceId, deviceInfo, activationDate: now, lastValidation: now },
+        deviceHistory: { action: 'activated', deviceId, actor: 'customer', ip, date: now }
+      },
+      $inc: { currentActivations: 1 }
+    },
+    { new: true }
+  );
+  if (license) return { status: 'activated', license };
+
+  const rebound = await rebindMatchingDevice({ usable, deviceId, deviceInfo, ip, now });
+  if (rebound) return rebound;
+
+  // Nothing matched - work out why
+  license = await License.findOne({ licenseKey, isActive: true });
+  if (!license) return { status: 'not_found', license: null };
+  if (license.expiryDate <= now) return { status: 'expired', license };
+  if (license.licenseType === 'floating') return { status: 'floating', license };
+  // A concurrent request for the same device won the seat
+  if (license.findActivation(deviceId)) return { status: 'already_activated', license };
+  return { status: 'limit_reached', license };
+}
+
+async function rebindMatchingDevice({ usable, deviceId, deviceInfo, ip, now }) {
+  const current = await License.findOne(usable, { deviceActivations: 1, deviceHistory: 1 });
+  const match = current && findMatchingActivation(current.deviceActivations, normalizeFingerprint(deviceInfo));
+  if (!match || transfersRemaining(current, now) === 0) return null;
+
+  const previousDeviceId = match.activation.deviceId;
+  const score = Math.round(match.score * 100) / 100;
+  // Conditional on the matched seat still holding the old ID, the new ID
+  // not having been activated meanwhile and no seat having come free
+  const license = await License.findOneAndUpdate(
+    {
+      ...usable,
+      deviceActivations: { $elemMatch: { _id: match.activation._id, deviceId: previousDeviceId } },
+      'deviceActivations.deviceId': { $ne: deviceId },
+      $expr: {
+        $and: [
+          { $gte: [{ $size: '$deviceActivations' }, '$maxActivations'] },
+          transfersLeftExpr(now)
+        ]
+      }
+    },
+    {
+      $set: {
+        'deviceActivations.$[seat].deviceId': deviceId,
+        'deviceActivations.$[seat].deviceInfo': deviceInfo,
+        'deviceActivations.$[seat].lastValidation': now
+      },
+      $push: {
+        deviceHistory: {
+          action: 'transferred',
+          deviceId: previousDeviceId,
+          toDeviceId: deviceId,
+          actor: 'customer',
+          reason: `Fingerprint match (${score})`,
+          ip,
+          date: now
+        }
+      }
+    },
+    { new: true, arrayFilters: [{ 'seat._id': match.activation._id }] }
+  );
+  return license ? { status: 'rebound', license, previousDeviceId, score } : null;
+}
+
+// Self-service device transfers (customer deactivations and fingerprint
+// rebinds) allowed per window
+const TRANSFER_LIMIT = parseInt(process.env.SELF_SERVICE_TRANSFER_LIMIT, 10) || 3;
+const TRANSFER_WINDOW_DAYS = parseInt(process.env.SELF_SERVICE_TRANSFER_WINDOW_DAYS, 10) || 30;
+
+const transferLimitMessage = () =>
+  `Device transfer limit reached (${TRANSFER_LIMIT} per ${TRANSFER_WINDOW_DAYS} days). Please contact support.`;
+
+const transferWindowStart = (now) => new Date(now.getTime() - TRANSFER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Self-service transfers `license` has left in the current window
+function transfersRemaining(license, now = new Date()) {
+  return Math.max(TRANSFER_LIMIT - license.countCustomerTransfersSince(transferWindowStart(now)), 0);
+}
+
+// Query condition ($expr) for "a self-service transfer is left", so the
+// update that uses one up can't race past the limit
+const transfersLeftExpr = (now) => ({
+  $lt: [
+    {
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$deviceHistory', []] },
+          cond: {
+            $and: [
+              { $eq: ['$$this.actor', 'customer'] },
+              { $in: ['$$this.action', License.CUSTOMER_TRANSFER_ACTIONS] },
+              { $gte: ['$$this.date', transferWindowStart(now)] }
+            ]
+          }
+        }
+      }
+    },
+    TRANSFER_LIMIT
+  ]
+});
+
+// A customer frees one of their devices, from the app or the portal, as one
+// conditional update: concurrent deactivations can't exceed the transfer
+// limit or undo each other. Resolves to { status, license } (the updated
+// license) where status is one of:
+//   'deactivated' | 'not_activated' | 'limit_reached'
+async function deactivateByCustomer(license, deviceId, ip) {
+  const now = new Date();
+  const updated = await License.findOneAndUpdate(
+    { _id: license._id, 'deviceActivations.deviceId': deviceId, $expr: transfersLeftExpr(now) },
+    {
+      $pull: { deviceActivations: { deviceId } },
+      $push: { deviceHistory: { action: 'deactivated', deviceId, actor: 'customer', ip, date: now } },
+      $inc: { currentActivations: -1 }
+    },
+    { new: true }
+  );
+  if (updated) return { status: 'deactivated', license: updated };
+
+  // Nothing matched - work out why
+  const current = await License.findById(license._id);
+  if (!current || !current.findActivation(deviceId)) return { status: 'not_activated', license: current };
+  return { status: 'limit_reached', license: current };
+}
+
+module.exports = { activateDevice, deactivateByCustomer, transfersRemaining, transferLimitMessage };
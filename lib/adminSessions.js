@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const AdminSession = require('../models/AdminSession');
+const AdminUser = require('../models/AdminUser');
+
+const COOKIE_NAME = 'babylon_admin_session';
+const SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS, 10) || 8;
+const SESSION_IDLE_MINUTES = parseInt(process.env.ADMIN_SESSION_IDLE_MINUTES, 10) || 60;
+// Avoid a write on every request; lastSeenAt is only refreshed this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch (error) {
+      // Ignore malformed cookie values
+    }
+  }
+  return cookies;
+}
+
+const sessionCookie = (value, maxAgeSeconds) => [
+  `${COOKIE_NAME}=${value}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Strict',
+  `Max-Age=${maxAgeSeconds}`,
+  ...(process.env.NODE_ENV === 'production' ? ['Secure'] : [])
+].join('; ');
+
+async function createSession(user, req, res) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = await AdminSession.create({
+    tokenHash: sha256(token),
+    user: user._id,
+    username: user.username,
+    csrfToken: crypto.randomBytes(32).toString('base64url'),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  res.append('Set-Cookie', sessionCookie(token, SESSION_TTL_HOURS * 60 * 60));
+  return session;
+}
+
+// Look up the session for a request's cookie, enforcing absolute and idle
+// expiry. Resolves to { session, user } or null.
+async function resolveSession(req) {
+  const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (!token) return null;
+
+  const session = await AdminSession.findOne({ tokenHash: sha256(token) });
+  if (!session) return null;
+
+  const now = Date.now();
+  const idleLimit = session.lastSeenAt.getTime() + SESSION_IDLE_MINUTES * 60 * 1000;
+  if (session.expiresAt.getTime() <= now || idleLimit <= now) {
+    await AdminSession.deleteOne({ _id: session._id });
+    return null;
+  }
+
+  const user = await AdminUser.findById(session.user);
+  if (!user || user.disabledAt) {
+    await AdminSession.deleteOne({ _id: session._id });
+    return null;
+  }
+
+  if (now - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS) {
+    session.lastSeenAt = new Date(now);
+    await session.save();
+  }
+
+  return { session, user };
+}
+
+async function destroySession(req, res) {
+  const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (token) {
+    await AdminSession.deleteOne({ tokenHash: sha256(token) });
+  }
+  res.append('Set-Cookie', sessionCookie('', 0));
+}
+
+// End every session of a user (password change, disable, TOTP reset)
+const destroyUserSessions = (userId) => AdminSession.deleteMany({ user: userId });
+
+module.exports = {
+  COOKIE_NAME,
+  createSession,
+  resolveSession,
+  destroySession,
+  destroyUserSessions,
+  parseCookies
+};
@@ -0,0 +1,238 @@
+const License = require('../models/License');
+const UsageEvent = require('../models/UsageEvent');
+const AuditLog = require('../models/AuditLog');
+
+// Time series for the admin analytics endpoints, all in UTC. Device
+// activity, failures and app versions come from usage events (kept for
+// USAGE_RETENTION_DAYS); activations, expiries and renewals come from the
+// licenses and the audit log, which keep their full history.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 731;
+
+// Usage outcomes where the app was let in, and the failures worth charting
+const SUCCESS_OUTCOMES = ['valid', 'activated', 'already_activated', 'rebound', 'checked_out', 'renewed'];
+const FAILURE_REASONS = ['not_found', 'suspended', 'expired', 'not_activated', 'limit_reached', 'all_in_use'];
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+const dayKey = (date) => date.toISOString().slice(0, 10);
+const monthKey = (date) => date.toISOString().slice(0, 7);
+const dayOf = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+const monthOf = (field) => ({ $dateToString: { format: '%Y-%m', date: field } });
+
+// Date range and plan filter from the query string. `to` is exclusive.
+// Without from/to the range is the last `defaultDays` days including today,
+// or the next `defaultDays` days when `forward` is set.
+// Returns { from, to, planType, errors }.
+function parseRange(query, { defaultDays = 30, forward = false, now = new Date() } = {}) {
+  const errors = [];
+  const parseDate = (name) => {
+    if (query[name] === undefined) return undefined;
+    const date = new Date(String(query[name]));
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${name} must be a valid date`);
+      return null;
+    }
+    return date;
+  };
+
+  let from = parseDate('from');
+  let to = parseDate('to');
+  const today = startOfDay(now);
+  if (from === undefined && to === undefined) {
+    from = forward ? today : new Date(today.getTime() - (defaultDays - 1) * DAY_MS);
+    to = new Date(forward ? today.getTime() + defaultDays * DAY_MS : today.getTime() + DAY_MS);
+  } else if (from === undefined && to) {
+    from = new Date(to.getTime() - defaultDays * DAY_MS);
+  } else if (to === undefined && from) {
+    to = new Date(from.getTime() + defaultDays * DAY_MS);
+  }
+
+  if (from && to) {
+    if (from >= to) {
+      errors.push('from must be before to');
+    } else if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      errors.push(`the range may span at most ${MAX_RANGE_DAYS} days`);
+    }
+  }
+
+  let planType;
+  if (query.planType !== undefined) {
+    planType = String(query.planType);
+    if (!/^[a-z0-9_-]{1,50}$/i.test(planType)) {
+      errors.push('planType may only contain letters, digits, "-" and "_"');
+    }
+  }
+
+  return { from, to, planType, errors };
+}
+
+// Every UTC day or month touched by [from, to), as used for keys in the series
+function periodKeys(from, to, unit) {
+  const keys = [];
+  const cursor = unit === 'month'
+    ? new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1))
+    : startOfDay(from);
+  while (cursor < to) {
+    keys.push(unit === 'month' ? monthKey(cursor) : dayKey(cursor));
+    if (unit === 'month') cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    else cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+  return keys;
+}
+
+// One entry per period, with `zero` filled in where the aggregation found nothing.
+//   rows - [{ _id: periodKey, ...values }]
+function fillSeries(keys, rows, zero, keyName = 'date') {
+  const byKey = new Map(rows.map(({ _id, ...values }) => [_id, values]));
+  return keys.map(key => ({ [keyName]: key, ...zero, ...byKey.get(key) }));
+}
+
+// Share of due licenses that were renewed, null when none were due
+const renewalRate = (renewed, lapsed) =>
+  (renewed + lapsed === 0 ? null : Math.round((renewed / (renewed + lapsed)) * 1000) / 1000);
+
+const usageMatch = ({ from, to, planType }, extra) => ({
+  at: { $gte: from, $lt: to },
+  ...(planType ? { planType } : {}),
+  ...extra
+});
+
+// Distinct devices let in per day
+async function activeDevices(range) {
+  const rows = await UsageEvent.aggregate([
+    { $match: usageMatch(range, { outcome: { $in: SUCCESS_OUTCOMES }, deviceId: { $type: 'string' } }) },
+    { $group: { _id: { day: dayOf('$at'), deviceId: '$deviceId' } } },
+    { $group: { _id: '$_id.day', devices: { $sum: 1 } } }
+  ]);
+  return { series: fillSeries(periodKeys(range.from, range.to, 'day'), rows, { devices: 0 }) };
+}
+
+// New device activations per day, trials included and counted separately
+async function activations({ from, to, planType }) {
+  const inRange = { action: 'activated', date: { $gte: from, $lt: to } };
+  const rows = await License.aggregate([
+    { $match: { deviceHistory: { $elemMatch: inRange }, ...(planType ? { 'metadata.planType': planType } : {}) } },
+    { $unwind: '$deviceHistory' },
+    { $match: { 'deviceHistory.action': inRange.action, 'deviceHistory.date': inRange.date } },
+    {
+      $group: {
+        _id: dayOf('$deviceHistory.date'),
+        activations: { $sum: 1 },
+        trials: { $sum: { $cond: ['$isTrial', 1, 0] } }
+      }
+    }
+  ]);
+  const series = fillSeries(periodKeys(from, to, 'day'), rows, { activations: 0, trials: 0 });
+  return { total: series.reduce((sum, day) => sum + day.activations, 0), series };
+}
+
+// Failed validations and activations per day, by reason
+async function failures(range) {
+  const rows = await UsageEvent.aggregate([
+    { $match: usageMatch(range, { outcome: { $in: FAILURE_REASONS } }) },
+    { $group: { _id: { day: dayOf('$at'), reason: '$outcome' }, count: { $sum: 1 } } },
+    { $group: { _id: '$_id.day', reasons: { $push: { k: '$_id.reason', v: '$count' } } } },
+    { $replaceRoot: { newRoot: { $mergeObjects: [{ _id: '$_id' }, { $arrayToObject: '$reasons' }] } } }
+  ]);
+  const zero = Object.fromEntries(FAILURE_REASONS.map(reason => [reason, 0]));
+  const series = fillSeries(periodKeys(range.from, range.to, 'day'), rows, zero);
+  const totals = { ...zero };
+  for (const day of series) {
+    for (const reason of FAILURE_REASONS) totals[reason] += day[reason];
+  }
+  return { totals, series };
+}
+
+// Active licenses by the month they expire in
+async function expiring({ from, to, planType }) {
+  const rows = await License.aggregate([
+    {
+      $match: {
+        isActive: true,
+        expiryDate: { $gte: from, $lt: to },
+        ...(planType ? { 'metadata.planType': planType } : {})
+      }
+    },
+    {
+      $group: {
+        _id: monthOf('$expiryDate'),
+        licenses: { $sum: { $cond: ['$isTrial', 0, 1] } },
+        trials: { $sum: { $cond: ['$isTrial', 1, 0] } }
+      }
+    }
+  ]);
+  return { series: fillSeries(periodKeys(from, to, 'month'), rows, { licenses: 0, trials: 0 }, 'month') };
+}
+
+// Paid licenses that came due in the range, by month: renewed (the audit log
+// has a renewal from that expiry date, made before or after it) or lapsed
+// (still expiring on that date). Only dates already past count as lapsed.
+async function renewals({ from, to, planType }, now = new Date()) {
+  const until = to < now ? to : now;
+  const [renewedRows, lapsedRows] = await Promise.all([
+    AuditLog.aggregate([
+      {
+        $match: {
+          action: 'license.renewed',
+          // Snapshots store dates as ISO strings, which sort like dates
+          'before.expiryDate': { $gte: from.toISOString(), $lt: to.toISOString() },
+          'before.isTrial': { $ne: true },
+          ...(planType ? { 'before.planType': planType } : {})
+        }
+      },
+      { $group: { _id: { month: { $substrCP: ['$before.expiryDate', 0, 7] }, licenseKey: '$licenseKey', due: '$before.expiryDate' } } },
+      { $group: { _id: '$_id.month', renewed: { $sum: 1 } } }
+    ]),
+    until > from ? License.aggregate([
+      {
+        $match: {
+          isTrial: { $ne: true },
+          expiryDate: { $gte: from, $lt: until },
+          ...(planType ? { 'metadata.planType': planType } : {})
+        }
+      },
+      { $group: { _id: monthOf('$expiryDate'), lapsed: { $sum: 1 } } }
+    ]) : []
+  ]);
+
+  const keys = periodKeys(from, to, 'month');
+  const renewed = new Map(fillSeries(keys, renewedRows, { renewed: 0 }, 'month').map(row => [row.month, row.renewed]));
+  const series = fillSeries(keys, lapsedRows, { lapsed: 0 }, 'month').map(({ month, lapsed }) => ({
+    month,
+    renewed: renewed.get(month),
+    lapsed,
+    rate: renewalRate(renewed.get(month), lapsed)
+  }));
+
+  const totalRenewed = series.reduce((sum, month) => sum + month.renewed, 0);
+  const totalLapsed = series.reduce((sum, month) => sum + month.lapsed, 0);
+  return { renewed: totalRenewed, lapsed: totalLapsed, rate: renewalRate(totalRenewed, totalLapsed), series };
+}
+
+// Distinct devices per reported app version, most used first. Devices that
+// don't send app_version are counted as "unknown".
+async function versions(range) {
+  const rows = await UsageEvent.aggregate([
+    { $match: usageMatch(range, { outcome: { $in: SUCCESS_OUTCOMES }, deviceId: { $type: 'string' } }) },
+    { $group: { _id: { version: { $ifNull: ['$version', 'unknown'] }, deviceId: '$deviceId' }, lastSeenAt: { $max: '$at' } } },
+    { $group: { _id: '$_id.version', devices: { $sum: 1 }, lastSeenAt: { $max: '$lastSeenAt' } } },
+    { $sort: { devices: -1, _id: 1 } }
+  ]);
+  return { versions: rows.map(({ _id, devices, lastSeenAt }) => ({ version: _id, devices, lastSeenAt })) };
+}
+
+module.exports = {
+  SUCCESS_OUTCOMES,
+  FAILURE_REASONS,
+  parseRange,
+  periodKeys,
+  fillSeries,
+  renewalRate,
+  activeDevices,
+  activations,
+  failures,
+  expiring,
+  renewals,
+  versions
+};
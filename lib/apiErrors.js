@@ -0,0 +1,51 @@
+// Error responses for the v2 client API. Every failure is
+//   { error: { code, message, details? } }
+// with a stable, machine-readable code and the status listed here. Codes are
+// part of the API contract: add new ones freely, never rename or repurpose one.
+// `message` is English for logs and developers; apps should switch on `code`.
+
+const ERRORS = {
+  INVALID_REQUEST: { status: 400, description: 'The request body failed validation; details lists each problem' },
+  INVALID_LICENSE_KEY: { status: 400, description: 'The license key is malformed or its check character is wrong' },
+  LICENSE_NOT_FOUND: { status: 404, description: 'No license with this key exists' },
+  LICENSE_SUSPENDED: { status: 403, description: 'The license was deactivated (refund, chargeback or by an administrator)' },
+  LICENSE_EXPIRED: { status: 403, description: 'The license has expired' },
+  DEVICE_NOT_ACTIVATED: { status: 403, description: 'The license is not activated on this device' },
+  SEAT_LIMIT_REACHED: { status: 409, description: 'Every device seat is taken; deactivate a device first' },
+  ALL_SEATS_IN_USE: { status: 409, description: 'Every floating seat is checked out; details.next_free_at says when one may free up' },
+  LICENSE_NOT_FLOATING: { status: 409, description: 'Seat leases only apply to floating licenses' },
+  SEAT_NOT_HELD: { status: 404, description: 'This device holds no seat on the license' },
+  TRANSFER_LIMIT_REACHED: { status: 429, description: 'The license has no self-service device transfers left this period' },
+  TRIAL_ALREADY_USED: { status: 409, description: 'A trial was already used; details.reason is device, fingerprint or email' },
+  SIGNATURE_REQUIRED: { status: 401, description: 'The request must be signed (server policy, or the device registered a key)' },
+  SIGNATURE_INVALID: { status: 401, description: 'The signature headers are incomplete or the signature does not verify' },
+  REQUEST_EXPIRED: { status: 401, description: 'X-Babylon-Timestamp is too far from the server time' },
+  NONCE_INVALID: { status: 401, description: 'The nonce is unknown, expired or already used; get a new one' },
+  DEVICE_KEY_NOT_REGISTERED: { status: 401, description: 'Signed request from a device without a registered key; activate with device_public_key' },
+  RATE_LIMITED: { status: 429, description: 'Too many requests; retry after the Retry-After header' },
+  NOT_FOUND: { status: 404, description: 'No such endpoint' },
+  INTERNAL_ERROR: { status: 500, description: 'Unexpected server error' }
+};
+
+function sendApiError(res, code, message, details) {
+  const { status } = ERRORS[code];
+  return res.status(status).json({ error: { code, message, ...(details ? { details } : {}) } });
+}
+
+// Requests that should be answered in the v2 error format
+const isV2Request = (req) => req.originalUrl.startsWith('/api/v2/');
+
+// Errors raised before a v2 route runs, e.g. a body that isn't valid JSON
+function apiErrorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  if (error.type === 'entity.parse.failed') {
+    return sendApiError(res, 'INVALID_REQUEST', 'Request body is not valid JSON');
+  }
+  if (error.type === 'entity.too.large') {
+    return sendApiError(res, 'INVALID_REQUEST', 'Request body is too large');
+  }
+  console.error('💥 Unhandled API error:', error);
+  sendApiError(res, 'INTERNAL_ERROR', 'Server error');
+}
+
+module.exports = { ERRORS, sendApiError, isV2Request, apiErrorHandler };
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const MAX_THROTTLED_FAILURES = 10000;
+
+// JSON with sorted keys so the same entry always hashes the same way
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Plain JSON copy, so stored values read back exactly as they were hashed
+const toPlain = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function hashEntry(entry) {
+  const content = canonicalJson({
+    seq: entry.seq,
+    timestamp: new Date(entry.timestamp).toISOString(),
+    action: entry.action,
+    licenseKey: entry.licenseKey,
+    deviceId: entry.deviceId,
+    actor: entry.actor,
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    before: entry.before,
+    after: entry.after,
+    details: entry.details
+  });
+  return crypto.createHash('sha256').update(entry.prevHash + content).digest('hex');
+}
+
+// Fields of a license worth tracking in before/after diffs
+function snapshotLicense(license) {
+  if (!license) return null;
+  return toPlain({
+    customerEmail: license.customerEmail,
+    customerName: license.customerName,
+    expiryDate: license.expiryDate,
+    isActive: license.isActive,
+    isTrial: license.isTrial,
+    maxActivations: license.maxActivations,
+    licenseType: license.licenseType,
+    maxConcurrent: license.maxConcurrent,
+    planType: license.metadata && license.metadata.planType,
+    entitlementOverrides: license.entitlementOverrides,
+    notes: license.metadata && license.metadata.notes,
+    suspensionReason: license.suspensionReason,
+    devices: (license.deviceActivations || []).map(activation => activation.deviceId)
+  });
+}
+
+// Reduce two snapshots to only the fields that changed
+function diff(before, after) {
+  if (!before || !after) return { before, after };
+  const changedBefore = {};
+  const changedAfter = {};
+  for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (canonicalJson(before[key]) !== canonicalJson(after[key])) {
+      changedBefore[key] = before[key];
+      changedAfter[key] = after[key];
+    }
+  }
+  return { before: changedBefore, after: changedAfter };
+}
+
+// Who made the request: an authenticated admin, or the device in the body
+function actorFromRequest(req, deviceId) {
+  if (req.admin) return { type: 'admin', id: req.admin.id };
+  if (deviceId) return { type: 'device', id: deviceId };
+  return { type: 'system' };
+}
+
+// Appends are serialized in-process; the unique seq index catches races
+// with other server instances, which are retried against the new head.
+let appendQueue = Promise.resolve();
+
+async function append(fields) {
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    const head = await AuditLog.findOne({}, { seq: 1, hash: 1 }).sort({ seq: -1 }).lean();
+    const entry = {
+      ...fields,
+      seq: head ? head.seq + 1 : 1,
+      prevHash: head ? head.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      if (error.code !== 11000 || attempt === MAX_APPEND_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// Record an audit entry. Never throws: a failed audit write is logged but
+// must not fail the customer's or admin's request.
+//   req        - the request, or null for scheduled jobs (pass an actor)
+//   action     - e.g. 'license.created', 'device.activated', 'validation.failed'
+//   before/after - license snapshots (reduced to a diff when both are given)
+function recordAudit(req, { action, licenseKey, deviceId, actor, before, after, details }) {
+  const changes = diff(toPlain(before), toPlain(after));
+  const fields = {
+    timestamp: new Date(),
+    action,
+    licenseKey,
+    deviceId,
+    actor: actor || actorFromRequest(req || {}, deviceId),
+    ip: req ? req.ip : undefined,
+    userAgent: req ? req.get('user-agent') : undefined,
+    before: changes.before || undefined,
+    after: changes.after || undefined,
+    details: toPlain(details)
+  };
+
+  const result = appendQueue.then(() => append(fields));
+  appendQueue = result.catch(() => {});
+
+  return result.catch(error => {
+    console.error(`💥 Failed to write audit entry (${action}):`, error);
+    return null;
+  });
+}
+
+// Refused client checks (validation.failed, activation.failed,
+// seat.unavailable) are audited once per window for each license key and IP,
+// or per IP alone for keys that don't exist, so a brute-forcing or broken
+// client can't flood the chain. Repeats in between are counted and carried on
+// the next entry as details.repeated.
+//   AUDIT_FAILURE_WINDOW_SECONDS - window per key/IP (default 60, 0 = audit every failure)
+const failureWindowSeconds = () => {
+  const value = parseInt(process.env.AUDIT_FAILURE_WINDOW_SECONDS, 10);
+  return Number.isInteger(value) && value >= 0 ? value : 60;
+};
+
+const throttledFailures = new Map();
+
+// { repeated } when the failure should be audited now, otherwise null
+function throttleFailure(key, now = Date.now(), windowMs = failureWindowSeconds() * 1000) {
+  const window = throttledFailures.get(key);
+  if (window && window.until > now) {
+    window.repeated += 1;
+    return null;
+  }
+
+  throttledFailures.delete(key);
+  if (throttledFailures.size >= MAX_THROTTLED_FAILURES) {
+    for (const [staleKey, stale] of throttledFailures) {
+      if (stale.until <= now) throttledFailures.delete(staleKey);
+    }
+    // Still full: drop the oldest windows (a Map iterates in insertion order)
+    for (const staleKey of throttledFailures.keys()) {
+      if (throttledFailures.size < MAX_THROTTLED_FAILURES) break;
+      throttledFailures.delete(staleKey);
+    }
+  }
+  throttledFailures.set(key, { until: now + windowMs, repeated: 0 });
+  return { repeated: window ? window.repeated : 0 };
+}
+
+// recordAudit for a refused client check, throttled as above. `license` is
+// the license the key resolved to, if any.
+async function recordFailureAudit(req, license, { action, licenseKey, deviceId, details }) {
+  const scope = license ? `${licenseKey}|${req.ip}` : req.ip;
+  const throttle = throttleFailure(`${action}|${scope}`);
+  if (!throttle) return null;
+
+  return recordAudit(req, {
+    action,
+    licenseKey,
+    deviceId,
+    details: throttle.repeated ? { ...details, repeated: throttle.repeated } : details
+  });
+}
+
+// Walk the whole chain in order and report the first entry that doesn't match
+async function verifyChain() {
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+  let checked = 0;
+
+  for await (const entry of AuditLog.find().sort({ seq: 1 }).lean().cursor()) {
+    if (entry.seq !== expectedSeq) {
+      return { valid: false, checked, brokenAt: expectedSeq, reason: `Missing entry (found seq ${entry.seq})` };
+    }
+    if (entry.prevHash !== prevHash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'prevHash does not match previous entry' };
+    }
+    if (hashEntry(entry) !== entry.hash) {
+      return { valid: false, checked, brokenAt: entry.seq, reason: 'Entry contents do not match its hash' };
+    }
+    prevHash = entry.hash;
+    expectedSeq += 1;
+    checked += 1;
+  }
+
+  return { valid: true, checked, headHash: prevHash };
+}
+
+module.exports = {
+  recordAudit,
+  recordFailureAudit,
+  throttleFailure,
+  verifyChain,
+  snapshotLicense,
+  hashEntry,
+  canonicalJson
+};
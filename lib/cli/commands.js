@@ -0,0 +1,293 @@
+const fs = require('fs');
+const { parseCsv } = require('../csv');
+const { parseLicenseKey } = require('../licenseKeys');
+const { licenseStatus } = require('../licenseQuery');
+const { loadProfiles, saveProfiles, checkProfile, profilesPath } = require('./profiles');
+
+// babylon-license commands. Each takes (connection, { values, positionals })
+// and resolves to { json, text }: what --json prints, and the human-readable
+// form. See lib/cli/index.js for the options each one accepts.
+
+const usageError = (message) => Object.assign(new Error(message), { usage: true });
+
+// Drop unset options so the API applies its defaults
+const defined = (fields) => Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+
+const day = (value) => (value ? String(value).slice(0, 10) : '');
+
+const status = (license) => licenseStatus({ ...license, expiryDate: new Date(license.expiryDate) });
+
+function licenseKeyArg(input) {
+  if (input === undefined) throw usageError('A license key is required');
+  const { licenseKey, error } = parseLicenseKey(input);
+  if (error) throw usageError(error);
+  return licenseKey;
+}
+
+const licensePath = (licenseKey) => `/api/admin/licenses/${encodeURIComponent(licenseKey)}`;
+
+// Left-aligned columns sized to their widest cell
+function table(headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map(row => String(row[i]).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), ...rows.map(line)].join('\n');
+}
+
+function describeLicense(license) {
+  const seats = license.licenseType === 'floating'
+    ? `floating, ${license.maxConcurrent} concurrent`
+    : `${license.deviceActivations.length} of ${license.maxActivations} devices`;
+  const lines = [
+    `License:   ${license.licenseKey}`,
+    `Customer:  ${license.customerName}${license.customerEmail ? ` <${license.customerEmail}>` : ''}`,
+    `Plan:      ${license.metadata.planType}${license.isTrial ? ' (trial)' : ''}`,
+    `Status:    ${status(license)}${license.suspensionReason ? ` (${license.suspensionReason})` : ''}`,
+    `Expires:   ${day(license.expiryDate)}`,
+    `Seats:     ${seats}`
+  ];
+  if (license.metadata && license.metadata.notes) lines.push(`Notes:     ${license.metadata.notes}`);
+  return lines.join('\n');
+}
+
+async function create(api, { values }) {
+  const floating = values.floating !== undefined;
+  const result = await api.request('POST', '/api/admin/create-license', defined({
+    customerEmail: values.email,
+    customerName: values.name,
+    planType: values.plan,
+    durationMonths: values.months,
+    maxActivations: values['max-activations'],
+    licenseType: floating ? 'floating' : undefined,
+    maxConcurrent: values.floating,
+    notes: values.notes,
+    sendEmail: !values['no-email']
+  }));
+  const { license } = result;
+  return {
+    json: result,
+    text: `Created ${license.licenseKey} for ${license.customerName} <${license.customerEmail}> (${license.planType}, expires ${day(license.expiryDate)})`
+  };
+}
+
+// Listing filters shared by list and export (see lib/licenseQuery.js)
+function listingQuery(values) {
+  if (values.trial && values.paid) throw usageError('Use either --trial or --paid');
+  return defined({
+    q: values.search,
+    email: values.email,
+    status: values.status,
+    planType: values.plan,
+    type: values.trial ? 'trial' : values.paid ? 'paid' : undefined,
+    expiringWithinDays: values['expiring-within']
+  });
+}
+
+async function list(api, { values, positionals }) {
+  const search = positionals.length ? positionals.join(' ') : values.search;
+  const query = new URLSearchParams(defined({
+    ...listingQuery({ ...values, search }),
+    limit: values.limit,
+    cursor: values.cursor
+  }));
+  const result = await api.request('GET', `/api/admin/licenses?${query}`);
+
+  const rows = result.licenses.map(license => [
+    license.licenseKey,
+    license.customerName,
+    license.customerEmail || '',
+    license.metadata.planType,
+    status(license),
+    day(license.expiryDate),
+    license.licenseType === 'floating' ? `${license.maxConcurrent} floating` : `${license.deviceActivations.length}/${license.maxActivations}`
+  ]);
+  let text = rows.length
+    ? table(['KEY', 'CUSTOMER', 'EMAIL', 'PLAN', 'STATUS', 'EXPIRES', 'SEATS'], rows)
+    : 'No licenses found';
+  if (result.nextCursor) text += `\n\nMore results: --cursor ${result.nextCursor}`;
+  return { json: result, text };
+}
+
+async function show(api, { positionals }) {
+  const license = await api.request('GET', licensePath(licenseKeyArg(positionals[0])));
+  let text = describeLicense(license);
+  if (license.deviceActivations.length) {
+    text += '\n\n' + table(['DEVICE', 'ACTIVATED', 'LAST SEEN'], license.deviceActivations.map(activation => [
+      activation.deviceId,
+      day(activation.activationDate),
+      day(activation.lastValidation)
+    ]));
+  }
+  return { json: license, text };
+}
+
+async function renew(api, { values, positionals }) {
+  const licenseKey = licenseKeyArg(positionals[0]);
+  const result = await api.request('POST', `${licensePath(licenseKey)}/renew`, defined({
+    durationMonths: values.months,
+    expiryDate: values.until
+  }));
+  return { json: result, text: `Renewed ${licenseKey} until ${day(result.license.expiryDate)}` };
+}
+
+async function deactivate(api, { values, positionals }) {
+  const licenseKey = licenseKeyArg(positionals[0]);
+  const result = await api.request('POST', `${licensePath(licenseKey)}/suspend`, defined({ reason: values.reason }));
+  return { json: result, text: `Deactivated ${licenseKey}` };
+}
+
+async function reactivate(api, { positionals }) {
+  const licenseKey = licenseKeyArg(positionals[0]);
+  const result = await api.request('POST', `${licensePath(licenseKey)}/reactivate`);
+  return { json: result, text: `Reactivated ${licenseKey}` };
+}
+
+async function removeDevice(api, { values, positionals }) {
+  const licenseKey = licenseKeyArg(positionals[0]);
+  const deviceId = positionals[1];
+  if (!deviceId) throw usageError('A device ID is required');
+
+  const result = await api.request('POST', '/api/admin/remove-device', defined({ licenseKey, deviceId, reason: values.reason }));
+  return {
+    json: result,
+    text: `Removed ${deviceId} from ${licenseKey} (${result.activations_used} of ${result.activations_total} devices in use)`
+  };
+}
+
+// CSV headers are the create-license field names (any case)
+const IMPORT_COLUMNS = [
+  'customerEmail', 'customerName', 'planType', 'durationMonths', 'expiryDate',
+  'maxActivations', 'licenseType', 'maxConcurrent', 'notes'
+];
+const IMPORT_BATCH_SIZE = 500;
+
+// CSV text -> license rows for POST /api/admin/licenses/import. Empty cells
+// are left out so the plan's defaults apply.
+function importRows(text) {
+  const [header, ...records] = parseCsv(text);
+  if (!header || records.length === 0) throw usageError('The CSV file needs a header row and at least one license');
+
+  const columns = header.map(name => IMPORT_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()));
+  const unknown = header.filter((name, i) => !columns[i]);
+  if (unknown.length) {
+    throw usageError(`Unknown CSV columns: ${unknown.join(', ')} (allowed: ${IMPORT_COLUMNS.join(', ')})`);
+  }
+
+  return records.map(record => Object.fromEntries(
+    columns.map((column, i) => [column, record[i]]).filter(([, value]) => value !== undefined && value.trim() !== '')
+  ));
+}
+
+const batches = (rows) => Array.from({ length: Math.ceil(rows.length / IMPORT_BATCH_SIZE) },
+  (_, i) => ({ offset: i * IMPORT_BATCH_SIZE, rows: rows.slice(i * IMPORT_BATCH_SIZE, (i + 1) * IMPORT_BATCH_SIZE) }));
+
+// Check every batch before creating anything, so a bad row late in a large
+// file doesn't leave half an import behind
+async function importLicenses(api, { values, positionals }) {
+  if (!positionals[0]) throw usageError('A CSV file is required');
+  const rows = importRows(fs.readFileSync(positionals[0], 'utf8'));
+
+  const problems = [];
+  for (const batch of batches(rows)) {
+    try {
+      await api.request('POST', '/api/admin/licenses/import', { licenses: batch.rows, dryRun: true });
+    } catch (error) {
+      if (error.status !== 400 || !error.details) throw error;
+      // licenses[i] -> the row's number in the file (1 = first license)
+      problems.push(...error.details.map(detail => detail.replace(/^licenses\[(\d+)\]/, (match, i) => `row ${batch.offset + Number(i) + 1}`)));
+    }
+  }
+  if (problems.length) {
+    throw Object.assign(new Error(`${problems.length} problem(s) in ${positionals[0]}, nothing was imported`), { details: problems });
+  }
+
+  if (values['dry-run']) {
+    return { json: { success: true, dryRun: true, count: rows.length }, text: `${rows.length} licenses are ready to import` };
+  }
+
+  const created = [];
+  for (const batch of batches(rows)) {
+    const result = await api.request('POST', '/api/admin/licenses/import', { licenses: batch.rows, sendEmail: Boolean(values['send-email']) });
+    created.push(...result.licenses);
+  }
+
+  return {
+    json: { success: true, count: created.length, licenses: created },
+    text: `Imported ${created.length} licenses\n\n` + table(['KEY', 'CUSTOMER', 'EMAIL', 'PLAN', 'EXPIRES'], created.map(license => [
+      license.licenseKey, license.customerName, license.customerEmail, license.planType, day(license.expiryDate)
+    ]))
+  };
+}
+
+async function exportLicenses(api, { values }) {
+  const query = new URLSearchParams(defined({ ...listingQuery(values), format: values.format }));
+  await api.download(`/api/admin/licenses/export?${query}`, values.output);
+  // The export itself went to stdout when there's no --output
+  return { json: null, text: values.output ? `Exported to ${values.output}` : null };
+}
+
+const maskToken = (token) => (token.length > 12 ? `${token.slice(0, 8)}…` : '…');
+
+async function profile(api, { values, positionals }) {
+  const [action, name] = positionals;
+  const config = loadProfiles();
+
+  if (action === 'list') {
+    const rows = Object.entries(config.profiles).map(([profileName, saved]) => [
+      profileName === config.defaultProfile ? `${profileName} *` : profileName,
+      saved.mongodbUri ? 'mongodb' : 'http',
+      saved.mongodbUri ? saved.mongodbUri.replace(/\/\/[^@/]*@/, '//…@') : `${saved.url} (token ${maskToken(saved.token)})`
+    ]);
+    return {
+      json: { defaultProfile: config.defaultProfile, profiles: Object.keys(config.profiles) },
+      text: rows.length ? table(['PROFILE', 'TYPE', 'TARGET'], rows) : `No profiles saved in ${profilesPath()}`
+    };
+  }
+
+  if (!name) throw usageError('A profile name is required');
+
+  if (action === 'add') {
+    const saved = defined({
+      url: values.url,
+      token: values.token || (values.url ? process.env.BABYLON_LICENSE_TOKEN : undefined),
+      mongodbUri: values['mongodb-uri']
+    });
+    const problem = checkProfile(saved);
+    if (problem) throw usageError(problem);
+
+    config.profiles[name] = saved;
+    if (values.default || !config.defaultProfile) config.defaultProfile = name;
+    saveProfiles(config);
+    return { json: { success: true, profile: name }, text: `Saved profile ${name}${config.defaultProfile === name ? ' (default)' : ''}` };
+  }
+
+  if (!config.profiles[name]) throw new Error(`No profile named "${name}"`);
+
+  if (action === 'use') {
+    config.defaultProfile = name;
+    saveProfiles(config);
+    return { json: { success: true, defaultProfile: name }, text: `${name} is now the default profile` };
+  }
+
+  if (action === 'remove') {
+    delete config.profiles[name];
+    if (config.defaultProfile === name) config.defaultProfile = null;
+    saveProfiles(config);
+    return { json: { success: true, removed: name }, text: `Removed profile ${name}` };
+  }
+
+  throw usageError(`Unknown profile action "${action}"`);
+}
+
+module.exports = {
+  create,
+  list,
+  show,
+  renew,
+  deactivate,
+  reactivate,
+  removeDevice,
+  importLicenses,
+  exportLicenses,
+  profile,
+  importRows
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { once } = require('events');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { resolveProfile } = require('./profiles');
+
+// How the CLI reaches the license data. Both kinds go through the admin API,
+// so validation, audit entries and emails are the same as in the admin panel:
+//
+//   http   - a running server, with an ADMIN_TOKEN or API key
+//   direct - MongoDB itself: the app is started in this process on a
+//            loopback port with a one-off admin token
+//
+// Each resolves to { request(method, path, body), download(path, file), close() }.
+// request() resolves to the JSON body and throws Error with `status` and
+// `details` on an error response.
+
+function apiError(status, body) {
+  const message = (body && body.error) || `Request failed with status ${status}`;
+  return Object.assign(new Error(message), { status, details: body && body.details });
+}
+
+function httpConnection({ url, token }) {
+  const base = url.replace(/\/+$/, '');
+  const send = (method, path, body) => fetch(`${base}${path}`, {
+    method,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      ...(body ? { 'Content-Type': 'application/json' } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  }).catch((error) => {
+    throw new Error(`Could not reach ${base}: ${error.cause ? error.cause.message : error.message}`);
+  });
+
+  return {
+    async request(method, path, body) {
+      const response = await send(method, path, body);
+      const data = await response.json().catch(() => null);
+      if (!response.ok) throw apiError(response.status, data);
+      return data;
+    },
+
+    // Stream a download to `file`, or stdout when none is given
+    async download(path, file) {
+      const response = await send('GET', path);
+      if (!response.ok) throw apiError(response.status, await response.json().catch(() => null));
+      const output = file ? fs.createWriteStream(file) : process.stdout;
+      await pipeline(Readable.fromWeb(response.body), output, { end: Boolean(file) });
+    },
+
+    close: async () => {}
+  };
+}
+
+async function directConnection({ mongodbUri }) {
+  // The server's info lines would mix with the command's output; warnings
+  // and errors still go to stderr
+  process.env.LOG_LEVEL = 'warn';
+  require('../logger').install();
+  // Counters shared with the servers aren't needed for a local app, and an
+  // open Redis client would keep the CLI from exiting
+  process.env.RATE_LIMIT_STORE = 'memory';
+  // Database access already allows everything, so the one-off token may too
+  process.env.ADMIN_TOKEN_BOOTSTRAP_ONLY = 'false';
+
+  const mongoose = require('mongoose');
+  const { createApp } = require('../../app');
+
+  await mongoose.connect(mongodbUri);
+  const token = crypto.randomBytes(32).toString('base64url');
+  const server = createApp({ adminToken: token }).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  const connection = httpConnection({ url: `http://127.0.0.1:${server.address().port}`, token });
+  return {
+    ...connection,
+    async close() {
+      server.close();
+      await mongoose.disconnect();
+    }
+  };
+}
+
+// Pick the connection from --mongodb-uri, --url/--token (or
+// BABYLON_LICENSE_TOKEN), or a saved profile
+async function openConnection({ profile, url, token = process.env.BABYLON_LICENSE_TOKEN, mongodbUri }) {
+  if (mongodbUri) return directConnection({ mongodbUri });
+  if (url) {
+    if (!token) throw new Error('--url needs --token or BABYLON_LICENSE_TOKEN');
+    return httpConnection({ url, token });
+  }
+
+  const saved = resolveProfile(profile);
+  if (!saved) {
+    throw new Error('No connection: pass --url and --token or --mongodb-uri, or save a profile with babylon-license profile add');
+  }
+  return saved.mongodbUri ? directConnection(saved) : httpConnection(saved);
+}
+
+// openConnection() on first use, so commands with bad arguments (and the
+// profile commands) never connect
+function lazyConnection(options) {
+  let opening;
+  const connection = () => {
+    opening = opening || openConnection(options);
+    return opening;
+  };
+  return {
+    request: async (...args) => (await connection()).request(...args),
+    download: async (...args) => (await connection()).download(...args),
+    close: async () => {
+      if (opening) await opening.then(opened => opened.close(), () => {});
+    }
+  };
+}
+
+module.exports = { openConnection, lazyConnection, httpConnection };
@@ -0,0 +1,145 @@
+const { parseArgs } = require('util');
+const commands = require('./commands');
+const { lazyConnection } = require('./connection');
+
+// babylon-license: license operations from a terminal or script (see the
+// README's "Admin CLI" section). main() resolves to the exit code:
+// 0 done, 1 failed, 2 bad usage.
+
+const GLOBAL_OPTIONS = {
+  profile: { type: 'string' },
+  url: { type: 'string' },
+  token: { type: 'string' },
+  'mongodb-uri': { type: 'string' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+const LISTING_OPTIONS = {
+  search: { type: 'string' },
+  email: { type: 'string' },
+  status: { type: 'string' },
+  plan: { type: 'string' },
+  trial: { type: 'boolean' },
+  paid: { type: 'boolean' },
+  'expiring-within': { type: 'string' }
+};
+
+const COMMANDS = {
+  create: {
+    usage: 'create --email EMAIL --name NAME [--plan PLAN] [--months N] [--max-activations N] [--floating SEATS] [--notes TEXT] [--no-email]',
+    options: {
+      email: { type: 'string' },
+      name: { type: 'string' },
+      plan: { type: 'string' },
+      months: { type: 'string' },
+      'max-activations': { type: 'string' },
+      floating: { type: 'string' },
+      notes: { type: 'string' },
+      'no-email': { type: 'boolean' }
+    },
+    run: commands.create
+  },
+  list: {
+    usage: 'list [--search TEXT] [--email EMAIL] [--status active|expired|deactivated] [--plan PLAN] [--trial|--paid] [--expiring-within DAYS] [--limit N] [--cursor CURSOR]',
+    options: { ...LISTING_OPTIONS, limit: { type: 'string' }, cursor: { type: 'string' } },
+    run: commands.list
+  },
+  search: {
+    usage: 'search TEXT [list options]',
+    options: { ...LISTING_OPTIONS, limit: { type: 'string' }, cursor: { type: 'string' } },
+    run: commands.list
+  },
+  show: { usage: 'show KEY', options: {}, run: commands.show },
+  renew: {
+    usage: 'renew KEY [--months N | --until YYYY-MM-DD]',
+    options: { months: { type: 'string' }, until: { type: 'string' } },
+    run: commands.renew
+  },
+  deactivate: { usage: 'deactivate KEY [--reason TEXT]', options: { reason: { type: 'string' } }, run: commands.deactivate },
+  reactivate: { usage: 'reactivate KEY', options: {}, run: commands.reactivate },
+  'remove-device': {
+    usage: 'remove-device KEY DEVICE_ID [--reason TEXT]',
+    options: { reason: { type: 'string' } },
+    run: commands.removeDevice
+  },
+  import: {
+    usage: 'import FILE.csv [--dry-run] [--send-email]',
+    options: { 'dry-run': { type: 'boolean' }, 'send-email': { type: 'boolean' } },
+    run: commands.importLicenses
+  },
+  export: {
+    usage: 'export [--format csv|ndjson] [--output FILE] [list filters]',
+    options: { ...LISTING_OPTIONS, format: { type: 'string' }, output: { type: 'string', short: 'o' } },
+    run: commands.exportLicenses
+  },
+  profile: {
+    usage: 'profile add NAME (--url URL --token TOKEN | --mongodb-uri URI) [--default] | profile list | profile use NAME | profile remove NAME',
+    options: { default: { type: 'boolean' } },
+    run: commands.profile
+  }
+};
+
+const USAGE = `Usage: babylon-license <command> [options]
+
+Commands:
+${Object.values(COMMANDS).map(({ usage }) => `  ${usage}`).join('\n')}
+
+Connection (otherwise the saved profile from BABYLON_LICENSE_PROFILE or the default):
+  --profile NAME         use a saved profile
+  --url URL --token T    a running server, with ADMIN_TOKEN or an API key (or BABYLON_LICENSE_TOKEN)
+  --mongodb-uri URI      the database directly
+
+Output:
+  --json                 print the API's JSON response
+`;
+
+async function main(argv, { stdout = process.stdout, stderr = process.stderr } = {}) {
+  const [name, ...rest] = argv;
+  if (name === '--help' || name === '-h') {
+    stdout.write(USAGE);
+    return 0;
+  }
+  const command = COMMANDS[name];
+  if (!command) {
+    stderr.write(name ? `Unknown command "${name}"\n\n${USAGE}` : USAGE);
+    return 2;
+  }
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: rest, options: { ...GLOBAL_OPTIONS, ...command.options }, allowPositionals: true });
+  } catch (error) {
+    stderr.write(`${error.message}\n\nUsage: babylon-license ${command.usage}\n`);
+    return 2;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    stdout.write(`Usage: babylon-license ${command.usage}\n`);
+    return 0;
+  }
+
+  const api = lazyConnection({ profile: values.profile, url: values.url, token: values.token, mongodbUri: values['mongodb-uri'] });
+  try {
+    const { json, text } = await command.run(api, { values, positionals });
+    if (values.json && json !== null) {
+      stdout.write(JSON.stringify(json, null, 2) + '\n');
+    } else if (text !== null) {
+      // Export output went straight to stdout; keep notes off it
+      (name === 'export' ? stderr : stdout).write(text + '\n');
+    }
+    return 0;
+  } catch (error) {
+    stderr.write(`❌ ${error.message}\n`);
+    for (const detail of error.details || []) stderr.write(`   ${detail}\n`);
+    if (error.usage) {
+      stderr.write(`\nUsage: babylon-license ${command.usage}\n`);
+      return 2;
+    }
+    return 1;
+  } finally {
+    await api.close();
+  }
+}
+
+module.exports = { main, COMMANDS };
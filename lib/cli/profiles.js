@@ -0,0 +1,63 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Saved connections for the babylon-license CLI, in a file only the current
+// user can read:
+//
+//   { "defaultProfile": "production",
+//     "profiles": {
+//       "production": { "url": "https://licenses.example.com", "token": "blk_..." },
+//       "local": { "mongodbUri": "mongodb://localhost/babylon" } } }
+//
+// BABYLON_LICENSE_CONFIG points at another file.
+
+const profilesPath = () => process.env.BABYLON_LICENSE_CONFIG
+  || path.join(os.homedir(), '.config', 'babylon-license', 'profiles.json');
+
+function loadProfiles(file = profilesPath()) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { defaultProfile: null, profiles: {} };
+    throw error;
+  }
+
+  try {
+    const { defaultProfile = null, profiles = {} } = JSON.parse(text);
+    return { defaultProfile, profiles };
+  } catch (error) {
+    throw new Error(`${file} is not valid JSON: ${error.message}`);
+  }
+}
+
+function saveProfiles(config, file = profilesPath()) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(config, null, 2) + '\n', { mode: 0o600 });
+  // writeFileSync only applies the mode to new files
+  fs.chmodSync(file, 0o600);
+}
+
+// A profile is either an admin API URL with a bearer token (ADMIN_TOKEN or
+// an API key) or a MongoDB connection string
+function checkProfile({ url, token, mongodbUri }) {
+  if (mongodbUri) {
+    if (url || token) return 'Use either mongodbUri or url and token, not both';
+    return null;
+  }
+  if (!url || !token) return 'A profile needs a url and a token, or a mongodbUri';
+  if (!/^https?:\/\//.test(url)) return 'url must start with http:// or https://';
+  return null;
+}
+
+// The named profile, else BABYLON_LICENSE_PROFILE, else the default one
+function resolveProfile(name, config = loadProfiles()) {
+  const chosen = name || process.env.BABYLON_LICENSE_PROFILE || config.defaultProfile;
+  if (!chosen) return null;
+  const profile = config.profiles[chosen];
+  if (!profile) throw new Error(`No profile named "${chosen}" (see babylon-license profile list)`);
+  return { name: chosen, ...profile };
+}
+
+module.exports = { profilesPath, loadProfiles, saveProfiles, checkProfile, resolveProfile };
@@ -0,0 +1,161 @@
+// Request and response schemas for the v2 client API. Request schemas are
+// enforced by routes/clientV2.js; all of them are published in the OpenAPI
+// document (lib/openapi.js).
+
+const LICENSE_KEY = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 64,
+  description: 'License key. Case, spaces and dashes are not significant.',
+  example: 'BABYLON-7KQ2M-XW4PA-9D3TR-HN6BC'
+};
+const DEVICE_ID = { type: 'string', minLength: 1, maxLength: 200, description: 'Stable identifier of this installation' };
+const LEASE_ID = { type: 'string', minLength: 1, maxLength: 64, description: 'Lease to renew or release (floating licenses)' };
+const APP_VERSION = { type: 'string', pattern: '^[\\w.+-]{1,32}$', description: 'Version of the calling app', example: '2.4.1' };
+const DEVICE_FINGERPRINT = {
+  type: 'object',
+  maxProperties: 50,
+  description: 'Free-form hardware details; lets a reinstall on the same machine keep its seat'
+};
+const DEVICE_PUBLIC_KEY = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]{43}$',
+  description: 'Raw Ed25519 public key of this install (base64url), registered for signed requests. Only used when the request is signed.'
+};
+const EMAIL = { type: 'string', maxLength: 254, pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' };
+
+const body = (required, properties) => ({ type: 'object', required, properties });
+
+const requests = {
+  validate: body(['license_key', 'device_id'], {
+    license_key: LICENSE_KEY,
+    device_id: DEVICE_ID,
+    lease_id: LEASE_ID,
+    app_version: APP_VERSION
+  }),
+  activate: body(['license_key', 'device_id'], {
+    license_key: LICENSE_KEY,
+    device_id: DEVICE_ID,
+    device_fingerprint: DEVICE_FINGERPRINT,
+    device_public_key: DEVICE_PUBLIC_KEY,
+    app_version: APP_VERSION
+  }),
+  heartbeat: body(['license_key', 'device_id'], {
+    license_key: LICENSE_KEY,
+    device_id: DEVICE_ID,
+    lease_id: LEASE_ID
+  }),
+  releaseSeat: body(['license_key', 'device_id'], {
+    license_key: LICENSE_KEY,
+    device_id: DEVICE_ID,
+    lease_id: LEASE_ID
+  }),
+  deactivate: body(['license_key', 'device_id'], {
+    license_key: LICENSE_KEY,
+    device_id: DEVICE_ID
+  }),
+  startTrial: body(['device_id'], {
+    device_id: DEVICE_ID,
+    device_fingerprint: DEVICE_FINGERPRINT,
+    email: { ...EMAIL, description: 'Required when the server sets TRIAL_REQUIRE_EMAIL' }
+  })
+};
+
+const DATE_TIME = { type: 'string', format: 'date-time' };
+const NONCE_ECHO = { type: 'string', description: 'The X-Babylon-Nonce of a signed request; the response is then signed too' };
+
+const responses = {
+  License: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['node_locked', 'floating'] },
+      plan_type: { type: 'string' },
+      is_trial: { type: 'boolean' },
+      customer_name: { type: 'string' },
+      expiry_date: DATE_TIME
+    }
+  },
+  Entitlements: {
+    type: 'object',
+    properties: {
+      plan: { type: 'string' },
+      features: { type: 'object', additionalProperties: { type: 'boolean' } },
+      quotas: { type: 'object', additionalProperties: { type: 'number' } },
+      max_activations: { type: 'integer' }
+    }
+  },
+  Seat: {
+    type: 'object',
+    description: 'The floating seat this device holds',
+    properties: {
+      lease_id: { type: 'string' },
+      lease_expires_at: DATE_TIME,
+      heartbeat_interval_seconds: { type: 'integer' },
+      seats_total: { type: 'integer' },
+      seats_in_use: { type: 'integer' }
+    }
+  },
+  Activations: {
+    type: 'object',
+    properties: {
+      used: { type: 'integer' },
+      total: { type: 'integer' }
+    }
+  },
+  Grant: {
+    type: 'object',
+    required: ['status', 'license', 'entitlements', 'license_token', 'offline_until'],
+    properties: {
+      status: {
+        type: 'string',
+        enum: ['valid', 'activated', 'already_activated', 'rebound', 'checked_out', 'renewed', 'started', 'existing']
+      },
+      license_key: { type: 'string', description: 'Only when starting a trial' },
+      license: { $ref: '#/components/schemas/License' },
+      entitlements: { $ref: '#/components/schemas/Entitlements' },
+      license_token: { type: 'string', description: 'Signed token for offline checks (see /api/public-keys)' },
+      offline_until: DATE_TIME,
+      seat: { $ref: '#/components/schemas/Seat' },
+      activations: { $ref: '#/components/schemas/Activations' },
+      nonce: NONCE_ECHO
+    }
+  },
+  Nonce: {
+    type: 'object',
+    properties: {
+      nonce: { type: 'string' },
+      expires_at: DATE_TIME
+    }
+  },
+  Deactivated: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['deactivated'] },
+      activations: { $ref: '#/components/schemas/Activations' }
+    }
+  },
+  Released: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['released'] }
+    }
+  },
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string' },
+          message: { type: 'string' },
+          details: { type: 'object' }
+        }
+      },
+      nonce: NONCE_ECHO
+    }
+  }
+};
+
+module.exports = { requests, responses };
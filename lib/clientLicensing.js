@@ -0,0 +1,279 @@
+const License = require('../models/License');
+const { activateDevice, deactivateByCustomer } = require('./activation');
+const { checkoutSeat, renewLease, releaseSeat } = require('./floating');
+const { startTrial } = require('./trials');
+const { entitlementsForLicense } = require('./entitlements');
+const { issueLicenseToken } = require('./licenseToken');
+const { recordAudit, recordFailureAudit, snapshotLicense } = require('./audit');
+const { recordUsage } = require('./abuse');
+const { countLicenseCheck } = require('./metrics');
+const { queueTemplateEmail, licenseEmailData, formatDate } = require('./email');
+const { recordFailedLookup } = require('./lookupThrottle');
+
+// The license checks behind the client endpoints, shared by /api (v1) and
+// /api/v2. Each records its usage, metrics and audit entries and resolves to
+// { status, license, ... }; the routes only decide how to answer.
+//
+// Refused checks are audited through recordFailureAudit, which keeps a
+// brute-forcing or misconfigured client from flooding the audit chain.
+//
+// Devices that pass a check also get { entitlements, token, offlineUntil }.
+// A license that exists but was deactivated (refund, chargeback, admin)
+// reports 'suspended' where the lower-level helpers say 'not_found'.
+
+const GRANTED = new Set(['valid', 'activated', 'already_activated', 'rebound', 'checked_out', 'renewed']);
+
+// Tell a missing license from a deactivated one. Unknown keys count towards
+// the failed-lookup backoff (lib/lookupThrottle.js).
+async function notFoundStatus(req, licenseKey) {
+  if (await License.exists({ licenseKey, isActive: false })) return 'suspended';
+  recordFailedLookup(req);
+  return 'not_found';
+}
+
+// Entitlements and a signed token for a device that passed a check
+async function grant(license, deviceId, tokenOptions) {
+  const entitlements = await entitlementsForLicense(license);
+  const { token, offlineUntil } = issueLicenseToken(license, deviceId, entitlements, tokenOptions);
+  return { entitlements, token, offlineUntil };
+}
+
+const usageRecorder = (req, kind, { licenseKey, deviceId, appVersion }) => (outcome, license) => {
+  countLicenseCheck(kind, outcome);
+  recordUsage(req, {
+    licenseKey,
+    deviceId,
+    kind,
+    outcome,
+    planType: license ? license.metadata.planType : undefined,
+    version: appVersion
+  });
+};
+
+// Audit a floating checkout or heartbeat (see lib/floating.js)
+async function settleSeat(req, { licenseKey, deviceId }, result) {
+  const { status, license, lease, nextFreeAt, inUse } = result;
+
+  if (status === 'not_found') {
+    return { ...result, status: await notFoundStatus(req, licenseKey) };
+  }
+
+  if (status === 'all_in_use') {
+    console.log(`❌ All ${license.maxConcurrent} seats in use (${inUse}, next free at ${nextFreeAt.toISOString()}):`, licenseKey);
+    await recordFailureAudit(req, license, {
+      action: 'seat.unavailable',
+      licenseKey,
+      deviceId,
+      details: { inUse, nextFreeAt }
+    });
+  }
+
+  if (status === 'checked_out') {
+    console.log(`🎟️  Seat checked out on ${licenseKey} by ${deviceId}`);
+    await recordAudit(req, {
+      action: 'seat.checked_out',
+      licenseKey,
+      deviceId,
+      details: { leaseId: lease.leaseId, expiresAt: lease.expiresAt }
+    });
+  }
+
+  if (!GRANTED.has(status)) return result;
+  return { ...result, ...(await grant(license, deviceId, { notAfter: lease.expiresAt })) };
+}
+
+// Check that `deviceId` may use the license. Floating licenses validate by
+// renewing (or re-acquiring) the device's seat.
+//   valid | not_found | suspended | expired | not_activated, or a seat status
+async function validateLicense(req, { licenseKey, deviceId, leaseId, appVersion }) {
+  console.log(`🔍 Validating license: ${licenseKey} for device: ${deviceId}`);
+
+  const license = await License.findOne({ licenseKey });
+  const usage = usageRecorder(req, 'validation', { licenseKey, deviceId, appVersion });
+
+  const fail = async (status) => {
+    console.log(`❌ Validation failed (${status}):`, licenseKey);
+    usage(status, license);
+    await recordFailureAudit(req, license, {
+      action: 'validation.failed',
+      licenseKey,
+      deviceId,
+      details: { reason: status }
+    });
+    return { status, license };
+  };
+
+  if (!license) {
+    recordFailedLookup(req);
+    return fail('not_found');
+  }
+  if (!license.isActive) return fail('suspended');
+  if (new Date() > license.expiryDate) return fail('expired');
+
+  if (license.licenseType === 'floating') {
+    const result = await settleSeat(req, { licenseKey, deviceId },
+      await renewLease({ licenseKey, deviceId, leaseId, ip: req.ip }));
+    usage(result.status, license);
+    return result;
+  }
+
+  const deviceActivation = license.findActivation(deviceId);
+  if (!deviceActivation) return fail('not_activated');
+
+  deviceActivation.lastValidation = new Date();
+  await license.save();
+  usage('valid', license);
+
+  console.log('✅ License validated successfully:', licenseKey);
+  return { status: 'valid', license, ...(await grant(license, deviceId)) };
+}
+
+// Activate the license on `deviceId` (see lib/activation.js for the statuses),
+// or check out a seat when it is a floating license
+async function activateLicense(req, { licenseKey, deviceId, deviceInfo, appVersion }) {
+  console.log(`🚀 Activating license: ${licenseKey} for device: ${deviceId}`);
+
+  const usage = usageRecorder(req, 'activation', { licenseKey, deviceId, appVersion });
+  let result = await activateDevice({ licenseKey, deviceId, deviceInfo: deviceInfo || {}, ip: req.ip });
+  const { license } = result;
+
+  if (result.status === 'floating') {
+    result = await settleSeat(req, { licenseKey, deviceId }, await checkoutSeat({ licenseKey, deviceId, ip: req.ip }));
+    usage(result.status, license);
+    return result;
+  }
+
+  if (result.status === 'not_found') {
+    result = { ...result, status: await notFoundStatus(req, licenseKey) };
+  }
+  const { status, previousDeviceId, score } = result;
+  usage(status, license);
+
+  if (status === 'activated') {
+    await recordAudit(req, {
+      action: 'device.activated',
+      licenseKey,
+      deviceId,
+      details: { activationsUsed: license.currentActivations, deviceInfo }
+    });
+    // Trials may not have an email address yet
+    if (license.customerEmail) {
+      queueTemplateEmail('new-device', license.customerEmail, {
+        ...licenseEmailData(license),
+        deviceId,
+        activatedAt: formatDate(new Date()),
+        activationsUsed: license.currentActivations
+      });
+    }
+    console.log('✅ License activated successfully:', licenseKey);
+  } else if (status === 'rebound') {
+    console.log(`🔁 Device ${deviceId} took over the seat of ${previousDeviceId} (fingerprint match ${score})`);
+    await recordAudit(req, {
+      action: 'device.rebound',
+      licenseKey,
+      deviceId,
+      details: { previousDeviceId, score, deviceInfo }
+    });
+  } else if (status !== 'already_activated') {
+    console.log(`❌ Activation failed (${status}):`, licenseKey);
+    await recordFailureAudit(req, license, {
+      action: 'activation.failed',
+      licenseKey,
+      deviceId,
+      details: { reason: status }
+    });
+    return result;
+  }
+
+  return { ...result, ...(await grant(license, deviceId)) };
+}
+
+// Keep a floating seat: renews the lease, or checks out a new one if it lapsed
+async function heartbeat(req, { licenseKey, deviceId, leaseId }) {
+  return settleSeat(req, { licenseKey, deviceId }, await renewLease({ licenseKey, deviceId, leaseId, ip: req.ip }));
+}
+
+// Give a floating seat back. Resolves to whether the device held one.
+async function releaseDeviceSeat(req, { licenseKey, deviceId, leaseId }) {
+  const released = await releaseSeat({ licenseKey, deviceId, leaseId });
+  if (!released) return false;
+
+  await recordAudit(req, {
+    action: 'seat.released',
+    licenseKey,
+    deviceId,
+    details: { leaseId }
+  });
+  console.log(`🎟️  Seat released on ${licenseKey} by ${deviceId}`);
+  return true;
+}
+
+// Free this device's seat (self-service transfer)
+//   deactivated | not_found | not_activated | limit_reached
+async function deactivateDevice(req, { licenseKey, deviceId }) {
+  console.log(`📤 Deactivating device: ${deviceId} on license: ${licenseKey}`);
+
+  const license = await License.findOne({ licenseKey });
+  if (!license) {
+    recordFailedLookup(req);
+    return { status: 'not_found', license: null };
+  }
+
+  const before = snapshotLicense(license);
+  const { status, license: updated } = await deactivateByCustomer(license, deviceId, req.ip);
+  if (status !== 'deactivated') {
+    console.log(`❌ Deactivation refused (${status}):`, licenseKey, deviceId);
+    return { status, license: updated || license };
+  }
+
+  await recordAudit(req, {
+    action: 'device.deactivated',
+    licenseKey,
+    deviceId,
+    before,
+    after: snapshotLicense(updated)
+  });
+  console.log('✅ Device deactivated:', deviceId);
+  return { status, license: updated };
+}
+
+// Start a trial on this device (see lib/trials.js)
+//   started | existing | used (with reason)
+async function requestTrial(req, { deviceId, deviceInfo, email }) {
+  console.log(`🧪 Trial requested for device: ${deviceId}`);
+
+  const result = await startTrial({ deviceId, deviceInfo: deviceInfo || {}, email, ip: req.ip });
+  const { status, license, reason } = result;
+
+  if (status === 'used') {
+    console.log(`❌ Trial refused for ${deviceId}: ${reason} already used`);
+    await recordAudit(req, {
+      action: 'trial.refused',
+      deviceId,
+      details: { reason }
+    });
+    return result;
+  }
+
+  if (status === 'started') {
+    await recordAudit(req, {
+      action: 'trial.started',
+      licenseKey: license.licenseKey,
+      deviceId,
+      after: snapshotLicense(license),
+      details: { email, deviceInfo }
+    });
+    console.log(`✅ Trial ${license.licenseKey} started for device: ${deviceId}`);
+  }
+
+  return { ...result, ...(await grant(license, deviceId)) };
+}
+
+module.exports = {
+  validateLicense,
+  activateLicense,
+  heartbeat,
+  releaseDeviceSeat,
+  deactivateDevice,
+  requestTrial
+};
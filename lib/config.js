@@ -0,0 +1,47 @@
+// Server settings index.js needs before it can start. Everything else is
+// read from the environment by the module it configures.
+//
+//   MONGODB_URI, ADMIN_TOKEN - required
+//   PORT                     - default 3000
+//   METRICS_PORT/METRICS_HOST - serve /metrics on a separate port (host defaults to 127.0.0.1)
+//
+// The license signing keys (lib/licenseToken.js) and payment product mapping
+// (lib/payments/products.js) are checked here too, so a bad value stops the
+// server with a clear message at startup.
+
+const { loadKeyring } = require('./licenseToken');
+const { loadProducts } = require('./payments/products');
+
+const REQUIRED = ['MONGODB_URI', 'ADMIN_TOKEN'];
+
+// Throws listing every problem, so one restart fixes them all
+function loadConfig(env = process.env) {
+  const problems = [];
+  const missing = REQUIRED.filter(name => !env[name]);
+  if (missing.length) {
+    problems.push(`Missing required environment variables: ${missing.join(', ')}`);
+  }
+  try {
+    loadKeyring(env);
+  } catch (error) {
+    problems.push(error.message);
+  }
+  try {
+    loadProducts(env);
+  } catch (error) {
+    problems.push(`${error.message} (PAYMENT_PRODUCTS or PAYMENT_PRODUCTS_FILE)`);
+  }
+  if (problems.length) {
+    throw new Error(problems.join('; '));
+  }
+
+  return {
+    port: parseInt(env.PORT, 10) || 3000,
+    mongodbUri: env.MONGODB_URI,
+    adminToken: env.ADMIN_TOKEN,
+    metricsPort: env.METRICS_PORT ? parseInt(env.METRICS_PORT, 10) : null,
+    metricsHost: env.METRICS_HOST || '127.0.0.1'
+  };
+}
+
+module.exports = { loadConfig };
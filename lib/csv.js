@@ -0,0 +1,59 @@
+// CSV output shared by exports and downloads, and parsing for imports
+
+// Quote for CSV, and neutralize values a spreadsheet would run as a formula
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvRow = (values) => values.map(csvCell).join(',') + '\n';
+
+// Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line
+// breaks) into an array of rows, each an array of strings. Blank lines and a
+// leading byte order mark (spreadsheet exports) are skipped.
+function parseCsv(input) {
+  const text = input.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) throw new Error('CSV ends inside a quoted field');
+  if (cell !== '' || row.length) endRow();
+
+  return rows;
+}
+
+module.exports = { csvCell, csvRow, parseCsv };
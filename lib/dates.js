@@ -0,0 +1,13 @@
+// Add whole calendar months, clamping to the last day of the target month
+// (Jan 31 + 1 month = Feb 28/29 rather than rolling over into March)
+function addMonths(date, months) {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+}
+
+module.exports = { addMonths };
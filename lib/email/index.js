@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { createTransport } = require('./transports');
+
+// Plain-text templates in templates/email/<name>.txt. The first line is
+// "Subject: ..."; {{placeholders}} are filled from the data passed in.
+// EMAIL_TEMPLATES_DIR may point at a directory of overrides.
+const DEFAULT_TEMPLATES_DIR = path.join(__dirname, '..', '..', 'templates', 'email');
+
+const transport = createTransport();
+
+function loadTemplate(name) {
+  const candidates = [process.env.EMAIL_TEMPLATES_DIR, DEFAULT_TEMPLATES_DIR]
+    .filter(Boolean)
+    .map(directory => path.join(directory, `${name}.txt`));
+  const file = candidates.find(candidate => fs.existsSync(candidate));
+  if (!file) throw new Error(`Email template not found: ${name}`);
+
+  const [firstLine, ...body] = fs.readFileSync(file, 'utf8').split('\n');
+  if (!firstLine.startsWith('Subject:')) {
+    throw new Error(`Email template ${name} must start with a "Subject:" line`);
+  }
+  return { subject: firstLine.slice('Subject:'.length).trim(), body: body.join('\n').trim() + '\n' };
+}
+
+// Unknown placeholders are left visible rather than silently dropped
+const fill = (text, data) => text.replace(/{{\s*(\w+)\s*}}/g, (match, key) =>
+  (data[key] === undefined || data[key] === null ? match : String(data[key])));
+
+function renderTemplate(name, data) {
+  const template = loadTemplate(name);
+  return { subject: fill(template.subject, data), text: fill(template.body, data) };
+}
+
+async function sendTemplateEmail(name, to, data) {
+  const { subject, text } = renderTemplate(name, {
+    productName: 'Babylon RCT',
+    supportEmail: process.env.SUPPORT_EMAIL || process.env.EMAIL_FROM,
+    ...data
+  });
+  await transport.send({ from: process.env.EMAIL_FROM || 'Babylon RCT <no-reply@localhost>', to, subject, text });
+  console.log(`📧 Sent ${name} email to ${to} via ${transport.name}`);
+}
+
+// Fire-and-forget variant for request handlers: delivery problems are
+// logged but never fail the customer's or admin's request
+function queueTemplateEmail(name, to, data) {
+  sendTemplateEmail(name, to, data).catch(error => {
+    console.error(`💥 Failed to send ${name} email to ${to}:`, error);
+  });
+}
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Template data shared by every license email
+const licenseEmailData = (license) => ({
+  customerName: license.customerName,
+  licenseKey: license.licenseKey,
+  planType: license.metadata.planType,
+  maxActivations: license.maxActivations,
+  expiryDate: formatDate(license.expiryDate)
+});
+
+// Absolute link for emails. Never derived from the request's Host header,
+// which a client could point at another site.
+const publicUrl = (path) =>
+  `${(process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '')}${path}`;
+
+module.exports = {
+  sendTemplateEmail,
+  queueTemplateEmail,
+  renderTemplate,
+  licenseEmailData,
+  formatDate,
+  publicUrl
+};
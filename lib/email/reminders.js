@@ -0,0 +1,130 @@
+const License = require('../../models/License');
+const { sendTemplateEmail, licenseEmailData } = require('./index');
+
+// Scheduled scan for licenses nearing or past expiry. Each reminder is
+// claimed atomically in license.remindersSent before sending, so it goes out
+// once per expiryDate even with several server instances; renewing a license
+// changes expiryDate and starts a fresh set of reminders.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Windows are exclusive of the next smaller one, so a license created with
+// two days left only gets the 3-day reminder
+const REMINDERS = [
+  { kind: 'expires_14d', template: 'expiry-reminder', fromDays: 3, toDays: 14 },
+  { kind: 'expires_3d', template: 'expiry-reminder', fromDays: 0, toDays: 3 }
+];
+
+// Don't email customers whose license lapsed long before reminders existed
+const EXPIRED_LOOKBACK_DAYS = 30;
+
+// Licenses in the expiry range that haven't had this reminder for their
+// current expiryDate
+function candidateFilter(kind, expiryRange) {
+  return {
+    isActive: true,
+    // Trials have no customer to renew yet
+    isTrial: { $ne: true },
+    expiryDate: expiryRange,
+    $expr: {
+      $eq: [{
+        $size: {
+          $filter: {
+            input: { $ifNull: ['$remindersSent', []] },
+            cond: { $and: [{ $eq: ['$$this.kind', kind] }, { $eq: ['$$this.expiryDate', '$expiryDate'] }] }
+          }
+        }
+      }, 0]
+    }
+  };
+}
+
+async function claimReminder(license, kind) {
+  return License.findOneAndUpdate(
+    {
+      _id: license._id,
+      isActive: true,
+      expiryDate: license.expiryDate,
+      remindersSent: { $not: { $elemMatch: { kind, expiryDate: license.expiryDate } } }
+    },
+    { $push: { remindersSent: { kind, expiryDate: license.expiryDate, sentAt: new Date() } } },
+    { new: true }
+  );
+}
+
+async function releaseReminder(license, kind) {
+  await License.updateOne(
+    { _id: license._id },
+    { $pull: { remindersSent: { kind, expiryDate: license.expiryDate } } }
+  );
+}
+
+async function sendReminder(license, kind, template, now) {
+  const claimed = await claimReminder(license, kind);
+  if (!claimed) return false;
+
+  const daysLeft = Math.max(0, Math.ceil((claimed.expiryDate - now) / DAY_MS));
+  try {
+    await sendTemplateEmail(template, claimed.customerEmail, { ...licenseEmailData(claimed), daysLeft });
+    return true;
+  } catch (error) {
+    // Give the next run another chance
+    console.error(`💥 Failed to send ${kind} reminder for ${claimed.licenseKey}:`, error);
+    await releaseReminder(claimed, kind);
+    return false;
+  }
+}
+
+async function runReminderScan(now = new Date()) {
+  const jobs = REMINDERS.map(({ kind, template, fromDays, toDays }) => ({
+    kind,
+    template,
+    expiryRange: { $gt: new Date(now.getTime() + fromDays * DAY_MS), $lte: new Date(now.getTime() + toDays * DAY_MS) }
+  }));
+  jobs.push({
+    kind: 'expired',
+    template: 'license-expired',
+    expiryRange: { $gt: new Date(now.getTime() - EXPIRED_LOOKBACK_DAYS * DAY_MS), $lte: now }
+  });
+
+  let sent = 0;
+  for (const { kind, template, expiryRange } of jobs) {
+    const cursor = License.find(candidateFilter(kind, expiryRange)).cursor();
+    for await (const license of cursor) {
+      if (await sendReminder(license, kind, template, now)) sent += 1;
+    }
+  }
+
+  if (sent) console.log(`📧 Sent ${sent} expiry reminder(s)`);
+  return sent;
+}
+
+// Run now and then every EMAIL_REMINDER_INTERVAL_MINUTES (default 60).
+// Disabled with EMAIL_REMINDERS_ENABLED=false.
+function startReminderJob() {
+  if (process.env.EMAIL_REMINDERS_ENABLED === 'false') {
+    console.log('📧 Expiry reminders disabled');
+    return null;
+  }
+
+  const minutes = parseInt(process.env.EMAIL_REMINDER_INTERVAL_MINUTES, 10) || 60;
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await runReminderScan();
+    } catch (error) {
+      console.error('💥 Expiry reminder scan failed:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { runReminderScan, startReminderJob, candidateFilter, REMINDERS };
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email transports share one method: send({ from, to, subject, text }) -> Promise
+//   smtp    - real delivery through nodemailer (SMTP_URL or SMTP_HOST/PORT/USER/PASS)
+//   file    - writes each message as JSON into EMAIL_FILE_DIR (default tmp/emails)
+//   console - logs messages (default, for local development)
+
+function smtpTransport() {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(process.env.SMTP_URL || {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return { name: 'smtp', send: (message) => transporter.sendMail(message) };
+}
+
+function fileTransport() {
+  const directory = path.resolve(process.env.EMAIL_FILE_DIR || path.join('tmp', 'emails'));
+  fs.mkdirSync(directory, { recursive: true });
+
+  return {
+    name: 'file',
+    directory,
+    send: async (message) => {
+      const safeRecipient = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+      const file = path.join(directory, `${Date.now()}-${safeRecipient}.json`);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      return { file };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+      return {};
+    }
+  };
+}
+
+const factories = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+function createTransport(name = process.env.EMAIL_TRANSPORT || 'console') {
+  const factory = factories[name];
+  if (!factory) {
+    throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected ${Object.keys(factories).join(', ')})`);
+  }
+  return factory();
+}
+
+module.exports = { createTransport };
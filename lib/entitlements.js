@@ -0,0 +1,75 @@
+const Plan = require('../models/Plan');
+
+// Plans and the entitlement set resolved for a license
+
+// Plan given to licenses created without a planType, and seeded at startup
+// so licenses from before plans existed keep resolving
+const DEFAULT_PLAN = {
+  name: 'single',
+  displayName: 'Single',
+  description: 'One device, all premium features',
+  features: ['premium'],
+  defaultDurationMonths: 12,
+  defaultMaxActivations: 1
+};
+
+// Plan for trials from /api/start-trial (TRIAL_PLAN picks another one)
+const DEFAULT_TRIAL_PLAN = {
+  name: 'trial',
+  displayName: 'Trial',
+  description: 'Time-limited trial on one device',
+  features: ['premium'],
+  defaultDurationMonths: 1,
+  defaultMaxActivations: 1
+};
+
+const toObject = (value) => (value instanceof Map ? Object.fromEntries(value) : { ...(value || {}) });
+
+// Plan features and quotas, then the license's overrides on top:
+//   overrides.features - { flag: true|false } switches a flag on or off
+//   overrides.quotas   - { name: number } replaces a plan quota
+// Returns { plan, features: { flag: true }, quotas, max_activations }.
+function resolveEntitlements(license, plan) {
+  const overrides = license.entitlementOverrides || {};
+  const features = {};
+  for (const flag of (plan && plan.features) || []) features[flag] = true;
+  for (const [flag, enabled] of Object.entries(toObject(overrides.features))) features[flag] = enabled;
+
+  return {
+    plan: license.metadata.planType,
+    features,
+    quotas: { ...toObject(plan && plan.quotas), ...toObject(overrides.quotas) },
+    max_activations: license.maxActivations
+  };
+}
+
+// Active (non-archived) plan by name, or null
+const findPlan = (name) => Plan.findOne({ name, archivedAt: null });
+
+async function entitlementsForLicense(license) {
+  const plan = await Plan.findOne({ name: license.metadata.planType }).lean();
+  if (!plan) {
+    console.warn(`⚠️  License ${license.licenseKey} refers to unknown plan "${license.metadata.planType}"`);
+  }
+  return resolveEntitlements(license, plan);
+}
+
+async function ensureDefaultPlans() {
+  for (const definition of [DEFAULT_PLAN, DEFAULT_TRIAL_PLAN]) {
+    const result = await Plan.updateOne(
+      { name: definition.name },
+      { $setOnInsert: { ...definition, createdBy: 'system' } },
+      { upsert: true }
+    );
+    if (result.upsertedCount) console.log(`📦 Created default plan "${definition.name}"`);
+  }
+}
+
+module.exports = {
+  resolveEntitlements,
+  entitlementsForLicense,
+  findPlan,
+  ensureDefaultPlans,
+  DEFAULT_PLAN,
+  DEFAULT_TRIAL_PLAN
+};
@@ -0,0 +1,109 @@
+// Device fingerprint normalization and similarity
+//
+// Apps send `device_fingerprint` as a free-form object. Normalizing flattens
+// it to { 'dotted.key': 'lowercased value' } and drops values that change
+// between launches (clocks, battery, IPs), so a reinstall on the same machine
+// produces a near-identical fingerprint even if the device ID changed.
+
+const DEFAULT_MATCH_THRESHOLD = 0.9;
+// Sparse fingerprints like { os: 'windows' } match far too many machines
+const MIN_MATCH_FIELDS = 3;
+
+const VOLATILE_WORDS = new Set([
+  'time', 'timestamp', 'uptime', 'battery', 'ip', 'locale', 'timezone',
+  'session', 'nonce', 'free', 'available', 'used', 'launch', 'seen', 'now'
+]);
+
+// Hardware identifiers say more about "same machine" than e.g. the OS name
+const STRONG_WORDS = new Set([
+  'serial', 'uuid', 'guid', 'hwid', 'hardware', 'machine', 'board', 'mac',
+  'imei', 'identifier', 'vendor', 'android'
+]);
+const MEDIUM_WORDS = new Set(['cpu', 'processor', 'model', 'manufacturer', 'brand', 'memory', 'ram', 'disk', 'gpu', 'cores']);
+
+const matchThreshold = () => {
+  const value = Number(process.env.FINGERPRINT_MATCH_THRESHOLD);
+  return Number.isFinite(value) && value > 0 ? value : DEFAULT_MATCH_THRESHOLD;
+};
+
+// 'deviceInfo.systemGUID' -> ['device', 'info', 'system', 'guid']
+const keyWords = (key) => key
+  .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+  .split(/[^a-zA-Z0-9]+/)
+  .filter(Boolean)
+  .map(word => word.toLowerCase());
+
+function normalizeValue(value) {
+  if (value === null || value === undefined) return null;
+  if (Array.isArray(value)) {
+    const items = value.map(normalizeValue).filter(item => item !== null).sort();
+    return items.length ? items.join(',') : null;
+  }
+  const text = String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+  return text === '' ? null : text;
+}
+
+function normalizeFingerprint(raw, prefix = '', result = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return result;
+
+  for (const [name, value] of Object.entries(raw)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (keyWords(name).some(word => VOLATILE_WORDS.has(word))) continue;
+
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      normalizeFingerprint(value, key, result);
+    } else {
+      const normalized = normalizeValue(value);
+      if (normalized !== null) result[key] = normalized;
+    }
+  }
+  return result;
+}
+
+function keyWeight(key) {
+  const words = keyWords(key);
+  if (words.some(word => STRONG_WORDS.has(word))) return 3;
+  if (words.some(word => MEDIUM_WORDS.has(word))) return 2;
+  return 1;
+}
+
+// Weighted agreement between two normalized fingerprints, 0..1. Keys only one
+// side has (e.g. a field added in a newer app build) count half against.
+function similarity(a, b) {
+  let agreed = 0;
+  let total = 0;
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    const weight = keyWeight(key);
+    if (key in a && key in b) {
+      total += weight;
+      if (a[key] === b[key]) agreed += weight;
+    } else {
+      total += weight / 2;
+    }
+  }
+  return total === 0 ? 0 : agreed / total;
+}
+
+// Best existing activation whose fingerprint matches `fingerprint` closely
+// enough to be the same machine: { activation, score } or null
+function findMatchingActivation(activations, fingerprint, threshold = matchThreshold()) {
+  if (Object.keys(fingerprint).length < MIN_MATCH_FIELDS) return null;
+
+  let best = null;
+  for (const activation of activations) {
+    const other = normalizeFingerprint(activation.deviceInfo);
+    if (Object.keys(other).length < MIN_MATCH_FIELDS) continue;
+    const score = similarity(fingerprint, other);
+    if (score >= threshold && (!best || score > best.score)) {
+      best = { activation, score };
+    }
+  }
+  return best;
+}
+
+module.exports = {
+  normalizeFingerprint,
+  similarity,
+  findMatchingActivation,
+  matchThreshold
+};
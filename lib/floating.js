@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const License = require('../models/License');
+
+// Floating (concurrent-seat) licenses. A device checks out a seat as a lease
+// and keeps it with heartbeats; the seat frees up when the device releases it
+// or stops renewing. Checkout is one conditional update that drops lapsed
+// leases and adds the new one only while fewer than maxConcurrent are live,
+// so concurrent requests can't oversubscribe a license.
+//
+// Results are { status, license, lease } where status is one of:
+//   'checked_out' | 'renewed' | 'not_found' | 'expired' | 'not_floating' | 'all_in_use'
+// 'all_in_use' also carries { nextFreeAt, inUse }.
+
+const leaseMinutes = () => parseInt(process.env.FLOATING_LEASE_MINUTES, 10) || 15;
+
+// Clients should heartbeat a few times per lease so one lost request doesn't drop the seat
+const heartbeatIntervalSeconds = () => Math.floor((leaseMinutes() * 60) / 3);
+
+const liveLeases = (license, now) => (license.leases || []).filter(lease => lease.expiresAt > now);
+
+const findLease = (license, deviceId, now) => liveLeases(license, now).find(lease => lease.deviceId === deviceId);
+
+// Aggregation expression for the leases that haven't lapsed
+const liveLeasesExpr = (now) => ({
+  $filter: { input: { $ifNull: ['$leases', []] }, cond: { $gt: ['$$this.expiresAt', now] } }
+});
+
+// Renew the lease `deviceId` holds (optionally a specific leaseId)
+async function renewExisting({ licenseKey, deviceId, leaseId, now }) {
+  const match = { deviceId, expiresAt: { $gt: now }, ...(leaseId ? { leaseId } : {}) };
+  const license = await License.findOneAndUpdate(
+    { licenseKey, licenseType: 'floating', isActive: true, expiryDate: { $gt: now }, leases: { $elemMatch: match } },
+    {
+      $set: {
+        'leases.$[lease].renewedAt': now,
+        'leases.$[lease].expiresAt': new Date(now.getTime() + leaseMinutes() * 60 * 1000)
+      }
+    },
+    { new: true, arrayFilters: [Object.fromEntries(Object.entries(match).map(([key, value]) => [`lease.${key}`, value]))] }
+  );
+  return license ? { status: 'renewed', license, lease: findLease(license, deviceId, now) } : null;
+}
+
+// Work out why a checkout didn't match
+async function explainFailure(licenseKey, now) {
+  const license = await License.findOne({ licenseKey, isActive: true });
+  if (!license) return { status: 'not_found', license: null };
+  if (license.expiryDate <= now) return { status: 'expired', license };
+  if (license.licenseType !== 'floating') return { status: 'not_floating', license };
+
+  const live = liveLeases(license, now);
+  const nextFreeAt = live.length ? new Date(Math.min(...live.map(lease => lease.expiresAt.getTime()))) : now;
+  return { status: 'all_in_use', license, nextFreeAt, inUse: live.length };
+}
+
+async function checkoutSeat({ licenseKey, deviceId, ip, now = new Date() }) {
+  const renewed = await renewExisting({ licenseKey, deviceId, now });
+  if (renewed) return renewed;
+
+  const lease = {
+    leaseId: crypto.randomUUID(),
+    deviceId,
+    checkedOutAt: now,
+    renewedAt: now,
+    expiresAt: new Date(now.getTime() + leaseMinutes() * 60 * 1000),
+    ip
+  };
+
+  const license = await License.findOneAndUpdate(
+    {
+      licenseKey,
+      licenseType: 'floating',
+      isActive: true,
+      expiryDate: { $gt: now },
+      $expr: { $lt: [{ $size: liveLeasesExpr(now) }, '$maxConcurrent'] }
+    },
+    // Client-supplied strings go through $literal so they can't be read as field paths
+    [{
+      $set: {
+        leases: {
+          $concatArrays: [
+            { $filter: { input: liveLeasesExpr(now), as: 'live', cond: { $ne: ['$$live.deviceId', { $literal: deviceId }] } } },
+            { $literal: [lease] }
+          ]
+        }
+      }
+    }],
+    { new: true }
+  );
+  if (license) return { status: 'checked_out', license, lease: findLease(license, deviceId, now) };
+
+  return explainFailure(licenseKey, now);
+}
+
+// Heartbeat: extend the lease, or check out a new one if it already lapsed
+async function renewLease({ licenseKey, deviceId, leaseId, ip, now = new Date() }) {
+  const renewed = await renewExisting({ licenseKey, deviceId, leaseId, now });
+  if (renewed) return renewed;
+  return checkoutSeat({ licenseKey, deviceId, ip, now });
+}
+
+// Give the seat back. Resolves to true when a lease was removed.
+async function releaseSeat({ licenseKey, deviceId, leaseId }) {
+  const result = await License.updateOne(
+    { licenseKey, licenseType: 'floating' },
+    { $pull: { leases: { deviceId, ...(leaseId ? { leaseId } : {}) } } }
+  );
+  return result.modifiedCount > 0;
+}
+
+module.exports = {
+  checkoutSeat,
+  renewLease,
+  releaseSeat,
+  liveLeases,
+  leaseMinutes,
+  heartbeatIntervalSeconds
+};
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { gauge } = require('./metrics');
+
+// Liveness and readiness for probes. Readiness pings the database at most
+// once per READINESS_CACHE_SECONDS, however often it is asked.
+
+const CACHE_MS = (parseInt(process.env.READINESS_CACHE_SECONDS, 10) || 10) * 1000;
+const PING_TIMEOUT_MS = 2000;
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+let lastCheck = { at: 0, ok: false };
+let pending = null;
+
+const connectionState = () => CONNECTION_STATES[mongoose.connection.readyState] || 'unknown';
+
+function ping() {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error('Database ping timed out')), PING_TIMEOUT_MS);
+  });
+  return Promise.race([mongoose.connection.db.admin().ping(), timeout]).finally(() => clearTimeout(timer));
+}
+
+// { ready, database } where database is the connection state, or
+// "unreachable" when connected but not answering pings
+async function readiness() {
+  if (mongoose.connection.readyState !== 1) {
+    return { ready: false, database: connectionState() };
+  }
+
+  if (Date.now() - lastCheck.at >= CACHE_MS) {
+    // Concurrent probes share one ping
+    pending = pending || ping()
+      .then(() => true, () => false)
+      .then(ok => {
+        lastCheck = { at: Date.now(), ok };
+        pending = null;
+        return ok;
+      });
+    await pending;
+  }
+
+  return { ready: lastCheck.ok, database: lastCheck.ok ? 'connected' : 'unreachable' };
+}
+
+gauge('mongodb_connection_state', 'Mongoose connection state (0 disconnected, 1 connected, 2 connecting, 3 disconnecting)',
+  () => mongoose.connection.readyState);
+gauge('mongodb_up', 'Whether the database connection is open', () => (mongoose.connection.readyState === 1 ? 1 : 0));
+
+module.exports = { readiness, connectionState };
@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+
+// License key format: BABYLON-XXXXX-XXXXX-XXXXX-XXXXX
+//
+// Twenty characters from Crockford's base32 alphabet (no I, L, O or U, so
+// nothing reads as another character): nineteen random ones (95 bits) and a
+// Luhn mod 32 check character, which catches every single mistyped character
+// and most swapped neighbours before the key reaches the database.
+//
+// Keys issued before this format (BABYLON-XXXX-XXXX-XXXX) have no check
+// character and are accepted as they are.
+
+const PREFIX = 'BABYLON';
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const BODY_LENGTH = 20;
+const GROUP_LENGTH = 5;
+
+const LEGACY_PATTERN = /^BABYLON-[0-9A-Z]{4}-[0-9A-Z]{4}-[0-9A-Z]{4}$/;
+
+// Luhn mod N over the alphabet: the character that makes `payload` + it valid
+function checkCharacter(payload) {
+  let sum = 0;
+  let double = true;
+  for (let i = payload.length - 1; i >= 0; i--) {
+    let value = ALPHABET.indexOf(payload[i]);
+    if (double) {
+      value *= 2;
+      value = Math.floor(value / ALPHABET.length) + (value % ALPHABET.length);
+    }
+    sum += value;
+    double = !double;
+  }
+  return ALPHABET[(ALPHABET.length - (sum % ALPHABET.length)) % ALPHABET.length];
+}
+
+const formatKey = (body) => `${PREFIX}-${body.match(new RegExp(`.{${GROUP_LENGTH}}`, 'g')).join('-')}`;
+
+function generateLicenseKey() {
+  let payload = '';
+  for (let i = 0; i < BODY_LENGTH - 1; i++) {
+    payload += ALPHABET[crypto.randomInt(ALPHABET.length)];
+  }
+  return formatKey(payload + checkCharacter(payload));
+}
+
+// Check a key typed or pasted by a customer without touching the database.
+// Returns { licenseKey } in its stored form, or { error } when it can't be a
+// key we issued. Case, spaces, missing dashes and the look-alikes O, I and L
+// are forgiven.
+function parseLicenseKey(input) {
+  if (typeof input !== 'string') {
+    return { error: 'license_key is required' };
+  }
+
+  const text = input.trim().toUpperCase();
+  if (LEGACY_PATTERN.test(text)) {
+    return { licenseKey: text };
+  }
+
+  const body = text
+    .replace(/^BABYLON/, '')
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (body.length !== BODY_LENGTH || [...body].some(character => !ALPHABET.includes(character))) {
+    return { error: 'This is not a valid license key. Please check it and try again.' };
+  }
+  if (checkCharacter(body.slice(0, -1)) !== body.slice(-1)) {
+    return { error: 'This license key contains a typo. Please check it and try again.' };
+  }
+  return { licenseKey: formatKey(body) };
+}
+
+module.exports = { generateLicenseKey, parseLicenseKey, checkCharacter };
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+
+// Query-string filters, projection and cursors for listing/exporting licenses
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SELECTABLE_FIELDS = [
+  'licenseKey', 'customerEmail', 'customerName', 'purchaseDate', 'expiryDate',
+  'isActive', 'isTrial', 'trial', 'licenseType', 'organization', 'maxActivations', 'maxConcurrent', 'leases', 'currentActivations', 'deviceActivations',
+  'deviceHistory', 'metadata', 'suspendedAt', 'suspensionReason', 'createdAt', 'updatedAt'
+];
+
+// Listing default: everything except the device fingerprints and history,
+// which dominate document size
+const DEFAULT_PROJECTION = { 'deviceActivations.deviceInfo': 0, deviceHistory: 0 };
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+function parseDateParam(query, name, errors) {
+  if (query[name] === undefined) return undefined;
+  const date = new Date(String(query[name]));
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${name} must be a valid date`);
+    return undefined;
+  }
+  return date;
+}
+
+function dateRange(from, to) {
+  if (!from && !to) return undefined;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+}
+
+// Build a Mongo filter from query parameters:
+//   status=active|expired|deactivated, type=paid|trial, planType, organization (id),
+//   email (substring),
+//   q (substring of key, name or email), expiringWithinDays=N,
+//   createdFrom/createdTo, expiryFrom/expiryTo
+// Returns { filter, errors }.
+function buildLicenseFilter(query, now = new Date()) {
+  const errors = [];
+  const conditions = [];
+
+  if (query.status !== undefined) {
+    switch (String(query.status)) {
+      case 'active':
+        conditions.push({ isActive: true, expiryDate: { $gt: now } });
+        break;
+      case 'expired':
+        conditions.push({ isActive: true, expiryDate: { $lte: now } });
+        break;
+      case 'deactivated':
+        conditions.push({ isActive: false });
+        break;
+      default:
+        errors.push('status must be one of active, expired, deactivated');
+    }
+  }
+
+  if (query.type !== undefined) {
+    if (['paid', 'trial'].includes(String(query.type))) {
+      conditions.push({ isTrial: String(query.type) === 'trial' ? true : { $ne: true } });
+    } else {
+      errors.push('type must be paid or trial');
+    }
+  }
+
+  if (query.organization !== undefined) {
+    if (mongoose.isValidObjectId(String(query.organization))) {
+      conditions.push({ organization: new mongoose.Types.ObjectId(String(query.organization)) });
+    } else {
+      errors.push('organization must be an organization id');
+    }
+  }
+
+  if (query.planType) {
+    conditions.push({ 'metadata.planType': String(query.planType) });
+  }
+
+  if (query.email) {
+    conditions.push({ customerEmail: { $regex: escapeRegex(String(query.email)), $options: 'i' } });
+  }
+
+  if (query.q) {
+    const pattern = { $regex: escapeRegex(String(query.q)), $options: 'i' };
+    conditions.push({ $or: [{ licenseKey: pattern }, { customerName: pattern }, { customerEmail: pattern }] });
+  }
+
+  if (query.expiringWithinDays !== undefined) {
+    const days = Number(query.expiringWithinDays);
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      errors.push('expiringWithinDays must be a whole number between 0 and 3650');
+    } else {
+      conditions.push({ isActive: true, expiryDate: { $gt: now, $lte: new Date(now.getTime() + days * DAY_MS) } });
+    }
+  }
+
+  const created = dateRange(parseDateParam(query, 'createdFrom', errors), parseDateParam(query, 'createdTo', errors));
+  if (created) conditions.push({ createdAt: created });
+
+  const expiry = dateRange(parseDateParam(query, 'expiryFrom', errors), parseDateParam(query, 'expiryTo', errors));
+  if (expiry) conditions.push({ expiryDate: expiry });
+
+  const filter = conditions.length === 0 ? {} : conditions.length === 1 ? conditions[0] : { $and: conditions };
+  return { filter, errors };
+}
+
+// fields=licenseKey,customerEmail,... -> inclusion projection (createdAt is
+// always included because cursors are built from it)
+function buildProjection(fields, errors) {
+  if (!fields) return DEFAULT_PROJECTION;
+
+  const requested = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = requested.filter(field => !SELECTABLE_FIELDS.includes(field));
+  if (unknown.length) {
+    errors.push(`Unknown fields: ${unknown.join(', ')} (allowed: ${SELECTABLE_FIELDS.join(', ')})`);
+  }
+
+  const projection = { createdAt: 1 };
+  for (const field of requested) projection[field] = 1;
+  return projection;
+}
+
+// Cursors are opaque base64url tokens of the last item's (createdAt, _id),
+// matching the listing order { createdAt: -1, _id: -1 }
+const encodeCursor = (license) => Buffer.from(JSON.stringify({
+  createdAt: license.createdAt,
+  id: String(license._id)
+})).toString('base64url');
+
+function cursorFilter(cursor, errors) {
+  if (!cursor) return null;
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) throw new Error('bad cursor');
+    const _id = new mongoose.Types.ObjectId(id);
+    return { $or: [{ createdAt: { $lt: date } }, { createdAt: date, _id: { $lt: _id } }] };
+  } catch (error) {
+    errors.push('cursor is invalid');
+    return null;
+  }
+}
+
+const LISTING_SORT = { createdAt: -1, _id: -1 };
+
+function licenseStatus(license, now = new Date()) {
+  if (!license.isActive) return 'deactivated';
+  if (license.expiryDate <= now) return 'expired';
+  return 'active';
+}
+
+module.exports = {
+  buildLicenseFilter,
+  buildProjection,
+  encodeCursor,
+  cursorFilter,
+  licenseStatus,
+  LISTING_SORT
+};
@@ -0,0 +1,83 @@
+const License = require('../models/License');
+const { addMonths } = require('./dates');
+const { generateLicenseKey } = require('./licenseKeys');
+const { validateFields } = require('./validation');
+const { findPlan, DEFAULT_PLAN } = require('./entitlements');
+
+// A fresh key is drawn when one collides with an existing license
+const MAX_KEY_ATTEMPTS = 5;
+
+const isKeyCollision = (error) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.licenseKey);
+
+// Create a license on `plan` (a Plan document) from already validated
+// fields. Duration and seats default to the plan's. Shared by the admin
+// endpoint, payment provisioning and organization seat pools.
+async function createLicense({
+  plan,
+  customerEmail,
+  customerName,
+  durationMonths = plan.defaultDurationMonths,
+  expiryDate = addMonths(new Date(), durationMonths),
+  maxActivations = plan.defaultMaxActivations,
+  licenseType = 'node_locked',
+  maxConcurrent,
+  notes = '',
+  entitlementOverrides,
+  organization,
+  payment
+}) {
+  const fields = {
+    customerEmail,
+    customerName,
+    expiryDate,
+    maxActivations,
+    licenseType,
+    maxConcurrent,
+    entitlementOverrides,
+    organization,
+    metadata: { planType: plan.name, notes },
+    payment
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await License.create({ licenseKey: generateLicenseKey(), ...fields });
+    } catch (error) {
+      if (!isKeyCollision(error) || attempt === MAX_KEY_ATTEMPTS) throw error;
+      console.warn(`⚠️  License key collision, drawing a new key (attempt ${attempt})`);
+    }
+  }
+}
+
+// Validate the fields of a license an admin creates (create-license and
+// imports), plus `extraFields` the caller handles itself. Resolves to
+// { values, errors, plan }; plan is the Plan document when there are no errors.
+async function checkNewLicense(body, extraFields = []) {
+  const { values, errors } = validateFields(body, {
+    required: ['customerEmail', 'customerName'],
+    optional: ['planType', 'durationMonths', 'maxActivations', 'licenseType', 'maxConcurrent', 'notes', 'entitlementOverrides', ...extraFields]
+  });
+
+  if ((values.licenseType === 'floating') !== (values.maxConcurrent !== undefined)) {
+    errors.push('maxConcurrent is required for floating licenses, and only allowed for them');
+  }
+
+  const plan = errors.length ? null : await findPlan(values.planType || DEFAULT_PLAN.name);
+  if (!errors.length && !plan) {
+    errors.push(`planType "${values.planType}" is not a defined plan`);
+  }
+
+  return { values, errors, plan };
+}
+
+// Mint `count` identical licenses (e.g. keys for a reseller), one at a time
+// so each gets createLicense's collision retry
+async function createLicenses(count, fields) {
+  const licenses = [];
+  for (let i = 0; i < count; i++) {
+    licenses.push(await createLicense(fields));
+  }
+  return licenses;
+}
+
+module.exports = { createLicense, createLicenses, checkNewLicense };
@@ -0,0 +1,77 @@
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging. install() routes console.* through here, so every
+// line gets a level, a timestamp and the ID of the request it belongs to,
+// and license keys and email addresses are masked before anything is
+// written.
+//
+//   LOG_FORMAT  - json (default in production) or text
+//   LOG_LEVEL   - debug, info (default), warn or error
+//   LOG_REDACT  - set to false to log keys and emails in full (local debugging only)
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+const config = () => ({
+  format: process.env.LOG_FORMAT || (process.env.NODE_ENV === 'production' ? 'json' : 'text'),
+  level: LEVELS[process.env.LOG_LEVEL] || LEVELS.info,
+  redact: process.env.LOG_REDACT !== 'false'
+});
+
+// Both key formats (see lib/licenseKeys.js), in any case; the last group is
+// kept so log lines about the same license can still be matched up
+const LICENSE_KEY_PATTERN = /\bBABYLON-(?:[0-9A-Z]{4,5}-){2,3}([0-9A-Z]{4,5})\b/gi;
+const EMAIL_PATTERN = /\b([A-Z0-9._%+-])[A-Z0-9._%+-]*@([A-Z0-9-]+(?:\.[A-Z0-9-]+)+)\b/gi;
+
+const redact = (text) => text
+  .replace(LICENSE_KEY_PATTERN, 'BABYLON-…-$1')
+  .replace(EMAIL_PATTERN, '$1***@$2');
+
+const currentRequestId = () => {
+  const store = requestContext.getStore();
+  return store && store.requestId;
+};
+
+// Write one entry. `fields` are added to the JSON object (or appended as
+// key=value in text format).
+function write(level, message, fields = {}) {
+  const { format, level: minimum, redact: shouldRedact } = config();
+  if (LEVELS[level] < minimum) return;
+
+  const entry = { time: new Date().toISOString(), level, msg: message, requestId: currentRequestId(), ...fields };
+  let line;
+  if (format === 'json') {
+    line = JSON.stringify(entry);
+  } else {
+    const { requestId, ...rest } = fields;
+    const extra = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+    line = [entry.time, level.toUpperCase(), message, ...extra, entry.requestId ? `[${entry.requestId}]` : null]
+      .filter(Boolean)
+      .join(' ');
+  }
+  if (shouldRedact) line = redact(line);
+
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+const logger = {
+  debug: (message, fields) => write('debug', message, fields),
+  info: (message, fields) => write('info', message, fields),
+  warn: (message, fields) => write('warn', message, fields),
+  error: (message, fields) => write('error', message, fields)
+};
+
+// Send console.log/info/debug/warn/error through the logger. Arguments are
+// formatted like console does (errors keep their stack).
+function install() {
+  const forward = (level) => (...args) => write(level, util.format(...args));
+  console.debug = forward('debug');
+  console.log = forward('info');
+  console.info = forward('info');
+  console.warn = forward('warn');
+  console.error = forward('error');
+}
+
+module.exports = { logger, install, redact, requestContext, currentRequestId };
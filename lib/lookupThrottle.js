@@ -0,0 +1,80 @@
+const { sharedStore } = require('./rateLimitStore');
+const { recordAudit } = require('./audit');
+
+// Backoff and lockout for failed license lookups (unknown or malformed keys),
+// per IP. A handful of typos are free; after that each failure makes the
+// client wait twice as long before its next attempt, and enough failures in
+// one window lock it out for a while. This is what makes guessing keys slow;
+// the plain request limits are sized for well-behaved apps.
+//
+//   RATE_LIMIT_WINDOW                     - window failures are counted in (ms, shared with the request limits)
+//   RATE_LIMIT_LOOKUP_FREE_FAILURES       - failures before backoff starts (default 5)
+//   RATE_LIMIT_LOOKUP_BACKOFF_SECONDS     - first backoff, doubled per failure (default 2)
+//   RATE_LIMIT_LOOKUP_MAX_BACKOFF_SECONDS - backoff cap (default 300)
+//   RATE_LIMIT_LOOKUP_LOCKOUT_FAILURES    - failures that lock the client out (default 20)
+//   RATE_LIMIT_LOOKUP_LOCKOUT_MINUTES     - lockout length (default 60)
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+const config = {
+  windowMs: envInt('RATE_LIMIT_WINDOW', 15 * 60 * 1000),
+  freeFailures: envInt('RATE_LIMIT_LOOKUP_FREE_FAILURES', 5),
+  backoffSeconds: envInt('RATE_LIMIT_LOOKUP_BACKOFF_SECONDS', 2),
+  maxBackoffSeconds: envInt('RATE_LIMIT_LOOKUP_MAX_BACKOFF_SECONDS', 300),
+  lockoutFailures: envInt('RATE_LIMIT_LOOKUP_LOCKOUT_FAILURES', 20),
+  lockoutMinutes: envInt('RATE_LIMIT_LOOKUP_LOCKOUT_MINUTES', 60)
+};
+
+// Seconds to wait after the `failures`-th failure in the window (0 = none)
+function backoffSeconds(failures, { freeFailures, backoffSeconds: base, maxBackoffSeconds } = config) {
+  if (failures <= freeFailures) return 0;
+  return Math.min(base * 2 ** (failures - freeFailures - 1), maxBackoffSeconds);
+}
+
+const keys = (ip) => ({
+  failures: `lookup-failures:${ip}`,
+  backoff: `lookup-backoff:${ip}`,
+  lockout: `lookup-lockout:${ip}`
+});
+
+// { reason: 'locked_out' | 'backoff', retryAfterSeconds } while the client
+// must wait, otherwise null
+async function lookupBlock(ip, store = sharedStore()) {
+  for (const reason of ['lockout', 'backoff']) {
+    const entry = await store.get(keys(ip)[reason]);
+    if (entry) {
+      return {
+        reason: reason === 'lockout' ? 'locked_out' : 'backoff',
+        retryAfterSeconds: Math.max(1, Math.ceil((entry.resetAt.getTime() - Date.now()) / 1000))
+      };
+    }
+  }
+  return null;
+}
+
+// Count a lookup of a key that doesn't exist (or can't exist). Never throws.
+async function recordFailedLookup(req, store = sharedStore()) {
+  try {
+    const ip = req.ip;
+    const { count } = await store.increment(keys(ip).failures, config.windowMs);
+
+    if (config.lockoutFailures && count >= config.lockoutFailures) {
+      const lockout = await store.increment(keys(ip).lockout, config.lockoutMinutes * 60 * 1000);
+      if (lockout.count === 1) {
+        console.warn(`🔒 ${ip} locked out for ${config.lockoutMinutes} minutes after ${count} failed license lookups`);
+        await recordAudit(req, { action: 'client.locked_out', details: { ip, failures: count, minutes: config.lockoutMinutes } });
+      }
+      return;
+    }
+
+    const delay = backoffSeconds(count);
+    if (delay) await store.increment(keys(ip).backoff, delay * 1000);
+  } catch (error) {
+    console.error('💥 Failed to record a failed license lookup:', error);
+  }
+}
+
+module.exports = { backoffSeconds, lookupBlock, recordFailedLookup, config };
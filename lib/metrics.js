@@ -0,0 +1,108 @@
+// Prometheus metrics in the text exposition format, kept in process memory.
+// Counters and histograms are labelled; gauges are read when scraped.
+
+const metrics = [];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const labelText = (names, values, extra = []) => {
+  const pairs = names.map((name, i) => [name, values[i]]).concat(extra);
+  return pairs.length ? `{${pairs.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+};
+
+// Series are keyed by their label values in labelNames order
+function series(labelNames, labels) {
+  const values = labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+  return { key: JSON.stringify(values), values };
+}
+
+function counter(name, help, labelNames = []) {
+  const values = new Map();
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const { key, values: labelValues } = series(labelNames, labels);
+      const current = values.get(key) || { labelValues, value: 0 };
+      current.value += amount;
+      values.set(key, current);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labelValues, value } of values.values()) {
+        lines.push(`${name}${labelText(labelNames, labelValues)} ${value}`);
+      }
+      return lines;
+    },
+    reset: () => values.clear()
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]) {
+  const values = new Map();
+  const metric = {
+    observe(labels, value) {
+      const { key, values: labelValues } = series(labelNames, labels);
+      let current = values.get(key);
+      if (!current) {
+        current = { labelValues, counts: buckets.map(() => 0), sum: 0, count: 0 };
+        values.set(key, current);
+      }
+      buckets.forEach((bound, i) => {
+        if (value <= bound) current.counts[i] += 1;
+      });
+      current.sum += value;
+      current.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labelValues, counts, sum, count } of values.values()) {
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${labelText(labelNames, labelValues, [['le', bound]])} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${labelText(labelNames, labelValues, [['le', '+Inf']])} ${count}`);
+        lines.push(`${name}_sum${labelText(labelNames, labelValues)} ${sum}`);
+        lines.push(`${name}_count${labelText(labelNames, labelValues)} ${count}`);
+      }
+      return lines;
+    },
+    reset: () => values.clear()
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// `read` returns the current value when the metrics are scraped
+function gauge(name, help, read) {
+  const metric = {
+    render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${Number(read())}`],
+    reset: () => {}
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+const render = () => metrics.flatMap(metric => metric.render()).join('\n') + '\n';
+
+// For tests
+const reset = () => metrics.forEach(metric => metric.reset());
+
+// ==================== APPLICATION METRICS ====================
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+const licenseOutcomes = counter('license_checks_total', 'Validation and activation attempts by outcome', ['kind', 'outcome']);
+
+gauge('process_uptime_seconds', 'Seconds since the server started', () => process.uptime());
+gauge('process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+gauge('nodejs_heap_used_bytes', 'V8 heap in use', () => process.memoryUsage().heapUsed);
+
+function observeRequest({ method, route, status, seconds }) {
+  httpRequests.inc({ method, route, status });
+  httpDuration.observe({ method, route }, seconds);
+}
+
+// kind: validation or activation; outcome as recorded for usage events
+const countLicenseCheck = (kind, outcome) => licenseOutcomes.inc({ kind, outcome });
+
+module.exports = { counter, histogram, gauge, render, reset, observeRequest, countLicenseCheck };
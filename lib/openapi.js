@@ -0,0 +1,174 @@
+const { version } = require('../package.json');
+const { ERRORS } = require('./apiErrors');
+const { requests, responses } = require('./clientApiSchemas');
+
+// OpenAPI 3.0 description of the v2 client API, served at
+// /api/v2/openapi.json. Built from the schemas the server validates with and
+// the error table in lib/apiErrors.js, so it can't drift from the code.
+
+const COMMON_ERRORS = ['INVALID_REQUEST', 'RATE_LIMITED', 'INTERNAL_ERROR'];
+const LICENSE_ERRORS = ['INVALID_LICENSE_KEY', 'LICENSE_NOT_FOUND', 'LICENSE_SUSPENDED', 'LICENSE_EXPIRED'];
+const SIGNATURE_ERRORS = ['SIGNATURE_REQUIRED', 'SIGNATURE_INVALID', 'REQUEST_EXPIRED', 'NONCE_INVALID', 'DEVICE_KEY_NOT_REGISTERED'];
+
+// Optional request signing (see lib/signedRequests.js)
+const SIGNATURE_HEADERS = [
+  ['X-Babylon-Nonce', 'Nonce from POST /nonce'],
+  ['X-Babylon-Timestamp', 'Unix time in seconds'],
+  ['X-Babylon-Signature', 'Ed25519 signature (base64url) of "babylon-request-v1\\nMETHOD\\npath\\nnonce\\ntimestamp\\nsha256-hex(body)" with the install key']
+].map(([name, description]) => ({ name, in: 'header', required: false, schema: { type: 'string' }, description }));
+
+const OPERATIONS = [
+  {
+    path: '/nonce',
+    operationId: 'createNonce',
+    summary: 'Get a one-time nonce for a signed request',
+    description: 'Valid for NONCE_TTL_SECONDS (default 120) and a single request.',
+    success: { 201: ['Nonce', 'A fresh nonce'] },
+    errors: []
+  },
+  {
+    path: '/validate',
+    signed: true,
+    operationId: 'validateLicense',
+    summary: 'Check that this device may use the license',
+    description: 'Floating licenses validate by renewing (or re-acquiring) the device\'s seat.',
+    request: 'validate',
+    success: { 200: ['Grant', 'The device may use the license'] },
+    errors: [...LICENSE_ERRORS, 'DEVICE_NOT_ACTIVATED', 'ALL_SEATS_IN_USE']
+  },
+  {
+    path: '/activate',
+    signed: true,
+    operationId: 'activateLicense',
+    summary: 'Activate the license on this device',
+    description: 'Takes a device seat, or checks out a floating seat. Activating an already activated device is not an error.',
+    request: 'activate',
+    success: {
+      200: ['Grant', 'The device was already activated (or took over the seat of a matching reinstall)'],
+      201: ['Grant', 'A seat was taken for this device']
+    },
+    errors: [...LICENSE_ERRORS, 'SEAT_LIMIT_REACHED', 'ALL_SEATS_IN_USE']
+  },
+  {
+    path: '/heartbeat',
+    signed: true,
+    operationId: 'heartbeat',
+    summary: 'Renew a floating seat',
+    description: 'Extends the lease, or checks out a new one if it already lapsed. Call every heartbeat_interval_seconds.',
+    request: 'heartbeat',
+    success: { 200: ['Grant', 'The seat is held'] },
+    errors: [...LICENSE_ERRORS, 'LICENSE_NOT_FLOATING', 'ALL_SEATS_IN_USE']
+  },
+  {
+    path: '/release-seat',
+    signed: true,
+    operationId: 'releaseSeat',
+    summary: 'Give a floating seat back',
+    request: 'releaseSeat',
+    success: { 200: ['Released', 'The seat is free'] },
+    errors: ['INVALID_LICENSE_KEY', 'SEAT_NOT_HELD']
+  },
+  {
+    path: '/deactivate',
+    signed: true,
+    operationId: 'deactivateDevice',
+    summary: 'Free this device\'s seat for use on another device',
+    request: 'deactivate',
+    success: { 200: ['Deactivated', 'The device no longer holds a seat'] },
+    errors: ['INVALID_LICENSE_KEY', 'LICENSE_NOT_FOUND', 'DEVICE_NOT_ACTIVATED', 'TRANSFER_LIMIT_REACHED']
+  },
+  {
+    path: '/start-trial',
+    operationId: 'startTrial',
+    summary: 'Start a time-limited trial on this device',
+    description: 'One trial per device, hardware fingerprint and email address.',
+    request: 'startTrial',
+    success: {
+      200: ['Grant', 'This device\'s trial is already running'],
+      201: ['Grant', 'A trial license was created and activated on this device']
+    },
+    errors: ['TRIAL_ALREADY_USED']
+  }
+];
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const requestSchemaName = (name) => `${name[0].toUpperCase()}${name.slice(1)}Request`;
+
+// One response per status, listing the codes that come with it
+function errorResponses(codes) {
+  const byStatus = {};
+  for (const code of [...codes, ...COMMON_ERRORS]) {
+    const { status } = ERRORS[code];
+    byStatus[status] = [...(byStatus[status] || []), code];
+  }
+  return Object.fromEntries(Object.entries(byStatus).map(([status, statusCodes]) => [status, {
+    description: statusCodes.map(code => `\`${code}\`: ${ERRORS[code].description}`).join('. '),
+    content: { 'application/json': { schema: schemaRef('Error') } }
+  }]));
+}
+
+function operation({ operationId, summary, description, request, signed, success, errors }) {
+  return {
+    post: {
+      operationId,
+      summary,
+      ...(description ? { description } : {}),
+      ...(signed ? { parameters: SIGNATURE_HEADERS } : {}),
+      ...(request ? {
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: schemaRef(requestSchemaName(request)) } }
+        }
+      } : {}),
+      responses: {
+        ...Object.fromEntries(Object.entries(success).map(([status, [schema, text]]) => [status, {
+          description: text,
+          content: { 'application/json': { schema: schemaRef(schema) } }
+        }])),
+        ...errorResponses(signed ? [...errors, ...SIGNATURE_ERRORS] : errors)
+      }
+    }
+  };
+}
+
+function buildDocument() {
+  const errorSchema = responses.Error;
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Babylon RCT License Server - Client API',
+      version,
+      description: 'License checks for the Babylon RCT app. Failures answer with an HTTP error status and ' +
+        '`{ error: { code, message, details } }`; switch on `code`, which never changes meaning.'
+    },
+    servers: [{ url: '/api/v2' }],
+    paths: Object.fromEntries(OPERATIONS.map(op => [op.path, operation(op)])),
+    components: {
+      schemas: {
+        ...Object.fromEntries(Object.entries(requests).map(([name, schema]) => [requestSchemaName(name), schema])),
+        ...responses,
+        Error: {
+          ...errorSchema,
+          properties: {
+            ...errorSchema.properties,
+            error: {
+              ...errorSchema.properties.error,
+              properties: {
+                ...errorSchema.properties.error.properties,
+                code: { type: 'string', enum: Object.keys(ERRORS) }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+let document;
+const openApiDocument = () => {
+  document = document || buildDocument();
+  return document;
+};
+
+module.exports = { openApiDocument };
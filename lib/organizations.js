@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const License = require('../models/License');
+const Organization = require('../models/Organization');
+const OrgInvite = require('../models/OrgInvite');
+const UsageEvent = require('../models/UsageEvent');
+const { createLicense } = require('./licenses');
+const { findPlan } = require('./entitlements');
+
+// Organization seat pools. Sub-licenses are ordinary licenses with
+// `organization` set; each takes its maxActivations from the pool, and the
+// organization's seatsAllocated counter moves in the same conditional update
+// that checks the pool, so concurrent issues can't overdraw it.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const INVITE_DAYS = parseInt(process.env.ORG_INVITE_DAYS, 10) || 14;
+const USAGE_WINDOW_DAYS = 30;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Take `count` seats from the pool. Resolves to the updated organization, or
+// null when it is inactive or doesn't have that many seats left.
+function allocateSeats(organizationId, count) {
+  return Organization.findOneAndUpdate(
+    {
+      _id: organizationId,
+      isActive: true,
+      $expr: { $lte: [{ $add: ['$seatsAllocated', count] }, '$seats'] }
+    },
+    { $inc: { seatsAllocated: count } },
+    { new: true }
+  );
+}
+
+const returnSeats = (organizationId, count) =>
+  Organization.updateOne({ _id: organizationId }, { $inc: { seatsAllocated: -count } });
+
+// Issue a member's sub-license. Returns { status, license } where status is
+// 'issued', 'no_seats' (pool exhausted or organization inactive) or
+// 'expired' (the organization's term has ended).
+async function issueSubLicense(organization, { customerEmail, customerName, maxActivations = 1, notes }) {
+  if (organization.expiryDate <= new Date()) return { status: 'expired' };
+
+  const plan = await findPlan(organization.planType);
+  if (!plan) {
+    throw new Error(`Organization plan "${organization.planType}" is not defined`);
+  }
+
+  if (!await allocateSeats(organization._id, maxActivations)) return { status: 'no_seats' };
+
+  try {
+    const license = await createLicense({
+      plan,
+      customerEmail,
+      customerName,
+      expiryDate: organization.expiryDate,
+      maxActivations,
+      notes,
+      organization: organization._id
+    });
+    return { status: 'issued', license };
+  } catch (error) {
+    await returnSeats(organization._id, maxActivations);
+    throw error;
+  }
+}
+
+// Delete a sub-license (e.g. when the member leaves) and put its seats back
+// in the pool. Resolves to true when it was removed.
+async function reclaimSubLicense(organization, license) {
+  const removed = await License.findOneAndDelete({ _id: license._id, organization: organization._id });
+  if (!removed) return false;
+  await returnSeats(organization._id, removed.maxActivations);
+  return true;
+}
+
+// Keep sub-licenses in step after the organization's plan or term changes
+function syncSubLicenses(organization) {
+  return License.updateMany(
+    { organization: organization._id },
+    { $set: { expiryDate: organization.expiryDate, 'metadata.planType': organization.planType } }
+  );
+}
+
+async function createInvite(organization, { email, name, maxActivations = 1, invitedBy, now = new Date() }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const invite = await OrgInvite.create({
+    organization: organization._id,
+    email,
+    name,
+    maxActivations,
+    tokenHash: sha256(token),
+    expiresAt: new Date(now.getTime() + INVITE_DAYS * DAY_MS),
+    invitedBy
+  });
+  return { invite, token };
+}
+
+// Accept an invite: the member gets a sub-license in their own name.
+// Returns { status, license, invite, organization } where status is
+// 'accepted', 'invalid' (unknown, used, revoked or expired), 'no_seats' or
+// 'expired' (the organization's term has ended).
+async function acceptInvite(token, { customerName }, now = new Date()) {
+  // Claim the invite first so it can only be used once
+  const invite = await OrgInvite.findOneAndUpdate(
+    { tokenHash: sha256(String(token)), acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { acceptedAt: now } },
+    { new: true }
+  );
+  if (!invite) return { status: 'invalid' };
+
+  const release = () => OrgInvite.updateOne({ _id: invite._id }, { $unset: { acceptedAt: 1 } });
+
+  try {
+    const organization = await Organization.findById(invite.organization);
+    if (!organization) {
+      await release();
+      return { status: 'invalid' };
+    }
+
+    const result = await issueSubLicense(organization, {
+      customerEmail: invite.email,
+      customerName: customerName || invite.name || invite.email,
+      maxActivations: invite.maxActivations,
+      notes: `Accepted invite from ${invite.invitedBy}`
+    });
+    if (result.status !== 'issued') {
+      await release();
+      return { status: result.status, organization };
+    }
+
+    invite.licenseKey = result.license.licenseKey;
+    await invite.save();
+    return { status: 'accepted', license: result.license, invite, organization };
+  } catch (error) {
+    await release();
+    throw error;
+  }
+}
+
+// Per-organization usage: seats, devices and recent activity per member
+async function usageRollup(organization, now = new Date()) {
+  const since = new Date(now.getTime() - USAGE_WINDOW_DAYS * DAY_MS);
+  const licenses = await License.find(
+    { organization: organization._id },
+    { licenseKey: 1, customerEmail: 1, customerName: 1, isActive: 1, maxActivations: 1, deviceActivations: 1, createdAt: 1 }
+  ).sort({ createdAt: 1 }).lean();
+
+  const activity = await UsageEvent.aggregate([
+    { $match: { licenseKey: { $in: licenses.map(license => license.licenseKey) }, at: { $gte: since } } },
+    { $group: { _id: '$licenseKey', devices: { $addToSet: '$deviceId' }, validations: { $sum: 1 }, lastSeenAt: { $max: '$at' } } }
+  ]);
+  const activityByKey = new Map(activity.map(entry => [entry._id, entry]));
+
+  const members = licenses.map(license => {
+    const recent = activityByKey.get(license.licenseKey);
+    return {
+      licenseKey: license.licenseKey,
+      customerEmail: license.customerEmail,
+      customerName: license.customerName,
+      isActive: license.isActive,
+      seats: license.maxActivations,
+      devicesActivated: license.deviceActivations.length,
+      activeDevices: recent ? recent.devices.filter(Boolean).length : 0,
+      requests: recent ? recent.validations : 0,
+      lastSeenAt: recent ? recent.lastSeenAt : null
+    };
+  });
+
+  const sum = (field) => members.reduce((total, member) => total + member[field], 0);
+  return {
+    windowDays: USAGE_WINDOW_DAYS,
+    seats: organization.seats,
+    seatsAllocated: organization.seatsAllocated,
+    seatsAvailable: Math.max(organization.seats - organization.seatsAllocated, 0),
+    members: members.length,
+    devicesActivated: sum('devicesActivated'),
+    activeDevices: sum('activeDevices'),
+    activeMembers: members.filter(member => member.activeDevices > 0).length,
+    requests: sum('requests'),
+    perMember: members
+  };
+}
+
+module.exports = {
+  allocateSeats,
+  issueSubLicense,
+  reclaimSubLicense,
+  syncSubLicenses,
+  createInvite,
+  acceptInvite,
+  usageRollup
+};
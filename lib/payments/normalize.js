@@ -0,0 +1,140 @@
+// Map provider-specific webhook payloads onto one shape:
+//   { id, type, kind, customerEmail, customerName, customerId,
+//     subscriptionId, transactionId, priceId, periodEnd, trialLicenseKey, receipt }
+// receipt is { amount (minor units), currency, invoiceUrl, paidAt } for
+// purchases and renewals, shown to customers in the portal.
+// kind is 'purchase' | 'renewal' | 'refund' | 'chargeback', or null for
+// events we acknowledge but don't act on.
+
+const fromUnix = (seconds) => (seconds ? new Date(seconds * 1000) : undefined);
+const fromIso = (value) => (value ? new Date(value) : undefined);
+const upper = (value) => (value ? String(value).toUpperCase() : undefined);
+const minorUnits = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+function normalizeStripeEvent(event) {
+  const object = (event.data && event.data.object) || {};
+  const base = { id: event.id, type: event.type, kind: null };
+
+  switch (event.type) {
+    case 'checkout.session.completed': {
+      if (!['paid', 'no_payment_required'].includes(object.payment_status)) return base;
+      const details = object.customer_details || {};
+      const lineItem = object.line_items && object.line_items.data && object.line_items.data[0];
+      return {
+        ...base,
+        kind: 'purchase',
+        customerEmail: details.email || object.customer_email,
+        customerName: details.name || details.email || object.customer_email,
+        customerId: object.customer || undefined,
+        subscriptionId: object.subscription || undefined,
+        transactionId: object.payment_intent || object.invoice || object.id,
+        // Price comes from expanded line items, or session metadata set at checkout creation
+        priceId: (object.metadata && object.metadata.price_id) || (lineItem && lineItem.price && lineItem.price.id),
+        // Set by the app when a trial user buys, so the trial is upgraded in place
+        trialLicenseKey: (object.metadata && object.metadata.trial_license_key) || undefined,
+        receipt: {
+          amount: minorUnits(object.amount_total),
+          currency: upper(object.currency),
+          invoiceUrl: undefined,
+          paidAt: fromUnix(event.created)
+        }
+      };
+    }
+
+    case 'invoice.paid': {
+      // First invoices are covered by checkout.session.completed
+      if (object.billing_reason !== 'subscription_cycle') return base;
+      const line = object.lines && object.lines.data && object.lines.data[0];
+      return {
+        ...base,
+        kind: 'renewal',
+        customerId: object.customer || undefined,
+        subscriptionId: object.subscription,
+        transactionId: object.payment_intent || object.id,
+        priceId: line && line.price && line.price.id,
+        periodEnd: fromUnix(line && line.period && line.period.end),
+        receipt: {
+          amount: minorUnits(object.amount_paid),
+          currency: upper(object.currency),
+          invoiceUrl: object.hosted_invoice_url || undefined,
+          paidAt: fromUnix(event.created)
+        }
+      };
+    }
+
+    case 'charge.refunded':
+      // Partial refunds leave the license alone
+      if (!object.refunded) return base;
+      return { ...base, kind: 'refund', transactionId: object.payment_intent || object.id };
+
+    case 'charge.dispute.created':
+      return { ...base, kind: 'chargeback', transactionId: object.payment_intent || object.charge };
+
+    default:
+      return base;
+  }
+}
+
+function normalizePaddleEvent(event) {
+  const data = event.data || {};
+  const base = { id: event.event_id, type: event.event_type, kind: null };
+
+  switch (event.event_type) {
+    case 'transaction.completed': {
+      const item = data.items && data.items[0];
+      const priceId = item && ((item.price && item.price.id) || item.price_id);
+      const customer = data.customer || {};
+      const custom = data.custom_data || {};
+      const totals = (data.details && data.details.totals) || {};
+      const receipt = {
+        amount: minorUnits(totals.grand_total),
+        currency: upper(data.currency_code),
+        invoiceUrl: undefined,
+        paidAt: fromIso(event.occurred_at)
+      };
+
+      if (data.origin === 'subscription_recurring') {
+        return {
+          ...base,
+          kind: 'renewal',
+          customerId: data.customer_id,
+          subscriptionId: data.subscription_id,
+          transactionId: data.id,
+          priceId,
+          periodEnd: fromIso(data.billing_period && data.billing_period.ends_at),
+          receipt
+        };
+      }
+
+      return {
+        ...base,
+        kind: 'purchase',
+        customerEmail: customer.email || custom.email,
+        customerName: customer.name || custom.name || customer.email || custom.email,
+        customerId: data.customer_id,
+        subscriptionId: data.subscription_id || undefined,
+        transactionId: data.id,
+        priceId,
+        trialLicenseKey: custom.trial_license_key || undefined,
+        receipt
+      };
+    }
+
+    case 'adjustment.created':
+    case 'adjustment.updated': {
+      if (data.status !== 'approved') return base;
+      if (data.action === 'chargeback') {
+        return { ...base, kind: 'chargeback', transactionId: data.transaction_id };
+      }
+      if (data.action === 'refund' && data.type !== 'partial') {
+        return { ...base, kind: 'refund', transactionId: data.transaction_id };
+      }
+      return base;
+    }
+
+    default:
+      return base;
+  }
+}
+
+module.exports = { normalizeStripeEvent, normalizePaddleEvent };
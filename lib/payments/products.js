@@ -0,0 +1,51 @@
+const fs = require('fs');
+const path = require('path');
+const { validateFields } = require('../validation');
+
+// Price/product ID -> license settings, e.g.
+//   { "price_1Pro": { "planType": "pro", "maxActivations": 3, "durationMonths": 12 } }
+// maxActivations and durationMonths default to the plan's.
+// Read from PAYMENT_PRODUCTS (JSON) or the file at PAYMENT_PRODUCTS_FILE
+// (default config/payment-products.json). lib/config.js checks it at startup,
+// so a bad mapping is reported there instead of failing the first webhook.
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'config', 'payment-products.json');
+
+function loadProducts(env = process.env) {
+  let raw = env.PAYMENT_PRODUCTS;
+  const file = env.PAYMENT_PRODUCTS_FILE || DEFAULT_FILE;
+
+  if (!raw && fs.existsSync(file)) {
+    raw = fs.readFileSync(file, 'utf8');
+  }
+  if (!raw) return {};
+
+  let entries;
+  try {
+    entries = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Payment product mapping is not valid JSON: ${error.message}`);
+  }
+
+  const products = {};
+  for (const [productId, entry] of Object.entries(entries)) {
+    const { values, errors } = validateFields(entry, {
+      required: ['planType'],
+      optional: ['maxActivations', 'durationMonths']
+    });
+    if (errors.length) {
+      throw new Error(`Payment product ${productId}: ${errors.join('; ')}`);
+    }
+    products[productId] = values;
+  }
+  return products;
+}
+
+// Loaded on first use
+let products;
+
+function lookupProduct(priceId) {
+  products = products || loadProducts();
+  return (priceId && products[priceId]) || null;
+}
+
+module.exports = { lookupProduct, loadProducts };
@@ -0,0 +1,204 @@
+const License = require('../../models/License');
+const WebhookEvent = require('../../models/WebhookEvent');
+const { createLicense } = require('../licenses');
+const { addMonths } = require('../dates');
+const { recordAudit, snapshotLicense } = require('../audit');
+const { lookupProduct } = require('./products');
+const { findPlan } = require('../entitlements');
+const { convertTrial } = require('../trials');
+const { queueTemplateEmail, licenseEmailData } = require('../email');
+
+// An event stuck in 'processing' this long (crash mid-way) may be retried
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Claim an event ID for processing. Returns false when it was already
+// handled (or is being handled right now), so provider retries are no-ops.
+async function claimEvent(provider, event) {
+  try {
+    await WebhookEvent.create({ provider, eventId: event.id, type: event.type, status: 'processing' });
+    return true;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const retried = await WebhookEvent.findOneAndUpdate(
+    {
+      provider,
+      eventId: event.id,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { status: 'processing', $inc: { attempts: 1 } }
+  );
+  return Boolean(retried);
+}
+
+const receiptFor = (event) => ({ transactionId: event.transactionId, kind: event.kind, ...event.receipt });
+
+const finishEvent = (provider, event, update) =>
+  WebhookEvent.updateOne({ provider, eventId: event.id }, update);
+
+async function provisionPurchase(provider, event, req, actor) {
+  // The same payment may arrive through more than one event
+  const existing = await License.findOne({ 'payment.transactionIds': event.transactionId });
+  if (existing) return existing;
+
+  const product = lookupProduct(event.priceId);
+  if (!product) {
+    throw new Error(`No product mapping for price ${event.priceId}`);
+  }
+  if (!event.customerEmail) {
+    throw new Error('Event has no customer email');
+  }
+  const plan = await findPlan(product.planType);
+  if (!plan) {
+    throw new Error(`Price ${event.priceId} maps to unknown plan "${product.planType}"`);
+  }
+
+  const fields = {
+    plan,
+    customerEmail: event.customerEmail,
+    customerName: event.customerName || event.customerEmail,
+    durationMonths: product.durationMonths,
+    maxActivations: product.maxActivations,
+    notes: `Provisioned by ${provider}`,
+    payment: {
+      provider,
+      customerId: event.customerId,
+      subscriptionId: event.subscriptionId,
+      priceId: event.priceId,
+      transactionIds: [event.transactionId],
+      receipts: [receiptFor(event)]
+    }
+  };
+
+  // A purchase from a trial upgrades that trial; an unknown or already
+  // converted key just gets a new license
+  const trial = event.trialLicenseKey && await License.findOne({ licenseKey: event.trialLicenseKey, isTrial: true });
+  if (trial) {
+    const before = snapshotLicense(trial);
+    const license = await convertTrial(trial, fields);
+    await recordAudit(req, {
+      action: 'license.converted',
+      licenseKey: license.licenseKey,
+      actor,
+      before,
+      after: snapshotLicense(license),
+      details: { provider, eventId: event.id, transactionId: event.transactionId }
+    });
+
+    console.log(`💳 Trial ${license.licenseKey} converted by ${provider} for ${license.customerEmail}`);
+    queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+    return license;
+  }
+
+  const license = await createLicense(fields);
+
+  await recordAudit(req, {
+    action: 'license.created',
+    licenseKey: license.licenseKey,
+    actor,
+    after: snapshotLicense(license),
+    details: { provider, eventId: event.id, transactionId: event.transactionId }
+  });
+
+  console.log(`💳 License ${license.licenseKey} provisioned by ${provider} for ${license.customerEmail}`);
+  queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+  return license;
+}
+
+async function renewSubscription(provider, event, req, actor) {
+  const license = await License.findOne({ 'payment.provider': provider, 'payment.subscriptionId': event.subscriptionId });
+  if (!license) {
+    throw new Error(`No license for subscription ${event.subscriptionId}`);
+  }
+  if (license.payment.transactionIds.includes(event.transactionId)) return license;
+
+  const before = snapshotLicense(license);
+  const product = lookupProduct(event.priceId || license.payment.priceId);
+  const from = license.expiryDate > new Date() ? license.expiryDate : new Date();
+  const extended = event.periodEnd || addMonths(from, product ? product.durationMonths : 12);
+
+  if (extended > license.expiryDate) license.expiryDate = extended;
+  license.payment.transactionIds.push(event.transactionId);
+  license.payment.receipts.push(receiptFor(event));
+  await license.save();
+
+  await recordAudit(req, {
+    action: 'license.renewed',
+    licenseKey: license.licenseKey,
+    actor,
+    before,
+    after: snapshotLicense(license),
+    details: { provider, eventId: event.id, transactionId: event.transactionId }
+  });
+
+  console.log(`💳 License ${license.licenseKey} renewed by ${provider} until ${license.expiryDate.toISOString()}`);
+  return license;
+}
+
+async function revokeForPayment(provider, event, req, actor) {
+  const license = await License.findOne({ 'payment.transactionIds': event.transactionId });
+  // Refunds for payments that never produced a license are not our concern
+  if (!license) return null;
+  const receipt = license.payment.receipts.find(entry => entry.transactionId === event.transactionId);
+  if (receipt && !receipt.refundedAt) {
+    receipt.refundedAt = new Date();
+    if (!license.isActive) await license.save();
+  }
+  if (!license.isActive) return license;
+
+  const before = snapshotLicense(license);
+  license.isActive = false;
+  license.suspendedAt = new Date();
+  license.suspensionReason = event.kind === 'chargeback' ? 'Payment charged back' : 'Payment refunded';
+  await license.save();
+
+  await recordAudit(req, {
+    action: 'license.suspended',
+    licenseKey: license.licenseKey,
+    actor,
+    before,
+    after: snapshotLicense(license),
+    details: { provider, eventId: event.id, transactionId: event.transactionId, reason: event.kind }
+  });
+
+  console.log(`💳 License ${license.licenseKey} deactivated after ${event.kind}`);
+  return license;
+}
+
+const handlers = {
+  purchase: provisionPurchase,
+  renewal: renewSubscription,
+  refund: revokeForPayment,
+  chargeback: revokeForPayment
+};
+
+// Process a normalized event exactly once.
+// Resolves to { duplicate, status, licenseKey }; throws if processing failed
+// (the event is marked failed so the provider's retry is processed again).
+async function processPaymentEvent(provider, event, req) {
+  if (!await claimEvent(provider, event)) {
+    return { duplicate: true };
+  }
+
+  const handler = handlers[event.kind];
+  if (!handler) {
+    await finishEvent(provider, event, { status: 'ignored' });
+    return { duplicate: false, status: 'ignored' };
+  }
+
+  try {
+    const license = await handler(provider, event, req, { type: 'system', id: `webhook:${provider}` });
+    const licenseKey = license ? license.licenseKey : undefined;
+    await finishEvent(provider, event, { status: license ? 'processed' : 'ignored', licenseKey, error: null });
+    return { duplicate: false, status: license ? 'processed' : 'ignored', licenseKey };
+  } catch (error) {
+    await finishEvent(provider, event, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+module.exports = { processPaymentEvent };
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Webhook signatures are HMAC-SHA256 over "<timestamp><separator><raw body>".
+// Events older than the tolerance are rejected to limit replays.
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+const hmac = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(a, 'hex');
+  const right = Buffer.from(b, 'hex');
+  return left.length === right.length && left.length > 0 && crypto.timingSafeEqual(left, right);
+}
+
+// Parse "k=v,k=v" (Stripe) or "k=v;k=v" (Paddle) headers; keys may repeat
+function parseHeader(header, separator) {
+  const values = {};
+  for (const part of String(header || '').split(separator)) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const key = part.slice(0, index).trim();
+    (values[key] = values[key] || []).push(part.slice(index + 1).trim());
+  }
+  return values;
+}
+
+function verify({ timestamp, signatures, payload, secret, tolerance, now }) {
+  if (!timestamp || !signatures || signatures.length === 0) return false;
+  if (Math.abs(Math.floor(now / 1000) - Number(timestamp)) > tolerance) return false;
+  const expected = hmac(secret, payload);
+  return signatures.some(signature => safeEqualHex(signature, expected));
+}
+
+// Stripe-Signature: t=<unix>,v1=<hex>[,v1=<hex>]  signed payload "<t>.<body>"
+function verifyStripeSignature(rawBody, header, secret, { tolerance = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const values = parseHeader(header, ',');
+  const timestamp = values.t && values.t[0];
+  return verify({ timestamp, signatures: values.v1, payload: `${timestamp}.${rawBody}`, secret, tolerance, now });
+}
+
+// Paddle-Signature: ts=<unix>;h1=<hex>  signed payload "<ts>:<body>"
+function verifyPaddleSignature(rawBody, header, secret, { tolerance = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const values = parseHeader(header, ';');
+  const timestamp = values.ts && values.ts[0];
+  return verify({ timestamp, signatures: values.h1, payload: `${timestamp}:${rawBody}`, secret, tolerance, now });
+}
+
+// Build headers the way the providers do (used by fixtures and tests)
+function signStripePayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${hmac(secret, `${timestamp}.${rawBody}`)}`;
+}
+
+function signPaddlePayload(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  return `ts=${timestamp};h1=${hmac(secret, `${timestamp}:${rawBody}`)}`;
+}
+
+module.exports = {
+  verifyStripeSignature,
+  verifyPaddleSignature,
+  signStripePayload,
+  signPaddlePayload
+};
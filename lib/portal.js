@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const License = require('../models/License');
+const PortalLoginToken = require('../models/PortalLoginToken');
+const PortalSession = require('../models/PortalSession');
+const { parseCookies } = require('./adminSessions');
+
+// Customer portal sign-in: a one-time link emailed to a customerEmail starts
+// a session that can see every license issued to that address.
+
+const COOKIE_NAME = 'babylon_portal_session';
+const LINK_MINUTES = parseInt(process.env.PORTAL_LINK_MINUTES, 10) || 15;
+const SESSION_TTL_HOURS = parseInt(process.env.PORTAL_SESSION_TTL_HOURS, 10) || 12;
+// Unused links allowed per address within LINK_MINUTES, so the form can't be
+// used to flood someone's inbox
+const MAX_OPEN_LINKS = 3;
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// customerEmail is stored as entered, so match it case-insensitively
+const licensesForEmail = (email) => ({
+  customerEmail: { $regex: `^${escapeRegex(normalizeEmail(email))}$`, $options: 'i' }
+});
+
+// Create a sign-in link token for `email`. Resolves to null (and sends
+// nothing) when no license has that email or too many links are open.
+async function createLoginToken(email, ip, now = new Date()) {
+  const address = normalizeEmail(email);
+  if (!await License.exists(licensesForEmail(address))) return null;
+
+  const open = await PortalLoginToken.countDocuments({ email: address, usedAt: null, expiresAt: { $gt: now } });
+  if (open >= MAX_OPEN_LINKS) return null;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  await PortalLoginToken.create({
+    tokenHash: sha256(token),
+    email: address,
+    ip,
+    expiresAt: new Date(now.getTime() + LINK_MINUTES * 60 * 1000)
+  });
+  return token;
+}
+
+// Use a sign-in link. Resolves to the email it was issued for, or null when
+// it is unknown, expired or already used.
+async function consumeLoginToken(token, now = new Date()) {
+  const login = await PortalLoginToken.findOneAndUpdate(
+    { tokenHash: sha256(String(token)), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } }
+  );
+  return login ? login.email : null;
+}
+
+const sessionCookie = (value, maxAgeSeconds) => [
+  `${COOKIE_NAME}=${value}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Strict',
+  `Max-Age=${maxAgeSeconds}`,
+  ...(process.env.NODE_ENV === 'production' ? ['Secure'] : [])
+].join('; ');
+
+async function createPortalSession(email, req, res) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = await PortalSession.create({
+    tokenHash: sha256(token),
+    email,
+    csrfToken: crypto.randomBytes(32).toString('base64url'),
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000)
+  });
+
+  res.append('Set-Cookie', sessionCookie(token, SESSION_TTL_HOURS * 60 * 60));
+  return session;
+}
+
+async function resolvePortalSession(req) {
+  const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (!token) return null;
+
+  const session = await PortalSession.findOne({ tokenHash: sha256(token) });
+  if (!session) return null;
+
+  const now = Date.now();
+  if (session.expiresAt.getTime() <= now) {
+    await PortalSession.deleteOne({ _id: session._id });
+    return null;
+  }
+
+  if (now - session.lastSeenAt.getTime() > TOUCH_INTERVAL_MS) {
+    session.lastSeenAt = new Date(now);
+    await session.save();
+  }
+  return session;
+}
+
+async function destroyPortalSession(req, res) {
+  const token = parseCookies(req.headers.cookie)[COOKIE_NAME];
+  if (token) {
+    await PortalSession.deleteOne({ tokenHash: sha256(token) });
+  }
+  res.append('Set-Cookie', sessionCookie('', 0));
+}
+
+module.exports = {
+  LINK_MINUTES,
+  normalizeEmail,
+  licensesForEmail,
+  createLoginToken,
+  consumeLoginToken,
+  createPortalSession,
+  resolvePortalSession,
+  destroyPortalSession
+};
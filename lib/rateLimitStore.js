@@ -0,0 +1,133 @@
+// Counter stores for rate limiting. Every limiter counts hits in fixed
+// windows through this interface, so RATE_LIMIT_STORE moves all of them at
+// once:
+//
+//   increment(key, windowMs) -> { count, resetAt }  (the first hit starts the window)
+//   get(key)                 -> { count, resetAt } or null
+//   decrement(key), reset(key)
+//
+// The memory store keeps counters in this process. The Redis store works
+// with any client that can send raw commands (node-redis `sendCommand`,
+// ioredis `call`), so instances behind a load balancer share their counts.
+
+const KEY_PREFIX = 'babylon:rl:';
+
+function memoryStore() {
+  const entries = new Map();
+
+  const live = (key, now = Date.now()) => {
+    const entry = entries.get(key);
+    if (entry && entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop lapsed windows so one-off keys don't pile up
+  setInterval(() => {
+    const now = Date.now();
+    for (const key of entries.keys()) live(key, now);
+  }, 60 * 1000).unref();
+
+  return {
+    async increment(key, windowMs) {
+      let entry = live(key);
+      if (!entry) {
+        entry = { count: 0, resetAt: Date.now() + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    async get(key) {
+      const entry = live(key);
+      return entry ? { count: entry.count, resetAt: new Date(entry.resetAt) } : null;
+    },
+    async decrement(key) {
+      const entry = live(key);
+      if (entry && entry.count > 0) entry.count -= 1;
+    },
+    async reset(key) {
+      entries.delete(key);
+    }
+  };
+}
+
+// INCR and set the expiry on the first hit, atomically
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return { count, ttl }`;
+
+const GET_SCRIPT = `
+local count = redis.call('GET', KEYS[1])
+if not count then return nil end
+return { tonumber(count), redis.call('PTTL', KEYS[1]) }`;
+
+const DECREMENT_SCRIPT = `
+if tonumber(redis.call('GET', KEYS[1]) or '0') > 0 then redis.call('DECR', KEYS[1]) end
+return 0`;
+
+// `sendCommand(['CMD', ...args])` resolves to the raw reply
+function redisStore(sendCommand) {
+  const run = (script, key, ...args) => sendCommand(['EVAL', script, '1', `${KEY_PREFIX}${key}`, ...args.map(String)]);
+  const counter = (reply) => (reply ? { count: Number(reply[0]), resetAt: new Date(Date.now() + Number(reply[1])) } : null);
+
+  return {
+    increment: async (key, windowMs) => counter(await run(INCREMENT_SCRIPT, key, windowMs)),
+    get: async (key) => counter(await run(GET_SCRIPT, key)),
+    decrement: async (key) => { await run(DECREMENT_SCRIPT, key); },
+    reset: async (key) => { await sendCommand(['DEL', `${KEY_PREFIX}${key}`]); }
+  };
+}
+
+function storeFromEnv() {
+  if (process.env.RATE_LIMIT_STORE !== 'redis') return memoryStore();
+
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (error) {
+    throw new Error('RATE_LIMIT_STORE=redis needs the "redis" package (npm install redis)');
+  }
+  const client = redis.createClient({ url: process.env.RATE_LIMIT_REDIS_URL });
+  client.on('error', error => console.error('💥 Rate limit store error:', error.message));
+  client.connect().catch(error => console.error('💥 Could not connect to the rate limit store:', error.message));
+  console.log('🚦 Rate limit counters are shared through Redis');
+  return redisStore((args) => client.sendCommand(args));
+}
+
+let shared;
+// The store every limiter in this process uses
+const sharedStore = () => {
+  shared = shared || storeFromEnv();
+  return shared;
+};
+
+// Adapter for express-rate-limit, with keys under `prefix`. A store outage
+// lets requests through (and is logged) rather than taking the API down.
+function limiterStore(prefix, store = sharedStore()) {
+  let windowMs;
+  const storeKey = (key) => `${prefix}:${key}`;
+  return {
+    init: (options) => { windowMs = options.windowMs; },
+    async increment(key) {
+      try {
+        const { count, resetAt } = await store.increment(storeKey(key), windowMs);
+        return { totalHits: count, resetTime: resetAt };
+      } catch (error) {
+        console.error('💥 Rate limit store error:', error.message);
+        return { totalHits: 1, resetTime: undefined };
+      }
+    },
+    decrement: (key) => store.decrement(storeKey(key)).catch(() => {}),
+    resetKey: (key) => store.reset(storeKey(key))
+  };
+}
+
+module.exports = { memoryStore, redisStore, sharedStore, limiterStore };
@@ -0,0 +1,71 @@
+// Validation against a small subset of JSON Schema: type, properties,
+// required, additionalProperties, minLength, maxLength, pattern, enum,
+// minimum, maximum and maxProperties. The same schema objects are published
+// in the OpenAPI document (lib/openapi.js), so what the docs promise is
+// exactly what the server checks.
+//
+// validateSchema(schema, value) returns a list of messages, empty when valid.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+function validateSchema(schema, value, path = 'body') {
+  if (schema.type && !matchesType(schema.type, value)) {
+    return [`${path} must be ${schema.type === 'object' || schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of: ${schema.enum.join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(schema.minLength === 1 ? `${path} must not be empty` : `${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} has an invalid format`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be at most ${schema.maximum}`);
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const prefix = path === 'body' ? '' : `${path}.`;
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push(`${prefix}${field} is required`);
+    }
+    if (schema.maxProperties !== undefined && Object.keys(value).length > schema.maxProperties) {
+      errors.push(`${path} must have at most ${schema.maxProperties} fields`);
+    }
+    for (const [field, fieldValue] of Object.entries(value)) {
+      if (fieldValue === undefined) continue;
+      if (properties[field]) {
+        errors.push(...validateSchema(properties[field], fieldValue, `${prefix}${field}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${prefix}${field} is not an allowed field`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, fieldValue, `${prefix}${field}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { validateSchema };
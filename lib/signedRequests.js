@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const ClientNonce = require('../models/ClientNonce');
+const DeviceKey = require('../models/DeviceKey');
+const { signDetached } = require('./licenseToken');
+const { recordAudit } = require('./audit');
+
+// Challenge-response signing for the v2 client API.
+//
+// 1. The app gets a one-time nonce from POST /api/v2/nonce.
+// 2. It signs the request with its per-install Ed25519 key and sends
+//      X-Babylon-Nonce, X-Babylon-Timestamp (unix seconds), X-Babylon-Signature
+//    where the signature (base64url) covers requestSigningInput() below. On
+//    activation the body carries `device_public_key`, which is registered for
+//    the device; later requests must be signed with it. Replacing the key
+//    takes an activation signed with the registered one, or an admin reset
+//    (resetDeviceKey) when the app lost it.
+// 3. The response body echoes the nonce and is signed with the license
+//    token key (X-Babylon-Key-Id, X-Babylon-Signature over
+//    responseSigningInput()), so a proxy can neither replay an old answer
+//    nor rewrite a failure into a success.
+//
+// Signing is optional unless REQUIRE_SIGNED_REQUESTS=true, but a device
+// that registered a key can no longer send unsigned requests, to v2 or to
+// the v1 endpoints (which can't be signed at all).
+
+const NONCE_TTL_SECONDS = parseInt(process.env.NONCE_TTL_SECONDS, 10) || 120;
+const MAX_SKEW_SECONDS = parseInt(process.env.SIGNED_REQUEST_MAX_SKEW_SECONDS, 10) || 300;
+
+const signingRequired = () => process.env.REQUIRE_SIGNED_REQUESTS === 'true';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+// Lines the app signs. `body` is the exact request body bytes.
+const requestSigningInput = ({ method, path, nonce, timestamp, body }) => [
+  'babylon-request-v1',
+  method.toUpperCase(),
+  path,
+  nonce,
+  timestamp,
+  sha256(body || '')
+].join('\n');
+
+// Lines the server signs. `body` is the exact response body bytes.
+const responseSigningInput = ({ nonce, status, body }) => [
+  'babylon-response-v1',
+  nonce,
+  status,
+  sha256(body)
+].join('\n');
+
+// Raw 32-byte Ed25519 key in base64url -> KeyObject, or null
+function parsePublicKey(encoded) {
+  if (typeof encoded !== 'string' || Buffer.from(encoded, 'base64url').length !== 32) return null;
+  try {
+    return crypto.createPublicKey({ key: { kty: 'OKP', crv: 'Ed25519', x: encoded }, format: 'jwk' });
+  } catch (error) {
+    return null;
+  }
+}
+
+function verifySignature(publicKey, data, signature) {
+  const key = parsePublicKey(publicKey);
+  const bytes = Buffer.from(String(signature), 'base64url');
+  if (!key || bytes.length !== 64) return false;
+  return crypto.verify(null, Buffer.from(data), key, bytes);
+}
+
+const timestampFresh = (timestamp, now = Date.now()) => /^\d{1,12}$/.test(String(timestamp)) &&
+  Math.abs(now / 1000 - Number(timestamp)) <= MAX_SKEW_SECONDS;
+
+async function createNonce(ip) {
+  const nonce = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + NONCE_TTL_SECONDS * 1000);
+  await ClientNonce.create({ nonce, ip, expiresAt });
+  return { nonce, expiresAt };
+}
+
+// Whether the nonce was issued, is unexpired and unused. Uses it up.
+async function consumeNonce(nonce) {
+  const used = await ClientNonce.findOneAndDelete({ nonce: String(nonce), expiresAt: { $gt: new Date() } });
+  return Boolean(used);
+}
+
+const deviceKeyFor = (licenseKey, deviceId) => DeviceKey.findOne({ licenseKey, deviceId }).lean();
+
+// Register the key of an activated device, or replace it when the request
+// was signed with the registered one
+async function registerDeviceKey(req, { licenseKey, deviceId, publicKey, previousKey }) {
+  if (publicKey === previousKey) return;
+  await DeviceKey.updateOne(
+    { licenseKey, deviceId },
+    { $set: { publicKey, ip: req.ip } },
+    { upsert: true }
+  );
+  await recordAudit(req, {
+    action: 'device.key_registered',
+    licenseKey,
+    deviceId,
+    details: { replaced: Boolean(previousKey) }
+  });
+}
+
+// Forget a device's key (e.g. a reinstall lost it), so its next activation
+// registers a new one. Resolves to whether a key was registered.
+async function resetDeviceKey(req, { licenseKey, deviceId }) {
+  const removed = await DeviceKey.findOneAndDelete({ licenseKey, deviceId });
+  if (!removed) return false;
+  await recordAudit(req, {
+    action: 'device.key_reset',
+    licenseKey,
+    deviceId
+  });
+  return true;
+}
+
+// Echo the nonce in every JSON response and sign the exact bytes sent
+function signResponses(res, nonce) {
+  res.json = (body) => {
+    const payload = Buffer.from(JSON.stringify({ ...body, nonce }));
+    const { kid, signature } = signDetached(responseSigningInput({ nonce, status: res.statusCode, body: payload }));
+    res.set({ 'X-Babylon-Key-Id': kid, 'X-Babylon-Signature': signature });
+    return res.type('application/json').send(payload);
+  };
+}
+
+module.exports = {
+  NONCE_TTL_SECONDS,
+  signingRequired,
+  requestSigningInput,
+  responseSigningInput,
+  parsePublicKey,
+  verifySignature,
+  timestampFresh,
+  createNonce,
+  consumeNonce,
+  deviceKeyFor,
+  registerDeviceKey,
+  resetDeviceKey,
+  signResponses
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (30s step, 6 digits, SHA-1),
+// compatible with Google Authenticator, 1Password, Authy, etc.
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = '';
+  for (const char of text.replace(/[\s=]/g, '').toUpperCase()) {
+    const index = ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    bits += index.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  return Buffer.from(bytes);
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+function codeAt(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+const currentCounter = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+// Check a code within +/- `window` steps of clock drift. Returns the matching
+// counter (store it to reject replays) or null.
+function verifyTotp(secret, code, { window = 1, now = Date.now() } = {}) {
+  if (!/^\d{6}$/.test(String(code))) return null;
+  const counter = currentCounter(now);
+  for (let drift = -window; drift <= window; drift++) {
+    const candidate = Buffer.from(codeAt(secret, counter + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(String(code)))) {
+      return counter + drift;
+    }
+  }
+  return null;
+}
+
+const otpauthUrl = (username, secret, issuer = 'Babylon RCT License Admin') =>
+  `otpauth://totp/${encodeURIComponent(`${issuer}:${username}`)}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+module.exports = { generateSecret, verifyTotp, otpauthUrl, codeAt, base32Encode, base32Decode };
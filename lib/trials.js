@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const License = require('../models/License');
+const TrialClaim = require('../models/TrialClaim');
+const { generateLicenseKey } = require('./licenseKeys');
+const { findPlan, DEFAULT_TRIAL_PLAN } = require('./entitlements');
+const { canonicalJson } = require('./audit');
+const { normalizeFingerprint } = require('./fingerprint');
+const { addMonths } = require('./dates');
+
+// Device-bound trial licenses and their conversion to paid licenses
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRIAL_DAYS = parseInt(process.env.TRIAL_DAYS, 10) || 14;
+const TRIAL_PLAN = process.env.TRIAL_PLAN || DEFAULT_TRIAL_PLAN.name;
+const ONE_PER_EMAIL = process.env.TRIAL_ONE_PER_EMAIL !== 'false';
+const ONE_PER_FINGERPRINT = process.env.TRIAL_ONE_PER_FINGERPRINT !== 'false';
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Stable hash of the normalized device fingerprint (see lib/fingerprint.js),
+// so fields that change between launches don't make a new one. Null when
+// nothing identifying is left.
+function fingerprintHash(fingerprint) {
+  const normalized = normalizeFingerprint(fingerprint);
+  if (Object.keys(normalized).length === 0) return null;
+  return crypto.createHash('sha256').update(canonicalJson(normalized)).digest('hex');
+}
+
+// Identifiers a new trial claims; any one of them already claimed refuses the trial
+function trialClaims({ deviceId, deviceInfo, email }) {
+  const claims = [{ type: 'device', value: deviceId }];
+  const fingerprint = ONE_PER_FINGERPRINT && fingerprintHash(deviceInfo);
+  if (fingerprint) claims.push({ type: 'fingerprint', value: fingerprint });
+  if (ONE_PER_EMAIL && email) claims.push({ type: 'email', value: normalizeEmail(email) });
+  return claims;
+}
+
+const isRunningTrial = (license, deviceId, now) => license && license.isTrial && license.isActive &&
+  license.expiryDate > now && Boolean(license.findActivation(deviceId));
+
+// Start a trial activated on `deviceId`. Returns { status, license, reason }:
+//   started  - a new trial license was created
+//   existing - this device's trial is still running (e.g. after a reinstall)
+//   used     - the device, fingerprint or email already had a trial (reason says which)
+async function startTrial({ deviceId, deviceInfo = {}, email, ip, now = new Date() }) {
+  const deviceClaim = await TrialClaim.findOne({ type: 'device', value: deviceId });
+  if (deviceClaim) {
+    const license = await License.findOne({ licenseKey: deviceClaim.licenseKey });
+    if (isRunningTrial(license, deviceId, now)) return { status: 'existing', license };
+    return { status: 'used', reason: 'device' };
+  }
+
+  const plan = await findPlan(TRIAL_PLAN);
+  if (!plan) {
+    throw new Error(`Trial plan "${TRIAL_PLAN}" is not defined`);
+  }
+
+  const licenseKey = generateLicenseKey();
+  const claimed = [];
+  try {
+    for (const claim of trialClaims({ deviceId, deviceInfo, email })) {
+      try {
+        claimed.push(await TrialClaim.create({ ...claim, licenseKey, ip }));
+      } catch (error) {
+        if (error.code === 11000) {
+          await TrialClaim.deleteMany({ _id: { $in: claimed.map(doc => doc._id) } });
+          return { status: 'used', reason: claim.type };
+        }
+        throw error;
+      }
+    }
+
+    const license = await License.create({
+      licenseKey,
+      customerEmail: email ? normalizeEmail(email) : undefined,
+      customerName: email ? normalizeEmail(email) : 'Trial user',
+      expiryDate: new Date(now.getTime() + TRIAL_DAYS * DAY_MS),
+      maxActivations: 1,
+      isTrial: true,
+      trial: { startedAt: now, deviceId },
+      deviceActivations: [{ deviceId, deviceInfo, activationDate: now, lastValidation: now }],
+      deviceHistory: [{ action: 'activated', deviceId, actor: 'customer', ip, date: now }],
+      metadata: { planType: plan.name, notes: 'Trial' }
+    });
+    return { status: 'started', license };
+  } catch (error) {
+    // Don't burn the device's trial on a failed insert
+    await TrialClaim.deleteMany({ _id: { $in: claimed.map(doc => doc._id) } }).catch(() => {});
+    throw error;
+  }
+}
+
+// Turn a trial into a paid license on `plan`, keeping its key and device
+// activation. The paid period starts now. Saves and returns the license.
+async function convertTrial(license, {
+  plan,
+  customerEmail,
+  customerName,
+  durationMonths = plan.defaultDurationMonths,
+  maxActivations = plan.defaultMaxActivations,
+  notes,
+  payment
+}) {
+  license.isTrial = false;
+  license.isActive = true;
+  license.trial.convertedAt = new Date();
+  license.customerEmail = customerEmail;
+  license.customerName = customerName;
+  license.metadata.planType = plan.name;
+  license.expiryDate = addMonths(new Date(), durationMonths);
+  // Never strand the trial's device
+  license.maxActivations = Math.max(maxActivations, license.deviceActivations.length);
+  if (notes !== undefined) license.metadata.notes = notes;
+  if (payment) license.payment = payment;
+  await license.save();
+  return license;
+}
+
+module.exports = {
+  startTrial,
+  convertTrial,
+  fingerprintHash,
+  trialClaims,
+  TRIAL_DAYS
+};
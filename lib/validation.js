@@ -0,0 +1,209 @@
+const ApiKey = require('../models/ApiKey');
+
+// Request body validation for admin endpoints
+//
+// Each rule takes the raw value and returns { value } when acceptable or
+// { error } with a human readable message. Validators never coerce silently:
+// "12abc" is rejected rather than parsed as 12.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const string = ({ max, pattern, patternMessage }) => (raw, field) => {
+  if (typeof raw !== 'string' || !raw.trim()) {
+    return { error: `${field} must be a non-empty string` };
+  }
+  const value = raw.trim();
+  if (value.length > max) {
+    return { error: `${field} must be at most ${max} characters` };
+  }
+  if (pattern && !pattern.test(value)) {
+    return { error: patternMessage || `${field} is invalid` };
+  }
+  return { value };
+};
+
+const integer = ({ min, max }) => (raw, field) => {
+  const value = typeof raw === 'string' && /^\d+$/.test(raw.trim()) ? Number(raw) : raw;
+  if (!Number.isInteger(value) || value < min || value > max) {
+    return { error: `${field} must be a whole number between ${min} and ${max}` };
+  }
+  return { value };
+};
+
+const futureDate = () => (raw, field) => {
+  const value = new Date(raw);
+  if (raw === null || raw === '' || typeof raw === 'boolean' || Number.isNaN(value.getTime())) {
+    return { error: `${field} must be a valid date` };
+  }
+  if (value <= new Date()) {
+    return { error: `${field} must be in the future` };
+  }
+  return { value };
+};
+
+const optionalText = ({ max }) => (raw, field) => {
+  if (raw === null || raw === undefined) return { value: '' };
+  if (typeof raw !== 'string') return { error: `${field} must be a string` };
+  if (raw.length > max) return { error: `${field} must be at most ${max} characters` };
+  return { value: raw.trim() };
+};
+
+const subsetOf = (allowedValues) => (raw, field) => {
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: `${field} must be a non-empty array` };
+  }
+  const unknown = raw.filter(item => !allowedValues.includes(item));
+  if (unknown.length) {
+    return { error: `${field} contains unknown values: ${unknown.join(', ')} (allowed: ${allowedValues.join(', ')})` };
+  }
+  return { value: [...new Set(raw)] };
+};
+
+// Passwords are never trimmed
+const password = ({ min = 12, max = 256 } = {}) => (raw, field) => {
+  if (typeof raw !== 'string' || raw.length < min || raw.length > max) {
+    return { error: `${field} must be between ${min} and ${max} characters` };
+  }
+  return { value: raw };
+};
+
+// Feature flag and quota names
+const IDENTIFIER_PATTERN = /^[a-z0-9_-]{1,64}$/i;
+
+const identifierList = () => (raw, field) => {
+  if (!Array.isArray(raw) || raw.some(item => typeof item !== 'string' || !IDENTIFIER_PATTERN.test(item))) {
+    return { error: `${field} must be an array of names made of letters, digits, "-" and "_"` };
+  }
+  return { value: [...new Set(raw)] };
+};
+
+// { name: value } with identifier keys and values accepted by `check`
+const namedValues = (check, description) => (raw, field) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: `${field} must be an object` };
+  }
+  for (const [name, value] of Object.entries(raw)) {
+    if (!IDENTIFIER_PATTERN.test(name)) {
+      return { error: `${field}.${name} is not a valid name (letters, digits, "-" and "_")` };
+    }
+    if (!check(value)) {
+      return { error: `${field}.${name} must be ${description}` };
+    }
+  }
+  return { value: { ...raw } };
+};
+
+const isQuota = (value) => Number.isInteger(value) && value >= 0;
+const quotas = namedValues(isQuota, 'a whole number of 0 or more');
+
+// { features: { flag: true|false }, quotas: { name: number } }
+const entitlementOverrides = () => (raw, field) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: `${field} must be an object` };
+  }
+  const unknown = Object.keys(raw).filter(key => !['features', 'quotas'].includes(key));
+  if (unknown.length) {
+    return { error: `${field} may only contain features and quotas` };
+  }
+  const value = {};
+  if (raw.features !== undefined) {
+    const result = namedValues(item => typeof item === 'boolean', 'true or false')(raw.features, `${field}.features`);
+    if (result.error) return result;
+    value.features = result.value;
+  }
+  if (raw.quotas !== undefined) {
+    const result = quotas(raw.quotas, `${field}.quotas`);
+    if (result.error) return result;
+    value.quotas = result.value;
+  }
+  return { value };
+};
+
+const oneOf = (allowedValues) => (raw, field) => {
+  if (!allowedValues.includes(raw)) {
+    return { error: `${field} must be one of ${allowedValues.join(', ')}` };
+  }
+  return { value: raw };
+};
+
+const boolean = () => (raw, field) => {
+  if (typeof raw !== 'boolean') return { error: `${field} must be true or false` };
+  return { value: raw };
+};
+
+const rules = {
+  customerEmail: string({ max: 254, pattern: EMAIL_PATTERN, patternMessage: 'customerEmail must be a valid email address' }),
+  customerName: string({ max: 200 }),
+  planType: string({ max: 50, pattern: /^[a-z0-9_-]+$/i, patternMessage: 'planType may only contain letters, digits, "-" and "_"' }),
+  maxActivations: integer({ min: 1, max: 1000 }),
+  licenseType: oneOf(['node_locked', 'floating']),
+  maxConcurrent: integer({ min: 1, max: 10000 }),
+  durationMonths: integer({ min: 1, max: 120 }),
+  expiryDate: futureDate(),
+  notes: optionalText({ max: 2000 }),
+  reason: optionalText({ max: 500 }),
+  name: string({ max: 64, pattern: /^[a-z0-9][a-z0-9._-]*$/i, patternMessage: 'name may only contain letters, digits, ".", "-" and "_"' }),
+  scopes: subsetOf(ApiKey.SCOPES),
+  username: string({ max: 64, pattern: /^[a-z0-9][a-z0-9._-]*$/i, patternMessage: 'username may only contain letters, digits, ".", "-" and "_"' }),
+  password: password(),
+  currentPassword: password({ min: 1 }),
+  newPassword: password(),
+  code: string({ max: 6, pattern: /^\d{6}$/, patternMessage: 'code must be a 6-digit number' }),
+  expiresAt: futureDate(),
+  sendEmail: boolean(),
+  displayName: string({ max: 100 }),
+  description: optionalText({ max: 1000 }),
+  features: identifierList(),
+  quotas,
+  defaultDurationMonths: integer({ min: 1, max: 120 }),
+  defaultMaxActivations: integer({ min: 1, max: 1000 }),
+  entitlementOverrides: entitlementOverrides(),
+  contactEmail: string({ max: 254, pattern: EMAIL_PATTERN, patternMessage: 'contactEmail must be a valid email address' }),
+  email: string({ max: 254, pattern: EMAIL_PATTERN, patternMessage: 'email must be a valid email address' }),
+  seats: integer({ min: 1, max: 100000 }),
+  token: string({ max: 200 }),
+  count: integer({ min: 1, max: 500 }),
+  format: oneOf(['json', 'csv'])
+};
+
+// Validate `body` against the named fields.
+//   required - fields that must be present
+//   optional - fields that may be present
+// Unknown fields are rejected so typos don't silently do nothing.
+// Returns { values, errors } where errors is an array of messages.
+function validateFields(body, { required = [], optional = [] }) {
+  const values = {};
+  const errors = [];
+  const allowed = new Set([...required, ...optional]);
+  const input = body && typeof body === 'object' ? body : {};
+
+  for (const field of Object.keys(input)) {
+    if (!allowed.has(field)) errors.push(`${field} is not an allowed field`);
+  }
+
+  for (const field of allowed) {
+    if (input[field] === undefined) {
+      if (required.includes(field)) errors.push(`${field} is required`);
+      continue;
+    }
+    const result = rules[field](input[field], field);
+    if (result.error) {
+      errors.push(result.error);
+    } else {
+      values[field] = result.value;
+    }
+  }
+
+  return { values, errors };
+}
+
+// Respond 400 with the collected messages
+function sendValidationError(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: errors.join('; '),
+    details: errors
+  });
+}
+
+module.exports = { validateFields, sendValidationError };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const Organization = require('../models/Organization');
+const { resolveSession } = require('../lib/adminSessions');
+
+// Admin API keys look like blk_<8 hex prefix>_<secret>
+const KEY_PATTERN = /^blk_([0-9a-f]{8})_([A-Za-z0-9_-]{32,})$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Constant-time string comparison (hashing first equalizes the lengths)
+const safeEqual = (a, b) => crypto.timingSafeEqual(sha256(a), sha256(b));
+
+function generateApiKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `blk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+  return { key, prefix, keyHash: sha256(key).toString('hex') };
+}
+
+// ADMIN_TOKEN is the bootstrap credential. It has every scope unless
+// ADMIN_TOKEN_BOOTSTRAP_ONLY=true, which limits it to managing API keys.
+function bootstrapIdentity() {
+  const scopes = process.env.ADMIN_TOKEN_BOOTSTRAP_ONLY === 'true' ? ['keys:manage'] : ApiKey.SCOPES;
+  return { id: 'ADMIN_TOKEN', name: 'bootstrap', scopes };
+}
+
+async function resolveApiKey(token, ip) {
+  const match = KEY_PATTERN.exec(token);
+  if (!match) return null;
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] });
+  if (!apiKey || !safeEqual(sha256(token).toString('hex'), apiKey.keyHash) || !apiKey.isUsable()) {
+    return null;
+  }
+
+  ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: ip })
+    .catch(error => console.error('💥 Failed to record API key usage:', error));
+
+  return { id: `apikey:${apiKey.name}`, name: apiKey.name, scopes: apiKey.scopes };
+}
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Admin panel requests authenticate with the session cookie. Because the
+// browser sends cookies automatically, state-changing requests must also
+// echo the session's CSRF token in the X-CSRF-Token header.
+async function authenticateSession(req, res, next) {
+  const resolved = await resolveSession(req);
+  if (!resolved) {
+    return res.status(401).json({ error: 'Unauthorized - No token provided' });
+  }
+
+  const { session, user } = resolved;
+  if (!SAFE_METHODS.includes(req.method)) {
+    const csrfToken = req.get('x-csrf-token');
+    if (!csrfToken || !safeEqual(csrfToken, session.csrfToken)) {
+      return res.status(403).json({ error: 'Forbidden - Invalid CSRF token' });
+    }
+  }
+
+  req.admin = { id: `user:${user.username}`, name: user.username, scopes: user.scopes, organization: user.organization, session };
+  next();
+}
+
+// Authentication middleware for admin endpoints: a bearer token (ADMIN_TOKEN
+// or API key) or an admin panel session. Sets req.admin = { id, name, scopes },
+// plus `organization` for organization admins.
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return await authenticateSession(req, res, next);
+    }
+
+    const token = authHeader.substring(7); // Remove "Bearer " prefix
+    // The app's configured token (see app.js), or the environment's outside an app
+    const config = req.app && req.app.locals.config;
+    const adminToken = config ? config.adminToken : process.env.ADMIN_TOKEN;
+
+    if (adminToken && safeEqual(token, adminToken)) {
+      req.admin = bootstrapIdentity();
+      return next();
+    }
+
+    const identity = await resolveApiKey(token, req.ip);
+    if (!identity) {
+      return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+    }
+
+    req.admin = identity;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Require a scope on an already authenticated request. Organization admins
+// never pass: they only reach their own organization through requireOrgAdmin.
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.admin || req.admin.organization || !req.admin.scopes.includes(scope)) {
+    return res.status(403).json({ error: `Forbidden - Requires scope ${scope}` });
+  }
+  next();
+};
+
+// The scopes in `scopes` that `admin` may not hand out to a new key or user:
+// those it doesn't hold itself. ADMIN_TOKEN, the bootstrap credential, may
+// grant any scope, so it can mint the first keys even when it is limited to
+// keys:manage.
+function ungrantableScopes(admin, scopes) {
+  if (admin.id === 'ADMIN_TOKEN') return [];
+  return scopes.filter(scope => !admin.scopes.includes(scope));
+}
+
+// Require an organization admin; loads their organization into req.organization
+const requireOrgAdmin = async (req, res, next) => {
+  try {
+    if (!req.admin || !req.admin.organization) {
+      return res.status(403).json({ error: 'Forbidden - Organization admins only' });
+    }
+    req.organization = await Organization.findById(req.admin.organization);
+    if (!req.organization) {
+      return res.status(403).json({ error: 'Forbidden - Organization no longer exists' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { authenticateAdmin, requireScope, requireOrgAdmin, ungrantableScopes, generateApiKey, safeEqual };
@@ -0,0 +1,107 @@
+const rateLimit = require('express-rate-limit');
+const { sendApiError, isV2Request } = require('../lib/apiErrors');
+const { limiterStore } = require('../lib/rateLimitStore');
+const { lookupBlock } = require('../lib/lookupThrottle');
+const { parseLicenseKey } = require('../lib/licenseKeys');
+
+// Layered limits for the public API, all counted in the shared store
+// (lib/rateLimitStore.js) so every instance sees the same numbers:
+//
+//   generalLimiter - per IP, all of /api/
+//   clientLimits   - for the license endpoints: failed-lookup backoff and
+//                    lockout per IP (lib/lookupThrottle.js), then per license
+//                    key and per device, so a busy office behind one NAT
+//                    isn't limited as one client
+//   trialLimiter   - per IP, trial starts
+//
+// One limiter instance serves both API versions (so switching versions
+// doesn't reset the count); only the response format differs.
+
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+const WINDOW_MS = envInt('RATE_LIMIT_WINDOW', 15 * 60 * 1000);
+
+// v1 client endpoints answer { valid } or { success }
+const v1ResultField = (req) => (/\/(release-seat|deactivate-device)$/.test(req.path) ? 'success' : 'valid');
+
+const limitExceeded = (v1Body) => (req, res, next, options) => {
+  if (isV2Request(req)) {
+    return sendApiError(res, 'RATE_LIMITED', typeof v1Body === 'string' ? v1Body : v1Body.message);
+  }
+  res.status(options.statusCode).send(v1Body);
+};
+
+const clientLimitExceeded = (message) => (req, res) => {
+  if (isV2Request(req)) {
+    return sendApiError(res, 'RATE_LIMITED', message);
+  }
+  res.status(429).json({ [v1ResultField(req)]: false, reason: 'rate_limited', message });
+};
+
+const generalLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  max: envInt('RATE_LIMIT_MAX_REQUESTS', 100),
+  keyGenerator: (req) => req.ip,
+  store: limiterStore('ip'),
+  // Payment providers deliver bursts from a few IPs; webhooks are signature-checked instead
+  // Health checks are polled by the platform and must not use up the limit
+  skip: (req) => req.path.startsWith('/webhooks/') || req.path === '/health',
+  handler: limitExceeded('Too many requests, please try again later.')
+});
+
+// The stored form of the body's license key, or null when it isn't one
+const bodyLicenseKey = (req) => parseLicenseKey(req.body && req.body.license_key).licenseKey || null;
+
+const licenseLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  // Floating licenses heartbeat from every seat, so leave room for them
+  max: envInt('RATE_LIMIT_LICENSE_MAX', 300),
+  keyGenerator: (req) => bodyLicenseKey(req),
+  skip: (req) => !bodyLicenseKey(req),
+  store: limiterStore('license'),
+  handler: clientLimitExceeded('Too many requests for this license. Please try again later.')
+});
+
+const deviceLimiter = rateLimit({
+  windowMs: WINDOW_MS,
+  max: envInt('RATE_LIMIT_DEVICE_MAX', 30),
+  keyGenerator: (req) => `${bodyLicenseKey(req)}:${req.body.device_id}`,
+  skip: (req) => !bodyLicenseKey(req) || typeof req.body.device_id !== 'string',
+  store: limiterStore('device'),
+  handler: clientLimitExceeded('Too many requests from this device. Please try again later.')
+});
+
+// Refuse clients that are backing off or locked out after failed lookups
+async function lookupGuard(req, res, next) {
+  let block;
+  try {
+    block = await lookupBlock(req.ip);
+  } catch (error) {
+    // A store outage shouldn't take the license checks down with it
+    console.error('💥 Rate limit store error:', error.message);
+    return next();
+  }
+  if (!block) return next();
+
+  const message = block.reason === 'locked_out'
+    ? 'Too many invalid license keys. Please try again later.'
+    : `Too many invalid license keys. Please wait ${block.retryAfterSeconds} seconds before trying again.`;
+  res.set('Retry-After', String(block.retryAfterSeconds));
+  if (isV2Request(req)) {
+    return sendApiError(res, 'RATE_LIMITED', message, { reason: block.reason, retry_after_seconds: block.retryAfterSeconds });
+  }
+  res.status(429).json({ [v1ResultField(req)]: false, reason: block.reason, message });
+}
+
+const clientLimits = [lookupGuard, licenseLimiter, deviceLimiter];
+
+// Trials are cheap to request, so cap them per IP on top of the claim checks
+const trialLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.ip,
+  store: limiterStore('trial'),
+  handler: limitExceeded({ valid: false, message: 'Too many trial requests. Please try again later.' })
+});
+
+module.exports = { generalLimiter, clientLimits, trialLimiter };
@@ -0,0 +1,51 @@
+const crypto = require('crypto');
+const { logger, requestContext } = require('../lib/logger');
+const { observeRequest } = require('../lib/metrics');
+
+// Gives every request an ID (the caller's X-Request-Id if it looks sane),
+// echoes it back, and on completion records metrics and an access log line.
+// Log lines written while the request is handled carry the same ID.
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,64}$/;
+// Probes and scrapes are counted but not logged
+const QUIET_PATHS = new Set(['/livez', '/readyz', '/metrics']);
+
+// Route template rather than the URL, so metric labels stay bounded
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  return req.baseUrl ? `${req.baseUrl}/*` : 'unmatched';
+}
+
+function assignRequestId(req, res, next) {
+  const incoming = req.get('x-request-id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = routeLabel(req);
+    const path = req.originalUrl.split('?')[0];
+    observeRequest({ method: req.method, route, status: res.statusCode, seconds });
+
+    if (!QUIET_PATHS.has(path)) {
+      logger.info('request', {
+        requestId: req.id,
+        method: req.method,
+        path,
+        route,
+        status: res.statusCode,
+        durationMs: Math.round(seconds * 1000),
+        ip: req.ip
+      });
+    }
+  });
+
+  requestContext.run({ requestId: req.id }, next);
+}
+
+// Body parsing continues on stream events outside the request's async
+// context, so enter it again once the body has been read
+const restoreRequestContext = (req, res, next) => requestContext.run({ requestId: req.id }, next);
+
+module.exports = { assignRequestId, restoreRequestContext, routeLabel };
@@ -0,0 +1,89 @@
+const { sendApiError } = require('../lib/apiErrors');
+const {
+  signingRequired,
+  requestSigningInput,
+  verifySignature,
+  timestampFresh,
+  consumeNonce,
+  deviceKeyFor,
+  signResponses
+} = require('../lib/signedRequests');
+
+// Check the signature headers of a v2 client request (see
+// lib/signedRequests.js) and sign the response. `registers` marks
+// activation, where a device without a key signs with the
+// device_public_key in its body. Once a key is registered every request,
+// including an activation that replaces the key, must be signed with it.
+const verifySignedRequest = ({ registers = false } = {}) => async (req, res, next) => {
+  try {
+    const nonce = req.get('x-babylon-nonce');
+    const timestamp = req.get('x-babylon-timestamp');
+    const signature = req.get('x-babylon-signature');
+    const { license_key: licenseKey, device_id: deviceId, device_public_key: presentedKey } = req.body;
+    const registered = await deviceKeyFor(licenseKey, deviceId);
+
+    if (!nonce && !timestamp && !signature) {
+      if (signingRequired()) {
+        return sendApiError(res, 'SIGNATURE_REQUIRED', 'This server only accepts signed requests');
+      }
+      if (registered) {
+        return sendApiError(res, 'SIGNATURE_REQUIRED', 'This device registered a signing key, so its requests must be signed');
+      }
+      return next();
+    }
+
+    if (!nonce || !timestamp || !signature) {
+      return sendApiError(res, 'SIGNATURE_INVALID', 'X-Babylon-Nonce, X-Babylon-Timestamp and X-Babylon-Signature must be sent together');
+    }
+    if (!timestampFresh(timestamp)) {
+      return sendApiError(res, 'REQUEST_EXPIRED', 'X-Babylon-Timestamp is too far from the server time');
+    }
+
+    const publicKey = registered ? registered.publicKey : registers && presentedKey;
+    if (!publicKey) {
+      return sendApiError(res, 'DEVICE_KEY_NOT_REGISTERED', 'No signing key is registered for this device; activate it with device_public_key');
+    }
+
+    const input = requestSigningInput({ method: req.method, path: req.originalUrl.split('?')[0], nonce, timestamp, body: req.rawBody });
+    if (!verifySignature(publicKey, input, signature)) {
+      return sendApiError(res, 'SIGNATURE_INVALID', 'The request signature does not verify');
+    }
+    // Checked last so a forged request can't use up someone else's nonce
+    if (!(await consumeNonce(nonce))) {
+      return sendApiError(res, 'NONCE_INVALID', 'The nonce is unknown, expired or already used');
+    }
+
+    req.signedRequest = { nonce, publicKey, previousKey: registered ? registered.publicKey : null };
+    signResponses(res, nonce);
+    next();
+  } catch (error) {
+    console.error('💥 Signed request error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error while checking the request signature');
+  }
+};
+
+// The v1 client endpoints can't be signed, so they are refused once signing
+// is required or the device registered a key; otherwise calling v1 with the
+// same license key and device ID would sidestep the signature. `field` is
+// the endpoint's success flag ('valid' or 'success').
+const refuseUnsignedV1 = (field) => async (req, res, next) => {
+  try {
+    const { license_key: licenseKey, device_id: deviceId } = req.body;
+    // Malformed device IDs are left for the route to reject
+    if (typeof deviceId !== 'string') return next();
+
+    if (signingRequired() || await deviceKeyFor(licenseKey, deviceId)) {
+      return res.status(401).json({
+        [field]: false,
+        reason: 'signature_required',
+        message: 'This device must send signed requests to /api/v2'
+      });
+    }
+    next();
+  } catch (error) {
+    console.error('💥 Signed request error:', error);
+    res.status(500).json({ [field]: false, message: 'Server error while checking the request signature' });
+  }
+};
+
+module.exports = { verifySignedRequest, refuseUnsignedV1 };
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// A license the abuse detector thinks is being shared, awaiting admin review
+const abuseFlagSchema = new mongoose.Schema({
+  licenseKey: { type: String, required: true },
+  status: { type: String, enum: ['open', 'dismissed', 'confirmed'], default: 'open' },
+  // Which limits were exceeded, e.g. { metric: 'ips', count: 31, limit: 10 }
+  reasons: [{
+    _id: false,
+    metric: { type: String, enum: ['ips', 'devices', 'countries'], required: true },
+    count: Number,
+    limit: Number
+  }],
+  // A sample of the distinct values seen in the window
+  sample: {
+    ips: [String],
+    devices: [String],
+    countries: [String]
+  },
+  windowHours: Number,
+  firstFlaggedAt: { type: Date, default: Date.now },
+  lastFlaggedAt: { type: Date, default: Date.now },
+  autoSuspended: { type: Boolean, default: false },
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewNote: String
+}, { timestamps: true });
+
+// At most one open flag per license; rescans update it
+abuseFlagSchema.index({ licenseKey: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+abuseFlagSchema.index({ status: 1, lastFlaggedAt: -1 });
+
+module.exports = mongoose.model('AbuseFlag', abuseFlagSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Signed-in admin panel session. The cookie holds a random token; only its
+// SHA-256 hash is stored. Expired sessions are removed by the TTL index.
+const adminSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', required: true },
+  username: { type: String, required: true },
+  csrfToken: { type: String, required: true },
+  ip: String,
+  userAgent: String,
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AdminSession', adminSessionSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const ApiKey = require('./ApiKey');
+
+// Person who signs in to the /admin panel with a password (scrypt, see
+// lib/password.js) and optionally a TOTP second factor
+const adminUserSchema = new mongoose.Schema({
+  username: { type: String, required: true, unique: true },
+  passwordHash: { type: String, required: true },
+  // Always given explicitly; organization admins have none
+  scopes: { type: [{ type: String, enum: ApiKey.SCOPES }] },
+  // Organization admins only manage their own organization (routes/orgAdmin.js)
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  totpSecret: String,
+  totpEnabled: { type: Boolean, default: false },
+  // Last accepted TOTP time step, so a code can't be replayed
+  totpLastCounter: Number,
+  disabledAt: Date,
+  lastLoginAt: Date,
+  createdBy: String
+}, { timestamps: true });
+
+adminUserSchema.methods.toPublic = function() {
+  return {
+    username: this.username,
+    scopes: this.scopes,
+    organization: this.organization,
+    totpEnabled: this.totpEnabled,
+    disabledAt: this.disabledAt,
+    lastLoginAt: this.lastLoginAt,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['licenses:read', 'licenses:write', 'devices:manage', 'audit:read', 'keys:manage', 'plans:manage', 'orgs:manage', 'metrics:read'];
+
+// Named admin API key. Only a SHA-256 hash of the secret is stored;
+// `prefix` is the public part of the key used to look it up.
+const apiKeySchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  prefix: { type: String, required: true, unique: true },
+  keyHash: { type: String, required: true },
+  scopes: [{ type: String, enum: SCOPES }],
+  expiresAt: Date,
+  revokedAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  createdBy: String
+}, { timestamps: true });
+
+apiKeySchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+// Safe representation for API responses (never includes the hash)
+apiKeySchema.methods.toPublic = function() {
+  return {
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    revokedAt: this.revokedAt,
+    lastUsedAt: this.lastUsedAt,
+    lastUsedIp: this.lastUsedIp,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+ApiKey.SCOPES = SCOPES;
+
+module.exports = ApiKey;
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Append-only audit trail. Entries form a hash chain ordered by `seq`:
+// hash = sha256(prevHash + canonical entry), so editing or deleting any
+// entry breaks every hash after it (see lib/audit.js verifyChain).
+const auditLogSchema = new mongoose.Schema({
+  seq: { type: Number, required: true, unique: true },
+  timestamp: { type: Date, required: true },
+  action: { type: String, required: true, index: true },
+  licenseKey: { type: String, index: true },
+  deviceId: { type: String, index: true },
+  actor: {
+    type: { type: String, enum: ['admin', 'device', 'customer', 'system'], required: true },
+    id: String
+  },
+  ip: String,
+  userAgent: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  details: mongoose.Schema.Types.Mixed,
+  prevHash: { type: String, required: true },
+  hash: { type: String, required: true }
+}, { versionKey: false, minimize: false });
+
+auditLogSchema.index({ timestamp: -1 });
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// One-time challenge for a signed client request (see lib/signedRequests.js).
+// Using a nonce deletes it; the TTL index removes the ones never used.
+const clientNonceSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  ip: String,
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+clientNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ClientNonce', clientNonceSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Ed25519 public key an app install registered when it activated, so its
+// later requests can be checked against it (see lib/signedRequests.js).
+// Kept apart from License.deviceActivations so floating seats, which hold
+// short-lived leases instead of activations, work the same way.
+const deviceKeySchema = new mongoose.Schema({
+  licenseKey: { type: String, required: true },
+  deviceId: { type: String, required: true },
+  // Raw 32-byte key, base64url
+  publicKey: { type: String, required: true },
+  ip: String
+}, { timestamps: true });
+
+deviceKeySchema.index({ licenseKey: 1, deviceId: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeviceKey', deviceKeySchema);
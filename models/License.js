@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// License Schema
+const licenseSchema = new mongoose.Schema({
+  licenseKey: { type: String, required: true, unique: true },
+  // Trials may start without an email; it's collected on conversion
+  customerEmail: { type: String, required: function() { return !this.isTrial; } },
+  customerName: { type: String, required: true },
+  purchaseDate: { type: Date, default: Date.now },
+  expiryDate: { type: Date, required: true },
+  isActive: { type: Boolean, default: true },
+  // Trial licenses are created by /api/start-trial for a single device
+  isTrial: { type: Boolean, default: false },
+  trial: {
+    startedAt: Date,
+    deviceId: String,
+    convertedAt: Date
+  },
+  // Sub-licenses issued from an organization's seat pool
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization' },
+  suspendedAt: Date,
+  suspensionReason: String,
+  // node_locked: maxActivations devices, permanently; floating: any number of
+  // devices, at most maxConcurrent at a time (see lib/floating.js)
+  licenseType: { type: String, enum: ['node_locked', 'floating'], default: 'node_locked' },
+  maxActivations: { type: Number, default: 1 },
+  maxConcurrent: Number,
+  // Seats checked out by floating licenses; lapsed leases are pruned on checkout
+  leases: [{
+    _id: false,
+    leaseId: { type: String, required: true },
+    deviceId: { type: String, required: true },
+    checkedOutAt: Date,
+    renewedAt: Date,
+    expiresAt: { type: Date, required: true },
+    ip: String
+  }],
+  // Always mirrors deviceActivations.length (see pre-validate hook)
+  currentActivations: { type: Number, default: 0 },
+  deviceActivations: [{
+    deviceId: String,
+    activationDate: { type: Date, default: Date.now },
+    lastValidation: { type: Date, default: Date.now },
+    deviceInfo: Object
+  }],
+  // Every activation change, oldest first
+  deviceHistory: [{
+    action: { type: String, enum: ['activated', 'deactivated', 'removed', 'transferred'], required: true },
+    deviceId: { type: String, required: true },
+    toDeviceId: String,
+    actor: { type: String, enum: ['customer', 'admin'], required: true },
+    reason: String,
+    ip: String,
+    date: { type: Date, default: Date.now }
+  }],
+  // Expiry emails already sent for a given expiryDate, so each reminder goes
+  // out once and a renewal starts a fresh cycle
+  remindersSent: [{
+    _id: false,
+    kind: { type: String, required: true },
+    expiryDate: { type: Date, required: true },
+    sentAt: { type: Date, default: Date.now }
+  }],
+  // Set when provisioned by a payment provider webhook
+  payment: {
+    provider: { type: String, enum: ['stripe', 'paddle'] },
+    customerId: String,
+    subscriptionId: String,
+    priceId: String,
+    transactionIds: [String],
+    // What the customer paid, listed in the customer portal
+    receipts: [{
+      _id: false,
+      transactionId: { type: String, required: true },
+      kind: { type: String, enum: ['purchase', 'renewal'], required: true },
+      amount: Number,
+      currency: String,
+      invoiceUrl: String,
+      paidAt: Date,
+      refundedAt: Date
+    }]
+  },
+  // Per-license changes to the plan's entitlements (see lib/entitlements.js)
+  entitlementOverrides: {
+    features: { type: Map, of: Boolean },
+    quotas: { type: Map, of: Number }
+  },
+  metadata: {
+    // Name of the Plan this license is on
+    planType: { type: String, default: 'single' },
+    version: { type: String, default: '1.0' },
+    notes: String
+  }
+}, { timestamps: true });
+
+// Listing order/cursor pagination, and the common filters
+licenseSchema.index({ createdAt: -1, _id: -1 });
+licenseSchema.index({ expiryDate: 1 });
+licenseSchema.index({ customerEmail: 1 });
+licenseSchema.index({ 'metadata.planType': 1 });
+licenseSchema.index({ organization: 1 }, { sparse: true });
+licenseSchema.index({ 'payment.subscriptionId': 1 }, { sparse: true });
+licenseSchema.index({ 'payment.transactionIds': 1 }, { sparse: true });
+
+licenseSchema.pre('validate', function(next) {
+  this.currentActivations = this.deviceActivations.length;
+  next();
+});
+
+licenseSchema.methods.findActivation = function(deviceId) {
+  return this.deviceActivations.find(activation => activation.deviceId === deviceId);
+};
+
+// Customer device history entries that use up a self-service transfer:
+// deactivations and fingerprint rebinds
+const CUSTOMER_TRANSFER_ACTIONS = ['deactivated', 'transferred'];
+
+// Number of self-service transfers since the given date
+licenseSchema.methods.countCustomerTransfersSince = function(since) {
+  return this.deviceHistory.filter(entry =>
+    entry.actor === 'customer' && CUSTOMER_TRANSFER_ACTIONS.includes(entry.action) && entry.date >= since
+  ).length;
+};
+
+const License = mongoose.model('License', licenseSchema);
+License.CUSTOMER_TRANSFER_ACTIONS = CUSTOMER_TRANSFER_ACTIONS;
+
+module.exports = License;
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Email invitation to take a seat in an organization. Only a SHA-256 hash of
+// the invite token is stored; accepting it issues the member's sub-license.
+const orgInviteSchema = new mongoose.Schema({
+  organization: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true, index: true },
+  email: { type: String, required: true },
+  name: String,
+  maxActivations: { type: Number, default: 1 },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  invitedBy: String,
+  acceptedAt: Date,
+  licenseKey: String,
+  revokedAt: Date
+}, { timestamps: true });
+
+orgInviteSchema.methods.status = function(now = new Date()) {
+  if (this.licenseKey) return 'accepted';
+  if (this.revokedAt) return 'revoked';
+  if (this.expiresAt <= now) return 'expired';
+  return 'pending';
+};
+
+orgInviteSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    email: this.email,
+    name: this.name,
+    maxActivations: this.maxActivations,
+    status: this.status(),
+    expiresAt: this.expiresAt,
+    invitedBy: this.invitedBy,
+    acceptedAt: this.acceptedAt,
+    licenseKey: this.licenseKey,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('OrgInvite', orgInviteSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// A customer that owns a pool of seats and hands them out to its members as
+// sub-licenses (licenses with `organization` set, see lib/organizations.js)
+const organizationSchema = new mongoose.Schema({
+  // URL-safe identifier used in the admin API
+  name: { type: String, required: true, unique: true },
+  displayName: { type: String, required: true },
+  contactEmail: { type: String, required: true },
+  // Plan and expiry every sub-license is issued with
+  planType: { type: String, required: true },
+  expiryDate: { type: Date, required: true },
+  // Device seats bought; each sub-license takes its maxActivations from the pool
+  seats: { type: Number, required: true },
+  // Sum of maxActivations over the sub-licenses, updated atomically with them
+  seatsAllocated: { type: Number, default: 0 },
+  isActive: { type: Boolean, default: true },
+  notes: String,
+  createdBy: String
+}, { timestamps: true });
+
+organizationSchema.methods.toPublic = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    displayName: this.displayName,
+    contactEmail: this.contactEmail,
+    planType: this.planType,
+    expiryDate: this.expiryDate,
+    seats: this.seats,
+    seatsAllocated: this.seatsAllocated,
+    seatsAvailable: Math.max(this.seats - this.seatsAllocated, 0),
+    isActive: this.isActive,
+    notes: this.notes,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A plan defines what a license unlocks. Licenses refer to it by name
+// (license.metadata.planType) and may override individual entitlements.
+const planSchema = new mongoose.Schema({
+  name: { type: String, required: true, unique: true },
+  displayName: { type: String, required: true },
+  description: String,
+  // Feature flags switched on by this plan
+  features: [String],
+  // Numeric limits, e.g. { projects: 50, export_resolution: 4096 }
+  quotas: { type: Map, of: Number, default: () => new Map() },
+  // Used when a license is created without explicit values
+  defaultDurationMonths: { type: Number, default: 12 },
+  defaultMaxActivations: { type: Number, default: 1 },
+  // Archived plans can't be assigned to new licenses; existing ones keep working
+  archivedAt: Date,
+  createdBy: String
+}, { timestamps: true });
+
+planSchema.methods.toPublic = function() {
+  return {
+    name: this.name,
+    displayName: this.displayName,
+    description: this.description,
+    features: this.features,
+    quotas: Object.fromEntries(this.quotas || []),
+    defaultDurationMonths: this.defaultDurationMonths,
+    defaultMaxActivations: this.defaultMaxActivations,
+    archivedAt: this.archivedAt,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+module.exports = mongoose.model('Plan', planSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// One-time magic link for the customer portal. Only a SHA-256 hash of the
+// token is stored; the TTL index removes expired links.
+const portalLoginTokenSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  // Lowercased customerEmail the link signs in as
+  email: { type: String, required: true, index: true },
+  ip: String,
+  usedAt: Date,
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+portalLoginTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PortalLoginToken', portalLoginTokenSchema);
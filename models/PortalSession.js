@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Signed-in customer portal session, kept apart from admin sessions. The
+// cookie holds a random token; only its SHA-256 hash is stored.
+const portalSessionSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true, unique: true },
+  // Lowercased customerEmail; the session sees every license with this email
+  email: { type: String, required: true },
+  csrfToken: { type: String, required: true },
+  ip: String,
+  userAgent: String,
+  lastSeenAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+portalSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PortalSession', portalSessionSchema);
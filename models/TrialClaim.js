@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Identifiers that have already been used to start a trial. The unique index
+// makes "one trial per device/fingerprint/email" hold under concurrent requests.
+const trialClaimSchema = new mongoose.Schema({
+  type: { type: String, enum: ['device', 'fingerprint', 'email'], required: true },
+  value: { type: String, required: true },
+  licenseKey: { type: String, required: true },
+  ip: String
+}, { timestamps: true });
+
+trialClaimSchema.index({ type: 1, value: 1 }, { unique: true });
+
+module.exports = mongoose.model('TrialClaim', trialClaimSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// One validation or activation attempt, read by the abuse detector and the
+// analytics endpoints (expired by the TTL index after USAGE_RETENTION_DAYS)
+const RETENTION_DAYS = parseInt(process.env.USAGE_RETENTION_DAYS || process.env.ABUSE_USAGE_RETENTION_DAYS, 10) || 30;
+
+const usageEventSchema = new mongoose.Schema({
+  licenseKey: { type: String, required: true },
+  deviceId: String,
+  ip: String,
+  country: String,
+  kind: { type: String, enum: ['validation', 'activation'], required: true },
+  outcome: String,
+  planType: String,
+  // App version reported by the client (`app_version`), if any
+  version: String,
+  at: { type: Date, default: Date.now }
+}, { versionKey: false });
+
+usageEventSchema.index({ at: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+usageEventSchema.index({ licenseKey: 1, at: -1 });
+
+module.exports = mongoose.model('UsageEvent', usageEventSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Received payment provider events, used to process each event ID once
+const webhookEventSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  eventId: { type: String, required: true },
+  type: String,
+  status: { type: String, enum: ['processing', 'processed', 'ignored', 'failed'], required: true },
+  licenseKey: String,
+  error: String,
+  attempts: { type: Number, default: 1 }
+}, { timestamps: true });
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,532 @@
+// Admin console - no inline event handlers, and customer-supplied values are
+// only ever rendered through textContent (never innerHTML).
+//
+// Authenticates with the HttpOnly session cookie; state-changing requests
+// carry the session's CSRF token.
+
+const PAGE_SIZE = 25;
+
+const state = {
+  session: null,
+  licenses: [],
+  // Cursor used to load each page visited so far (index 0 = first page)
+  pageCursors: [null],
+  page: 0,
+  nextCursor: null,
+  current: null,
+  plans: []
+};
+
+// ==================== HELPERS ====================
+
+const $ = (id) => document.getElementById(id);
+
+// Build an element; children may be strings (set as text) or nodes
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    if (name === 'className') node.className = value;
+    else if (name.startsWith('on')) node.addEventListener(name.slice(2).toLowerCase(), value);
+    else node.setAttribute(name, value);
+  }
+  for (const child of children) {
+    if (child === null || child === undefined) continue;
+    node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  }
+  return node;
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+function licenseStatus(license) {
+  if (!license.isActive) return 'deactivated';
+  if (new Date(license.expiryDate) <= new Date()) return 'expired';
+  return 'active';
+}
+
+const statusBadge = (license) => {
+  const status = licenseStatus(license);
+  return el('span', { className: `badge ${status}` }, status);
+};
+
+const hasScope = (scope) => state.session && state.session.scopes.includes(scope);
+
+function showMessage(text, type = 'success') {
+  const message = $('message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+const clearMessage = () => { $('message').className = 'message hidden'; };
+
+async function api(path, { method = 'GET', body } = {}) {
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (method !== 'GET') headers['X-CSRF-Token'] = state.session.csrfToken;
+
+  const response = await fetch(path, {
+    method,
+    headers,
+    credentials: 'same-origin',
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  if (response.status === 401) {
+    window.location.href = '/admin/login';
+    throw new Error('Session expired');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+// Disable a button while an action runs and report failures
+async function withButton(button, action) {
+  button.disabled = true;
+  clearMessage();
+  try {
+    await action();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// ==================== LICENSE LIST ====================
+
+function listQuery(cursor) {
+  const params = new URLSearchParams({ limit: PAGE_SIZE });
+  const search = $('search').value.trim();
+  const status = $('statusFilter').value;
+  const type = $('typeFilter').value;
+  const plan = $('planFilter').value.trim();
+  if (search) params.set('q', search);
+  if (status) params.set('status', status);
+  if (type) params.set('type', type);
+  if (plan) params.set('planType', plan);
+  if (cursor) params.set('cursor', cursor);
+  return params;
+}
+
+async function loadLicenses() {
+  const data = await api(`/api/admin/licenses?${listQuery(state.pageCursors[state.page])}`);
+  state.licenses = data.licenses;
+  state.nextCursor = data.nextCursor;
+  renderLicenseList();
+}
+
+function applyFilters() {
+  state.pageCursors = [null];
+  state.page = 0;
+  return loadLicenses().catch(error => showMessage(error.message, 'error'));
+}
+
+function changePage(delta) {
+  if (delta > 0) state.pageCursors[state.page + 1] = state.nextCursor;
+  state.page += delta;
+  return loadLicenses().catch(error => showMessage(error.message, 'error'));
+}
+
+function renderLicenseList() {
+  const rows = state.licenses.map(license => el('tr', {
+    className: 'clickable',
+    onClick: () => { window.location.hash = `#/licenses/${encodeURIComponent(license.licenseKey)}`; }
+  },
+    el('td', { className: 'key' }, license.licenseKey),
+    el('td', {}, license.customerName, el('br'), el('span', { className: 'muted' }, license.customerEmail)),
+    el('td', {}, license.metadata.planType),
+    el('td', {}, `${license.deviceActivations.length} / ${license.maxActivations}`),
+    el('td', {}, formatDate(license.expiryDate)),
+    el('td', {}, statusBadge(license))
+  ));
+
+  if (rows.length === 0) {
+    rows.push(el('tr', {}, el('td', { colspan: 6, className: 'muted' }, 'No licenses match these filters')));
+  }
+
+  $('licenseRows').replaceChildren(...rows);
+  $('pageInfo').textContent = `Page ${state.page + 1}`;
+  $('prevPage').disabled = state.page === 0;
+  $('nextPage').disabled = !state.nextCursor;
+}
+
+// ==================== REVIEW QUEUE ====================
+
+async function loadFlags() {
+  const flags = await api(`/api/admin/abuse-flags?status=${encodeURIComponent($('flagStatus').value)}`);
+  renderFlags(flags);
+}
+
+function renderFlags(flags) {
+  const canReview = hasScope('licenses:write');
+  const rows = flags.map(flag => el('tr', {},
+    el('td', { className: 'key' }, el('a', { href: `#/licenses/${encodeURIComponent(flag.licenseKey)}` }, flag.licenseKey)),
+    el('td', {}, flag.license ? flag.license.customerEmail || '—' : 'Deleted'),
+    el('td', {}, flag.reasons.map(({ metric, count, limit }) => `${count} ${metric} (limit ${limit})`).join(', ')),
+    el('td', {}, flag.sample.countries.join(', ') || '—'),
+    el('td', {}, formatDateTime(flag.lastFlaggedAt)),
+    el('td', {}, flag.status === 'open'
+      ? (flag.autoSuspended ? 'Auto-suspended' : 'Open')
+      : `${flag.status} by ${flag.reviewedBy}`),
+    el('td', {}, canReview && flag.status === 'open'
+      ? el('span', { className: 'actions' },
+        el('button', { className: 'small secondary', onClick: (event) => reviewFlag(event.target, flag, 'dismiss') }, 'Dismiss'),
+        el('button', { className: 'small danger', onClick: (event) => reviewFlag(event.target, flag, 'confirm') }, 'Suspend'))
+      : null)
+  ));
+  if (rows.length === 0) {
+    rows.push(el('tr', {}, el('td', { colspan: 7, className: 'muted' }, 'Nothing to review')));
+  }
+  $('flagRows').replaceChildren(...rows);
+}
+
+function reviewFlag(button, flag, action) {
+  const reason = window.prompt(action === 'dismiss'
+    ? 'Why is this not sharing? (optional)'
+    : `Suspend ${flag.licenseKey} for sharing? Enter a reason (optional):`);
+  if (reason === null) return;
+  return withButton(button, async () => {
+    const data = await api(`/api/admin/abuse-flags/${flag._id}/${action}`, { method: 'POST', body: { reason } });
+    await loadFlags();
+    if (action === 'confirm') showMessage(data.suspended ? 'License suspended' : 'Flag confirmed');
+    else showMessage(data.reactivated ? 'Flag dismissed and license reactivated' : 'Flag dismissed');
+  });
+}
+
+// ==================== LICENSE DETAIL ====================
+
+async function loadLicense(licenseKey) {
+  state.current = await api(`/api/admin/licenses/${encodeURIComponent(licenseKey)}`);
+  renderLicenseDetail();
+  await loadEntitlements();
+}
+
+async function loadEntitlements() {
+  const entitlements = await api(licensePath('/entitlements'));
+  const features = Object.entries(entitlements.features).map(([flag, enabled]) => (enabled ? flag : `${flag} (off)`));
+  const quotas = Object.entries(entitlements.quotas).map(([name, value]) => `${name}: ${value}`);
+  $('entitlementFields').replaceChildren(
+    el('dt', {}, 'Features'), el('dd', {}, features.join(', ') || '—'),
+    el('dt', {}, 'Quotas'), el('dd', {}, quotas.join(', ') || '—')
+  );
+}
+
+// ==================== PLANS ====================
+
+async function loadPlans() {
+  state.plans = await api('/api/admin/plans');
+  for (const select of document.querySelectorAll('.plan-select')) {
+    select.replaceChildren(...state.plans.map(plan => el('option', { value: plan.name }, `${plan.displayName} (${plan.name})`)));
+  }
+  applyPlanDefaults();
+}
+
+// Prefill the create form with the selected plan's defaults
+function applyPlanDefaults() {
+  const plan = state.plans.find(candidate => candidate.name === $('planType').value);
+  if (!plan) return;
+  $('durationMonths').value = plan.defaultDurationMonths;
+  $('maxActivations').value = plan.defaultMaxActivations;
+}
+
+function renderLicenseDetail() {
+  const license = state.current;
+  const fields = [
+    ['Status', statusBadge(license)],
+    ['Customer', license.customerName],
+    ['Email', license.customerEmail],
+    ['Plan', license.metadata.planType],
+    ['Type', license.isTrial ? 'Trial' : license.trial && license.trial.convertedAt ? `Paid (converted from trial ${formatDate(license.trial.convertedAt)})` : 'Paid'],
+    ['Mode', license.licenseType === 'floating' ? `Floating, ${license.maxConcurrent} concurrent seat(s)` : 'Node-locked'],
+    ['Devices', `${license.deviceActivations.length} of ${license.maxActivations}`],
+    ['Purchased', formatDate(license.purchaseDate)],
+    ['Expires', formatDate(license.expiryDate)],
+    ['Notes', license.metadata.notes || '—']
+  ];
+  if (license.suspensionReason) fields.push(['Suspension reason', license.suspensionReason]);
+
+  $('detailTitle').textContent = license.licenseKey;
+  $('detailFields').replaceChildren(...fields.flatMap(([label, value]) => [el('dt', {}, label), el('dd', {}, value)]));
+
+  $('suspendBtn').classList.toggle('hidden', !license.isActive);
+  $('reactivateBtn').classList.toggle('hidden', license.isActive);
+
+  $('editName').value = license.customerName;
+  $('editEmail').value = license.customerEmail;
+  // Keep licenses on an archived plan editable
+  for (const option of $('editPlan').querySelectorAll('[data-archived]')) option.remove();
+  if (!state.plans.some(plan => plan.name === license.metadata.planType)) {
+    $('editPlan').append(el('option', { value: license.metadata.planType, 'data-archived': '' }, `${license.metadata.planType} (archived)`));
+  }
+  $('editPlan').value = license.metadata.planType;
+  $('editMaxActivations').value = license.maxActivations;
+  $('editLicenseType').value = license.licenseType || 'node_locked';
+  $('editMaxConcurrent').value = license.maxConcurrent || '';
+  toggleFloatingFields($('editForm'));
+  $('editNotes').value = license.metadata.notes || '';
+
+  const canManageDevices = hasScope('devices:manage');
+  const deviceRows = license.deviceActivations.map(activation => el('tr', {},
+    el('td', { className: 'key' }, activation.deviceId),
+    el('td', {}, formatDateTime(activation.activationDate)),
+    el('td', {}, formatDateTime(activation.lastValidation)),
+    el('td', {}, canManageDevices
+      ? el('button', { className: 'danger small', onClick: (event) => removeDevice(event.target, activation.deviceId) }, 'Remove')
+      : null)
+  ));
+  if (deviceRows.length === 0) {
+    deviceRows.push(el('tr', {}, el('td', { colspan: 4, className: 'muted' }, 'No devices activated')));
+  }
+  $('deviceRows').replaceChildren(...deviceRows);
+
+  const isFloating = license.licenseType === 'floating';
+  $('leasesCard').classList.toggle('hidden', !isFloating);
+  if (isFloating) {
+    const now = new Date();
+    const leaseRows = (license.leases || []).filter(lease => new Date(lease.expiresAt) > now).map(lease => el('tr', {},
+      el('td', { className: 'key' }, lease.deviceId),
+      el('td', {}, formatDateTime(lease.checkedOutAt)),
+      el('td', {}, formatDateTime(lease.expiresAt)),
+      el('td', {}, lease.ip || ''),
+      el('td', {}, canManageDevices
+        ? el('button', { className: 'danger small', onClick: (event) => releaseLease(event.target, lease) }, 'Release')
+        : null)
+    ));
+    if (leaseRows.length === 0) {
+      leaseRows.push(el('tr', {}, el('td', { colspan: 5, className: 'muted' }, 'No seats in use')));
+    }
+    $('leaseRows').replaceChildren(...leaseRows);
+  }
+
+  const historyRows = [...(license.deviceHistory || [])].reverse().map(entry => el('tr', {},
+    el('td', {}, formatDateTime(entry.date)),
+    el('td', {}, entry.action),
+    el('td', { className: 'key' }, entry.toDeviceId ? `${entry.deviceId} → ${entry.toDeviceId}` : entry.deviceId),
+    el('td', {}, entry.actor),
+    el('td', {}, entry.reason || '')
+  ));
+  if (historyRows.length === 0) {
+    historyRows.push(el('tr', {}, el('td', { colspan: 5, className: 'muted' }, 'No device changes yet')));
+  }
+  $('historyRows').replaceChildren(...historyRows);
+}
+
+const licensePath = (action = '') =>
+  `/api/admin/licenses/${encodeURIComponent(state.current.licenseKey)}${action}`;
+
+function suspendLicense(event) {
+  const reason = window.prompt('Reason for deactivating this license (optional):');
+  if (reason === null) return;
+  return withButton(event.target, async () => {
+    const data = await api(licensePath('/suspend'), { method: 'POST', body: { reason } });
+    state.current = data.license;
+    renderLicenseDetail();
+    showMessage('License deactivated');
+  });
+}
+
+function reactivateLicense(event) {
+  return withButton(event.target, async () => {
+    const data = await api(licensePath('/reactivate'), { method: 'POST', body: {} });
+    state.current = data.license;
+    renderLicenseDetail();
+    showMessage('License reactivated');
+  });
+}
+
+function resendKey(event) {
+  return withButton(event.target, async () => {
+    const data = await api(licensePath('/resend-key'), { method: 'POST', body: {} });
+    showMessage(data.message);
+  });
+}
+
+function renewLicense(event) {
+  event.preventDefault();
+  return withButton(event.submitter, async () => {
+    const data = await api(licensePath('/renew'), {
+      method: 'POST',
+      body: { durationMonths: Number($('renewMonths').value) }
+    });
+    state.current = data.license;
+    renderLicenseDetail();
+    showMessage(`License renewed until ${formatDate(data.license.expiryDate)}`);
+  });
+}
+
+function saveLicense(event) {
+  event.preventDefault();
+  return withButton(event.submitter, async () => {
+    const data = await api(licensePath(), {
+      method: 'PATCH',
+      body: {
+        customerName: $('editName').value,
+        customerEmail: $('editEmail').value,
+        planType: $('editPlan').value,
+        maxActivations: Number($('editMaxActivations').value),
+        ...floatingFields('editLicenseType', 'editMaxConcurrent'),
+        notes: $('editNotes').value
+      }
+    });
+    state.current = data.license;
+    renderLicenseDetail();
+    await loadEntitlements();
+    showMessage('License updated');
+  });
+}
+
+function removeDevice(button, deviceId) {
+  const reason = window.prompt(`Remove device ${deviceId}? Enter a reason (optional):`);
+  if (reason === null) return;
+  return withButton(button, async () => {
+    await api('/api/admin/remove-device', {
+      method: 'POST',
+      body: { licenseKey: state.current.licenseKey, deviceId, reason }
+    });
+    await loadLicense(state.current.licenseKey);
+    showMessage('Device removed');
+  });
+}
+
+function releaseLease(button, lease) {
+  if (!window.confirm(`Free the seat held by ${lease.deviceId}? The device will need to check out a seat again.`)) return;
+  return withButton(button, async () => {
+    await api(licensePath(`/leases/${encodeURIComponent(lease.leaseId)}`), { method: 'DELETE' });
+    await loadLicense(state.current.licenseKey);
+    showMessage('Seat released');
+  });
+}
+
+// Concurrent seats only apply to floating licenses
+function toggleFloatingFields(form) {
+  const floating = form.querySelector('.license-type-select').value === 'floating';
+  for (const group of form.querySelectorAll('.floating-only')) group.classList.toggle('hidden', !floating);
+}
+
+function floatingFields(typeId, seatsId) {
+  const licenseType = $(typeId).value;
+  return licenseType === 'floating'
+    ? { licenseType, maxConcurrent: Number($(seatsId).value) }
+    : { licenseType };
+}
+
+// ==================== CREATE LICENSE ====================
+
+function createLicense(event) {
+  event.preventDefault();
+  return withButton($('createBtn'), async () => {
+    const data = await api('/api/admin/create-license', {
+      method: 'POST',
+      body: {
+        customerName: $('customerName').value,
+        customerEmail: $('customerEmail').value,
+        planType: $('planType').value,
+        durationMonths: Number($('durationMonths').value),
+        maxActivations: Number($('maxActivations').value),
+        ...floatingFields('licenseType', 'maxConcurrent'),
+        notes: $('notes').value,
+        sendEmail: $('sendEmail').checked
+      }
+    });
+
+    const { license } = data;
+    $('createResult').replaceChildren(
+      el('h2', {}, '✅ License Created!'),
+      el('strong', {}, 'License Key:'),
+      el('code', { className: 'license-key-display' }, license.licenseKey),
+      el('dl', { className: 'details' },
+        el('dt', {}, 'Customer'), el('dd', {}, license.customerName),
+        el('dt', {}, 'Email'), el('dd', {}, license.customerEmail),
+        el('dt', {}, 'Plan'), el('dd', {}, license.planType),
+        el('dt', {}, 'Devices'), el('dd', {}, license.maxActivations),
+        el('dt', {}, 'Expiry'), el('dd', {}, formatDate(license.expiryDate))
+      ),
+      el('p', { className: 'muted' }, $('sendEmail').checked ? `The key is being emailed to ${license.customerEmail}.` : 'No email was sent.'),
+      el('p', {}, el('a', { href: `#/licenses/${encodeURIComponent(license.licenseKey)}` }, 'View license'))
+    );
+    $('createResult').classList.remove('hidden');
+    $('createForm').reset();
+    applyPlanDefaults();
+    toggleFloatingFields($('createForm'));
+  });
+}
+
+// ==================== ROUTING ====================
+
+async function route() {
+  clearMessage();
+  const [, view, licenseKey] = window.location.hash.split('/');
+  const name = ['create', 'review'].includes(view) ? view : licenseKey ? 'detail' : 'licenses';
+
+  for (const section of ['licenses', 'detail', 'create', 'review']) {
+    $(`view-${section}`).classList.toggle('hidden', section !== name);
+  }
+  for (const link of document.querySelectorAll('header nav a')) {
+    link.classList.toggle('active', link.dataset.view === (name === 'detail' ? 'licenses' : name));
+  }
+
+  try {
+    if (name === 'licenses') await loadLicenses();
+    if (name === 'detail') await loadLicense(decodeURIComponent(licenseKey));
+    if (name === 'create') $('createResult').classList.add('hidden');
+    if (name === 'review') await loadFlags();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+}
+
+async function logout() {
+  await fetch('/api/admin/auth/logout', { method: 'POST', credentials: 'same-origin' });
+  window.location.href = '/admin/login';
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    state.session = await api('/api/admin/auth/session');
+  } catch (error) {
+    return;
+  }
+  $('currentUser').textContent = state.session.username;
+
+  // Hide controls the signed-in user has no scope for
+  for (const node of document.querySelectorAll('[data-scope]')) {
+    node.classList.toggle('hidden', !hasScope(node.dataset.scope));
+  }
+
+  $('logoutBtn').addEventListener('click', logout);
+  $('filterForm').addEventListener('submit', (event) => { event.preventDefault(); applyFilters(); });
+  $('exportCsv').addEventListener('click', () => {
+    const params = listQuery(null);
+    params.delete('limit');
+    window.location.href = `/api/admin/licenses/export?${params}`;
+  });
+  $('prevPage').addEventListener('click', () => changePage(-1));
+  $('nextPage').addEventListener('click', () => changePage(1));
+  $('suspendBtn').addEventListener('click', suspendLicense);
+  $('reactivateBtn').addEventListener('click', reactivateLicense);
+  $('resendKeyBtn').addEventListener('click', resendKey);
+  $('renewForm').addEventListener('submit', renewLicense);
+  $('editForm').addEventListener('submit', saveLicense);
+  $('createForm').addEventListener('submit', createLicense);
+  $('planType').addEventListener('change', applyPlanDefaults);
+  for (const select of document.querySelectorAll('.license-type-select')) {
+    select.addEventListener('change', () => toggleFloatingFields(select.form));
+  }
+  toggleFloatingFields($('createForm'));
+  $('flagStatus').addEventListener('change', () => loadFlags().catch(error => showMessage(error.message, 'error')));
+  window.addEventListener('hashchange', route);
+
+  try {
+    await loadPlans();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+
+  route();
+});
@@ -0,0 +1,44 @@
+// Admin panel sign-in (/admin/login). Kept out of the page so the CSP can
+// refuse inline scripts.
+
+document.getElementById('loginForm').addEventListener('submit', async function(event) {
+  event.preventDefault();
+
+  const loginBtn = document.getElementById('loginBtn');
+  const errorDiv = document.getElementById('error');
+  const codeInput = document.getElementById('code');
+
+  loginBtn.disabled = true;
+  errorDiv.classList.add('hidden');
+
+  try {
+    const response = await fetch('/api/admin/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'same-origin',
+      body: JSON.stringify({
+        username: document.getElementById('username').value.trim(),
+        password: document.getElementById('password').value,
+        code: codeInput.value.trim() || undefined
+      })
+    });
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      window.location.href = '/admin';
+      return;
+    }
+
+    if (data.totpRequired) {
+      document.getElementById('codeGroup').classList.remove('hidden');
+      codeInput.focus();
+    }
+    errorDiv.textContent = data.error || 'Sign in failed';
+    errorDiv.classList.remove('hidden');
+  } catch (error) {
+    errorDiv.textContent = 'Network Error: ' + error.message;
+    errorDiv.classList.remove('hidden');
+  } finally {
+    loginBtn.disabled = false;
+  }
+});
@@ -0,0 +1,214 @@
+// Organization admin page: the seat pool, members and invites of the signed-in
+// admin's own organization (/api/org). Same rules as admin.js: no inline
+// handlers, and member-supplied values only ever go through textContent.
+
+const state = {
+  session: null
+};
+
+// ==================== HELPERS ====================
+
+const $ = (id) => document.getElementById(id);
+
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    if (name === 'className') node.className = value;
+    else if (name.startsWith('on')) node.addEventListener(name.slice(2).toLowerCase(), value);
+    else node.setAttribute(name, value);
+  }
+  for (const child of children) {
+    if (child === null || child === undefined) continue;
+    node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  }
+  return node;
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+function showMessage(text, type = 'success') {
+  const message = $('message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+const clearMessage = () => { $('message').className = 'message hidden'; };
+
+async function api(path, { method = 'GET', body } = {}) {
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (method !== 'GET') headers['X-CSRF-Token'] = state.session.csrfToken;
+
+  const response = await fetch(path, {
+    method,
+    headers,
+    credentials: 'same-origin',
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  if (response.status === 401) {
+    window.location.href = '/admin/login';
+    throw new Error('Session expired');
+  }
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+async function withButton(button, action) {
+  button.disabled = true;
+  clearMessage();
+  try {
+    await action();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// ==================== ORGANIZATION ====================
+
+async function load() {
+  const [organization, licenses, invites] = await Promise.all([
+    api('/api/org'),
+    api('/api/org/licenses'),
+    api('/api/org/invites')
+  ]);
+  renderSummary(organization);
+  renderMembers(licenses, organization.usage.perMember);
+  renderInvites(invites);
+}
+
+function renderSummary(organization) {
+  const { usage } = organization;
+  $('orgTitle').textContent = organization.displayName;
+  $('summaryFields').replaceChildren(...[
+    ['Plan', organization.planType],
+    ['Seats', `${organization.seatsAllocated} of ${organization.seats} allocated (${organization.seatsAvailable} free)`],
+    ['Members', usage.members],
+    ['Devices activated', usage.devicesActivated],
+    [`Active in the last ${usage.windowDays} days`, `${usage.activeMembers} member(s), ${usage.activeDevices} device(s)`],
+    ['Valid until', formatDate(organization.expiryDate)]
+  ].flatMap(([label, value]) => [el('dt', {}, label), el('dd', {}, value)]));
+}
+
+function renderMembers(licenses, usage) {
+  const lastSeen = new Map(usage.map(member => [member.licenseKey, member.lastSeenAt]));
+  const rows = licenses.map(license => el('tr', {},
+    el('td', {}, license.customerName, el('div', { className: 'muted' }, license.customerEmail)),
+    el('td', { className: 'key' }, license.licenseKey),
+    el('td', {},
+      `${license.deviceActivations.length} / ${license.maxActivations}`,
+      ...license.deviceActivations.map(activation => el('div', {},
+        el('span', { className: 'key' }, activation.deviceId), ' ',
+        el('button', { className: 'secondary small', onClick: (event) => removeDevice(event.target, license, activation.deviceId) }, 'Free')
+      ))
+    ),
+    el('td', {}, formatDateTime(lastSeen.get(license.licenseKey))),
+    el('td', {}, el('button', { className: 'danger small', onClick: (event) => reclaim(event.target, license) }, 'Reclaim Seat'))
+  ));
+  if (rows.length === 0) {
+    rows.push(el('tr', {}, el('td', { colspan: 5, className: 'muted' }, 'No members yet')));
+  }
+  $('memberRows').replaceChildren(...rows);
+}
+
+function renderInvites(invites) {
+  const rows = invites.filter(invite => invite.status !== 'accepted').map(invite => el('tr', {},
+    el('td', {}, invite.email),
+    el('td', {}, invite.status),
+    el('td', {}, formatDate(invite.expiresAt)),
+    el('td', {}, invite.status === 'pending'
+      ? el('button', { className: 'secondary small', onClick: (event) => revokeInvite(event.target, invite) }, 'Revoke')
+      : null)
+  ));
+  if (rows.length === 0) {
+    rows.push(el('tr', {}, el('td', { colspan: 4, className: 'muted' }, 'No open invites')));
+  }
+  $('inviteRows').replaceChildren(...rows);
+}
+
+function reclaim(button, license) {
+  if (!window.confirm(`Remove ${license.customerName}'s license ${license.licenseKey}? Its key stops working and the seats return to the pool.`)) return;
+  return withButton(button, async () => {
+    await api(`/api/org/licenses/${encodeURIComponent(license.licenseKey)}`, { method: 'DELETE' });
+    await load();
+    showMessage('Seat reclaimed');
+  });
+}
+
+function removeDevice(button, license, deviceId) {
+  if (!window.confirm(`Free the seat used by device ${deviceId}?`)) return;
+  return withButton(button, async () => {
+    await api(`/api/org/licenses/${encodeURIComponent(license.licenseKey)}/devices/${encodeURIComponent(deviceId)}`, { method: 'DELETE' });
+    await load();
+    showMessage('Device removed');
+  });
+}
+
+function revokeInvite(button, invite) {
+  return withButton(button, async () => {
+    await api(`/api/org/invites/${encodeURIComponent(invite.id)}`, { method: 'DELETE' });
+    await load();
+    showMessage('Invite revoked');
+  });
+}
+
+function sendInvite(event) {
+  event.preventDefault();
+  return withButton(event.submitter, async () => {
+    const body = { email: $('inviteEmail').value, maxActivations: Number($('inviteSeats').value) };
+    if ($('inviteName').value.trim()) body.customerName = $('inviteName').value;
+    await api('/api/org/invites', { method: 'POST', body });
+    $('inviteForm').reset();
+    await load();
+    showMessage(`Invite sent to ${body.email}`);
+  });
+}
+
+function issueKey(event) {
+  event.preventDefault();
+  return withButton(event.submitter, async () => {
+    const data = await api('/api/org/licenses', {
+      method: 'POST',
+      body: {
+        customerName: $('issueName').value,
+        customerEmail: $('issueEmail').value,
+        maxActivations: Number($('issueSeats').value)
+      }
+    });
+    $('issueForm').reset();
+    await load();
+    showMessage(`Key ${data.license.licenseKey} issued and emailed to ${data.license.customerEmail}`);
+  });
+}
+
+async function logout() {
+  await fetch('/api/admin/auth/logout', { method: 'POST', credentials: 'same-origin' });
+  window.location.href = '/admin/login';
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    state.session = await api('/api/admin/auth/session');
+  } catch (error) {
+    return;
+  }
+  $('currentUser').textContent = state.session.username;
+
+  $('logoutBtn').addEventListener('click', logout);
+  $('inviteForm').addEventListener('submit', sendInvite);
+  $('issueForm').addEventListener('submit', issueKey);
+
+  try {
+    await load();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  }
+});
@@ -0,0 +1,49 @@
+// Organization invite acceptance (/invite). Kept out of the page so the CSP
+// can refuse inline scripts.
+
+// The invite token is in the URL fragment, which browsers never send to the server
+const token = window.location.hash.slice(1);
+const errorDiv = document.getElementById('error');
+
+if (!token) {
+  document.getElementById('acceptForm').classList.add('hidden');
+  errorDiv.textContent = 'This invitation link is incomplete. Please open the link from your email again.';
+  errorDiv.classList.remove('hidden');
+}
+
+document.getElementById('acceptForm').addEventListener('submit', async function(event) {
+  event.preventDefault();
+
+  const acceptBtn = document.getElementById('acceptBtn');
+  acceptBtn.disabled = true;
+  errorDiv.classList.add('hidden');
+
+  try {
+    const response = await fetch('/api/org-invites/accept', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        token,
+        customer_name: document.getElementById('name').value.trim()
+      })
+    });
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      history.replaceState(null, '', window.location.pathname);
+      document.getElementById('organization').textContent = data.organization;
+      document.getElementById('licenseKey').textContent = data.license_key;
+      document.getElementById('acceptForm').classList.add('hidden');
+      document.getElementById('result').classList.remove('hidden');
+      return;
+    }
+
+    errorDiv.textContent = data.message || data.error || 'The invitation could not be accepted';
+    errorDiv.classList.remove('hidden');
+  } catch (error) {
+    errorDiv.textContent = 'Network Error: ' + error.message;
+    errorDiv.classList.remove('hidden');
+  } finally {
+    acceptBtn.disabled = false;
+  }
+});
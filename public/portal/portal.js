@@ -0,0 +1,223 @@
+// Customer portal: sign in with an emailed link, then see your own licenses
+// (/api/portal). Same rules as the admin scripts: no inline handlers, and
+// license values only ever go through textContent.
+
+const state = {
+  session: null
+};
+
+// ==================== HELPERS ====================
+
+const $ = (id) => document.getElementById(id);
+
+function el(tag, attrs = {}, ...children) {
+  const node = document.createElement(tag);
+  for (const [name, value] of Object.entries(attrs)) {
+    if (name === 'className') node.className = value;
+    else if (name.startsWith('on')) node.addEventListener(name.slice(2).toLowerCase(), value);
+    else node.setAttribute(name, value);
+  }
+  for (const child of children) {
+    if (child === null || child === undefined) continue;
+    node.append(child instanceof Node ? child : document.createTextNode(String(child)));
+  }
+  return node;
+}
+
+const formatDate = (value) => (value ? new Date(value).toLocaleDateString() : '—');
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+function formatAmount(receipt) {
+  if (receipt.amount === undefined || receipt.amount === null) return '—';
+  return `${(receipt.amount / 100).toFixed(2)} ${receipt.currency || ''}`.trim();
+}
+
+function showMessage(text, type = 'success') {
+  const message = $('message');
+  message.textContent = text;
+  message.className = `message ${type}`;
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+const clearMessage = () => { $('message').className = 'message hidden'; };
+
+async function api(path, { method = 'GET', body } = {}) {
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (method !== 'GET' && state.session) headers['X-CSRF-Token'] = state.session.csrfToken;
+
+  const response = await fetch(path, {
+    method,
+    headers,
+    credentials: 'same-origin',
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401 && state.session) {
+    state.session = null;
+    showSignIn();
+  }
+  if (!response.ok || data.success === false) {
+    throw new Error(data.error || `Request failed (${response.status})`);
+  }
+  return data;
+}
+
+async function withButton(button, action) {
+  button.disabled = true;
+  clearMessage();
+  try {
+    await action();
+  } catch (error) {
+    showMessage(error.message, 'error');
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// ==================== SESSION ====================
+
+function showSignIn() {
+  $('sessionBar').classList.add('hidden');
+  $('licenseList').replaceChildren();
+  $('signInCard').classList.remove('hidden');
+}
+
+async function signedIn(session) {
+  state.session = session;
+  $('currentEmail').textContent = session.email;
+  $('signInCard').classList.add('hidden');
+  $('sessionBar').classList.remove('hidden');
+  await load();
+}
+
+function requestLink(event) {
+  event.preventDefault();
+  return withButton(event.submitter, async () => {
+    const data = await api('/api/portal/login', { method: 'POST', body: { email: $('loginEmail').value.trim() } });
+    showMessage(data.message);
+  });
+}
+
+async function logout() {
+  await fetch('/api/portal/logout', { method: 'POST', credentials: 'same-origin' });
+  state.session = null;
+  showSignIn();
+}
+
+// ==================== LICENSES ====================
+
+async function load() {
+  const licenses = await api('/api/portal/licenses');
+  const cards = licenses.map(renderLicense);
+  if (cards.length === 0) {
+    cards.push(el('div', { className: 'card muted' }, 'No licenses are registered to this email address.'));
+  }
+  $('licenseList').replaceChildren(...cards);
+}
+
+function renderLicense(license) {
+  const key = encodeURIComponent(license.licenseKey);
+  const seats = license.licenseType === 'floating'
+    ? `${license.seatsInUse} of ${license.maxConcurrent} in use right now`
+    : `${license.devices.length} of ${license.maxActivations} activated`;
+
+  const deviceRows = license.devices.map(device => el('tr', {},
+    el('td', { className: 'key' }, device.deviceId),
+    el('td', {}, formatDate(device.activatedAt)),
+    el('td', {}, formatDateTime(device.lastSeenAt)),
+    el('td', {}, el('button', {
+      className: 'secondary small',
+      onClick: (event) => deactivate(event.target, license, device.deviceId)
+    }, 'Deactivate'))
+  ));
+  if (deviceRows.length === 0) {
+    deviceRows.push(el('tr', {}, el('td', { colspan: 4, className: 'muted' }, 'No devices activated')));
+  }
+
+  const receiptRows = el('tbody', {});
+  const card = el('div', { className: 'card' },
+    el('h2', {}, license.planType, ' ', el('span', { className: `badge ${license.status}` }, license.status)),
+    el('dl', { className: 'details' }, ...[
+      ['License key', el('span', { className: 'key' }, license.licenseKey)],
+      ['Registered to', license.customerName],
+      ['Purchased', formatDate(license.purchaseDate)],
+      ['Valid until', formatDate(license.expiryDate)],
+      ['Devices', seats],
+      ['Transfers left', license.transfersRemaining]
+    ].flatMap(([label, value]) => [el('dt', {}, label), el('dd', {}, value)])),
+    el('div', { className: 'actions' },
+      el('button', { className: 'secondary small', onClick: (event) => resendKey(event.target, license) }, 'Email Me This Key'),
+      el('a', { href: `/api/portal/licenses/${key}/receipts?format=csv` }, 'Download receipts (CSV)')
+    ),
+    el('h3', {}, 'Devices'),
+    el('table', {},
+      el('thead', {}, el('tr', {}, el('th', {}, 'Device'), el('th', {}, 'Activated'), el('th', {}, 'Last Seen'), el('th', {}))),
+      el('tbody', {}, ...deviceRows)
+    ),
+    el('h3', {}, 'Payments'),
+    el('table', {},
+      el('thead', {}, el('tr', {}, el('th', {}, 'Date'), el('th', {}, 'Type'), el('th', {}, 'Amount'), el('th', {}, 'Invoice'))),
+      receiptRows
+    )
+  );
+
+  loadReceipts(license, receiptRows).catch(error => showMessage(error.message, 'error'));
+  return card;
+}
+
+async function loadReceipts(license, tbody) {
+  const receipts = await api(`/api/portal/licenses/${encodeURIComponent(license.licenseKey)}/receipts`);
+  const rows = receipts.map(receipt => el('tr', {},
+    el('td', {}, formatDate(receipt.paidAt)),
+    el('td', {}, receipt.refundedAt ? `${receipt.kind} (refunded)` : receipt.kind),
+    el('td', {}, formatAmount(receipt)),
+    el('td', {}, receipt.invoiceUrl && receipt.invoiceUrl.startsWith('https://')
+      ? el('a', { href: receipt.invoiceUrl, target: '_blank', rel: 'noopener' }, 'View')
+      : el('span', { className: 'key' }, receipt.transactionId))
+  ));
+  if (rows.length === 0) {
+    rows.push(el('tr', {}, el('td', { colspan: 4, className: 'muted' }, 'No payments on record')));
+  }
+  tbody.replaceChildren(...rows);
+}
+
+function deactivate(button, license, deviceId) {
+  if (!window.confirm(`Deactivate ${deviceId}? You can then activate ${license.licenseKey} on another computer.`)) return;
+  return withButton(button, async () => {
+    await api(`/api/portal/licenses/${encodeURIComponent(license.licenseKey)}/devices/${encodeURIComponent(deviceId)}/deactivate`, { method: 'POST' });
+    await load();
+    showMessage('Device deactivated');
+  });
+}
+
+function resendKey(button, license) {
+  return withButton(button, async () => {
+    const data = await api(`/api/portal/licenses/${encodeURIComponent(license.licenseKey)}/resend-key`, { method: 'POST' });
+    showMessage(data.message);
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  $('loginForm').addEventListener('submit', requestLink);
+  $('logoutBtn').addEventListener('click', logout);
+
+  // Sign-in links look like /portal#login=<token>; the fragment never reaches the server
+  const match = window.location.hash.match(/^#login=(.+)$/);
+  if (match) {
+    history.replaceState(null, '', window.location.pathname);
+    try {
+      return await signedIn(await api('/api/portal/verify', { method: 'POST', body: { token: match[1] } }));
+    } catch (error) {
+      showSignIn();
+      return showMessage(error.message, 'error');
+    }
+  }
+
+  try {
+    await signedIn(await api('/api/portal/session'));
+  } catch (error) {
+    showSignIn();
+  }
+});
@@ -0,0 +1,147 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const AbuseFlag = require('../models/AbuseFlag');
+const License = require('../models/License');
+const { requireScope } = require('../middleware/adminAuth');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit, snapshotLicense } = require('../lib/audit');
+
+// Review queue for licenses flagged by the abuse detector (lib/abuse.js),
+// mounted at /api/admin/abuse-flags behind authenticateAdmin
+const router = express.Router();
+
+const STATUSES = ['open', 'dismissed', 'confirmed'];
+const MAX_RESULTS = 200;
+
+// Flags by status (default open), most recently flagged first, with the
+// license's customer and state alongside
+router.get('/', requireScope('licenses:read'), async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    if (!STATUSES.includes(status)) {
+      return sendValidationError(res, [`status must be one of ${STATUSES.join(', ')}`]);
+    }
+
+    const flags = await AbuseFlag.find({ status }).sort({ lastFlaggedAt: -1 }).limit(MAX_RESULTS).lean();
+    const licenses = await License.find(
+      { licenseKey: { $in: flags.map(flag => flag.licenseKey) } },
+      { licenseKey: 1, customerEmail: 1, customerName: 1, isActive: 1, maxActivations: 1, currentActivations: 1 }
+    ).lean();
+    const byKey = new Map(licenses.map(license => [license.licenseKey, license]));
+
+    res.json(flags.map(flag => ({ ...flag, license: byKey.get(flag.licenseKey) || null })));
+  } catch (error) {
+    console.error('💥 Error fetching abuse flags:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.param('id', async (req, res, next, id) => {
+  try {
+    req.flag = mongoose.isValidObjectId(id) ? await AbuseFlag.findById(id) : null;
+    if (!req.flag) {
+      return res.status(404).json({ success: false, error: 'Flag not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:id', requireScope('licenses:read'), (req, res) => {
+  res.json(req.flag);
+});
+
+// Close an open flag as `status`, recording who reviewed it and why
+async function review(req, res, status) {
+  const { values, errors } = validateFields(req.body, { optional: ['reason'] });
+  if (errors.length) {
+    sendValidationError(res, errors);
+    return null;
+  }
+
+  const { flag } = req;
+  if (flag.status !== 'open') {
+    res.status(409).json({ success: false, error: `Flag is already ${flag.status}` });
+    return null;
+  }
+
+  flag.status = status;
+  flag.reviewedBy = req.admin.id;
+  flag.reviewedAt = new Date();
+  flag.reviewNote = values.reason || '';
+  await flag.save();
+
+  await recordAudit(req, {
+    action: `abuse.${status}`,
+    licenseKey: flag.licenseKey,
+    details: { flagId: String(flag._id), reason: flag.reviewNote }
+  });
+  return flag;
+}
+
+// Not abuse: close the flag and lift an automatic suspension
+router.post('/:id/dismiss', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const flag = await review(req, res, 'dismissed');
+    if (!flag) return;
+
+    let reactivated = false;
+    const license = flag.autoSuspended && await License.findOne({ licenseKey: flag.licenseKey, isActive: false });
+    if (license) {
+      const before = snapshotLicense(license);
+      license.isActive = true;
+      license.suspendedAt = undefined;
+      license.suspensionReason = undefined;
+      await license.save();
+      await recordAudit(req, {
+        action: 'license.reactivated',
+        licenseKey: license.licenseKey,
+        before,
+        after: snapshotLicense(license)
+      });
+      reactivated = true;
+    }
+
+    console.log(`✅ Abuse flag for ${flag.licenseKey} dismissed${reactivated ? ', license reactivated' : ''}`);
+
+    res.json({ success: true, flag, reactivated });
+  } catch (error) {
+    console.error('💥 Error dismissing abuse flag:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Confirmed sharing: close the flag and suspend the license
+router.post('/:id/confirm', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const flag = await review(req, res, 'confirmed');
+    if (!flag) return;
+
+    let suspended = false;
+    const license = await License.findOne({ licenseKey: flag.licenseKey, isActive: true });
+    if (license) {
+      const before = snapshotLicense(license);
+      license.isActive = false;
+      license.suspendedAt = new Date();
+      license.suspensionReason = flag.reviewNote || 'License sharing';
+      await license.save();
+      await recordAudit(req, {
+        action: 'license.suspended',
+        licenseKey: license.licenseKey,
+        before,
+        after: snapshotLicense(license)
+      });
+      suspended = true;
+    }
+
+    console.log(`🚫 Abuse flag for ${flag.licenseKey} confirmed${suspended ? ', license suspended' : ''}`);
+
+    res.json({ success: true, flag, suspended });
+  } catch (error) {
+    console.error('💥 Error confirming abuse flag:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,40 @@
+const express = require('express');
+const { requireScope } = require('../middleware/adminAuth');
+const { sendValidationError } = require('../lib/validation');
+const analytics = require('../lib/analytics');
+
+// Aggregated metrics for dashboards, mounted at /api/admin/analytics behind
+// authenticateAdmin. Every endpoint takes from, to (to is exclusive) and
+// planType; see lib/analytics.js for where each number comes from.
+const router = express.Router();
+
+// Parse the range, run `query` on it and send the result alongside the range
+const analyticsRoute = (query, rangeOptions) => async (req, res) => {
+  try {
+    const { errors, ...range } = analytics.parseRange(req.query, rangeOptions);
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      planType: range.planType || null,
+      ...await query(range)
+    });
+  } catch (error) {
+    console.error('💥 Analytics error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+router.get('/active-devices', requireScope('licenses:read'), analyticsRoute(analytics.activeDevices));
+router.get('/activations', requireScope('licenses:read'), analyticsRoute(analytics.activations));
+router.get('/failures', requireScope('licenses:read'), analyticsRoute(analytics.failures));
+router.get('/versions', requireScope('licenses:read'), analyticsRoute(analytics.versions));
+// Defaults to the next 12 months
+router.get('/expiring', requireScope('licenses:read'), analyticsRoute(analytics.expiring, { defaultDays: 365, forward: true }));
+// Defaults to licenses due in the last 12 months
+router.get('/renewals', requireScope('licenses:read'), analyticsRoute(analytics.renewals, { defaultDays: 365 }));
+
+module.exports = router;
@@ -0,0 +1,97 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { requireScope, ungrantableScopes, generateApiKey } = require('../middleware/adminAuth');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit } = require('../lib/audit');
+
+// Admin API key management, mounted at /api/admin/api-keys behind authenticateAdmin
+const router = express.Router();
+
+router.use(requireScope('keys:manage'));
+
+// List keys (hashes are never returned)
+router.get('/', async (req, res) => {
+  try {
+    const keys = await ApiKey.find().sort({ createdAt: -1 });
+    res.json(keys.map(key => key.toPublic()));
+  } catch (error) {
+    console.error('💥 Error fetching API keys:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a key. The plaintext key is only ever returned in this response.
+router.post('/', async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['name', 'scopes'],
+      optional: ['expiresAt']
+    });
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const ungrantable = ungrantableScopes(req.admin, values.scopes);
+    if (ungrantable.length) {
+      return res.status(403).json({ success: false, error: `Forbidden - Cannot grant scopes you do not hold: ${ungrantable.join(', ')}` });
+    }
+
+    const { key, prefix, keyHash } = generateApiKey();
+    const apiKey = await ApiKey.create({
+      name: values.name,
+      prefix,
+      keyHash,
+      scopes: values.scopes,
+      expiresAt: values.expiresAt,
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, {
+      action: 'apikey.created',
+      details: { name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expiresAt }
+    });
+
+    console.log(`🔐 API key created: ${apiKey.name} (${apiKey.scopes.join(', ')})`);
+
+    res.status(201).json({ success: true, key, apiKey: apiKey.toPublic() });
+  } catch (error) {
+    console.error('💥 Error creating API key:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'An API key with this name already exists' });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Revoke a key by name. Revoked keys are kept for the record.
+router.delete('/:name', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ name: req.params.name });
+    if (!apiKey) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+    if (apiKey.revokedAt) {
+      return res.status(409).json({ success: false, error: 'API key is already revoked' });
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    await recordAudit(req, {
+      action: 'apikey.revoked',
+      details: { name: apiKey.name }
+    });
+
+    console.log(`🔒 API key revoked: ${apiKey.name}`);
+
+    res.json({ success: true, apiKey: apiKey.toPublic() });
+  } catch (error) {
+    console.error('💥 Error revoking API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
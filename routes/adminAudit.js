@@ -0,0 +1,80 @@
+const express = require('express');
+const AuditLog = require('../models/AuditLog');
+const { verifyChain } = require('../lib/audit');
+
+// Audit log queries, mounted at /api/admin/audit behind authenticateAdmin
+const router = express.Router();
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Query entries, newest first.
+// Filters: licenseKey, deviceId, action (exact or prefix like "device."), from, to
+// Paging: limit (max 500) and before=<seq> from the previous page's nextBefore
+router.get('/', async (req, res) => {
+  try {
+    const { licenseKey, deviceId, action, from, to, before } = req.query;
+    const filter = {};
+
+    if (licenseKey) filter.licenseKey = String(licenseKey);
+    if (deviceId) filter.deviceId = String(deviceId);
+    if (action) {
+      const actionText = String(action);
+      filter.action = actionText.endsWith('.')
+        ? { $regex: `^${actionText.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` }
+        : actionText;
+    }
+
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) {
+        const fromDate = parseDate(from);
+        if (!fromDate) return res.status(400).json({ error: 'from must be a valid date' });
+        filter.timestamp.$gte = fromDate;
+      }
+      if (to) {
+        const toDate = parseDate(to);
+        if (!toDate) return res.status(400).json({ error: 'to must be a valid date' });
+        filter.timestamp.$lte = toDate;
+      }
+    }
+
+    if (before) {
+      const beforeSeq = parseInt(before, 10);
+      if (!Number.isInteger(beforeSeq)) return res.status(400).json({ error: 'before must be a sequence number' });
+      filter.seq = { $lt: beforeSeq };
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const entries = await AuditLog.find(filter).sort({ seq: -1 }).limit(limit).lean();
+
+    res.json({
+      entries,
+      nextBefore: entries.length === limit ? entries[entries.length - 1].seq : null
+    });
+  } catch (error) {
+    console.error('💥 Error querying audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Recompute the hash chain and report the first tampered or missing entry
+router.get('/verify', async (req, res) => {
+  try {
+    const result = await verifyChain();
+    if (!result.valid) {
+      console.error(`🚨 Audit chain broken at seq ${result.brokenAt}: ${result.reason}`);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('💥 Error verifying audit log:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const AdminUser = require('../models/AdminUser');
+const { verifyPassword, hashPassword, dummyHash } = require('../lib/password');
+const { generateSecret, verifyTotp, otpauthUrl } = require('../lib/totp');
+const { createSession, destroySession, destroyUserSessions } = require('../lib/adminSessions');
+const { authenticateAdmin } = require('../middleware/adminAuth');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit } = require('../lib/audit');
+const { limiterStore } = require('../lib/rateLimitStore');
+
+// Admin panel sign-in, mounted at /api/admin/auth
+const router = express.Router();
+
+// Failed logins only; a successful login doesn't count against the limit
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => req.ip,
+  store: limiterStore('admin-login'),
+  message: { error: 'Too many login attempts. Please try again later.' }
+});
+
+// Only a signed-in panel user (not an API key) can manage their own login
+const requireSession = (req, res, next) => {
+  if (!req.admin || !req.admin.session) {
+    return res.status(403).json({ error: 'Forbidden - Requires an admin panel session' });
+  }
+  next();
+};
+
+router.post('/login', loginLimiter, async (req, res) => {
+  try {
+    const { username, password, code } = req.body || {};
+    if (typeof username !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: 'Username and password are required' });
+    }
+
+    const user = await AdminUser.findOne({ username });
+    let passwordOk = false;
+    if (user && !user.disabledAt) {
+      passwordOk = await verifyPassword(password, user.passwordHash);
+    } else {
+      // Spend as long on unknown users as on wrong passwords
+      await verifyPassword(password, await dummyHash);
+    }
+
+    const actor = { type: 'admin', id: `user:${username}` };
+
+    if (!passwordOk) {
+      console.log('❌ Admin login failed:', username);
+      await recordAudit(req, { action: 'admin.login_failed', actor, details: { reason: 'bad_credentials' } });
+      return res.status(401).json({ error: 'Invalid username or password' });
+    }
+
+    if (user.totpEnabled) {
+      if (!code) {
+        return res.status(401).json({ error: 'Authenticator code required', totpRequired: true });
+      }
+      const counter = verifyTotp(user.totpSecret, code);
+      if (counter === null || (user.totpLastCounter !== undefined && counter <= user.totpLastCounter)) {
+        console.log('❌ Admin login failed (TOTP):', username);
+        await recordAudit(req, { action: 'admin.login_failed', actor, details: { reason: 'bad_totp' } });
+        return res.status(401).json({ error: 'Invalid authenticator code', totpRequired: true });
+      }
+      user.totpLastCounter = counter;
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const session = await createSession(user, req, res);
+    await recordAudit(req, { action: 'admin.login', actor });
+
+    console.log(`🔓 Admin signed in: ${user.username}`);
+
+    res.json({
+      success: true,
+      username: user.username,
+      csrfToken: session.csrfToken,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    console.error('💥 Admin login error:', error);
+    res.status(500).json({ error: 'Server error during login' });
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    await destroySession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('💥 Admin logout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Current session details, including the CSRF token the panel must send back
+router.get('/session', authenticateAdmin, requireSession, (req, res) => {
+  const { session } = req.admin;
+  res.json({
+    username: req.admin.name,
+    scopes: req.admin.scopes,
+    organization: req.admin.organization,
+    csrfToken: session.csrfToken,
+    expiresAt: session.expiresAt
+  });
+});
+
+router.post('/password', authenticateAdmin, requireSession, async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { required: ['currentPassword', 'newPassword'] });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const user = await AdminUser.findById(req.admin.session.user);
+    if (!await verifyPassword(values.currentPassword, user.passwordHash)) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    user.passwordHash = await hashPassword(values.newPassword);
+    await user.save();
+    await destroyUserSessions(user._id);
+    await recordAudit(req, { action: 'admin.password_changed' });
+
+    res.json({ success: true, message: 'Password changed. Please sign in again.' });
+  } catch (error) {
+    console.error('💥 Error changing password:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Start TOTP enrollment: returns a new secret to add to an authenticator app
+router.post('/totp/setup', authenticateAdmin, requireSession, async (req, res) => {
+  try {
+    const user = await AdminUser.findById(req.admin.session.user);
+    if (user.totpEnabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    user.totpSecret = generateSecret();
+    await user.save();
+
+    res.json({ secret: user.totpSecret, otpauthUrl: otpauthUrl(user.username, user.totpSecret) });
+  } catch (error) {
+    console.error('💥 Error starting TOTP setup:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Finish enrollment by proving the authenticator produces valid codes
+router.post('/totp/enable', authenticateAdmin, requireSession, async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { required: ['code'] });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const user = await AdminUser.findById(req.admin.session.user);
+    if (!user.totpSecret || user.totpEnabled) {
+      return res.status(409).json({ error: 'Start setup before enabling two-factor authentication' });
+    }
+
+    const counter = verifyTotp(user.totpSecret, values.code);
+    if (counter === null) {
+      return res.status(400).json({ error: 'Invalid authenticator code' });
+    }
+
+    user.totpEnabled = true;
+    user.totpLastCounter = counter;
+    await user.save();
+    await recordAudit(req, { action: 'admin.totp_enabled' });
+
+    res.json({ success: true, message: 'Two-factor authentication enabled' });
+  } catch (error) {
+    console.error('💥 Error enabling TOTP:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
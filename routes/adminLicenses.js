@@ -0,0 +1,606 @@
+const express = require('express');
+const { once } = require('events');
+const License = require('../models/License');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { addMonths } = require('../lib/dates');
+const { csvRow } = require('../lib/csv');
+const { recordAudit, snapshotLicense } = require('../lib/audit');
+const { requireScope } = require('../middleware/adminAuth');
+const { sendTemplateEmail, queueTemplateEmail, licenseEmailData } = require('../lib/email');
+const { entitlementsForLicense, findPlan, DEFAULT_PLAN } = require('../lib/entitlements');
+const { convertTrial } = require('../lib/trials');
+const { createLicense, createLicenses, checkNewLicense } = require('../lib/licenses');
+const { reclaimSubLicense } = require('../lib/organizations');
+const { resetDeviceKey } = require('../lib/signedRequests');
+const {
+  buildLicenseFilter,
+  buildProjection,
+  encodeCursor,
+  cursorFilter,
+  licenseStatus,
+  LISTING_SORT
+} = require('../lib/licenseQuery');
+
+// Admin license resource, mounted at /api/admin/licenses behind authenticateAdmin
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const CSV_COLUMNS = [
+  ['licenseKey', license => license.licenseKey],
+  ['customerName', license => license.customerName],
+  ['customerEmail', license => license.customerEmail],
+  ['planType', license => license.metadata && license.metadata.planType],
+  ['status', license => licenseStatus(license)],
+  ['trial', license => Boolean(license.isTrial)],
+  ['organization', license => license.organization],
+  ['licenseType', license => license.licenseType || 'node_locked'],
+  ['maxActivations', license => license.maxActivations],
+  ['maxConcurrent', license => license.maxConcurrent],
+  ['activations', license => (license.deviceActivations || []).length],
+  ['purchaseDate', license => license.purchaseDate],
+  ['expiryDate', license => license.expiryDate],
+  ['createdAt', license => license.createdAt],
+  ['notes', license => license.metadata && license.metadata.notes]
+];
+
+// List licenses, newest first, with filters (see lib/licenseQuery.js),
+// optional field projection and cursor pagination
+router.get('/', requireScope('licenses:read'), async (req, res) => {
+  try {
+    const { filter, errors } = buildLicenseFilter(req.query);
+    const projection = buildProjection(req.query.fields, errors);
+    const after = cursorFilter(req.query.cursor, errors);
+
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      errors.push(`limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const query = after ? { $and: [filter, after] } : filter;
+    // Fetch one extra to know whether another page exists
+    const licenses = await License.find(query, projection).sort(LISTING_SORT).limit(limit + 1).lean();
+    const hasMore = licenses.length > limit;
+    const page = hasMore ? licenses.slice(0, limit) : licenses;
+
+    res.json({
+      licenses: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    });
+  } catch (error) {
+    console.error('💥 Error fetching licenses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Stream every matching license as CSV (default) or NDJSON without loading
+// the collection into memory. Accepts the same filters as the listing.
+router.get('/export', requireScope('licenses:read'), async (req, res) => {
+  const format = req.query.format || 'csv';
+  const { filter, errors } = buildLicenseFilter(req.query);
+  const projection = buildProjection(req.query.fields, errors);
+
+  if (!['csv', 'ndjson'].includes(format)) {
+    errors.push('format must be csv or ndjson');
+  }
+  if (format === 'csv' && req.query.fields) {
+    errors.push('fields is only supported for ndjson exports');
+  }
+  if (errors.length) {
+    return sendValidationError(res, errors);
+  }
+
+  const cursor = License.find(filter, projection).sort(LISTING_SORT).lean().cursor();
+  req.on('close', () => cursor.close().catch(() => {}));
+
+  const filename = `licenses-${new Date().toISOString().slice(0, 10)}.${format === 'csv' ? 'csv' : 'ndjson'}`;
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  // Respect backpressure so slow clients don't buffer the whole export
+  const write = async (chunk) => {
+    if (!res.write(chunk)) await once(res, 'drain');
+  };
+
+  let count = 0;
+  try {
+    if (format === 'csv') {
+      await write(csvRow(CSV_COLUMNS.map(([name]) => name)));
+    }
+
+    for await (const license of cursor) {
+      if (res.destroyed) break;
+      await write(format === 'csv'
+        ? csvRow(CSV_COLUMNS.map(([, value]) => value(license)))
+        : JSON.stringify(license) + '\n');
+      count += 1;
+    }
+
+    res.end();
+    console.log(`📤 Exported ${count} licenses as ${format}`);
+  } catch (error) {
+    console.error('💥 License export error:', error);
+    // Headers are already sent; cut the stream so the client sees a failure
+    res.destroy(error);
+  }
+});
+
+const BULK_CSV_COLUMNS = ['licenseKey', 'planType', 'maxActivations', 'expiryDate'];
+
+// Mint `count` unassigned keys at once, e.g. for a reseller. customerEmail and
+// customerName name the reseller; no emails are sent. format=csv returns a
+// download instead of JSON.
+router.post('/bulk', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['count', 'customerEmail', 'customerName'],
+      optional: ['planType', 'durationMonths', 'maxActivations', 'notes', 'format']
+    });
+
+    const plan = errors.length ? null : await findPlan(values.planType || DEFAULT_PLAN.name);
+    if (!errors.length && !plan) {
+      errors.push(`planType "${values.planType}" is not a defined plan`);
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { count, format = 'json', planType, ...fields } = values;
+    const licenses = await createLicenses(count, { ...fields, plan });
+    const keys = licenses.map(license => ({
+      licenseKey: license.licenseKey,
+      planType: license.metadata.planType,
+      maxActivations: license.maxActivations,
+      expiryDate: license.expiryDate
+    }));
+
+    await recordAudit(req, {
+      action: 'license.bulk_created',
+      details: {
+        count,
+        planType: plan.name,
+        customerEmail: fields.customerEmail,
+        licenseKeys: keys.map(key => key.licenseKey)
+      }
+    });
+
+    console.log(`📦 ${count} licenses minted for ${fields.customerEmail} (${plan.name})`);
+
+    if (format === 'csv') {
+      res.status(201).set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="licenses-bulk-${new Date().toISOString().slice(0, 10)}.csv"`
+      });
+      return res.send(csvRow(BULK_CSV_COLUMNS) + keys.map(key => csvRow(BULK_CSV_COLUMNS.map(column => key[column]))).join(''));
+    }
+
+    res.status(201).json({ success: true, count, licenses: keys });
+  } catch (error) {
+    console.error('💥 Bulk license creation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+const MAX_IMPORT_ROWS = 500;
+
+// Create licenses for existing customers, e.g. when migrating from another
+// system. Rows take the create-license fields, or expiryDate instead of
+// durationMonths to carry over an existing expiry. Every row is checked
+// before any is created; problems are reported as "licenses[i]: ...".
+// dryRun only checks. Emails are only sent with sendEmail: true.
+router.post('/import', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { licenses: rows, sendEmail = false, dryRun = false, ...unknown } = req.body || {};
+    const errors = Object.keys(unknown).map(field => `${field} is not an allowed field`);
+
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_IMPORT_ROWS) {
+      errors.push(`licenses must be an array of 1 to ${MAX_IMPORT_ROWS} licenses`);
+    }
+    if (typeof sendEmail !== 'boolean' || typeof dryRun !== 'boolean') {
+      errors.push('sendEmail and dryRun must be true or false');
+    }
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const checked = [];
+    for (const [index, row] of rows.entries()) {
+      const result = await checkNewLicense(row, ['expiryDate']);
+      if (result.values.durationMonths !== undefined && result.values.expiryDate !== undefined) {
+        result.errors.push('Provide either durationMonths or expiryDate, not both');
+      }
+      errors.push(...result.errors.map(error => `licenses[${index}]: ${error}`));
+      checked.push(result);
+    }
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, count: checked.length });
+    }
+
+    const created = [];
+    for (const { values, plan } of checked) {
+      const license = await createLicense({ ...values, plan });
+      await recordAudit(req, {
+        action: 'license.created',
+        licenseKey: license.licenseKey,
+        after: snapshotLicense(license),
+        details: { source: 'import' }
+      });
+      if (sendEmail) {
+        queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+      }
+      created.push({
+        licenseKey: license.licenseKey,
+        customerName: license.customerName,
+        customerEmail: license.customerEmail,
+        planType: license.metadata.planType,
+        maxActivations: license.maxActivations,
+        expiryDate: license.expiryDate
+      });
+    }
+
+    console.log(`📥 Imported ${created.length} licenses`);
+
+    res.status(201).json({ success: true, count: created.length, licenses: created });
+  } catch (error) {
+    console.error('💥 License import error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Load the license named in the URL or answer 404
+router.param('licenseKey', async (req, res, next, licenseKey) => {
+  try {
+    req.license = await License.findOne({ licenseKey });
+    if (!req.license) {
+      return res.status(404).json({ success: false, error: 'License not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a single license
+router.get('/:licenseKey', requireScope('licenses:read'), (req, res) => {
+  res.json(req.license);
+});
+
+// The entitlement set the app receives for this license
+router.get('/:licenseKey/entitlements', requireScope('licenses:read'), async (req, res) => {
+  try {
+    res.json(await entitlementsForLicense(req.license));
+  } catch (error) {
+    console.error('💥 Error resolving entitlements:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Edit customer details, plan, entitlement overrides, seats or expiry
+router.patch('/:licenseKey', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      optional: ['customerEmail', 'customerName', 'planType', 'entitlementOverrides', 'maxActivations', 'licenseType', 'maxConcurrent', 'expiryDate', 'notes']
+    });
+
+    if (values.planType !== undefined && !(await findPlan(values.planType))) {
+      errors.push(`planType "${values.planType}" is not a defined plan`);
+    }
+
+    if (!errors.length && Object.keys(values).length === 0) {
+      errors.push('No fields to update');
+    }
+
+    const { license } = req;
+    const licenseType = values.licenseType || license.licenseType;
+    if (licenseType === 'floating' && !(values.maxConcurrent || license.maxConcurrent)) {
+      errors.push('maxConcurrent is required for floating licenses');
+    }
+    if (licenseType !== 'floating' && values.maxConcurrent !== undefined) {
+      errors.push('maxConcurrent is only allowed for floating licenses');
+    }
+    // Organization seats come out of the pool (routes/orgAdmin.js)
+    if (values.maxActivations !== undefined && license.organization && values.maxActivations !== license.maxActivations) {
+      errors.push('maxActivations of an organization license is set when it is issued from the pool');
+    }
+    if (values.maxActivations !== undefined && values.maxActivations < license.deviceActivations.length) {
+      errors.push(`maxActivations cannot be lower than the ${license.deviceActivations.length} device(s) currently activated`);
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const before = snapshotLicense(license);
+    if (values.customerEmail !== undefined) license.customerEmail = values.customerEmail;
+    if (values.customerName !== undefined) license.customerName = values.customerName;
+    if (values.maxActivations !== undefined) license.maxActivations = values.maxActivations;
+    // Lowering maxConcurrent takes effect as leases lapse; switching to
+    // node-locked drops the leases
+    if (values.licenseType !== undefined) license.licenseType = values.licenseType;
+    if (values.maxConcurrent !== undefined) license.maxConcurrent = values.maxConcurrent;
+    if (values.licenseType === 'node_locked') {
+      license.maxConcurrent = undefined;
+      license.leases = [];
+    }
+    if (values.expiryDate !== undefined) license.expiryDate = values.expiryDate;
+    if (values.planType !== undefined) license.metadata.planType = values.planType;
+    // Overrides are replaced as a whole; {} clears them
+    if (values.entitlementOverrides !== undefined) license.entitlementOverrides = values.entitlementOverrides;
+    if (values.notes !== undefined) license.metadata.notes = values.notes;
+
+    await license.save();
+    await recordAudit(req, {
+      action: 'license.updated',
+      licenseKey: license.licenseKey,
+      before,
+      after: snapshotLicense(license)
+    });
+
+    console.log(`✏️  License ${license.licenseKey} updated:`, Object.keys(values).join(', '));
+
+    res.json({ success: true, license });
+  } catch (error) {
+    console.error('💥 Error updating license:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Permanently delete a license and its activations
+router.delete('/:licenseKey', requireScope('licenses:write'), async (req, res) => {
+  try {
+    if (req.license.organization) {
+      // Puts the seats back in the organization's pool
+      await reclaimSubLicense({ _id: req.license.organization }, req.license);
+    } else {
+      await License.deleteOne({ _id: req.license._id });
+    }
+    await recordAudit(req, {
+      action: 'license.deleted',
+      licenseKey: req.license.licenseKey,
+      before: snapshotLicense(req.license)
+    });
+
+    console.log(`🗑️  License ${req.license.licenseKey} deleted`);
+
+    res.json({ success: true, message: 'License deleted' });
+  } catch (error) {
+    console.error('💥 Error deleting license:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Extend expiry by durationMonths (from today if already expired) or to an explicit expiryDate
+router.post('/:licenseKey/renew', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      optional: ['durationMonths', 'expiryDate']
+    });
+
+    if (values.durationMonths !== undefined && values.expiryDate !== undefined) {
+      errors.push('Provide either durationMonths or expiryDate, not both');
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { license } = req;
+    const before = snapshotLicense(license);
+    if (values.expiryDate) {
+      license.expiryDate = values.expiryDate;
+    } else {
+      const from = license.expiryDate > new Date() ? license.expiryDate : new Date();
+      license.expiryDate = addMonths(from, values.durationMonths || 12);
+    }
+
+    await license.save();
+    await recordAudit(req, {
+      action: 'license.renewed',
+      licenseKey: license.licenseKey,
+      before,
+      after: snapshotLicense(license)
+    });
+
+    console.log(`🔄 License ${license.licenseKey} renewed until ${license.expiryDate.toISOString()}`);
+
+    res.json({ success: true, license });
+  } catch (error) {
+    console.error('💥 Error renewing license:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Disable a license without deleting it
+router.post('/:licenseKey/suspend', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { optional: ['reason'] });
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { license } = req;
+    if (!license.isActive) {
+      return res.status(409).json({ success: false, error: 'License is already suspended' });
+    }
+
+    const before = snapshotLicense(license);
+    license.isActive = false;
+    license.suspendedAt = new Date();
+    license.suspensionReason = values.reason || '';
+    await license.save();
+    await recordAudit(req, {
+      action: 'license.suspended',
+      licenseKey: license.licenseKey,
+      before,
+      after: snapshotLicense(license)
+    });
+
+    console.log(`⏸️  License ${license.licenseKey} suspended`);
+
+    res.json({ success: true, license });
+  } catch (error) {
+    console.error('💥 Error suspending license:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-enable a suspended or deactivated license
+router.post('/:licenseKey/reactivate', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { license } = req;
+    if (license.isActive) {
+      return res.status(409).json({ success: false, error: 'License is already active' });
+    }
+
+    const before = snapshotLicense(license);
+    license.isActive = true;
+    license.suspendedAt = undefined;
+    license.suspensionReason = undefined;
+    await license.save();
+    await recordAudit(req, {
+      action: 'license.reactivated',
+      licenseKey: license.licenseKey,
+      before,
+      after: snapshotLicense(license)
+    });
+
+    console.log(`▶️  License ${license.licenseKey} reactivated`);
+
+    res.json({ success: true, license });
+  } catch (error) {
+    console.error('💥 Error reactivating license:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Upgrade a trial to a paid license in place; its key and device activation are kept
+router.post('/:licenseKey/convert', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['customerEmail', 'customerName'],
+      optional: ['planType', 'durationMonths', 'maxActivations', 'notes', 'sendEmail']
+    });
+
+    const { license } = req;
+    if (!license.isTrial) {
+      return res.status(409).json({ success: false, error: 'License is not a trial' });
+    }
+
+    const plan = errors.length ? null : await findPlan(values.planType || DEFAULT_PLAN.name);
+    if (!errors.length && !plan) {
+      errors.push(`planType "${values.planType}" is not a defined plan`);
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const before = snapshotLicense(license);
+    const { sendEmail = true, planType, ...fields } = values;
+    await convertTrial(license, { ...fields, plan });
+    await recordAudit(req, {
+      action: 'license.converted',
+      licenseKey: license.licenseKey,
+      before,
+      after: snapshotLicense(license)
+    });
+
+    console.log(`💎 Trial ${license.licenseKey} converted to ${plan.name} for ${license.customerEmail}`);
+
+    if (sendEmail) {
+      queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+    }
+
+    res.json({ success: true, license });
+  } catch (error) {
+    console.error('💥 Error converting trial:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Free a floating seat held by a device that went away without releasing it
+router.delete('/:licenseKey/leases/:leaseId', requireScope('devices:manage'), async (req, res) => {
+  try {
+    const { license } = req;
+    const lease = license.leases.find(candidate => candidate.leaseId === req.params.leaseId);
+    if (!lease) {
+      return res.status(404).json({ success: false, error: 'Lease not found' });
+    }
+
+    await License.updateOne({ _id: license._id }, { $pull: { leases: { leaseId: lease.leaseId } } });
+    await recordAudit(req, {
+      action: 'seat.released',
+      licenseKey: license.licenseKey,
+      deviceId: lease.deviceId,
+      details: { leaseId: lease.leaseId }
+    });
+
+    console.log(`🎟️  Seat ${lease.leaseId} on ${license.licenseKey} released by admin`);
+
+    res.json({ success: true, message: 'Seat released' });
+  } catch (error) {
+    console.error('💥 Error releasing seat:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Forget a device's request signing key (e.g. the app was reinstalled and
+// lost it), so its next activation registers a new one
+router.delete('/:licenseKey/devices/:deviceId/key', requireScope('devices:manage'), async (req, res) => {
+  try {
+    const { license } = req;
+    const { deviceId } = req.params;
+    if (!(await resetDeviceKey(req, { licenseKey: license.licenseKey, deviceId }))) {
+      return res.status(404).json({ success: false, error: 'No signing key registered for this device' });
+    }
+
+    console.log(`🔑 Signing key of ${deviceId} on ${license.licenseKey} reset by admin`);
+
+    res.json({ success: true, message: 'Signing key reset' });
+  } catch (error) {
+    console.error('💥 Error resetting device key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Email the license key to the customer again (optionally to a corrected address)
+router.post('/:licenseKey/resend-key', requireScope('licenses:write'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { optional: ['customerEmail'] });
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { license } = req;
+    const to = values.customerEmail || license.customerEmail;
+
+    // Sent inline so the admin learns about delivery failures
+    await sendTemplateEmail('license-key', to, licenseEmailData(license));
+    await recordAudit(req, {
+      action: 'license.key_resent',
+      licenseKey: license.licenseKey,
+      details: { to }
+    });
+
+    res.json({ success: true, message: `License key sent to ${to}` });
+  } catch (error) {
+    console.error('💥 Error resending license key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,200 @@
+const express = require('express');
+const Organization = require('../models/Organization');
+const AdminUser = require('../models/AdminUser');
+const { requireScope } = require('../middleware/adminAuth');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit } = require('../lib/audit');
+const { addMonths } = require('../lib/dates');
+const { hashPassword } = require('../lib/password');
+const { findPlan, DEFAULT_PLAN } = require('../lib/entitlements');
+const { syncSubLicenses, usageRollup } = require('../lib/organizations');
+
+// Organizations and their seat pools, mounted at /api/admin/organizations
+// behind authenticateAdmin. Day-to-day seat management is done by the
+// organization's own admins (routes/orgAdmin.js).
+const router = express.Router();
+
+const ORG_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+
+router.get('/', requireScope('licenses:read'), async (req, res) => {
+  try {
+    const organizations = await Organization.find().sort({ name: 1 });
+    res.json(organizations.map(organization => organization.toPublic()));
+  } catch (error) {
+    console.error('💥 Error fetching organizations:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', requireScope('orgs:manage'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['name', 'displayName', 'contactEmail', 'seats'],
+      optional: ['planType', 'durationMonths', 'expiryDate', 'notes']
+    });
+
+    if (values.name && !ORG_NAME_PATTERN.test(values.name)) {
+      errors.push('name may only contain letters, digits, "-" and "_"');
+    }
+    if (values.durationMonths !== undefined && values.expiryDate !== undefined) {
+      errors.push('Provide either durationMonths or expiryDate, not both');
+    }
+
+    const planType = values.planType || DEFAULT_PLAN.name;
+    if (!errors.length && !(await findPlan(planType))) {
+      errors.push(`planType "${planType}" is not a defined plan`);
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { durationMonths = 12, expiryDate = addMonths(new Date(), durationMonths), ...fields } = values;
+    const organization = await Organization.create({
+      ...fields,
+      planType,
+      expiryDate,
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, {
+      action: 'org.created',
+      details: { organization: organization.toPublic() }
+    });
+
+    console.log(`🏢 Organization created: ${organization.name} (${organization.seats} seats)`);
+
+    res.status(201).json({ success: true, organization: organization.toPublic() });
+  } catch (error) {
+    console.error('💥 Error creating organization:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'An organization with this name already exists' });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.param('name', async (req, res, next, name) => {
+  try {
+    req.organization = await Organization.findOne({ name });
+    if (!req.organization) {
+      return res.status(404).json({ success: false, error: 'Organization not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The organization with its usage roll-up
+router.get('/:name', requireScope('licenses:read'), async (req, res) => {
+  try {
+    res.json({ ...req.organization.toPublic(), usage: await usageRollup(req.organization) });
+  } catch (error) {
+    console.error('💥 Error fetching organization:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Plan and expiry changes carry over to every sub-license
+router.patch('/:name', requireScope('orgs:manage'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      optional: ['displayName', 'contactEmail', 'seats', 'planType', 'expiryDate', 'notes']
+    });
+
+    if (values.planType !== undefined && !(await findPlan(values.planType))) {
+      errors.push(`planType "${values.planType}" is not a defined plan`);
+    }
+
+    if (!errors.length && Object.keys(values).length === 0) {
+      errors.push('No fields to update');
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const before = req.organization.toPublic();
+    // The pool can't shrink below the seats already handed out
+    const organization = await Organization.findOneAndUpdate(
+      {
+        _id: req.organization._id,
+        ...(values.seats !== undefined ? { seatsAllocated: { $lte: values.seats } } : {})
+      },
+      { $set: values },
+      { new: true }
+    );
+    if (!organization) {
+      return res.status(409).json({
+        success: false,
+        error: `seats cannot be lower than the ${req.organization.seatsAllocated} seat(s) already allocated`
+      });
+    }
+
+    if (values.planType !== undefined || values.expiryDate !== undefined) {
+      await syncSubLicenses(organization);
+    }
+
+    await recordAudit(req, {
+      action: 'org.updated',
+      details: { name: organization.name, before, after: organization.toPublic() }
+    });
+
+    console.log(`✏️  Organization ${organization.name} updated:`, Object.keys(values).join(', '));
+
+    res.json({ success: true, organization: organization.toPublic() });
+  } catch (error) {
+    console.error('💥 Error updating organization:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/:name/admins', requireScope('licenses:read'), async (req, res) => {
+  try {
+    const users = await AdminUser.find({ organization: req.organization._id }).sort({ createdAt: -1 });
+    res.json(users.map(user => user.toPublic()));
+  } catch (error) {
+    console.error('💥 Error fetching organization admins:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a panel user who can only manage this organization
+router.post('/:name/admins', requireScope('orgs:manage'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { required: ['username', 'password'] });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const user = await AdminUser.create({
+      username: values.username,
+      passwordHash: await hashPassword(values.password),
+      organization: req.organization._id,
+      scopes: [],
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, {
+      action: 'org.admin_created',
+      details: { organization: req.organization.name, username: user.username }
+    });
+
+    console.log(`👤 Organization admin created: ${user.username} (${req.organization.name})`);
+
+    res.status(201).json({ success: true, user: user.toPublic() });
+  } catch (error) {
+    console.error('💥 Error creating organization admin:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A user with this username already exists' });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
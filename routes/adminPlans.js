@@ -0,0 +1,142 @@
+const express = require('express');
+const Plan = require('../models/Plan');
+const License = require('../models/License');
+const { requireScope } = require('../middleware/adminAuth');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit } = require('../lib/audit');
+
+// Plan definitions, mounted at /api/admin/plans behind authenticateAdmin
+const router = express.Router();
+
+const PLAN_NAME_PATTERN = /^[a-z0-9_-]+$/i;
+const PLAN_FIELDS = ['displayName', 'description', 'features', 'quotas', 'defaultDurationMonths', 'defaultMaxActivations'];
+
+// List plans; archived ones only with ?includeArchived=true
+router.get('/', requireScope('licenses:read'), async (req, res) => {
+  try {
+    const filter = req.query.includeArchived === 'true' ? {} : { archivedAt: null };
+    const plans = await Plan.find(filter).sort({ name: 1 });
+    res.json(plans.map(plan => plan.toPublic()));
+  } catch (error) {
+    console.error('💥 Error fetching plans:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', requireScope('plans:manage'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['name', 'displayName'],
+      optional: PLAN_FIELDS.filter(field => field !== 'displayName')
+    });
+
+    // Plan names become license planType values
+    if (values.name && !PLAN_NAME_PATTERN.test(values.name)) {
+      errors.push('name may only contain letters, digits, "-" and "_"');
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const plan = await Plan.create({ ...values, createdBy: req.admin.id });
+
+    await recordAudit(req, {
+      action: 'plan.created',
+      details: { plan: plan.toPublic() }
+    });
+
+    console.log(`📦 Plan created: ${plan.name}`);
+
+    res.status(201).json({ success: true, plan: plan.toPublic() });
+  } catch (error) {
+    console.error('💥 Error creating plan:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A plan with this name already exists' });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.param('name', async (req, res, next, name) => {
+  try {
+    req.plan = await Plan.findOne({ name });
+    if (!req.plan) {
+      return res.status(404).json({ success: false, error: 'Plan not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/:name', requireScope('licenses:read'), async (req, res) => {
+  try {
+    const licenses = await License.countDocuments({ 'metadata.planType': req.plan.name });
+    res.json({ ...req.plan.toPublic(), licenses });
+  } catch (error) {
+    console.error('💥 Error fetching plan:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Changes apply to every license on the plan at its next validation
+router.patch('/:name', requireScope('plans:manage'), async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { optional: PLAN_FIELDS });
+
+    if (!errors.length && Object.keys(values).length === 0) {
+      errors.push('No fields to update');
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { plan } = req;
+    const before = plan.toPublic();
+    plan.set(values);
+    await plan.save();
+
+    await recordAudit(req, {
+      action: 'plan.updated',
+      details: { name: plan.name, before, after: plan.toPublic() }
+    });
+
+    console.log(`✏️  Plan ${plan.name} updated:`, Object.keys(values).join(', '));
+
+    res.json({ success: true, plan: plan.toPublic() });
+  } catch (error) {
+    console.error('💥 Error updating plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Archive rather than delete: existing licenses still resolve against it
+router.delete('/:name', requireScope('plans:manage'), async (req, res) => {
+  try {
+    const { plan } = req;
+    if (plan.archivedAt) {
+      return res.status(409).json({ success: false, error: 'Plan is already archived' });
+    }
+
+    plan.archivedAt = new Date();
+    await plan.save();
+
+    await recordAudit(req, {
+      action: 'plan.archived',
+      details: { name: plan.name }
+    });
+
+    console.log(`🗄️  Plan archived: ${plan.name}`);
+
+    res.json({ success: true, plan: plan.toPublic() });
+  } catch (error) {
+    console.error('💥 Error archiving plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
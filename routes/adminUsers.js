@@ -0,0 +1,117 @@
+const express = require('express');
+const AdminUser = require('../models/AdminUser');
+const { hashPassword } = require('../lib/password');
+const { destroyUserSessions } = require('../lib/adminSessions');
+const { requireScope, ungrantableScopes } = require('../middleware/adminAuth');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit } = require('../lib/audit');
+
+// Admin panel user management, mounted at /api/admin/users behind authenticateAdmin
+const router = express.Router();
+
+router.use(requireScope('keys:manage'));
+
+// A user holding scopes the caller lacks may only be disabled or reset by
+// someone who holds them too. Sends the 403 and returns true when refused.
+function refuseOutranked(req, res, user) {
+  const ungrantable = ungrantableScopes(req.admin, user.scopes || []);
+  if (!ungrantable.length) return false;
+  res.status(403).json({ success: false, error: `Forbidden - User holds scopes you do not hold: ${ungrantable.join(', ')}` });
+  return true;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: -1 });
+    res.json(users.map(user => user.toPublic()));
+  } catch (error) {
+    console.error('💥 Error fetching admin users:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['username', 'password', 'scopes']
+    });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const ungrantable = ungrantableScopes(req.admin, values.scopes);
+    if (ungrantable.length) {
+      return res.status(403).json({ success: false, error: `Forbidden - Cannot grant scopes you do not hold: ${ungrantable.join(', ')}` });
+    }
+
+    const user = await AdminUser.create({
+      username: values.username,
+      passwordHash: await hashPassword(values.password),
+      scopes: values.scopes,
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, {
+      action: 'admin.user_created',
+      details: { username: user.username, scopes: user.scopes }
+    });
+
+    console.log(`👤 Admin user created: ${user.username}`);
+
+    res.status(201).json({ success: true, user: user.toPublic() });
+  } catch (error) {
+    console.error('💥 Error creating admin user:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A user with this username already exists' });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Disable a user and end their sessions
+router.delete('/:username', async (req, res) => {
+  try {
+    const user = await AdminUser.findOne({ username: req.params.username });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (refuseOutranked(req, res, user)) return;
+
+    user.disabledAt = new Date();
+    await user.save();
+    await destroyUserSessions(user._id);
+    await recordAudit(req, { action: 'admin.user_disabled', details: { username: user.username } });
+
+    res.json({ success: true, user: user.toPublic() });
+  } catch (error) {
+    console.error('💥 Error disabling admin user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a lost second factor so the user can enroll again
+router.post('/:username/reset-totp', async (req, res) => {
+  try {
+    const user = await AdminUser.findOne({ username: req.params.username });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (refuseOutranked(req, res, user)) return;
+
+    user.totpEnabled = false;
+    user.totpSecret = undefined;
+    user.totpLastCounter = undefined;
+    await user.save();
+    await destroyUserSessions(user._id);
+    await recordAudit(req, { action: 'admin.totp_reset', details: { username: user.username } });
+
+    res.json({ success: true, user: user.toPublic() });
+  } catch (error) {
+    console.error('💥 Error resetting TOTP:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,250 @@
+const express = require('express');
+const { parseLicenseKey } = require('../lib/licenseKeys');
+const { validateSchema } = require('../lib/schema');
+const { requests } = require('../lib/clientApiSchemas');
+const { sendApiError } = require('../lib/apiErrors');
+const { openApiDocument } = require('../lib/openapi');
+const { transferLimitMessage } = require('../lib/activation');
+const { liveLeases, heartbeatIntervalSeconds } = require('../lib/floating');
+const { clientLimits, trialLimiter } = require('../middleware/rateLimits');
+const { recordFailedLookup } = require('../lib/lookupThrottle');
+const { verifySignedRequest } = require('../middleware/signedRequest');
+const { createNonce, registerDeviceKey } = require('../lib/signedRequests');
+const {
+  validateLicense,
+  activateLicense,
+  heartbeat,
+  releaseDeviceSeat,
+  deactivateDevice,
+  requestTrial
+} = require('../lib/clientLicensing');
+
+// Client API v2, mounted at /api/v2. The same checks as the v1 endpoints,
+// but bodies are validated against lib/clientApiSchemas.js and failures get
+// a real HTTP status and a stable error code (lib/apiErrors.js). The
+// contract is published at /api/v2/openapi.json. Every call that names a
+// device can be signed (lib/signedRequests.js).
+const router = express.Router();
+
+const TRIAL_REQUIRE_EMAIL = process.env.TRIAL_REQUIRE_EMAIL === 'true';
+
+// Reject bodies that don't match `schema`, and put license_key in its stored form
+const validateBody = (schema) => (req, res, next) => {
+  const errors = validateSchema(schema, req.body);
+  if (errors.length) {
+    return sendApiError(res, 'INVALID_REQUEST', errors.join('; '), { errors });
+  }
+  if (req.body.license_key !== undefined) {
+    const { licenseKey, error } = parseLicenseKey(req.body.license_key);
+    if (error) {
+      recordFailedLookup(req);
+      return sendApiError(res, 'INVALID_LICENSE_KEY', error);
+    }
+    req.body.license_key = licenseKey;
+  }
+  next();
+};
+
+// Failed checks (see lib/clientLicensing.js for the statuses)
+const FAILURES = {
+  not_found: ['LICENSE_NOT_FOUND', 'License not found'],
+  suspended: ['LICENSE_SUSPENDED', 'License has been deactivated'],
+  expired: ['LICENSE_EXPIRED', 'License has expired'],
+  not_activated: ['DEVICE_NOT_ACTIVATED', 'License is not activated on this device'],
+  not_floating: ['LICENSE_NOT_FLOATING', 'This license is not a floating license']
+};
+
+function sendFailure(res, { status, license, nextFreeAt, inUse }) {
+  if (status === 'limit_reached') {
+    return sendApiError(res, 'SEAT_LIMIT_REACHED',
+      `License activation limit reached (${license.maxActivations} device${license.maxActivations > 1 ? 's' : ''})`,
+      { activations_total: license.maxActivations });
+  }
+  if (status === 'all_in_use') {
+    // The earliest lease end; it moves if that device keeps heartbeating
+    res.set('Retry-After', String(Math.max(1, Math.ceil((nextFreeAt.getTime() - Date.now()) / 1000))));
+    return sendApiError(res, 'ALL_SEATS_IN_USE', `All ${license.maxConcurrent} seats are in use`, {
+      seats_total: license.maxConcurrent,
+      seats_in_use: inUse,
+      next_free_at: nextFreeAt.toISOString()
+    });
+  }
+  const [code, message] = FAILURES[status];
+  return sendApiError(res, code, message);
+}
+
+// Response for a device that passed a check
+function grantBody({ status, license, lease, entitlements, token, offlineUntil }) {
+  const grant = {
+    status,
+    license: {
+      type: license.licenseType,
+      plan_type: license.metadata.planType,
+      is_trial: license.isTrial,
+      customer_name: license.customerName,
+      expiry_date: license.expiryDate.toISOString()
+    },
+    entitlements,
+    license_token: token,
+    offline_until: offlineUntil.toISOString()
+  };
+  if (lease) {
+    grant.seat = {
+      lease_id: lease.leaseId,
+      lease_expires_at: lease.expiresAt.toISOString(),
+      heartbeat_interval_seconds: heartbeatIntervalSeconds(),
+      seats_total: license.maxConcurrent,
+      seats_in_use: liveLeases(license, new Date()).length
+    };
+  } else {
+    grant.activations = { used: license.currentActivations, total: license.maxActivations };
+  }
+  return grant;
+}
+
+// One-time nonce for a signed request
+router.post('/nonce', async (req, res) => {
+  try {
+    const { nonce, expiresAt } = await createNonce(req.ip);
+    res.status(201).json({ nonce, expires_at: expiresAt.toISOString() });
+  } catch (error) {
+    console.error('💥 Nonce error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error while creating a nonce');
+  }
+});
+
+// Check that this device may use the license (renews the seat of a floating license)
+router.post('/validate', clientLimits, validateBody(requests.validate), verifySignedRequest(), async (req, res) => {
+  try {
+    const { license_key, device_id, lease_id, app_version } = req.body;
+    const result = await validateLicense(req, {
+      licenseKey: license_key,
+      deviceId: device_id,
+      leaseId: lease_id,
+      appVersion: app_version
+    });
+    if (!result.token) {
+      return sendFailure(res, result);
+    }
+    res.json(grantBody(result));
+  } catch (error) {
+    console.error('💥 Validation error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error during validation');
+  }
+});
+
+// Activate the license on this device (checks out a seat of a floating license)
+router.post('/activate', clientLimits, validateBody(requests.activate), verifySignedRequest({ registers: true }), async (req, res) => {
+  try {
+    const { license_key, device_id, device_fingerprint, device_public_key, app_version } = req.body;
+    const result = await activateLicense(req, {
+      licenseKey: license_key,
+      deviceId: device_id,
+      deviceInfo: device_fingerprint,
+      appVersion: app_version
+    });
+    if (!result.token) {
+      return sendFailure(res, result);
+    }
+    // Only a signed request proves the app holds the key it registers
+    if (req.signedRequest && device_public_key) {
+      await registerDeviceKey(req, {
+        licenseKey: license_key,
+        deviceId: device_id,
+        publicKey: device_public_key,
+        previousKey: req.signedRequest.previousKey
+      });
+    }
+    res.status(result.status === 'activated' || result.status === 'checked_out' ? 201 : 200).json(grantBody(result));
+  } catch (error) {
+    console.error('💥 Activation error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error during activation');
+  }
+});
+
+// Keep a floating seat: renews the lease, or checks out a new one if it lapsed
+router.post('/heartbeat', clientLimits, validateBody(requests.heartbeat), verifySignedRequest(), async (req, res) => {
+  try {
+    const { license_key, device_id, lease_id } = req.body;
+    const result = await heartbeat(req, { licenseKey: license_key, deviceId: device_id, leaseId: lease_id });
+    if (!result.token) {
+      return sendFailure(res, result);
+    }
+    res.json(grantBody(result));
+  } catch (error) {
+    console.error('💥 Heartbeat error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error during heartbeat');
+  }
+});
+
+// Give a floating seat back (e.g. when the app closes)
+router.post('/release-seat', clientLimits, validateBody(requests.releaseSeat), verifySignedRequest(), async (req, res) => {
+  try {
+    const { license_key, device_id, lease_id } = req.body;
+    const released = await releaseDeviceSeat(req, { licenseKey: license_key, deviceId: device_id, leaseId: lease_id });
+    if (!released) {
+      return sendApiError(res, 'SEAT_NOT_HELD', 'No seat held by this device');
+    }
+    res.json({ status: 'released' });
+  } catch (error) {
+    console.error('💥 Seat release error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error during release');
+  }
+});
+
+// Deactivate this device to free its seat (self-service transfer)
+router.post('/deactivate', clientLimits, validateBody(requests.deactivate), verifySignedRequest(), async (req, res) => {
+  try {
+    const { license_key, device_id } = req.body;
+    const { status, license } = await deactivateDevice(req, { licenseKey: license_key, deviceId: device_id });
+    if (status === 'limit_reached') {
+      return sendApiError(res, 'TRANSFER_LIMIT_REACHED', transferLimitMessage());
+    }
+    if (status !== 'deactivated') {
+      return sendFailure(res, { status, license });
+    }
+    res.json({
+      status,
+      activations: { used: license.currentActivations, total: license.maxActivations }
+    });
+  } catch (error) {
+    console.error('💥 Device deactivation error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error during deactivation');
+  }
+});
+
+// Start a time-limited trial on this device (one per device, fingerprint and email)
+router.post('/start-trial', trialLimiter, validateBody(requests.startTrial), async (req, res) => {
+  try {
+    const { device_id, device_fingerprint, email } = req.body;
+    if (TRIAL_REQUIRE_EMAIL && email === undefined) {
+      return sendApiError(res, 'INVALID_REQUEST', 'email is required', { errors: ['email is required'] });
+    }
+
+    const result = await requestTrial(req, { deviceId: device_id, deviceInfo: device_fingerprint, email });
+    if (result.status === 'used') {
+      return sendApiError(res, 'TRIAL_ALREADY_USED', result.reason === 'email'
+        ? 'A trial has already been used with this email address'
+        : 'A trial has already been used on this device', { reason: result.reason });
+    }
+    res.status(result.status === 'started' ? 201 : 200).json({
+      ...grantBody(result),
+      license_key: result.license.licenseKey
+    });
+  } catch (error) {
+    console.error('💥 Trial error:', error);
+    sendApiError(res, 'INTERNAL_ERROR', 'Server error while starting trial');
+  }
+});
+
+// The API contract
+router.get('/openapi.json', (req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(openApiDocument());
+});
+
+router.use((req, res) => {
+  sendApiError(res, 'NOT_FOUND', `No endpoint ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+module.exports = router;
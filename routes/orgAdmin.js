@@ -0,0 +1,299 @@
+const express = require('express');
+const License = require('../models/License');
+const OrgInvite = require('../models/OrgInvite');
+const AdminUser = require('../models/AdminUser');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit, snapshotLicense } = require('../lib/audit');
+const { hashPassword } = require('../lib/password');
+const { queueTemplateEmail, licenseEmailData, formatDate, publicUrl } = require('../lib/email');
+const {
+  issueSubLicense,
+  reclaimSubLicense,
+  createInvite,
+  usageRollup
+} = require('../lib/organizations');
+
+// An organization admin's view of their own organization, mounted at
+// /api/org behind authenticateAdmin and requireOrgAdmin (which sets
+// req.organization). Every query here is limited to that organization.
+const router = express.Router();
+
+const MEMBER_FIELDS = {
+  licenseKey: 1,
+  customerEmail: 1,
+  customerName: 1,
+  isActive: 1,
+  maxActivations: 1,
+  deviceActivations: 1,
+  expiryDate: 1,
+  createdAt: 1
+};
+
+const orgDetails = (req) => ({ organization: req.organization.name });
+
+router.get('/', async (req, res) => {
+  try {
+    res.json({ ...req.organization.toPublic(), usage: await usageRollup(req.organization) });
+  } catch (error) {
+    console.error('💥 Error fetching organization:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Members' sub-licenses and the devices they use
+router.get('/licenses', async (req, res) => {
+  try {
+    const licenses = await License.find({ organization: req.organization._id }, MEMBER_FIELDS)
+      .sort({ createdAt: -1 })
+      .lean();
+    res.json(licenses);
+  } catch (error) {
+    console.error('💥 Error fetching organization licenses:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Issue a sub-key from the pool directly, without an invite
+router.post('/licenses', async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['customerEmail', 'customerName'],
+      optional: ['maxActivations', 'notes', 'sendEmail']
+    });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { sendEmail = true, ...fields } = values;
+    const { status, license } = await issueSubLicense(req.organization, fields);
+    if (status === 'expired') {
+      return res.status(409).json({ success: false, error: 'The organization\'s license term has ended' });
+    }
+    if (status === 'no_seats') {
+      return res.status(409).json({ success: false, error: 'Not enough seats left in the organization\'s pool' });
+    }
+
+    await recordAudit(req, {
+      action: 'org.license_issued',
+      licenseKey: license.licenseKey,
+      after: snapshotLicense(license),
+      details: orgDetails(req)
+    });
+
+    if (sendEmail) {
+      queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+    }
+
+    console.log(`🏢 Sub-license ${license.licenseKey} issued by ${req.organization.name} to ${license.customerEmail}`);
+
+    res.status(201).json({ success: true, license });
+  } catch (error) {
+    console.error('💥 Error issuing organization license:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.param('licenseKey', async (req, res, next, licenseKey) => {
+  try {
+    req.license = await License.findOne({ licenseKey, organization: req.organization._id });
+    if (!req.license) {
+      return res.status(404).json({ success: false, error: 'License not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Take a seat back (e.g. when someone leaves); its key stops working
+router.delete('/licenses/:licenseKey', async (req, res) => {
+  try {
+    if (!await reclaimSubLicense(req.organization, req.license)) {
+      return res.status(404).json({ success: false, error: 'License not found' });
+    }
+
+    await recordAudit(req, {
+      action: 'org.license_reclaimed',
+      licenseKey: req.license.licenseKey,
+      before: snapshotLicense(req.license),
+      details: orgDetails(req)
+    });
+
+    console.log(`🏢 Sub-license ${req.license.licenseKey} reclaimed by ${req.organization.name}`);
+
+    res.json({ success: true, message: 'License removed and its seats returned to the pool' });
+  } catch (error) {
+    console.error('💥 Error reclaiming organization license:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Free a member's device so they can activate another one
+router.delete('/licenses/:licenseKey/devices/:deviceId', async (req, res) => {
+  try {
+    const { license } = req;
+    const { deviceId } = req.params;
+    const activation = license.findActivation(deviceId);
+    if (!activation) {
+      return res.status(404).json({ success: false, error: 'Device not activated on this license' });
+    }
+
+    const before = snapshotLicense(license);
+    license.deviceActivations.pull(activation._id);
+    license.deviceHistory.push({
+      action: 'removed',
+      deviceId,
+      actor: 'admin',
+      reason: `Removed by ${req.organization.name} admin ${req.admin.name}`,
+      ip: req.ip
+    });
+    await license.save();
+
+    await recordAudit(req, {
+      action: 'device.removed',
+      licenseKey: license.licenseKey,
+      deviceId,
+      before,
+      after: snapshotLicense(license),
+      details: orgDetails(req)
+    });
+
+    console.log(`🗑️  Device ${deviceId} removed from ${license.licenseKey} by ${req.organization.name}`);
+
+    res.json({ success: true, message: 'Device removed' });
+  } catch (error) {
+    console.error('💥 Error removing organization device:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/invites', async (req, res) => {
+  try {
+    const invites = await OrgInvite.find({ organization: req.organization._id }).sort({ createdAt: -1 });
+    res.json(invites.map(invite => invite.toPublic()));
+  } catch (error) {
+    console.error('💥 Error fetching invites:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Invite someone by email; accepting issues their sub-license if seats are
+// still left at that point
+router.post('/invites', async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, {
+      required: ['email'],
+      optional: ['customerName', 'maxActivations']
+    });
+
+    const { organization } = req;
+    const seatsAvailable = organization.seats - organization.seatsAllocated;
+    if (!errors.length && (values.maxActivations || 1) > seatsAvailable) {
+      errors.push(`Only ${seatsAvailable} seat(s) left in the organization's pool`);
+    }
+
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const { invite, token } = await createInvite(organization, {
+      email: values.email,
+      name: values.customerName,
+      maxActivations: values.maxActivations,
+      invitedBy: req.admin.name
+    });
+
+    // The token travels in the URL fragment so it stays out of server logs
+    queueTemplateEmail('org-invite', invite.email, {
+      name: invite.name || invite.email,
+      organizationName: organization.displayName,
+      inviteUrl: publicUrl(`/invite#${token}`),
+      expiryDate: formatDate(invite.expiresAt)
+    });
+
+    await recordAudit(req, {
+      action: 'org.invite_sent',
+      details: { ...orgDetails(req), email: invite.email, inviteId: invite._id }
+    });
+
+    console.log(`✉️  ${organization.name} invited ${invite.email}`);
+
+    res.status(201).json({ success: true, invite: invite.toPublic() });
+  } catch (error) {
+    console.error('💥 Error creating invite:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/invites/:id', async (req, res) => {
+  try {
+    const invite = await OrgInvite.findOneAndUpdate(
+      { _id: req.params.id, organization: req.organization._id, acceptedAt: null, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+    if (!invite) {
+      return res.status(404).json({ success: false, error: 'No pending invite with this id' });
+    }
+
+    await recordAudit(req, {
+      action: 'org.invite_revoked',
+      details: { ...orgDetails(req), email: invite.email, inviteId: invite._id }
+    });
+
+    res.json({ success: true, invite: invite.toPublic() });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({ success: false, error: 'No pending invite with this id' });
+    }
+    console.error('💥 Error revoking invite:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/admins', async (req, res) => {
+  try {
+    const users = await AdminUser.find({ organization: req.organization._id }).sort({ createdAt: -1 });
+    res.json(users.map(user => user.toPublic()));
+  } catch (error) {
+    console.error('💥 Error fetching organization admins:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Org admins can add colleagues as admins of the same organization
+router.post('/admins', async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { required: ['username', 'password'] });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const user = await AdminUser.create({
+      username: values.username,
+      passwordHash: await hashPassword(values.password),
+      organization: req.organization._id,
+      scopes: [],
+      createdBy: req.admin.id
+    });
+
+    await recordAudit(req, {
+      action: 'org.admin_created',
+      details: { ...orgDetails(req), username: user.username }
+    });
+
+    console.log(`👤 Organization admin created: ${user.username} (${req.organization.name})`);
+
+    res.status(201).json({ success: true, user: user.toPublic() });
+  } catch (error) {
+    console.error('💥 Error creating organization admin:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, error: 'A user with this username already exists' });
+    }
+
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
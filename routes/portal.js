@@ -0,0 +1,254 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const License = require('../models/License');
+const { safeEqual } = require('../middleware/adminAuth');
+const { validateFields, sendValidationError } = require('../lib/validation');
+const { recordAudit, snapshotLicense } = require('../lib/audit');
+const { queueTemplateEmail, licenseEmailData, publicUrl } = require('../lib/email');
+const { licenseStatus } = require('../lib/licenseQuery');
+const { liveLeases } = require('../lib/floating');
+const { deactivateByCustomer, transfersRemaining, transferLimitMessage } = require('../lib/activation');
+const { csvRow } = require('../lib/csv');
+const { limiterStore } = require('../lib/rateLimitStore');
+const {
+  LINK_MINUTES,
+  licensesForEmail,
+  createLoginToken,
+  consumeLoginToken,
+  createPortalSession,
+  resolvePortalSession,
+  destroyPortalSession
+} = require('../lib/portal');
+
+// Customer portal API, mounted at /api/portal. Customers sign in with an
+// emailed link and see only licenses issued to their own email address.
+const router = express.Router();
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  keyGenerator: (req) => req.ip,
+  store: limiterStore('portal-login'),
+  message: { success: false, error: 'Too many sign-in requests. Please try again later.' }
+});
+
+const customerActor = (req) => ({ type: 'customer', id: req.portalSession.email });
+
+// What a customer sees of their license
+function portalLicense(license, now = new Date()) {
+  return {
+    licenseKey: license.licenseKey,
+    customerName: license.customerName,
+    planType: license.metadata.planType,
+    status: licenseStatus(license, now),
+    isTrial: license.isTrial,
+    licenseType: license.licenseType,
+    purchaseDate: license.purchaseDate,
+    expiryDate: license.expiryDate,
+    maxActivations: license.maxActivations,
+    maxConcurrent: license.maxConcurrent,
+    seatsInUse: license.licenseType === 'floating' ? liveLeases(license, now).length : undefined,
+    devices: license.deviceActivations.map(activation => ({
+      deviceId: activation.deviceId,
+      activatedAt: activation.activationDate,
+      lastSeenAt: activation.lastValidation
+    })),
+    transfersRemaining: transfersRemaining(license, now)
+  };
+}
+
+// Licenses from before receipts were recorded only have transaction IDs
+function receiptsFor(license) {
+  const payment = license.payment || {};
+  if (payment.receipts && payment.receipts.length) {
+    return payment.receipts.map(receipt => ({ provider: payment.provider, ...receipt.toObject() }));
+  }
+  return (payment.transactionIds || []).map((transactionId, index) => ({
+    provider: payment.provider,
+    transactionId,
+    kind: index === 0 ? 'purchase' : 'renewal'
+  }));
+}
+
+const RECEIPT_COLUMNS = ['provider', 'kind', 'transactionId', 'paidAt', 'amount', 'currency', 'invoiceUrl', 'refundedAt'];
+
+// Email a sign-in link. The answer is the same whether or not the address
+// has licenses, so the form can't be used to look up customers.
+router.post('/login', loginLimiter, async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { required: ['email'] });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const token = await createLoginToken(values.email, req.ip);
+    if (token) {
+      // The token travels in the URL fragment so it stays out of server logs
+      queueTemplateEmail('portal-login', values.email, {
+        loginUrl: publicUrl(`/portal#login=${token}`),
+        minutes: LINK_MINUTES
+      });
+      console.log(`🔗 Portal sign-in link sent to ${values.email}`);
+    }
+
+    res.json({ success: true, message: 'If we have licenses for this address, a sign-in link is on its way.' });
+  } catch (error) {
+    console.error('💥 Portal login error:', error);
+    res.status(500).json({ success: false, error: 'Server error while sending the sign-in link' });
+  }
+});
+
+// Exchange the emailed token for a session cookie
+router.post('/verify', loginLimiter, async (req, res) => {
+  try {
+    const { values, errors } = validateFields(req.body, { required: ['token'] });
+    if (errors.length) {
+      return sendValidationError(res, errors);
+    }
+
+    const email = await consumeLoginToken(values.token);
+    if (!email) {
+      return res.status(401).json({ success: false, error: 'This sign-in link is invalid, expired or has already been used' });
+    }
+
+    const session = await createPortalSession(email, req, res);
+    await recordAudit(req, { action: 'portal.login', actor: { type: 'customer', id: email } });
+
+    console.log(`🔓 Customer signed in to the portal: ${email}`);
+
+    res.json({ success: true, email, csrfToken: session.csrfToken, expiresAt: session.expiresAt });
+  } catch (error) {
+    console.error('💥 Portal verify error:', error);
+    res.status(500).json({ success: false, error: 'Server error during sign-in' });
+  }
+});
+
+router.post('/logout', async (req, res) => {
+  try {
+    await destroyPortalSession(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('💥 Portal logout error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Everything below needs a portal session, and state-changing requests must
+// echo its CSRF token like the admin panel does
+router.use(async (req, res, next) => {
+  try {
+    const session = await resolvePortalSession(req);
+    if (!session) {
+      return res.status(401).json({ success: false, error: 'Please sign in' });
+    }
+    if (!SAFE_METHODS.includes(req.method)) {
+      const csrfToken = req.get('x-csrf-token');
+      if (!csrfToken || !safeEqual(csrfToken, session.csrfToken)) {
+        return res.status(403).json({ success: false, error: 'Forbidden - Invalid CSRF token' });
+      }
+    }
+    req.portalSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/session', (req, res) => {
+  const { email, csrfToken, expiresAt } = req.portalSession;
+  res.json({ email, csrfToken, expiresAt });
+});
+
+router.get('/licenses', async (req, res) => {
+  try {
+    const licenses = await License.find(licensesForEmail(req.portalSession.email)).sort({ createdAt: -1 });
+    res.json(licenses.map(license => portalLicense(license)));
+  } catch (error) {
+    console.error('💥 Error fetching portal licenses:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Only licenses issued to the signed-in email can be addressed
+router.param('licenseKey', async (req, res, next, licenseKey) => {
+  try {
+    req.license = await License.findOne({ licenseKey, ...licensesForEmail(req.portalSession.email) });
+    if (!req.license) {
+      return res.status(404).json({ success: false, error: 'License not found' });
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Free a device so the license can be activated elsewhere
+router.post('/licenses/:licenseKey/devices/:deviceId/deactivate', async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const before = snapshotLicense(req.license);
+    const { status, license } = await deactivateByCustomer(req.license, deviceId, req.ip);
+
+    if (status === 'not_activated') {
+      return res.status(404).json({ success: false, error: 'Device not activated on this license' });
+    }
+    if (status === 'limit_reached') {
+      return res.status(429).json({ success: false, error: transferLimitMessage() });
+    }
+
+    await recordAudit(req, {
+      action: 'device.deactivated',
+      licenseKey: license.licenseKey,
+      deviceId,
+      actor: customerActor(req),
+      before,
+      after: snapshotLicense(license),
+      details: { via: 'portal' }
+    });
+
+    console.log(`📤 Device ${deviceId} deactivated on ${license.licenseKey} from the portal`);
+
+    res.json({ success: true, message: 'Device deactivated', license: portalLicense(license) });
+  } catch (error) {
+    console.error('💥 Portal deactivation error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Payments for a license, as JSON or ?format=csv for download
+router.get('/licenses/:licenseKey/receipts', (req, res) => {
+  const receipts = receiptsFor(req.license);
+  if (req.query.format !== 'csv') {
+    return res.json(receipts);
+  }
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="receipts-${req.license.licenseKey}.csv"`
+  });
+  res.send(csvRow(RECEIPT_COLUMNS) + receipts.map(receipt => csvRow(RECEIPT_COLUMNS.map(column => receipt[column]))).join(''));
+});
+
+// Email the key to the license's address again
+router.post('/licenses/:licenseKey/resend-key', async (req, res) => {
+  try {
+    const { license } = req;
+    queueTemplateEmail('license-key', license.customerEmail, licenseEmailData(license));
+
+    await recordAudit(req, {
+      action: 'license.key_resent',
+      licenseKey: license.licenseKey,
+      actor: customerActor(req),
+      details: { to: license.customerEmail, via: 'portal' }
+    });
+
+    res.json({ success: true, message: `License key sent to ${license.customerEmail}` });
+  } catch (error) {
+    console.error('💥 Portal resend error:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
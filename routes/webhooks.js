@@ -0,0 +1,60 @@
+const express = require('express');
+const { verifyStripeSignature, verifyPaddleSignature } = require('../lib/payments/signatures');
+const { normalizeStripeEvent, normalizePaddleEvent } = require('../lib/payments/normalize');
+const { processPaymentEvent } = require('../lib/payments/provisioning');
+
+// Payment provider webhooks, mounted at /api/webhooks.
+// Requests are authenticated by HMAC signature over the raw body
+// (req.rawBody, captured by the JSON body parser).
+const router = express.Router();
+
+const providers = {
+  stripe: {
+    secret: () => process.env.STRIPE_WEBHOOK_SECRET,
+    header: 'stripe-signature',
+    verify: verifyStripeSignature,
+    normalize: normalizeStripeEvent
+  },
+  paddle: {
+    secret: () => process.env.PADDLE_WEBHOOK_SECRET,
+    header: 'paddle-signature',
+    verify: verifyPaddleSignature,
+    normalize: normalizePaddleEvent
+  }
+};
+
+router.post('/:provider', async (req, res) => {
+  const provider = providers[req.params.provider];
+  if (!provider) {
+    return res.status(404).json({ error: 'Unknown payment provider' });
+  }
+
+  const name = req.params.provider;
+  const secret = provider.secret();
+  if (!secret) {
+    console.error(`❌ ${name} webhook received but no signing secret is configured`);
+    return res.status(503).json({ error: `${name} webhooks are not configured` });
+  }
+
+  if (!req.rawBody || !provider.verify(req.rawBody.toString('utf8'), req.get(provider.header), secret)) {
+    console.log(`❌ Invalid ${name} webhook signature`);
+    return res.status(400).json({ error: 'Invalid signature' });
+  }
+
+  const event = provider.normalize(req.body);
+  if (!event.id) {
+    return res.status(400).json({ error: 'Event has no ID' });
+  }
+
+  try {
+    const result = await processPaymentEvent(name, event, req);
+    console.log(`📨 ${name} event ${event.id} (${event.type}): ${result.duplicate ? 'duplicate' : result.status}`);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    console.error(`💥 ${name} webhook processing error (${event.id}):`, error);
+    // Non-2xx makes the provider retry later
+    res.status(500).json({ received: false, error: error.message });
+  }
+});
+
+module.exports = router;
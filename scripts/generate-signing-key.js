@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// Generate an Ed25519 key pair for signing offline license tokens.
+// Usage: node scripts/generate-signing-key.js [kid]
+const crypto = require('crypto');
+
+const kid = process.argv[2] || new Date().toISOString().slice(0, 7);
+const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+
+const entry = {
+  kid,
+  privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' })
+};
+
+console.log('Add this entry to the LICENSE_SIGNING_KEYS JSON array:\n');
+console.log(JSON.stringify(entry));
+console.log('\nPublic key (safe to embed in the app as a fallback):\n');
+console.log(publicKey.export({ format: 'pem', type: 'spki' }));
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+// Sign a webhook fixture with the local secret and post it to the server,
+// exercising the full provisioning flow without the real provider.
+// Usage: node scripts/send-webhook.js <stripe|paddle> <fixture.json> [server-url]
+require('dotenv').config();
+const fs = require('fs');
+const { signStripePayload, signPaddlePayload } = require('../lib/payments/signatures');
+
+const [provider, fixture, serverUrl = `http://localhost:${process.env.PORT || 3000}`] = process.argv.slice(2);
+
+const signers = {
+  stripe: { secret: process.env.STRIPE_WEBHOOK_SECRET, header: 'Stripe-Signature', sign: signStripePayload },
+  paddle: { secret: process.env.PADDLE_WEBHOOK_SECRET, header: 'Paddle-Signature', sign: signPaddlePayload }
+};
+
+const signer = signers[provider];
+if (!signer || !fixture) {
+  console.error('Usage: node scripts/send-webhook.js <stripe|paddle> <fixture.json> [server-url]');
+  process.exit(1);
+}
+if (!signer.secret) {
+  console.error(`❌ ${provider.toUpperCase()}_WEBHOOK_SECRET is not set`);
+  process.exit(1);
+}
+
+const body = fs.readFileSync(fixture, 'utf8');
+
+fetch(`${serverUrl}/api/webhooks/${provider}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', [signer.header]: signer.sign(body, signer.secret) },
+  body
+})
+  .then(async (response) => {
+    console.log(`${response.status} ${await response.text()}`);
+    process.exit(response.ok ? 0 : 1);
+  })
+  .catch((error) => {
+    console.error('❌ Request failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { exceededLimits, limitsForLicense, countryFromRequest } = require('../lib/abuse');
+
+test('only limits that are exceeded are reported', () => {
+  const stats = { ips: ['1.1.1.1', '2.2.2.2', '3.3.3.3'], devices: ['a', 'b'], countries: ['DE', 'US', 'BR', 'JP'] };
+
+  assert.deepStrictEqual(exceededLimits(stats, { ips: 2, devices: 2, countries: 3 }), [
+    { metric: 'ips', count: 3, limit: 2 },
+    { metric: 'countries', count: 4, limit: 3 }
+  ]);
+  assert.deepStrictEqual(exceededLimits(stats, { ips: 10, devices: 5, countries: 5 }), []);
+});
+
+test('device limits grow with seats and do not apply to floating licenses', () => {
+  const limits = { ips: 10, devices: 5, countries: 3 };
+
+  assert.deepStrictEqual(limitsForLicense(limits, { licenseType: 'node_locked', maxActivations: 1 }), limits);
+  assert.deepStrictEqual(limitsForLicense(limits, { licenseType: 'node_locked', maxActivations: 20 }), { ips: 10, devices: 24, countries: 3 });
+  assert.deepStrictEqual(limitsForLicense(limits, { licenseType: 'floating', maxActivations: 1 }), { ips: 10, countries: 3 });
+  assert.deepStrictEqual(limitsForLicense(limits, null), limits);
+});
+
+test('country comes from the proxy header when it is a valid code', () => {
+  const request = (value) => ({ get: (name) => (name === 'cf-ipcountry' ? value : undefined) });
+
+  assert.strictEqual(countryFromRequest(request('de'), 'cf-ipcountry'), 'DE');
+  assert.strictEqual(countryFromRequest(request('XX'), 'cf-ipcountry'), undefined);
+  assert.strictEqual(countryFromRequest(request('T1x'), 'cf-ipcountry'), undefined);
+  assert.strictEqual(countryFromRequest(request(undefined), 'cf-ipcountry'), undefined);
+});
@@ -0,0 +1,257 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const License = require('../models/License');
+const { activateDevice, deactivateByCustomer } = require('../lib/activation');
+const { checkoutSeat, renewLease, releaseSeat } = require('../lib/floating');
+const Organization = require('../models/Organization');
+const Plan = require('../models/Plan');
+const { issueSubLicense, reclaimSubLicense } = require('../lib/organizations');
+
+let mongod;
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+beforeEach(async () => {
+  await License.deleteMany({});
+});
+
+const createLicense = (overrides = {}) => License.create({
+  licenseKey: 'BABYLON-TEST-0000-0001',
+  customerEmail: 'customer@example.com',
+  customerName: 'Test Customer',
+  expiryDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+  ...overrides
+});
+
+const activateMany = (count, deviceIdFor) => Promise.all(
+  Array.from({ length: count }, (_, i) => activateDevice({
+    licenseKey: 'BABYLON-TEST-0000-0001',
+    deviceId: deviceIdFor(i)
+  }))
+);
+
+const countStatuses = (results) => results.reduce((counts, { status }) => {
+  counts[status] = (counts[status] || 0) + 1;
+  return counts;
+}, {});
+
+test('parallel activations on a single-seat license activate exactly one device', async () => {
+  await createLicense({ maxActivations: 1 });
+
+  const results = await activateMany(25, i => `device-${i}`);
+  const counts = countStatuses(results);
+
+  assert.strictEqual(counts.activated, 1);
+  assert.strictEqual(counts.limit_reached, 24);
+
+  const license = await License.findOne({ licenseKey: 'BABYLON-TEST-0000-0001' });
+  assert.strictEqual(license.deviceActivations.length, 1);
+  assert.strictEqual(license.currentActivations, 1);
+});
+
+test('parallel activations never exceed maxActivations on a multi-seat license', async () => {
+  await createLicense({ maxActivations: 5 });
+
+  const results = await activateMany(40, i => `device-${i}`);
+  const counts = countStatuses(results);
+
+  assert.strictEqual(counts.activated, 5);
+  assert.strictEqual(counts.limit_reached, 35);
+
+  const license = await License.findOne({ licenseKey: 'BABYLON-TEST-0000-0001' });
+  assert.strictEqual(license.deviceActivations.length, 5);
+  assert.strictEqual(license.currentActivations, 5);
+  assert.strictEqual(new Set(license.deviceActivations.map(a => a.deviceId)).size, 5);
+});
+
+test('parallel retries from the same device use a single seat', async () => {
+  await createLicense({ maxActivations: 3 });
+
+  const results = await activateMany(20, () => 'retrying-device');
+  const counts = countStatuses(results);
+
+  assert.strictEqual(counts.activated, 1);
+  assert.strictEqual(counts.already_activated, 19);
+
+  const license = await License.findOne({ licenseKey: 'BABYLON-TEST-0000-0001' });
+  assert.strictEqual(license.deviceActivations.length, 1);
+  assert.strictEqual(license.currentActivations, 1);
+});
+
+test('inactive and expired licenses are rejected without claiming a seat', async () => {
+  await createLicense({ isActive: false });
+  let result = await activateDevice({ licenseKey: 'BABYLON-TEST-0000-0001', deviceId: 'device-a' });
+  assert.strictEqual(result.status, 'not_found');
+
+  await License.deleteMany({});
+  await createLicense({ expiryDate: new Date(Date.now() - 1000) });
+  result = await activateDevice({ licenseKey: 'BABYLON-TEST-0000-0001', deviceId: 'device-a' });
+  assert.strictEqual(result.status, 'expired');
+
+  const license = await License.findOne({ licenseKey: 'BABYLON-TEST-0000-0001' });
+  assert.strictEqual(license.deviceActivations.length, 0);
+});
+
+test('a new device ID with a matching fingerprint takes over the old seat', async () => {
+  await createLicense({ maxActivations: 1 });
+  const fingerprint = { os: 'macOS', model: 'MacBookPro18,3', cpu: 'Apple M1 Pro', hardwareUUID: 'C0FFEE00-1234' };
+
+  let result = await activateDevice({ licenseKey: 'BABYLON-TEST-0000-0001', deviceId: 'install-1', deviceInfo: fingerprint });
+  assert.strictEqual(result.status, 'activated');
+
+  result = await activateDevice({
+    licenseKey: 'BABYLON-TEST-0000-0001',
+    deviceId: 'install-2',
+    deviceInfo: { ...fingerprint, launchTime: Date.now() }
+  });
+  assert.strictEqual(result.status, 'rebound');
+  assert.strictEqual(result.previousDeviceId, 'install-1');
+
+  result = await activateDevice({
+    licenseKey: 'BABYLON-TEST-0000-0001',
+    deviceId: 'someone-else',
+    deviceInfo: { ...fingerprint, hardwareUUID: 'BADC0DE0-9999', model: 'Macmini9,1' }
+  });
+  assert.strictEqual(result.status, 'limit_reached');
+
+  const license = await License.findOne({ licenseKey: 'BABYLON-TEST-0000-0001' });
+  assert.deepStrictEqual(license.deviceActivations.map(activation => activation.deviceId), ['install-2']);
+  assert.strictEqual(license.deviceHistory.at(-1).action, 'transferred');
+});
+
+test('matching fingerprints only take over a seat when none is free, within the transfer limit', async () => {
+  await createLicense({ maxActivations: 2 });
+  const licenseKey = 'BABYLON-TEST-0000-0001';
+  const labMachine = { os: 'Windows', model: 'OptiPlex 7090', cpu: 'Intel i7-11700' };
+
+  assert.strictEqual((await activateDevice({ licenseKey, deviceId: 'lab-1', deviceInfo: labMachine })).status, 'activated');
+  // Identical lab hardware gets its own seat while one is free
+  assert.strictEqual((await activateDevice({ licenseKey, deviceId: 'lab-2', deviceInfo: labMachine })).status, 'activated');
+
+  // With the seats full, takeovers count as transfers (3 per window by default)
+  for (let i = 3; i <= 5; i++) {
+    assert.strictEqual((await activateDevice({ licenseKey, deviceId: `lab-${i}`, deviceInfo: labMachine })).status, 'rebound');
+  }
+  assert.strictEqual((await activateDevice({ licenseKey, deviceId: 'lab-6', deviceInfo: labMachine })).status, 'limit_reached');
+
+  const license = await License.findOne({ licenseKey });
+  assert.strictEqual(license.deviceActivations.length, 2);
+  assert.ok(!license.findActivation('lab-6'));
+});
+
+test('customer deactivations free the seat until the transfer limit is used up', async () => {
+  await createLicense({ maxActivations: 5 });
+  const licenseKey = 'BABYLON-TEST-0000-0001';
+  await activateMany(5, i => `device-${i}`);
+  let license = await License.findOne({ licenseKey });
+
+  assert.strictEqual((await deactivateByCustomer(license, 'never-activated', '10.0.0.1')).status, 'not_activated');
+
+  const first = await deactivateByCustomer(license, 'device-0', '10.0.0.1');
+  assert.strictEqual(first.status, 'deactivated');
+  assert.strictEqual(first.license.currentActivations, 4);
+  assert.ok(!first.license.findActivation('device-0'));
+  assert.deepStrictEqual(
+    [first.license.deviceHistory.at(-1).action, first.license.deviceHistory.at(-1).actor],
+    ['deactivated', 'customer']
+  );
+  // Already gone
+  assert.strictEqual((await deactivateByCustomer(license, 'device-0', '10.0.0.1')).status, 'not_activated');
+
+  // Parallel requests, even from a stale copy, stop at the limit (3 per window by default)
+  const results = await Promise.all(['device-1', 'device-2', 'device-3', 'device-4']
+    .map(deviceId => deactivateByCustomer(license, deviceId, '10.0.0.1')));
+  assert.deepStrictEqual(countStatuses(results), { deactivated: 2, limit_reached: 2 });
+
+  license = await License.findOne({ licenseKey });
+  assert.strictEqual(license.deviceActivations.length, 2);
+  assert.strictEqual(license.currentActivations, 2);
+  assert.strictEqual(license.countCustomerTransfersSince(new Date(0)), 3);
+});
+
+test('parallel checkouts never hold more than maxConcurrent floating seats', async () => {
+  await createLicense({ licenseType: 'floating', maxConcurrent: 3 });
+
+  const results = await Promise.all(Array.from({ length: 30 }, (_, i) => checkoutSeat({
+    licenseKey: 'BABYLON-TEST-0000-0001',
+    deviceId: `workstation-${i}`
+  })));
+  const counts = countStatuses(results);
+
+  assert.strictEqual(counts.checked_out, 3);
+  assert.strictEqual(counts.all_in_use, 27);
+  const refused = results.find(result => result.status === 'all_in_use');
+  assert.strictEqual(refused.inUse, 3);
+  assert.ok(refused.nextFreeAt > new Date());
+
+  const license = await License.findOne({ licenseKey: 'BABYLON-TEST-0000-0001' });
+  assert.strictEqual(license.leases.length, 3);
+});
+
+test('floating seats free up on release and when leases lapse', async () => {
+  await createLicense({ licenseType: 'floating', maxConcurrent: 1 });
+  const licenseKey = 'BABYLON-TEST-0000-0001';
+  const start = new Date();
+  const later = new Date(start.getTime() + 60 * 60 * 1000);
+
+  const first = await checkoutSeat({ licenseKey, deviceId: 'a', now: start });
+  assert.strictEqual(first.status, 'checked_out');
+  assert.strictEqual((await checkoutSeat({ licenseKey, deviceId: 'b', now: start })).status, 'all_in_use');
+  assert.strictEqual((await renewLease({ licenseKey, deviceId: 'a', leaseId: first.lease.leaseId, now: start })).status, 'renewed');
+
+  assert.strictEqual(await releaseSeat({ licenseKey, deviceId: 'a', leaseId: first.lease.leaseId }), true);
+  assert.strictEqual((await checkoutSeat({ licenseKey, deviceId: 'b', now: start })).status, 'checked_out');
+
+  // b stops sending heartbeats; an hour later its lease has lapsed
+  const taken = await checkoutSeat({ licenseKey, deviceId: 'a', now: later });
+  assert.strictEqual(taken.status, 'checked_out');
+  const license = await License.findOne({ licenseKey });
+  assert.deepStrictEqual(license.leases.map(lease => lease.deviceId), ['a']);
+
+  // Floating licenses don't take node-locked activations
+  assert.strictEqual((await activateDevice({ licenseKey, deviceId: 'c' })).status, 'floating');
+});
+
+test('parallel sub-license issues never overdraw an organization pool', async () => {
+  await Plan.deleteMany({});
+  await Organization.deleteMany({});
+  await Plan.create({ name: 'lab', displayName: 'Lab' });
+  const organization = await Organization.create({
+    name: 'uni',
+    displayName: 'University',
+    contactEmail: 'it@uni.example',
+    planType: 'lab',
+    expiryDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+    seats: 5
+  });
+
+  const results = await Promise.all(Array.from({ length: 8 }, (_, i) => issueSubLicense(organization, {
+    customerEmail: `member${i}@uni.example`,
+    customerName: `Member ${i}`,
+    maxActivations: 2
+  })));
+  const counts = countStatuses(results);
+
+  assert.strictEqual(counts.issued, 2);
+  assert.strictEqual(counts.no_seats, 6);
+  assert.strictEqual((await Organization.findById(organization._id)).seatsAllocated, 4);
+
+  const issued = results.find(result => result.status === 'issued').license;
+  assert.strictEqual(issued.metadata.planType, 'lab');
+  assert.strictEqual(issued.expiryDate.getTime(), organization.expiryDate.getTime());
+
+  assert.strictEqual(await reclaimSubLicense(organization, issued), true);
+  assert.strictEqual((await Organization.findById(organization._id)).seatsAllocated, 2);
+  assert.strictEqual(await License.countDocuments({ organization: organization._id }), 1);
+});
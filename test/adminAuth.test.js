@@ -0,0 +1,70 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const { authenticateAdmin, requireScope, ungrantableScopes, generateApiKey, safeEqual } = require('../middleware/adminAuth');
+
+// Minimal Express response double
+const mockResponse = () => {
+  const res = {};
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+test('generated API keys have the expected shape and hash', () => {
+  const { key, prefix, keyHash } = generateApiKey();
+  assert.match(key, /^blk_[0-9a-f]{8}_[A-Za-z0-9_-]{43}$/);
+  assert.strictEqual(key.slice(4, 12), prefix);
+  assert.match(keyHash, /^[0-9a-f]{64}$/);
+});
+
+test('safeEqual compares strings of any length', () => {
+  assert.strictEqual(safeEqual('abc', 'abc'), true);
+  assert.strictEqual(safeEqual('abc', 'abcd'), false);
+});
+
+test('ADMIN_TOKEN authenticates with every scope', async () => {
+  const req = { headers: { authorization: 'Bearer test-admin-token' } };
+  let called = false;
+  await authenticateAdmin(req, mockResponse(), () => { called = true; });
+
+  assert.strictEqual(called, true);
+  assert.strictEqual(req.admin.id, 'ADMIN_TOKEN');
+  assert.ok(req.admin.scopes.includes('licenses:write'));
+});
+
+test('missing bearer token is rejected', async () => {
+  const res = mockResponse();
+  await authenticateAdmin({ headers: {} }, res, () => assert.fail('next should not be called'));
+  assert.strictEqual(res.statusCode, 401);
+});
+
+test('requireScope rejects identities without the scope', () => {
+  const res = mockResponse();
+  requireScope('audit:read')({ admin: { scopes: ['licenses:read'] } }, res, () => assert.fail('next should not be called'));
+  assert.strictEqual(res.statusCode, 403);
+});
+
+test('only scopes the creator holds can be granted, except by ADMIN_TOKEN', () => {
+  const support = { id: 'apikey:support', scopes: ['keys:manage', 'licenses:read'] };
+  assert.deepStrictEqual(ungrantableScopes(support, ['licenses:read']), []);
+  assert.deepStrictEqual(ungrantableScopes(support, ['licenses:read', 'licenses:write', 'audit:read']), ['licenses:write', 'audit:read']);
+  assert.deepStrictEqual(ungrantableScopes({ id: 'ADMIN_TOKEN', scopes: ['keys:manage'] }, ['licenses:write']), []);
+});
+
+test('pages load scripts only from files, and the CSP refuses inline scripts and eval', async () => {
+  const { createApp } = require('../app');
+  const server = createApp({ adminToken: 'test-admin-token' }).listen(0);
+  try {
+    for (const page of ['/admin/login', '/invite', '/portal']) {
+      const response = await fetch(`http://127.0.0.1:${server.address().port}${page}`);
+      const scriptSrc = response.headers.get('content-security-policy').match(/script-src ([^;]*)/)[1];
+      assert.strictEqual(scriptSrc, "'self'");
+      assert.doesNotMatch(await response.text(), /<script>/);
+    }
+  } finally {
+    server.close();
+  }
+});
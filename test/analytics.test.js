@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { parseRange, periodKeys, fillSeries, renewalRate } = require('../lib/analytics');
+const { appVersion } = require('../lib/abuse');
+
+const now = new Date('2026-03-15T10:30:00Z');
+
+test('ranges default to the last 30 days including today, or the next N days', () => {
+  const past = parseRange({}, { now });
+  assert.deepStrictEqual(past.errors, []);
+  assert.strictEqual(past.from.toISOString(), '2026-02-14T00:00:00.000Z');
+  assert.strictEqual(past.to.toISOString(), '2026-03-16T00:00:00.000Z');
+  assert.strictEqual(periodKeys(past.from, past.to, 'day').length, 30);
+
+  const ahead = parseRange({}, { now, defaultDays: 365, forward: true });
+  assert.strictEqual(ahead.from.toISOString(), '2026-03-15T00:00:00.000Z');
+  assert.strictEqual(ahead.to.toISOString(), '2027-03-15T00:00:00.000Z');
+
+  const fromOnly = parseRange({ from: '2026-01-01' }, { now, defaultDays: 10 });
+  assert.strictEqual(fromOnly.to.toISOString(), '2026-01-11T00:00:00.000Z');
+});
+
+test('bad dates, reversed or oversized ranges and odd plan names are reported', () => {
+  assert.deepStrictEqual(parseRange({ from: 'yesterday' }, { now }).errors, ['from must be a valid date']);
+  assert.deepStrictEqual(parseRange({ from: '2026-03-01', to: '2026-02-01' }, { now }).errors, ['from must be before to']);
+  assert.match(parseRange({ from: '2020-01-01', to: '2026-01-01' }, { now }).errors[0], /at most 731 days/);
+  assert.match(parseRange({ planType: { $ne: 'pro' } }, { now }).errors[0], /planType/);
+  assert.strictEqual(parseRange({ planType: 'pro' }, { now }).planType, 'pro');
+});
+
+test('series have one entry per day or month with gaps filled', () => {
+  const from = new Date('2026-01-30T00:00:00Z');
+  const to = new Date('2026-02-02T00:00:00Z');
+  assert.deepStrictEqual(periodKeys(from, to, 'day'), ['2026-01-30', '2026-01-31', '2026-02-01']);
+  assert.deepStrictEqual(periodKeys(new Date('2025-11-20T00:00:00Z'), new Date('2026-02-01T00:00:00Z'), 'month'),
+    ['2025-11', '2025-12', '2026-01']);
+
+  assert.deepStrictEqual(
+    fillSeries(['2026-01-30', '2026-01-31'], [{ _id: '2026-01-31', devices: 4 }], { devices: 0 }),
+    [{ date: '2026-01-30', devices: 0 }, { date: '2026-01-31', devices: 4 }]
+  );
+});
+
+test('renewal rate is the renewed share of due licenses', () => {
+  assert.strictEqual(renewalRate(3, 1), 0.75);
+  assert.strictEqual(renewalRate(1, 2), 0.333);
+  assert.strictEqual(renewalRate(0, 0), null);
+});
+
+test('only plain version strings are kept from app_version', () => {
+  assert.strictEqual(appVersion(' 2.4.1 '), '2.4.1');
+  assert.strictEqual(appVersion('2.5.0-beta+42'), '2.5.0-beta+42');
+  assert.strictEqual(appVersion('<script>'), undefined);
+  assert.strictEqual(appVersion({ $gt: '' }), undefined);
+  assert.strictEqual(appVersion('1'.repeat(40)), undefined);
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { canonicalJson, hashEntry, throttleFailure } = require('../lib/audit');
+
+const entry = {
+  seq: 1,
+  timestamp: new Date('2025-01-01T00:00:00Z'),
+  action: 'license.updated',
+  licenseKey: 'BABYLON-TEST-0000-0001',
+  actor: { type: 'admin', id: 'ADMIN_TOKEN' },
+  before: { maxActivations: 1 },
+  after: { maxActivations: 2 },
+  prevHash: '0'.repeat(64)
+};
+
+test('canonicalJson ignores key order and undefined values', () => {
+  assert.strictEqual(
+    canonicalJson({ b: 1, a: { d: [1, 2], c: undefined } }),
+    canonicalJson({ a: { d: [1, 2] }, b: 1 })
+  );
+});
+
+test('hash changes when any field or the previous hash changes', () => {
+  const original = hashEntry(entry);
+
+  assert.strictEqual(hashEntry({ ...entry }), original);
+  assert.notStrictEqual(hashEntry({ ...entry, after: { maxActivations: 5 } }), original);
+  assert.notStrictEqual(hashEntry({ ...entry, actor: { type: 'admin', id: 'someone-else' } }), original);
+  assert.notStrictEqual(hashEntry({ ...entry, prevHash: 'f'.repeat(64) }), original);
+});
+
+test('repeated failures are audited once per window and counted', () => {
+  const key = 'validation.failed|BABYLON-TEST-0000-0001|203.0.113.7';
+  const start = Date.parse('2025-01-01T00:00:00Z');
+
+  assert.deepStrictEqual(throttleFailure(key, start, 60000), { repeated: 0 });
+  assert.strictEqual(throttleFailure(key, start + 1000, 60000), null);
+  assert.strictEqual(throttleFailure(key, start + 59000, 60000), null);
+  // Another IP or action has its own window
+  assert.deepStrictEqual(throttleFailure('validation.failed|BABYLON-TEST-0000-0001|203.0.113.8', start, 60000), { repeated: 0 });
+  assert.deepStrictEqual(throttleFailure('activation.failed|BABYLON-TEST-0000-0001|203.0.113.7', start, 60000), { repeated: 0 });
+
+  assert.deepStrictEqual(throttleFailure(key, start + 60000, 60000), { repeated: 2 });
+  assert.strictEqual(throttleFailure(key, start + 61000, 60000), null);
+});
+
+test('a zero window audits every failure', () => {
+  const key = 'seat.unavailable|203.0.113.9';
+  assert.deepStrictEqual(throttleFailure(key, 0, 0), { repeated: 0 });
+  assert.deepStrictEqual(throttleFailure(key, 0, 0), { repeated: 0 });
+});
@@ -0,0 +1,136 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+
+const { main } = require('../lib/cli');
+const { importRows } = require('../lib/cli/commands');
+const { parseCsv } = require('../lib/csv');
+
+// A stand-in for the admin API that records what the CLI sends
+const received = [];
+let server;
+let url;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (req.get('authorization') !== 'Bearer test-token') {
+      return res.status(401).json({ error: 'Unauthorized - Invalid token' });
+    }
+    received.push({ method: req.method, path: req.originalUrl, body: req.body });
+    next();
+  });
+  app.post('/api/admin/create-license', (req, res) => res.json({
+    success: true,
+    license: { licenseKey: 'BABYLON-AB12-CD34-EF56', ...req.body, planType: 'single', expiryDate: '2027-10-18T00:00:00.000Z' }
+  }));
+  app.post('/api/admin/licenses/import', (req, res) => {
+    const errors = req.body.licenses.flatMap((row, i) => (row.customerEmail ? [] : [`licenses[${i}]: customerEmail is required`]));
+    if (errors.length) return res.status(400).json({ success: false, error: errors.join('; '), details: errors });
+    res.status(201).json({ success: true, count: req.body.licenses.length, licenses: [] });
+  });
+
+  server = app.listen(0);
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function run(...argv) {
+  let stdout = '';
+  let stderr = '';
+  const code = await main([...argv, '--url', url, '--token', 'test-token'], {
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } }
+  });
+  return { code, stdout, stderr };
+}
+
+test('CSV parsing handles quotes, line breaks inside quotes, CRLF and a byte order mark', () => {
+  assert.deepStrictEqual(parseCsv('﻿name,notes\r\n"Doe, Jane","said ""hi""\nthen left"\r\n\r\nBob,\n'), [
+    ['name', 'notes'],
+    ['Doe, Jane', 'said "hi"\nthen left'],
+    ['Bob', '']
+  ]);
+});
+
+test('import rows use the create-license field names and leave empty cells out', () => {
+  assert.deepStrictEqual(importRows('CustomerEmail,customername,planType\na@example.com,Ann,\n'), [
+    { customerEmail: 'a@example.com', customerName: 'Ann' }
+  ]);
+  assert.throws(() => importRows('email,name\na@example.com,Ann\n'), /Unknown CSV columns: email, name/);
+});
+
+test('create sends the license fields and prints the new key', async () => {
+  received.length = 0;
+  const { code, stdout } = await run('create', '--email', 'ann@example.com', '--name', 'Ann', '--months', '6', '--no-email');
+
+  assert.strictEqual(code, 0);
+  assert.deepStrictEqual(received[0].body, {
+    customerEmail: 'ann@example.com',
+    customerName: 'Ann',
+    durationMonths: '6',
+    sendEmail: false
+  });
+  assert.match(stdout, /^Created BABYLON-AB12-CD34-EF56 for Ann <ann@example.com> \(single, expires 2027-10-18\)/);
+
+  const json = await run('create', '--email', 'ann@example.com', '--name', 'Ann', '--json');
+  assert.strictEqual(JSON.parse(json.stdout).license.licenseKey, 'BABYLON-AB12-CD34-EF56');
+});
+
+test('bad arguments and API errors exit non-zero without printing results', async () => {
+  const usage = await run('renew', 'not-a-key');
+  assert.strictEqual(usage.code, 2);
+  assert.match(usage.stderr, /Usage: babylon-license renew KEY/);
+
+  let stderr = '';
+  const unauthorized = await main(['list', '--url', url, '--token', 'wrong'], {
+    stdout: { write: () => assert.fail('nothing should be printed') },
+    stderr: { write: (text) => { stderr += text; } }
+  });
+  assert.strictEqual(unauthorized, 1);
+  assert.match(stderr, /Unauthorized - Invalid token/);
+});
+
+test('an import with a bad row reports it by row number and creates nothing', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'babylon-import-'));
+  const file = path.join(directory, 'licenses.csv');
+  fs.writeFileSync(file, 'customerEmail,customerName\na@example.com,Ann\n,Bob\n');
+  received.length = 0;
+
+  try {
+    const { code, stderr } = await run('import', file);
+    assert.strictEqual(code, 1);
+    assert.match(stderr, /row 2: customerEmail is required/);
+    // Only the dry run was sent
+    assert.deepStrictEqual(received.map(request => request.body.dryRun), [true]);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('profiles are saved privately and used as the default connection', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'babylon-profiles-'));
+  process.env.BABYLON_LICENSE_CONFIG = path.join(directory, 'profiles.json');
+  const quiet = { stdout: { write: () => {} }, stderr: { write: () => {} } };
+
+  try {
+    assert.strictEqual(await main(['profile', 'add', 'local', '--url', url, '--token', 'test-token'], quiet), 0);
+    assert.strictEqual(await main(['profile', 'add', 'broken', '--url', url], quiet), 2);
+    assert.strictEqual(fs.statSync(process.env.BABYLON_LICENSE_CONFIG).mode & 0o777, 0o600);
+
+    received.length = 0;
+    assert.strictEqual(await main(['create', '--email', 'ann@example.com', '--name', 'Ann'], quiet), 0);
+    assert.strictEqual(received.length, 1);
+
+    assert.strictEqual(await main(['profile', 'remove', 'local'], quiet), 0);
+    assert.strictEqual(await main(['create', '--email', 'ann@example.com', '--name', 'Ann'], quiet), 1);
+  } finally {
+    delete process.env.BABYLON_LICENSE_CONFIG;
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
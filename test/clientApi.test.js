@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { validateSchema } = require('../lib/schema');
+const { requests } = require('../lib/clientApiSchemas');
+const { ERRORS, apiErrorHandler } = require('../lib/apiErrors');
+const { openApiDocument } = require('../lib/openapi');
+
+test('request schemas report every problem with the field name', () => {
+  assert.deepStrictEqual(validateSchema(requests.validate, { license_key: 'BABYLON-AB12-CD34-EF56', device_id: 'pc-1' }), []);
+  assert.deepStrictEqual(validateSchema(requests.validate, {}), ['license_key is required', 'device_id is required']);
+  assert.deepStrictEqual(
+    validateSchema(requests.activate, { license_key: 42, device_id: '', device_fingerprint: ['x'], app_version: '1.0 beta' }),
+    [
+      'license_key must be a string',
+      'device_id must not be empty',
+      'device_fingerprint must be an object',
+      'app_version has an invalid format'
+    ]
+  );
+  assert.deepStrictEqual(validateSchema(requests.startTrial, []), ['body must be an object']);
+  // Fields the server doesn't know are ignored, so newer apps can talk to older servers
+  assert.deepStrictEqual(validateSchema(requests.deactivate, { license_key: 'k', device_id: 'd', extra: 1 }), []);
+});
+
+test('the OpenAPI document covers every endpoint and error code', () => {
+  const document = openApiDocument();
+  assert.strictEqual(document.openapi, '3.0.3');
+  assert.deepStrictEqual(Object.keys(document.paths).sort(),
+    ['/activate', '/deactivate', '/heartbeat', '/nonce', '/release-seat', '/start-trial', '/validate']);
+  assert.deepStrictEqual(document.components.schemas.Error.properties.error.properties.code.enum, Object.keys(ERRORS));
+
+  // Every $ref points at a published schema
+  const refs = JSON.stringify(document).match(/#\/components\/schemas\/\w+/g);
+  for (const ref of new Set(refs)) {
+    assert.ok(document.components.schemas[ref.split('/').pop()], `${ref} is missing`);
+  }
+
+  const validate = document.paths['/validate'].post.responses;
+  assert.match(validate['403'].description, /LICENSE_EXPIRED/);
+  assert.match(validate['403'].description, /DEVICE_NOT_ACTIVATED/);
+  assert.match(document.paths['/activate'].post.responses['409'].description, /SEAT_LIMIT_REACHED/);
+});
+
+test('v2 rejects bad bodies with error codes before touching the database', async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v2', require('../routes/clientV2'));
+  app.use('/api/v2', apiErrorHandler);
+
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}/api/v2`;
+    const post = (path, body) => fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    let response = await post('/validate', { device_id: 'pc-1' });
+    assert.strictEqual(response.status, 400);
+    let { error } = await response.json();
+    assert.strictEqual(error.code, 'INVALID_REQUEST');
+    assert.deepStrictEqual(error.details.errors, ['license_key is required']);
+
+    response = await post('/activate', { license_key: 'BABYLON-7KQ2M-XW4PA-9D3TR-HN6BD', device_id: 'pc-1' });
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error.code, 'INVALID_LICENSE_KEY');
+
+    response = await post('/validate', '{"license_key": ');
+    assert.strictEqual(response.status, 400);
+    assert.strictEqual((await response.json()).error.code, 'INVALID_REQUEST');
+
+    response = await fetch(`${base}/validate-license`);
+    assert.strictEqual(response.status, 404);
+    assert.strictEqual((await response.json()).error.code, 'NOT_FOUND');
+
+    response = await fetch(`${base}/openapi.json`);
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual((await response.json()).servers[0].url, '/api/v2');
+  } finally {
+    server.close();
+  }
+});
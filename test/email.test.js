@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { renderTemplate, licenseEmailData } = require('../lib/email');
+const { createTransport } = require('../lib/email/transports');
+
+const license = {
+  licenseKey: 'BABYLON-AB12-CD34-EF56',
+  customerName: 'Jane Doe',
+  customerEmail: 'jane@example.com',
+  maxActivations: 2,
+  expiryDate: new Date('2030-05-01T12:00:00Z'),
+  metadata: { planType: 'pro' }
+};
+
+test('every template renders a subject and fills license placeholders', () => {
+  const data = { ...licenseEmailData(license), productName: 'Babylon RCT', supportEmail: 'help@example.com', daysLeft: 3, deviceId: 'device-1', activatedAt: '2030-01-01', activationsUsed: 1 };
+
+  for (const name of ['license-key', 'new-device', 'expiry-reminder', 'license-expired']) {
+    const { subject, text } = renderTemplate(name, data);
+    assert.ok(subject.length > 0, `${name} has a subject`);
+    assert.ok(!/{{\s*\w+\s*}}/.test(subject + text), `${name} has no unfilled placeholders`);
+  }
+
+  const reminder = renderTemplate('expiry-reminder', data);
+  assert.strictEqual(reminder.subject, 'Your Babylon RCT license expires in 3 days');
+  assert.match(reminder.text, /BABYLON-AB12-CD34-EF56 expires on 2030-05-01/);
+});
+
+test('missing data leaves placeholders visible and unknown templates throw', () => {
+  const { text } = renderTemplate('license-key', { customerName: 'Jane' });
+  assert.match(text, /{{licenseKey}}/);
+  assert.throws(() => renderTemplate('no-such-template', {}), /not found/);
+});
+
+test('EMAIL_TEMPLATES_DIR overrides individual templates', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'babylon-templates-'));
+  fs.writeFileSync(path.join(directory, 'license-key.txt'), 'Subject: Key for {{customerName}}\nKey: {{licenseKey}}\n');
+  process.env.EMAIL_TEMPLATES_DIR = directory;
+  try {
+    assert.deepStrictEqual(renderTemplate('license-key', licenseEmailData(license)), {
+      subject: 'Key for Jane Doe',
+      text: 'Key: BABYLON-AB12-CD34-EF56\n'
+    });
+    // Templates not overridden fall back to the defaults
+    assert.match(renderTemplate('license-expired', licenseEmailData(license)).subject, /has expired/);
+  } finally {
+    delete process.env.EMAIL_TEMPLATES_DIR;
+    fs.rmSync(directory, { recursive: true });
+  }
+});
+
+test('file transport writes each message to EMAIL_FILE_DIR', async () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'babylon-emails-'));
+  process.env.EMAIL_FILE_DIR = directory;
+  try {
+    const transport = createTransport('file');
+    const { file } = await transport.send({ from: 'a@example.com', to: 'jane@example.com', subject: 'Hi', text: 'Hello' });
+    assert.strictEqual(path.dirname(file), directory);
+    assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).subject, 'Hi');
+    assert.throws(() => createTransport('pigeon'), /Unknown EMAIL_TRANSPORT/);
+  } finally {
+    delete process.env.EMAIL_FILE_DIR;
+    fs.rmSync(directory, { recursive: true });
+  }
+});
@@ -0,0 +1,52 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const License = require('../models/License');
+const { resolveEntitlements } = require('../lib/entitlements');
+
+const plan = {
+  name: 'pro',
+  features: ['premium', 'export_4k', 'watermark_free'],
+  quotas: new Map([['projects', 50], ['cloud_gb', 10]])
+};
+
+const license = (fields = {}) => new License({
+  licenseKey: 'BABYLON-AB12-CD34-EF56',
+  customerEmail: 'jane@example.com',
+  customerName: 'Jane',
+  expiryDate: new Date('2030-01-01'),
+  maxActivations: 3,
+  metadata: { planType: 'pro' },
+  ...fields
+});
+
+test('a license without overrides gets its plan entitlements', () => {
+  assert.deepStrictEqual(resolveEntitlements(license(), plan), {
+    plan: 'pro',
+    features: { premium: true, export_4k: true, watermark_free: true },
+    quotas: { projects: 50, cloud_gb: 10 },
+    max_activations: 3
+  });
+});
+
+test('overrides switch features on or off and replace quotas', () => {
+  const overridden = license({
+    entitlementOverrides: {
+      features: { export_4k: false, beta_tools: true },
+      quotas: { projects: 200 }
+    }
+  });
+
+  assert.deepStrictEqual(resolveEntitlements(overridden, plan), {
+    plan: 'pro',
+    features: { premium: true, export_4k: false, watermark_free: true, beta_tools: true },
+    quotas: { projects: 200, cloud_gb: 10 },
+    max_activations: 3
+  });
+});
+
+test('a missing plan resolves to the overrides alone', () => {
+  const overridden = license({ entitlementOverrides: { features: { premium: true } } });
+  assert.deepStrictEqual(resolveEntitlements(overridden, null).features, { premium: true });
+  assert.deepStrictEqual(resolveEntitlements(license(), null).quotas, {});
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeFingerprint, similarity, findMatchingActivation } = require('../lib/fingerprint');
+
+const laptop = {
+  os: 'Windows',
+  osVersion: '10.0.19045',
+  model: 'XPS 15 9520',
+  cpu: 'Intel(R) Core(TM) i7-12700H',
+  systemGUID: 'A1B2C3D4-0000-1111-2222-333344445555',
+  screen: { width: 3840, height: 2400 },
+  lastLaunchTime: 1718000000,
+  batteryLevel: 87
+};
+
+test('normalization flattens, lowercases and drops volatile fields', () => {
+  assert.deepStrictEqual(normalizeFingerprint(laptop), {
+    os: 'windows',
+    osVersion: '10.0.19045',
+    model: 'xps 15 9520',
+    cpu: 'intel(r) core(tm) i7-12700h',
+    systemGUID: 'a1b2c3d4-0000-1111-2222-333344445555',
+    'screen.width': '3840',
+    'screen.height': '2400'
+  });
+  assert.deepStrictEqual(normalizeFingerprint(null), {});
+  assert.deepStrictEqual(normalizeFingerprint({ gpu: '  ', tags: ['b', 'A'] }), { tags: 'a,b' });
+});
+
+test('a reinstall after an OS update still scores as the same machine', () => {
+  const before = normalizeFingerprint(laptop);
+  const after = normalizeFingerprint({ ...laptop, osVersion: '10.0.19046', lastLaunchTime: 1719000000, batteryLevel: 12 });
+  const other = normalizeFingerprint({ ...laptop, systemGUID: 'FFFFFFFF-9999-8888-7777-666655554444' });
+
+  assert.ok(similarity(before, after) >= 0.9);
+  assert.ok(similarity(before, other) < 0.8, 'a different hardware ID outweighs matching specs');
+  assert.strictEqual(similarity(before, before), 1);
+  assert.strictEqual(similarity({}, {}), 0);
+});
+
+test('matching picks the closest activation above the threshold', () => {
+  const activations = [
+    { deviceId: 'desktop', deviceInfo: { ...laptop, systemGUID: 'other', model: 'Optiplex' } },
+    { deviceId: 'old-laptop-id', deviceInfo: laptop },
+    { deviceId: 'no-fingerprint', deviceInfo: {} }
+  ];
+  const match = findMatchingActivation(activations, normalizeFingerprint({ ...laptop, osVersion: '10.0.19046' }), 0.9);
+
+  assert.strictEqual(match.activation.deviceId, 'old-laptop-id');
+  assert.ok(match.score >= 0.9);
+});
+
+test('sparse fingerprints never match', () => {
+  const activations = [{ deviceId: 'a', deviceInfo: { os: 'windows', model: 'pc' } }];
+  assert.strictEqual(findMatchingActivation(activations, normalizeFingerprint({ os: 'windows', model: 'pc' }), 0.5), null);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { liveLeases, leaseMinutes, heartbeatIntervalSeconds } = require('../lib/floating');
+const { issueLicenseToken, verifyLicenseToken } = require('../lib/licenseToken');
+
+test('only leases that have not lapsed count as seats in use', () => {
+  const now = new Date('2026-01-01T12:00:00Z');
+  const license = {
+    leases: [
+      { deviceId: 'a', expiresAt: new Date('2026-01-01T12:10:00Z') },
+      { deviceId: 'b', expiresAt: new Date('2026-01-01T11:59:59Z') },
+      { deviceId: 'c', expiresAt: now }
+    ]
+  };
+
+  assert.deepStrictEqual(liveLeases(license, now).map(lease => lease.deviceId), ['a']);
+  assert.deepStrictEqual(liveLeases({}, now), []);
+});
+
+test('clients heartbeat three times per lease', () => {
+  process.env.FLOATING_LEASE_MINUTES = '6';
+  try {
+    assert.strictEqual(leaseMinutes(), 6);
+    assert.strictEqual(heartbeatIntervalSeconds(), 120);
+  } finally {
+    delete process.env.FLOATING_LEASE_MINUTES;
+  }
+  assert.strictEqual(leaseMinutes(), 15);
+});
+
+test('license tokens for a floating seat expire with the lease', () => {
+  const license = {
+    licenseKey: 'BABYLON-TEST-0000-0001',
+    expiryDate: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000),
+    metadata: { planType: 'single' }
+  };
+  const leaseExpiry = new Date(Date.now() + 15 * 60 * 1000);
+
+  const { token, offlineUntil } = issueLicenseToken(license, 'workstation-1', { features: {}, quotas: {} }, { notAfter: leaseExpiry });
+  assert.strictEqual(offlineUntil.getTime(), Math.floor(leaseExpiry.getTime() / 1000) * 1000);
+  assert.strictEqual(verifyLicenseToken(token).exp, Math.floor(leaseExpiry.getTime() / 1000));
+});
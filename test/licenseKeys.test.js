@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { generateLicenseKey, parseLicenseKey, checkCharacter } = require('../lib/licenseKeys');
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+test('generated keys use the unambiguous alphabet and pass their own check', () => {
+  const keys = new Set();
+  for (let i = 0; i < 200; i++) {
+    const key = generateLicenseKey();
+    assert.match(key, /^BABYLON-[0-9A-HJKMNP-TV-Z]{5}(-[0-9A-HJKMNP-TV-Z]{5}){3}$/);
+    assert.deepStrictEqual(parseLicenseKey(key), { licenseKey: key });
+    keys.add(key);
+  }
+  assert.strictEqual(keys.size, 200);
+});
+
+test('every single mistyped character is caught by the check character', () => {
+  const key = generateLicenseKey();
+  const body = key.replace(/^BABYLON-/, '').replace(/-/g, '');
+
+  for (let position = 0; position < body.length; position++) {
+    for (const replacement of ALPHABET) {
+      if (replacement === body[position]) continue;
+      const typo = body.slice(0, position) + replacement + body.slice(position + 1);
+      assert.ok(parseLicenseKey(typo).error, `${typo} should be rejected`);
+    }
+  }
+});
+
+test('swapped neighbours are caught', () => {
+  const payload = '0123456789ABCDEFGHJ';
+  const body = payload + checkCharacter(payload);
+  for (let position = 0; position < body.length - 1; position++) {
+    const swapped = body.slice(0, position) + body[position + 1] + body[position] + body.slice(position + 2);
+    assert.match(parseLicenseKey(swapped).error, /typo/);
+  }
+});
+
+test('case, spaces, missing dashes and look-alike letters are forgiven', () => {
+  const payload = 'AB0CD1EF2GH3JK4MN5P';
+  const key = `BABYLON-${(payload + checkCharacter(payload)).match(/.{5}/g).join('-')}`;
+  const loose = key.toLowerCase().replace(/-/g, ' ').replace(/0/g, 'o').replace(/1/g, 'l');
+
+  assert.deepStrictEqual(parseLicenseKey(`  ${loose} `), { licenseKey: key });
+  assert.deepStrictEqual(parseLicenseKey(key.replace('BABYLON-', '')), { licenseKey: key });
+});
+
+test('legacy keys are accepted as they are and junk is rejected', () => {
+  assert.deepStrictEqual(parseLicenseKey('babylon-ab12-cd34-ef56'), { licenseKey: 'BABYLON-AB12-CD34-EF56' });
+
+  assert.match(parseLicenseKey('BABYLON-AB12-CD34').error, /not a valid license key/);
+  assert.match(parseLicenseKey('BABYLON-UUUUU-UUUUU-UUUUU-UUUUU').error, /not a valid license key/);
+  assert.match(parseLicenseKey({ $ne: null }).error, /required/);
+  assert.match(parseLicenseKey(undefined).error, /required/);
+});
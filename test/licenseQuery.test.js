@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { buildLicenseFilter, buildProjection, encodeCursor, cursorFilter } = require('../lib/licenseQuery');
+
+const now = new Date('2025-06-01T00:00:00Z');
+
+test('no parameters matches everything', () => {
+  assert.deepStrictEqual(buildLicenseFilter({}, now), { filter: {}, errors: [] });
+});
+
+test('status and expiring-within filters combine', () => {
+  const { filter, errors } = buildLicenseFilter({ status: 'active', expiringWithinDays: '14', planType: 'pro' }, now);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(filter.$and[0], { isActive: true, expiryDate: { $gt: now } });
+  assert.deepStrictEqual(filter.$and[1], { 'metadata.planType': 'pro' });
+  assert.deepStrictEqual(filter.$and[2].expiryDate.$lte, new Date('2025-06-15T00:00:00Z'));
+});
+
+test('email substring is escaped before being used as a regex', () => {
+  const { filter } = buildLicenseFilter({ email: 'a.b+c@' }, now);
+  assert.deepStrictEqual(filter, { customerEmail: { $regex: 'a\\.b\\+c@', $options: 'i' } });
+});
+
+test('invalid parameters are reported', () => {
+  const { errors } = buildLicenseFilter({ status: 'gone', expiringWithinDays: 'soon', createdFrom: 'yesterday' }, now);
+  assert.strictEqual(errors.length, 3);
+});
+
+test('type separates trials from paid licenses', () => {
+  assert.deepStrictEqual(buildLicenseFilter({ type: 'trial' }, now).filter, { isTrial: true });
+  assert.deepStrictEqual(buildLicenseFilter({ type: 'paid' }, now).filter, { isTrial: { $ne: true } });
+  assert.deepStrictEqual(buildLicenseFilter({ type: 'free' }, now).errors, ['type must be paid or trial']);
+});
+
+test('projection rejects unknown fields and always keeps createdAt', () => {
+  const errors = [];
+  assert.deepStrictEqual(buildProjection('licenseKey,customerEmail', errors), { createdAt: 1, licenseKey: 1, customerEmail: 1 });
+  buildProjection('licenseKey,password', errors);
+  assert.strictEqual(errors.length, 1);
+});
+
+test('cursors round-trip into a keyset filter', () => {
+  const errors = [];
+  const cursor = encodeCursor({ createdAt: now, _id: '65a1b2c3d4e5f60718293a4b' });
+  const filter = cursorFilter(cursor, errors);
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(filter.$or[0], { createdAt: { $lt: now } });
+  assert.strictEqual(String(filter.$or[1]._id.$lt), '65a1b2c3d4e5f60718293a4b');
+
+  cursorFilter('garbage', errors);
+  assert.deepStrictEqual(errors, ['cursor is invalid']);
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { loadConfig } = require('../lib/config');
+
+// A rotated key set: 2025-06 signs new tokens, 2025-01 was retired to
+// verify-only
+const pem = (key, type) => key.export({ format: 'pem', type });
+const current = crypto.generateKeyPairSync('ed25519');
+const retired = crypto.generateKeyPairSync('ed25519');
+process.env.LICENSE_SIGNING_KEYS = JSON.stringify([
+  { kid: '2025-06', privateKey: pem(current.privateKey, 'pkcs8') },
+  { kid: '2025-01', publicKey: pem(retired.publicKey, 'spki') }
+]);
+
+const { issueLicenseToken, verifyLicenseToken, getPublicKeys } = require('../lib/licenseToken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const license = (overrides = {}) => ({
+  licenseKey: 'BABYLON-AB12-CD34-EF56',
+  expiryDate: new Date(Date.now() + 365 * DAY_MS),
+  metadata: { planType: 'pro' },
+  ...overrides
+});
+
+// A token as an older server would have signed it
+function signWith(privateKey, kid, payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const input = `${encode({ alg: 'EdDSA', typ: 'JWT', kid })}.${encode(payload)}`;
+  return `${input}.${crypto.sign(null, Buffer.from(input), privateKey).toString('base64url')}`;
+}
+
+const payload = () => ({
+  iss: 'babylon-license-server',
+  sub: 'BABYLON-AB12-CD34-EF56',
+  device_id: 'pc-1',
+  iat: Math.floor(Date.now() / 1000),
+  exp: Math.floor(Date.now() / 1000) + 3600
+});
+
+test('issued tokens verify and carry the license, device and entitlements', () => {
+  const { token, offlineUntil } = issueLicenseToken(license(), 'pc-1', { features: ['export'] });
+  const verified = verifyLicenseToken(token);
+
+  assert.strictEqual(verified.sub, 'BABYLON-AB12-CD34-EF56');
+  assert.strictEqual(verified.device_id, 'pc-1');
+  assert.strictEqual(verified.plan_type, 'pro');
+  assert.deepStrictEqual(verified.entitlements, { features: ['export'] });
+  assert.strictEqual(verified.exp * 1000, offlineUntil.getTime());
+  assert.strictEqual(JSON.parse(Buffer.from(token.split('.')[0], 'base64url')).kid, '2025-06');
+});
+
+test('tampered tokens and bad signatures are refused', () => {
+  const { token } = issueLicenseToken(license(), 'pc-1', {});
+  const [header, body, signature] = token.split('.');
+
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(body, 'base64url')), device_id: 'pc-2' })).toString('base64url');
+  assert.strictEqual(verifyLicenseToken(`${header}.${forged}.${signature}`), null);
+  assert.strictEqual(verifyLicenseToken(`${header}.${body}.${crypto.randomBytes(64).toString('base64url')}`), null);
+  assert.strictEqual(verifyLicenseToken('not-a-token'), null);
+});
+
+test('tokens with an unknown kid are refused', () => {
+  const stranger = crypto.generateKeyPairSync('ed25519');
+  assert.strictEqual(verifyLicenseToken(signWith(stranger.privateKey, '2099-01', payload())), null);
+  // A known kid doesn't help a token signed with another key
+  assert.strictEqual(verifyLicenseToken(signWith(stranger.privateKey, '2025-06', payload())), null);
+});
+
+test('expired tokens are refused', () => {
+  const { token, offlineUntil } = issueLicenseToken(license({ expiryDate: new Date(Date.now() - DAY_MS) }), 'pc-1', {});
+  assert.ok(offlineUntil < new Date());
+  assert.strictEqual(verifyLicenseToken(token), null);
+});
+
+test('tokens signed before a rotation still verify with the retired key', () => {
+  const verified = verifyLicenseToken(signWith(retired.privateKey, '2025-01', payload()));
+  assert.strictEqual(verified.device_id, 'pc-1');
+
+  const { active_kid: activeKid, keys } = getPublicKeys();
+  assert.strictEqual(activeKid, '2025-06');
+  assert.deepStrictEqual(keys.map(key => key.kid), ['2025-06', '2025-01']);
+  assert.ok(keys.every(key => key.alg === 'EdDSA' && key.pem.includes('BEGIN PUBLIC KEY')));
+});
+
+test('signing key problems are reported at startup', () => {
+  const env = { MONGODB_URI: 'mongodb://localhost/test', ADMIN_TOKEN: 'token' };
+
+  assert.throws(() => loadConfig({ ...env, LICENSE_SIGNING_KEYS: '[{"kid":' }), /LICENSE_SIGNING_KEYS is not valid JSON/);
+  assert.throws(() => loadConfig({ ...env, LICENSE_SIGNING_KEYS: '[{"kid":"a","privateKey":"nope"}]' }), /Signing key a could not be read/);
+  assert.throws(
+    () => loadConfig({ ...env, LICENSE_SIGNING_KEYS: process.env.LICENSE_SIGNING_KEYS, LICENSE_SIGNING_KID: '2025-01' }),
+    /No private signing key available for kid "2025-01"/
+  );
+  assert.strictEqual(loadConfig({ ...env, LICENSE_SIGNING_KEYS: process.env.LICENSE_SIGNING_KEYS }).adminToken, 'token');
+});
@@ -0,0 +1,91 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { logger, redact, requestContext } = require('../lib/logger');
+const metrics = require('../lib/metrics');
+const { assignRequestId } = require('../middleware/requestContext');
+
+// Collect what the logger writes to stdout while `action` runs (synchronously,
+// so the test runner's own output isn't swallowed)
+function captureStdout(action) {
+  const lines = [];
+  const write = process.stdout.write;
+  process.stdout.write = (chunk) => { lines.push(String(chunk)); return true; };
+  try {
+    action();
+  } finally {
+    process.stdout.write = write;
+  }
+  return lines.join('');
+}
+
+test('license keys and email addresses are masked', () => {
+  assert.strictEqual(
+    redact('Activating BABYLON-7KQ2M-XW4PA-9D3TR-HN6BC for Jane.Doe@Example.com'),
+    'Activating BABYLON-…-HN6BC for J***@Example.com'
+  );
+  assert.strictEqual(redact("{ licenseKey: 'babylon-ab12-cd34-ef56' }"), "{ licenseKey: 'BABYLON-…-ef56' }");
+  assert.strictEqual(redact('no secrets here'), 'no secrets here');
+});
+
+test('JSON log lines carry the level, request ID and fields, redacted', () => {
+  process.env.LOG_FORMAT = 'json';
+  try {
+    const output = captureStdout(() => requestContext.run({ requestId: 'req-1' }, () => {
+      logger.info('Key sent', { to: 'jane@example.com' });
+    }));
+    const entry = JSON.parse(output);
+    assert.strictEqual(entry.level, 'info');
+    assert.strictEqual(entry.msg, 'Key sent');
+    assert.strictEqual(entry.requestId, 'req-1');
+    assert.strictEqual(entry.to, 'j***@example.com');
+  } finally {
+    delete process.env.LOG_FORMAT;
+  }
+});
+
+test('metrics render counters and cumulative histogram buckets', () => {
+  const requests = metrics.counter('test_requests_total', 'Test counter', ['route']);
+  const latency = metrics.histogram('test_latency_seconds', 'Test histogram', ['route'], [0.1, 1]);
+  requests.inc({ route: '/a "quoted"' });
+  requests.inc({ route: '/a "quoted"' });
+  latency.observe({ route: '/a' }, 0.05);
+  latency.observe({ route: '/a' }, 0.5);
+
+  const text = metrics.render();
+  assert.match(text, /# TYPE test_requests_total counter\ntest_requests_total\{route="\/a \\"quoted\\""\} 2\n/);
+  assert.match(text, /test_latency_seconds_bucket\{route="\/a",le="0.1"\} 1\n/);
+  assert.match(text, /test_latency_seconds_bucket\{route="\/a",le="1"\} 2\n/);
+  assert.match(text, /test_latency_seconds_bucket\{route="\/a",le="\+Inf"\} 2\n/);
+  assert.match(text, /test_latency_seconds_count\{route="\/a"\} 2\n/);
+});
+
+test('requests get an ID and are counted by route template', async () => {
+  const app = express();
+  app.use(assignRequestId);
+  const router = express.Router();
+  router.get('/:licenseKey', (req, res) => res.json({ id: req.id }));
+  app.use('/things', router);
+
+  // Keep access log lines out of the test output
+  process.env.LOG_LEVEL = 'warn';
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const response = await fetch(`${base}/things/BABYLON-AB12-CD34-EF56`, { headers: { 'X-Request-Id': 'abc-123' } });
+    assert.strictEqual(response.headers.get('x-request-id'), 'abc-123');
+    assert.strictEqual((await response.json()).id, 'abc-123');
+
+    const generated = await fetch(`${base}/things/other`);
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    // Unsafe IDs are replaced rather than echoed
+    const unsafe = await fetch(`${base}/things/x`, { headers: { 'X-Request-Id': 'a b c' } });
+    assert.notStrictEqual(unsafe.headers.get('x-request-id'), 'a b c');
+
+    assert.match(metrics.render(), /http_requests_total\{method="GET",route="\/things\/:licenseKey",status="200"\} 3/);
+  } finally {
+    server.close();
+    delete process.env.LOG_LEVEL;
+  }
+});
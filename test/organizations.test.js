@@ -0,0 +1,36 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const Organization = require('../models/Organization');
+const OrgInvite = require('../models/OrgInvite');
+const { requireScope } = require('../middleware/adminAuth');
+
+test('invites report pending, expired, revoked and accepted', () => {
+  const now = new Date('2026-03-01T00:00:00Z');
+  const invite = (fields) => new OrgInvite({ email: 'a@example.edu', tokenHash: 'x', expiresAt: new Date('2026-03-10T00:00:00Z'), ...fields });
+
+  assert.strictEqual(invite({}).status(now), 'pending');
+  assert.strictEqual(invite({ expiresAt: new Date('2026-02-28T00:00:00Z') }).status(now), 'expired');
+  assert.strictEqual(invite({ revokedAt: now }).status(now), 'revoked');
+  assert.strictEqual(invite({ acceptedAt: now, licenseKey: 'BABYLON-AAAA-BBBB-CCCC' }).status(now), 'accepted');
+  // Claimed but not yet issued (or rolled back) is still pending
+  assert.strictEqual(invite({ acceptedAt: now }).status(now), 'pending');
+});
+
+test('organizations report the seats left in the pool', () => {
+  const organization = new Organization({ name: 'uni', displayName: 'Uni', contactEmail: 'it@uni.edu', planType: 'single', expiryDate: new Date(), seats: 50, seatsAllocated: 48 });
+  assert.strictEqual(organization.toPublic().seatsAvailable, 2);
+});
+
+test('organization admins are refused on scoped admin endpoints', () => {
+  const run = (admin) => {
+    let status = 200;
+    const res = { status: (code) => { status = code; return { json: () => {} }; } };
+    requireScope('licenses:read')({ admin }, res, () => {});
+    return status;
+  };
+
+  assert.strictEqual(run({ scopes: ['licenses:read'] }), 200);
+  assert.strictEqual(run({ scopes: ['licenses:read'], organization: '65f000000000000000000001' }), 403);
+  assert.strictEqual(run({ scopes: [] }), 403);
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { hashPassword, verifyPassword } = require('../lib/password');
+const { base32Encode, codeAt, verifyTotp } = require('../lib/totp');
+
+test('scrypt hashes verify only the original password', async () => {
+  const stored = await hashPassword('correct horse battery staple');
+
+  assert.match(stored, /^scrypt\$16384\$8\$1\$/);
+  assert.strictEqual(await verifyPassword('correct horse battery staple', stored), true);
+  assert.strictEqual(await verifyPassword('Correct horse battery staple', stored), false);
+  assert.strictEqual(await verifyPassword('anything', 'not-a-hash'), false);
+});
+
+test('TOTP codes match the RFC 6238 test vectors', () => {
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  // RFC 6238 Appendix B (SHA-1), truncated to 6 digits
+  assert.strictEqual(codeAt(secret, Math.floor(59 / 30)), '287082');
+  assert.strictEqual(codeAt(secret, Math.floor(1111111109 / 30)), '081804');
+  assert.strictEqual(codeAt(secret, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('verifyTotp allows one step of clock drift and returns the counter', () => {
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+  const now = 1111111109 * 1000;
+
+  assert.strictEqual(verifyTotp(secret, '081804', { now }), Math.floor(1111111109 / 30));
+  assert.strictEqual(verifyTotp(secret, '081804', { now: now + 30 * 1000 }), Math.floor(1111111109 / 30));
+  assert.strictEqual(verifyTotp(secret, '081804', { now: now + 90 * 1000 }), null);
+  assert.strictEqual(verifyTotp(secret, 'abc123', { now }), null);
+});
@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  verifyStripeSignature,
+  verifyPaddleSignature,
+  signStripePayload,
+  signPaddlePayload
+} = require('../lib/payments/signatures');
+const { normalizeStripeEvent, normalizePaddleEvent } = require('../lib/payments/normalize');
+const { loadConfig } = require('../lib/config');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'webhooks', name), 'utf8');
+const SECRET = 'whsec_test_secret';
+
+test('Stripe signatures verify and reject tampering, wrong secrets and old timestamps', () => {
+  const body = fixture('stripe-checkout-completed.json');
+  const header = signStripePayload(body, SECRET);
+
+  assert.strictEqual(verifyStripeSignature(body, header, SECRET), true);
+  assert.strictEqual(verifyStripeSignature(body.replace('jane@', 'mallory@'), header, SECRET), false);
+  assert.strictEqual(verifyStripeSignature(body, header, 'whsec_other'), false);
+  assert.strictEqual(verifyStripeSignature(body, undefined, SECRET), false);
+
+  const old = signStripePayload(body, SECRET, Math.floor(Date.now() / 1000) - 3600);
+  assert.strictEqual(verifyStripeSignature(body, old, SECRET), false);
+});
+
+test('Paddle signatures verify and reject tampering', () => {
+  const body = fixture('paddle-transaction-completed.json');
+  const header = signPaddlePayload(body, SECRET);
+
+  assert.strictEqual(verifyPaddleSignature(body, header, SECRET), true);
+  assert.strictEqual(verifyPaddleSignature(body.replace('lab@', 'x@'), header, SECRET), false);
+});
+
+test('Stripe fixtures normalize to purchase, renewal, refund and chargeback', () => {
+  const purchase = normalizeStripeEvent(JSON.parse(fixture('stripe-checkout-completed.json')));
+  assert.deepStrictEqual(purchase, {
+    id: 'evt_test_checkout_completed',
+    type: 'checkout.session.completed',
+    kind: 'purchase',
+    customerEmail: 'jane@example.com',
+    customerName: 'Jane Doe',
+    customerId: 'cus_test_123',
+    subscriptionId: 'sub_test_123',
+    transactionId: 'pi_test_first',
+    priceId: 'price_pro_yearly',
+    trialLicenseKey: undefined,
+    receipt: { amount: 4900, currency: 'EUR', invoiceUrl: undefined, paidAt: new Date(1735689600 * 1000) }
+  });
+
+  const renewal = normalizeStripeEvent(JSON.parse(fixture('stripe-invoice-renewal.json')));
+  assert.strictEqual(renewal.kind, 'renewal');
+  assert.strictEqual(renewal.subscriptionId, 'sub_test_123');
+  assert.deepStrictEqual(renewal.periodEnd, new Date(1798761600 * 1000));
+  assert.strictEqual(renewal.receipt.invoiceUrl, 'https://invoice.stripe.com/i/test_renewal');
+
+  assert.strictEqual(normalizeStripeEvent(JSON.parse(fixture('stripe-charge-refunded.json'))).kind, 'refund');
+  assert.strictEqual(normalizeStripeEvent(JSON.parse(fixture('stripe-dispute-created.json'))).kind, 'chargeback');
+  assert.strictEqual(normalizeStripeEvent({ id: 'evt_x', type: 'customer.created', data: { object: {} } }).kind, null);
+});
+
+test('purchases carry the trial license key to convert', () => {
+  const stripe = JSON.parse(fixture('stripe-checkout-completed.json'));
+  stripe.data.object.metadata = { ...stripe.data.object.metadata, trial_license_key: 'BABYLON-AB12-CD34-EF56' };
+  assert.strictEqual(normalizeStripeEvent(stripe).trialLicenseKey, 'BABYLON-AB12-CD34-EF56');
+
+  const paddle = JSON.parse(fixture('paddle-transaction-completed.json'));
+  paddle.data.custom_data = { ...paddle.data.custom_data, trial_license_key: 'BABYLON-AB12-CD34-EF56' };
+  assert.strictEqual(normalizePaddleEvent(paddle).trialLicenseKey, 'BABYLON-AB12-CD34-EF56');
+});
+
+test('Paddle fixtures normalize to purchase, renewal and refund', () => {
+  const purchase = normalizePaddleEvent(JSON.parse(fixture('paddle-transaction-completed.json')));
+  assert.strictEqual(purchase.kind, 'purchase');
+  assert.strictEqual(purchase.customerEmail, 'lab@example.edu');
+  assert.strictEqual(purchase.priceId, 'pri_01lab_yearly');
+  assert.strictEqual(purchase.transactionId, 'txn_01test_first');
+  assert.deepStrictEqual(purchase.receipt, {
+    amount: 29900,
+    currency: 'USD',
+    invoiceUrl: undefined,
+    paidAt: new Date('2025-01-01T00:00:00Z')
+  });
+
+  const renewal = normalizePaddleEvent(JSON.parse(fixture('paddle-transaction-renewal.json')));
+  assert.strictEqual(renewal.kind, 'renewal');
+  assert.deepStrictEqual(renewal.periodEnd, new Date('2027-01-01T00:00:00Z'));
+
+  const refund = normalizePaddleEvent(JSON.parse(fixture('paddle-adjustment-refund.json')));
+  assert.strictEqual(refund.kind, 'refund');
+  assert.strictEqual(refund.transactionId, 'txn_01test_first');
+});
+
+test('a bad product mapping is reported at startup', () => {
+  const env = { MONGODB_URI: 'mongodb://localhost/test', ADMIN_TOKEN: 'token' };
+
+  assert.throws(() => loadConfig({ ...env, PAYMENT_PRODUCTS: '{"price_pro":' }), /Payment product mapping is not valid JSON/);
+  assert.throws(() => loadConfig({ ...env, PAYMENT_PRODUCTS: '{"price_pro":{"maxActivations":3}}' }), /Payment product price_pro: planType is required/);
+  assert.strictEqual(loadConfig({ ...env, PAYMENT_PRODUCTS: '{"price_pro":{"planType":"pro"}}' }).adminToken, 'token');
+});
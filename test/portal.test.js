@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeEmail, licensesForEmail } = require('../lib/portal');
+const { csvRow } = require('../lib/csv');
+const { renderTemplate } = require('../lib/email');
+
+test('portal sign-in matches the license email exactly, ignoring case', () => {
+  assert.strictEqual(normalizeEmail('  Jane.Doe@Example.COM '), 'jane.doe@example.com');
+
+  const { customerEmail } = licensesForEmail('Jane.Doe@Example.com');
+  const pattern = new RegExp(customerEmail.$regex, customerEmail.$options);
+  assert.ok(pattern.test('jane.doe@example.com'));
+  assert.ok(pattern.test('JANE.DOE@EXAMPLE.COM'));
+  // The dot is literal and the match is anchored
+  assert.ok(!pattern.test('janexdoe@example.com'));
+  assert.ok(!pattern.test('other.jane.doe@example.com'));
+
+  const wildcard = licensesForEmail('.*@example.com').customerEmail;
+  assert.ok(!new RegExp(wildcard.$regex, wildcard.$options).test('jane@example.com'));
+});
+
+test('receipt CSV quotes values and neutralizes formulas', () => {
+  assert.strictEqual(
+    csvRow(['stripe', 'purchase', new Date('2025-01-01T00:00:00Z'), 4900, 'EUR']),
+    'stripe,purchase,2025-01-01T00:00:00.000Z,4900,EUR\n'
+  );
+  assert.strictEqual(csvRow(['a,b', 'say "hi"', undefined, '=SUM(A1)']), '"a,b","say ""hi""",,\'=SUM(A1)\n');
+});
+
+test('the sign-in email carries the link and its lifetime', () => {
+  const { subject, text } = renderTemplate('portal-login', {
+    productName: 'Babylon RCT',
+    supportEmail: 'help@example.com',
+    loginUrl: 'https://licenses.example.com/portal#login=abc',
+    minutes: 15
+  });
+  assert.strictEqual(subject, 'Your Babylon RCT sign-in link');
+  assert.match(text, /https:\/\/licenses\.example\.com\/portal#login=abc/);
+  assert.match(text, /expires in 15 minutes/);
+});
@@ -0,0 +1,101 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { memoryStore, redisStore } = require('../lib/rateLimitStore');
+const { backoffSeconds, lookupBlock, recordFailedLookup } = require('../lib/lookupThrottle');
+const { clientLimits } = require('../middleware/rateLimits');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('failed lookups back off exponentially after the free attempts, up to the cap', () => {
+  const config = { freeFailures: 5, backoffSeconds: 2, maxBackoffSeconds: 300 };
+  assert.deepStrictEqual([1, 5, 6, 7, 8, 12].map(failures => backoffSeconds(failures, config)), [0, 0, 2, 4, 8, 128]);
+  assert.strictEqual(backoffSeconds(40, config), 300);
+});
+
+test('the memory store counts hits in fixed windows', async () => {
+  const store = memoryStore();
+  assert.strictEqual((await store.increment('a', 50)).count, 1);
+  const { count, resetAt } = await store.increment('a', 50);
+  assert.strictEqual(count, 2);
+  assert.ok(resetAt.getTime() - Date.now() <= 50);
+
+  await store.decrement('a');
+  assert.strictEqual((await store.get('a')).count, 1);
+  assert.strictEqual(await store.get('b'), null);
+
+  await sleep(60);
+  assert.strictEqual(await store.get('a'), null);
+  assert.strictEqual((await store.increment('a', 50)).count, 1);
+  await store.reset('a');
+  assert.strictEqual(await store.get('a'), null);
+});
+
+test('the Redis store sends prefixed keys and reads counter replies', async () => {
+  const sent = [];
+  const store = redisStore(async (args) => {
+    sent.push(args);
+    return args[0] === 'EVAL' ? [3, 1500] : 1;
+  });
+
+  const { count, resetAt } = await store.increment('ip:1.2.3.4', 60000);
+  assert.strictEqual(count, 3);
+  assert.ok(Math.abs(resetAt.getTime() - (Date.now() + 1500)) < 100);
+  assert.deepStrictEqual(sent[0].slice(2), ['1', 'babylon:rl:ip:1.2.3.4', '60000']);
+
+  await store.reset('ip:1.2.3.4');
+  assert.deepStrictEqual(sent[1], ['DEL', 'babylon:rl:ip:1.2.3.4']);
+});
+
+test('clients that keep looking up unknown keys have to wait', async () => {
+  const store = memoryStore();
+  const req = { ip: '203.0.113.7' };
+  for (let i = 0; i < 5; i++) await recordFailedLookup(req, store);
+  assert.strictEqual(await lookupBlock(req.ip, store), null);
+
+  await recordFailedLookup(req, store);
+  const block = await lookupBlock(req.ip, store);
+  assert.strictEqual(block.reason, 'backoff');
+  assert.ok(block.retryAfterSeconds >= 1 && block.retryAfterSeconds <= 2);
+  assert.strictEqual(await lookupBlock('198.51.100.1', store), null);
+});
+
+test('each device gets its own request budget, answered in the caller\'s API version', async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/api/validate-license', clientLimits, (req, res) => res.json({ valid: true }));
+  app.post('/api/v2/validate', clientLimits, (req, res) => res.json({ status: 'valid' }));
+
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const post = (path, deviceId) => fetch(`${base}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ license_key: 'BABYLON-AB12-CD34-EF56', device_id: deviceId })
+    });
+
+    for (let i = 0; i < 30; i++) {
+      assert.strictEqual((await post('/api/validate-license', 'pc-1')).status, 200);
+    }
+    let response = await post('/api/validate-license', 'pc-1');
+    assert.strictEqual(response.status, 429);
+    assert.ok(Number(response.headers.get('retry-after')) > 0);
+    assert.deepStrictEqual(await response.json(), {
+      valid: false,
+      reason: 'rate_limited',
+      message: 'Too many requests from this device. Please try again later.'
+    });
+
+    // The count is shared across API versions
+    response = await post('/api/v2/validate', 'pc-1');
+    assert.strictEqual(response.status, 429);
+    assert.strictEqual((await response.json()).error.code, 'RATE_LIMITED');
+
+    // Another device on the same license (and IP) is unaffected
+    assert.strictEqual((await post('/api/v2/validate', 'pc-2')).status, 200);
+  } finally {
+    server.close();
+  }
+});
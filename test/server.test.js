@@ -0,0 +1,315 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const { createApp } = require('../app');
+const License = require('../models/License');
+const AdminUser = require('../models/AdminUser');
+const { requestSigningInput } = require('../lib/signedRequests');
+const { ensureDefaultPlans } = require('../lib/entitlements');
+
+// End-to-end requests against the app from createApp(), backed by an
+// in-memory MongoDB
+
+const ADMIN_TOKEN = 'test-admin-token';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let mongod;
+let server;
+let baseUrl;
+
+before(async () => {
+  mongod = await MongoMemoryServer.create();
+  await mongoose.connect(mongod.getUri());
+  await ensureDefaultPlans();
+
+  server = createApp({ adminToken: ADMIN_TOKEN }).listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  if (server) server.close();
+  await mongoose.disconnect();
+  if (mongod) await mongod.stop();
+});
+
+beforeEach(async () => {
+  await License.deleteMany({});
+});
+
+async function request(method, path, { body, token } = {}) {
+  const headers = {};
+  if (body) headers['Content-Type'] = 'application/json';
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+const post = (path, body, token) => request('POST', path, { body, token });
+
+const createLicense = (body) => post('/api/admin/create-license', {
+  customerEmail: 'customer@example.com',
+  customerName: 'Test Customer',
+  sendEmail: false,
+  ...body
+}, ADMIN_TOKEN);
+
+const insertLicense = (overrides = {}) => License.create({
+  licenseKey: 'BABYLON-TEST-0000-0001',
+  customerEmail: 'customer@example.com',
+  customerName: 'Test Customer',
+  expiryDate: new Date(Date.now() + 30 * DAY_MS),
+  ...overrides
+});
+
+const activate = (licenseKey, deviceId) => post('/api/activate-license', { license_key: licenseKey, device_id: deviceId });
+const validate = (licenseKey, deviceId) => post('/api/validate-license', { license_key: licenseKey, device_id: deviceId });
+
+test('health endpoints report the database connection', async () => {
+  const health = await request('GET', '/api/health');
+  assert.strictEqual(health.status, 200);
+  assert.strictEqual(health.body.status, 'OK');
+  assert.strictEqual(health.body.database, 'connected');
+
+  assert.deepStrictEqual((await request('GET', '/livez')).body, { status: 'ok' });
+
+  const ready = await request('GET', '/readyz');
+  assert.strictEqual(ready.status, 200);
+  assert.deepStrictEqual(ready.body, { status: 'ready', database: 'connected' });
+});
+
+test('admin endpoints refuse missing and wrong credentials', async () => {
+  const body = { customerEmail: 'customer@example.com', customerName: 'Test Customer' };
+
+  const missing = await post('/api/admin/create-license', body);
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.body.error, 'Unauthorized - No token provided');
+
+  const wrong = await post('/api/admin/create-license', body, 'not-the-admin-token');
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(wrong.body.error, 'Unauthorized - Invalid token');
+
+  assert.strictEqual(await License.countDocuments(), 0);
+});
+
+test('creating a license stores it and returns its key', async () => {
+  const created = await createLicense({ maxActivations: 2 });
+  assert.strictEqual(created.status, 200);
+  assert.strictEqual(created.body.success, true);
+  assert.strictEqual(created.body.license.maxActivations, 2);
+
+  const stored = await License.findOne({ licenseKey: created.body.license.licenseKey });
+  assert.ok(stored);
+  assert.strictEqual(stored.customerEmail, 'customer@example.com');
+
+  const invalid = await post('/api/admin/create-license', { customerName: 'No Email' }, ADMIN_TOKEN);
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual(invalid.body.success, false);
+});
+
+test('a device activates, validates and deactivates a license', async () => {
+  const { licenseKey } = (await createLicense({ maxActivations: 1 })).body.license;
+
+  const activated = await activate(licenseKey, 'device-1');
+  assert.strictEqual(activated.body.valid, true);
+  assert.strictEqual(activated.body.message, 'License activated successfully!');
+  assert.strictEqual(activated.body.activations_used, 1);
+  assert.ok(activated.body.license_token);
+
+  const again = await activate(licenseKey, 'device-1');
+  assert.strictEqual(again.body.message, 'License already activated on this device');
+
+  const valid = await validate(licenseKey, 'device-1');
+  assert.strictEqual(valid.body.valid, true);
+  assert.strictEqual(valid.body.customer_name, 'Test Customer');
+
+  const otherDevice = await validate(licenseKey, 'device-2');
+  assert.strictEqual(otherDevice.body.valid, false);
+  assert.strictEqual(otherDevice.body.message, 'License not activated on this device');
+
+  const deactivated = await post('/api/deactivate-device', { license_key: licenseKey, device_id: 'device-1' });
+  assert.strictEqual(deactivated.status, 200);
+  assert.strictEqual(deactivated.body.success, true);
+  assert.strictEqual(deactivated.body.activations_used, 0);
+
+  assert.strictEqual((await validate(licenseKey, 'device-1')).body.valid, false);
+  assert.strictEqual((await activate(licenseKey, 'device-2')).body.valid, true);
+});
+
+test('activation stops at the license\'s device limit', async () => {
+  const { licenseKey } = (await createLicense({ maxActivations: 1 })).body.license;
+  assert.strictEqual((await activate(licenseKey, 'device-1')).body.valid, true);
+
+  const refused = await activate(licenseKey, 'device-2');
+  assert.strictEqual(refused.body.valid, false);
+  assert.strictEqual(refused.body.message, 'License activation limit reached (1 device). Please contact support.');
+
+  const license = await License.findOne({ licenseKey });
+  assert.deepStrictEqual(license.deviceActivations.map(a => a.deviceId), ['device-1']);
+});
+
+test('device IDs that are not strings are refused', async () => {
+  const { licenseKey } = (await createLicense({ maxActivations: 2 })).body.license;
+  assert.strictEqual((await activate(licenseKey, 'device-1')).body.valid, true);
+
+  for (const deviceId of [{ $ne: 'x' }, ['device-1'], '  ', undefined]) {
+    const activation = await activate(licenseKey, deviceId);
+    assert.strictEqual(activation.status, 400);
+    assert.strictEqual(activation.body.valid, false);
+    assert.strictEqual(activation.body.license_token, undefined);
+    assert.strictEqual((await validate(licenseKey, deviceId)).status, 400);
+  }
+
+  const license = await License.findOne({ licenseKey });
+  assert.deepStrictEqual(license.deviceActivations.map(a => a.deviceId), ['device-1']);
+});
+
+// A v2 request signed with an install's Ed25519 key
+async function signedPost(path, body, privateKey) {
+  const { nonce } = (await post('/api/v2/nonce')).body;
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const raw = JSON.stringify(body);
+  const input = requestSigningInput({ method: 'POST', path, nonce, timestamp, body: Buffer.from(raw) });
+  const response = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Babylon-Nonce': nonce,
+      'X-Babylon-Timestamp': timestamp,
+      'X-Babylon-Signature': crypto.sign(null, Buffer.from(input), privateKey).toString('base64url')
+    },
+    body: raw
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+function installKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return { privateKey, encoded: publicKey.export({ format: 'jwk' }).x };
+}
+
+test('only the registered key can replace a device\'s signing key', async () => {
+  const { licenseKey } = (await createLicense({ maxActivations: 1 })).body.license;
+  const app = installKey();
+  const attacker = installKey();
+  const activation = (key) => ({ license_key: licenseKey, device_id: 'device-1', device_public_key: key.encoded });
+
+  assert.strictEqual((await signedPost('/api/v2/activate', activation(app), app.privateKey)).status, 201);
+
+  // Knowing the license key and device ID isn't enough to swap the key
+  const hijack = await signedPost('/api/v2/activate', activation(attacker), attacker.privateKey);
+  assert.strictEqual(hijack.status, 401);
+  assert.strictEqual(hijack.body.error.code, 'SIGNATURE_INVALID');
+  const unsigned = await post('/api/v2/activate', activation(attacker));
+  assert.strictEqual(unsigned.body.error.code, 'SIGNATURE_REQUIRED');
+
+  // The registered key can rotate to a new one
+  const rotated = installKey();
+  assert.strictEqual((await signedPost('/api/v2/activate', activation(rotated), app.privateKey)).status, 200);
+  const validation = { license_key: licenseKey, device_id: 'device-1' };
+  assert.strictEqual((await signedPost('/api/v2/validate', validation, app.privateKey)).status, 401);
+  assert.strictEqual((await signedPost('/api/v2/validate', validation, rotated.privateKey)).status, 200);
+
+  // After an admin reset the next activation registers its key again
+  const reset = await request('DELETE', `/api/admin/licenses/${licenseKey}/devices/device-1/key`, { token: ADMIN_TOKEN });
+  assert.strictEqual(reset.status, 200);
+  const reinstall = installKey();
+  assert.strictEqual((await signedPost('/api/v2/activate', activation(reinstall), reinstall.privateKey)).status, 200);
+  assert.strictEqual((await signedPost('/api/v2/validate', validation, reinstall.privateKey)).status, 200);
+});
+
+test('unsigned calls are refused on every client route once a device has a key', async () => {
+  const { licenseKey } = (await createLicense({ maxActivations: 2 })).body.license;
+  const app = installKey();
+  const device = { license_key: licenseKey, device_id: 'device-1' };
+  await signedPost('/api/v2/activate', { ...device, device_public_key: app.encoded }, app.privateKey);
+
+  for (const path of ['/api/validate-license', '/api/activate-license', '/api/heartbeat', '/api/release-seat', '/api/deactivate-device']) {
+    const response = await post(path, device);
+    assert.strictEqual(response.status, 401, path);
+    assert.strictEqual(response.body.reason, 'signature_required', path);
+  }
+  for (const path of ['/api/v2/validate', '/api/v2/activate', '/api/v2/heartbeat', '/api/v2/release-seat', '/api/v2/deactivate']) {
+    const response = await post(path, device);
+    assert.strictEqual(response.status, 401, path);
+    assert.strictEqual(response.body.error.code, 'SIGNATURE_REQUIRED', path);
+  }
+  assert.strictEqual((await License.findOne({ licenseKey })).currentActivations, 1);
+
+  // Other devices may still use v1 until signing is required everywhere
+  assert.strictEqual((await activate(licenseKey, 'device-2')).body.valid, true);
+  process.env.REQUIRE_SIGNED_REQUESTS = 'true';
+  try {
+    assert.strictEqual((await validate(licenseKey, 'device-2')).status, 401);
+    assert.strictEqual((await post('/api/v2/deactivate', { license_key: licenseKey, device_id: 'device-2' })).status, 401);
+  } finally {
+    delete process.env.REQUIRE_SIGNED_REQUESTS;
+  }
+
+  assert.strictEqual((await signedPost('/api/v2/deactivate', device, app.privateKey)).status, 200);
+});
+
+test('admin users can only be disabled or reset by someone holding their scopes', async () => {
+  await post('/api/admin/users', { username: 'owner', password: 'correct horse battery', scopes: ['keys:manage', 'licenses:write'] }, ADMIN_TOKEN);
+  await post('/api/admin/users', { username: 'helper', password: 'correct horse battery', scopes: ['licenses:read'] }, ADMIN_TOKEN);
+  const { key } = (await post('/api/admin/api-keys', { name: 'user-manager', scopes: ['keys:manage', 'licenses:read'] }, ADMIN_TOKEN)).body;
+
+  const reset = await post('/api/admin/users/owner/reset-totp', {}, key);
+  assert.strictEqual(reset.status, 403);
+  assert.strictEqual(reset.body.error, 'Forbidden - User holds scopes you do not hold: licenses:write');
+  const disable = await request('DELETE', '/api/admin/users/owner', { token: key });
+  assert.strictEqual(disable.status, 403);
+  assert.strictEqual((await AdminUser.findOne({ username: 'owner' })).disabledAt, undefined);
+
+  assert.strictEqual((await post('/api/admin/users/helper/reset-totp', {}, key)).status, 200);
+  assert.strictEqual((await request('DELETE', '/api/admin/users/helper', { token: key })).status, 200);
+  assert.strictEqual((await request('DELETE', '/api/admin/users/owner', { token: ADMIN_TOKEN })).status, 200);
+});
+
+test('expired and inactive licenses are refused', async () => {
+  await insertLicense({ expiryDate: new Date(Date.now() - DAY_MS) });
+  const expired = await activate('BABYLON-TEST-0000-0001', 'device-1');
+  assert.strictEqual(expired.body.valid, false);
+  assert.strictEqual(expired.body.message, 'License has expired. Please contact support.');
+
+  await License.updateOne({ licenseKey: 'BABYLON-TEST-0000-0001' }, {
+    isActive: false,
+    expiryDate: new Date(Date.now() + 30 * DAY_MS)
+  });
+  const inactive = await activate('BABYLON-TEST-0000-0001', 'device-1');
+  assert.strictEqual(inactive.body.valid, false);
+  assert.strictEqual(inactive.body.message, 'Invalid license key');
+
+  const validation = await validate('BABYLON-TEST-0000-0001', 'device-1');
+  assert.strictEqual(validation.body.message, 'License not found or inactive');
+
+  const license = await License.findOne({ licenseKey: 'BABYLON-TEST-0000-0001' });
+  assert.strictEqual(license.deviceActivations.length, 0);
+});
+
+test('an import creates every row, or none when one is invalid', async () => {
+  const rows = [
+    { customerEmail: 'ann@example.com', customerName: 'Ann', expiryDate: '2030-01-31' },
+    { customerEmail: 'bob@example.com', customerName: 'Bob', maxActivations: '3' }
+  ];
+
+  const refused = await post('/api/admin/licenses/import', { licenses: [...rows, { customerName: 'No Email' }] }, ADMIN_TOKEN);
+  assert.strictEqual(refused.status, 400);
+  assert.deepStrictEqual(refused.body.details, ['licenses[2]: customerEmail is required']);
+  assert.strictEqual(await License.countDocuments(), 0);
+
+  const imported = await post('/api/admin/licenses/import', { licenses: rows }, ADMIN_TOKEN);
+  assert.strictEqual(imported.status, 201);
+  assert.strictEqual(imported.body.count, 2);
+
+  const ann = await License.findOne({ customerEmail: 'ann@example.com' });
+  assert.strictEqual(ann.expiryDate.toISOString().slice(0, 10), '2030-01-31');
+  assert.strictEqual((await License.findOne({ customerEmail: 'bob@example.com' })).maxActivations, 3);
+});
@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+
+const {
+  requestSigningInput,
+  responseSigningInput,
+  parsePublicKey,
+  verifySignature,
+  timestampFresh,
+  signResponses
+} = require('../lib/signedRequests');
+const { getPublicKeys } = require('../lib/licenseToken');
+
+// A per-install keypair as the app would make it
+function installKey() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+  return { privateKey, encoded: publicKey.export({ format: 'jwk' }).x };
+}
+
+test('request signatures verify only for the exact body, nonce and key', () => {
+  const { privateKey, encoded } = installKey();
+  const body = Buffer.from('{"license_key":"BABYLON-AB12-CD34-EF56","device_id":"pc-1"}');
+  const request = { method: 'post', path: '/api/v2/validate', nonce: 'n1', timestamp: '1700000000', body };
+  const signature = crypto.sign(null, Buffer.from(requestSigningInput(request)), privateKey).toString('base64url');
+
+  assert.ok(verifySignature(encoded, requestSigningInput(request), signature));
+  assert.ok(!verifySignature(encoded, requestSigningInput({ ...request, body: Buffer.from('{"device_id":"pc-2"}') }), signature));
+  assert.ok(!verifySignature(encoded, requestSigningInput({ ...request, nonce: 'n2' }), signature));
+  assert.ok(!verifySignature(installKey().encoded, requestSigningInput(request), signature));
+  assert.ok(!verifySignature(encoded, requestSigningInput(request), 'not-a-signature'));
+});
+
+test('device public keys must be raw 32-byte Ed25519 keys', () => {
+  assert.ok(parsePublicKey(installKey().encoded));
+  assert.strictEqual(parsePublicKey('abc'), null);
+  assert.strictEqual(parsePublicKey(crypto.randomBytes(33).toString('base64url')), null);
+  assert.strictEqual(parsePublicKey(undefined), null);
+});
+
+test('timestamps are accepted within the allowed clock skew', () => {
+  const now = Date.UTC(2025, 0, 1);
+  const seconds = now / 1000;
+  assert.ok(timestampFresh(String(seconds), now));
+  assert.ok(timestampFresh(String(seconds - 240), now));
+  assert.ok(!timestampFresh(String(seconds - 600), now));
+  assert.ok(!timestampFresh(String(seconds + 600), now));
+  assert.ok(!timestampFresh('1e9', now));
+});
+
+test('responses echo the nonce and are signed with a published key', async () => {
+  const app = express();
+  app.get('/check', (req, res) => {
+    signResponses(res, 'nonce-1');
+    res.status(403).json({ error: { code: 'LICENSE_EXPIRED', message: 'License has expired' } });
+  });
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/check`);
+    const text = await response.text();
+    assert.strictEqual(JSON.parse(text).nonce, 'nonce-1');
+
+    const { keys } = getPublicKeys();
+    const key = keys.find(candidate => candidate.kid === response.headers.get('x-babylon-key-id'));
+    const input = responseSigningInput({ nonce: 'nonce-1', status: 403, body: Buffer.from(text) });
+    const signature = Buffer.from(response.headers.get('x-babylon-signature'), 'base64url');
+    assert.ok(crypto.verify(null, Buffer.from(input), crypto.createPublicKey(key.pem), signature));
+
+    // A proxy that turns the failure into a success breaks the signature
+    const forged = responseSigningInput({ nonce: 'nonce-1', status: 200, body: Buffer.from(text) });
+    assert.ok(!crypto.verify(null, Buffer.from(forged), crypto.createPublicKey(key.pem), signature));
+  } finally {
+    server.close();
+  }
+});
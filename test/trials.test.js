@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { trialClaims, fingerprintHash } = require('../lib/trials');
+
+test('fingerprint hashes ignore key order and skip empty fingerprints', () => {
+  const a = fingerprintHash({ os: 'macOS', model: 'MacBookPro18,3', cpu: 'M1 Pro' });
+  const b = fingerprintHash({ cpu: 'M1 Pro', model: 'MacBookPro18,3', os: 'macOS' });
+
+  assert.match(a, /^[0-9a-f]{64}$/);
+  assert.strictEqual(a, b);
+  assert.notStrictEqual(a, fingerprintHash({ os: 'Windows', model: 'MacBookPro18,3', cpu: 'M1 Pro' }));
+  assert.strictEqual(fingerprintHash({}), null);
+  assert.strictEqual(fingerprintHash(undefined), null);
+});
+
+test('fingerprints that differ only in volatile fields hash the same', () => {
+  const machine = { os: 'macOS', model: 'MacBookPro18,3', hardware: { uuid: 'C0FFEE00-1234' } };
+  const first = fingerprintHash({ ...machine, launchTime: 1700000000, batteryLevel: 0.8, ipAddress: '10.0.0.2' });
+  const second = fingerprintHash({ ...machine, launchTime: 1700086400, batteryLevel: 0.3, locale: 'de-DE' });
+
+  assert.strictEqual(first, second);
+  assert.strictEqual(first, fingerprintHash({ ...machine, model: ' macbookpro18,3' }));
+  assert.strictEqual(fingerprintHash({ uptime: 42, timestamp: Date.now() }), null);
+});
+
+test('a trial claims the device, its fingerprint and the normalized email', () => {
+  const claims = trialClaims({ deviceId: 'device-1', deviceInfo: { os: 'macOS' }, email: ' Jane@Example.com ' });
+
+  assert.deepStrictEqual(claims.map(claim => claim.type), ['device', 'fingerprint', 'email']);
+  assert.strictEqual(claims[0].value, 'device-1');
+  assert.strictEqual(claims[2].value, 'jane@example.com');
+});
+
+test('without a fingerprint or email only the device is claimed', () => {
+  assert.deepStrictEqual(trialClaims({ deviceId: 'device-1', deviceInfo: {} }), [{ type: 'device', value: 'device-1' }]);
+});
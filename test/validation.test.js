@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { validateFields } = require('../lib/validation');
+const { addMonths } = require('../lib/dates');
+
+test('required fields are trimmed and accepted', () => {
+  const { values, errors } = validateFields(
+    { customerEmail: ' jane@example.com ', customerName: ' Jane ' },
+    { required: ['customerEmail', 'customerName'] }
+  );
+
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(values, { customerEmail: 'jane@example.com', customerName: 'Jane' });
+});
+
+test('missing, unknown and malformed fields are all reported', () => {
+  const { errors } = validateFields(
+    { customerEmail: 'not-an-email', durationMonths: '12abc', maxActivation: 2 },
+    { required: ['customerEmail', 'customerName'], optional: ['durationMonths'] }
+  );
+
+  assert.deepStrictEqual(errors, [
+    'maxActivation is not an allowed field',
+    'customerEmail must be a valid email address',
+    'customerName is required',
+    'durationMonths must be a whole number between 1 and 120'
+  ]);
+});
+
+test('numeric strings are accepted but not partially parsed', () => {
+  assert.deepStrictEqual(validateFields({ maxActivations: '3' }, { optional: ['maxActivations'] }).values, { maxActivations: 3 });
+  assert.strictEqual(validateFields({ maxActivations: 0 }, { optional: ['maxActivations'] }).errors.length, 1);
+  assert.strictEqual(validateFields({ maxActivations: 1.5 }, { optional: ['maxActivations'] }).errors.length, 1);
+});
+
+test('expiryDate must be a valid future date', () => {
+  assert.strictEqual(validateFields({ expiryDate: 'soon' }, { optional: ['expiryDate'] }).errors.length, 1);
+  assert.strictEqual(validateFields({ expiryDate: '2000-01-01' }, { optional: ['expiryDate'] }).errors.length, 1);
+  assert.strictEqual(validateFields({ expiryDate: '2999-01-01' }, { optional: ['expiryDate'] }).errors.length, 0);
+});
+
+test('entitlementOverrides accepts feature switches and quotas only', () => {
+  const valid = validateFields(
+    { entitlementOverrides: { features: { export_4k: true, watermark: false }, quotas: { projects: 0 } } },
+    { optional: ['entitlementOverrides'] }
+  );
+  assert.deepStrictEqual(valid.errors, []);
+
+  const invalid = (entitlementOverrides) => validateFields({ entitlementOverrides }, { optional: ['entitlementOverrides'] }).errors;
+  assert.deepStrictEqual(invalid({ features: { export_4k: 'yes' } }), ['entitlementOverrides.features.export_4k must be true or false']);
+  assert.deepStrictEqual(invalid({ quotas: { projects: -1 } }), ['entitlementOverrides.quotas.projects must be a whole number of 0 or more']);
+  assert.deepStrictEqual(invalid({ quotas: { '$where': 1 } }), ['entitlementOverrides.quotas.$where is not a valid name (letters, digits, "-" and "_")']);
+  assert.deepStrictEqual(invalid({ premium: true }), ['entitlementOverrides may only contain features and quotas']);
+});
+
+test('addMonths clamps to the end of shorter months', () => {
+  const result = addMonths(new Date(2025, 0, 31), 1);
+  assert.strictEqual(result.getMonth(), 1);
+  assert.strictEqual(result.getDate(), 28);
+});